@@ -0,0 +1,113 @@
+// ============================================================================
+// NEIGHBOR SEARCH BENCHMARK - NeighborGrid on synthetic point clouds, headless
+// ============================================================================
+//
+//   node bench/neighborSearch.mjs [count ...]
+//
+// Each cloud is timed at the connection lines' defaults (max distance 3.5,
+// 4 neighbors per particle). Up to 8000 points it is also timed with no
+// neighbor cap and that pair count is checked against a brute-force O(n^2)
+// scan, whose time is printed alongside for comparison. (Uncapped, the
+// larger clouds produce hundreds of millions of pairs.)
+
+import { performance } from 'node:perf_hooks';
+import { NeighborGrid } from '../js/spatialGrid.js';
+import { createRng, TAU } from '../js/utils.js';
+
+const MAX_DIST = 3.5;
+const MAX_NEIGHBORS = 4;
+const BRUTE_FORCE_LIMIT = 8000;
+const counts = process.argv.slice(2).map(Number).filter(n => n > 1);
+const COUNTS = counts.length ? counts : [1500, 8000, 50000, 200000];
+
+// Point clouds shaped like the scene: particles on and around a radius-8 form,
+// a filled volume, and a few dense clumps
+const CLOUDS = {
+  shell(n, rand) {
+    const out = new Float32Array(n * 3);
+    for (let i = 0; i < n; i++) {
+      const theta = rand() * TAU;
+      const phi = Math.acos(2 * rand() - 1);
+      const r = 8 * (0.9 + rand() * 0.3);
+      out[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+      out[i * 3 + 1] = r * Math.cos(phi);
+      out[i * 3 + 2] = r * Math.sin(phi) * Math.sin(theta);
+    }
+    return out;
+  },
+  cube(n, rand) {
+    return Float32Array.from({ length: n * 3 }, () => (rand() - 0.5) * 30);
+  },
+  clusters(n, rand) {
+    const centers = Array.from({ length: 8 }, () => [0, 0, 0].map(() => (rand() - 0.5) * 40));
+    const out = new Float32Array(n * 3);
+    for (let i = 0; i < n; i++) {
+      const c = centers[i % centers.length];
+      for (let a = 0; a < 3; a++) out[i * 3 + a] = c[a] + (rand() + rand() + rand() - 1.5) * 3;
+    }
+    return out;
+  }
+};
+
+function bruteForcePairs(points, n, maxDist) {
+  const maxD2 = maxDist * maxDist;
+  let pairs = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const dx = points[j * 3] - points[i * 3], dy = points[j * 3 + 1] - points[i * 3 + 1], dz = points[j * 3 + 2] - points[i * 3 + 2];
+      if (dx * dx + dy * dy + dz * dz < maxD2) pairs++;
+    }
+  }
+  return pairs;
+}
+
+// Mean milliseconds per call, after a warm-up call
+function time(fn, minMs = 200) {
+  fn();
+  let runs = 0;
+  const t0 = performance.now();
+  do {
+    fn();
+    runs++;
+  } while (performance.now() - t0 < minMs);
+  return (performance.now() - t0) / runs;
+}
+
+const grid = new NeighborGrid();
+const rows = [];
+let failed = false;
+
+for (const [name, make] of Object.entries(CLOUDS)) {
+  for (const n of COUNTS) {
+    const points = make(n, createRng(n));
+    const capped = time(() => grid.query(points, n, MAX_DIST, MAX_NEIGHBORS));
+    const cappedPairs = grid.pairCount;
+    let uncapped = '-', allPairs = '-', brute = '-';
+    if (n <= BRUTE_FORCE_LIMIT) {
+      uncapped = `${time(() => grid.query(points, n, MAX_DIST)).toFixed(2)} ms`;
+      allPairs = grid.pairCount;
+      let expected = 0;
+      const ms = time(() => { expected = bruteForcePairs(points, n, MAX_DIST); }, 0);
+      brute = `${ms.toFixed(2)} ms`;
+      if (expected !== allPairs) {
+        failed = true;
+        brute += ` MISMATCH (${expected} pairs)`;
+      }
+    }
+    rows.push({
+      cloud: name,
+      points: n,
+      [`grid, ${MAX_NEIGHBORS} nbrs`]: `${capped.toFixed(2)} ms`,
+      'pairs (capped)': cappedPairs,
+      'grid, uncapped': uncapped,
+      'pairs (all)': allPairs,
+      'brute force': brute
+    });
+  }
+}
+
+console.table(rows);
+if (failed) {
+  console.error('Grid search disagrees with brute force');
+  process.exitCode = 1;
+}
@@ -1,16 +1,71 @@
-import { clamp, lerp, fract } from './utils.js';
+import { clamp, lerp, fract, decay, frameTau } from './utils.js';
+import { NOTE_NAMES, TonalAnalyzer, keyName, chordName, midiNoteName } from './tonalAnalysis.js';
 
 // ============================================================================
 // AUDIO ANALYZER - Enhanced with better frequency mapping and transient detection
 // ============================================================================
 
+export { NOTE_NAMES };
+
+// Everything below runs on the dt it is given, so a song analyses the same at
+// any frame rate. Decay time constants in seconds, with the per-frame factor
+// each one matches at 60 fps:
+const PEAK_TAU = 0.55;            // band peaks, 0.97
+const BAND_ONSET_TAU = 0.084;     // per-band onsets, 0.82
+const GLOBAL_ONSET_TAU = 0.13;    // 0.88
+const KICK_ONSET_TAU = 0.067;     // 0.78
+const SNARE_ONSET_TAU = 0.084;    // 0.82
+const HIHAT_ONSET_TAU = 0.158;    // 0.90
+const RMS_PEAK_TAU = 33;          // 0.9995
+// Seconds of flux history the adaptive onset thresholds look back over
+const FLUX_WINDOW = 1.0;
+const KICK_WINDOW = 0.83;
+const SNARE_WINDOW = 0.83;
+const HIHAT_WINDOW = 0.67;
+// Smoothing of the stereo image measurements
+const STEREO_TAU = 0.15;
+
+/**
+ * Paces FFT reads independently of the display: tick(dt) returns the seconds
+ * since the last read when a new one is due at `rate` Hz, else 0. A display
+ * faster than `rate` skips frames between reads; a slower one reads on every
+ * frame.
+ */
+export class AnalysisTimer {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this._due = 1;
+    this._since = 0;
+  }
+
+  tick(dt, rate) {
+    this._since += dt;
+    this._due += dt * rate;
+    if (this._due < 1) return 0;
+    this._due -= Math.floor(this._due);
+    const step = this._since;
+    this._since = 0;
+    return step;
+  }
+}
+
 export class AudioAnalyzer {
   constructor() {
     this.bands = 64;
-    this.bandValues = new Float32Array(this.bands);
-    this.bandPeaks = new Float32Array(this.bands);
     // Logarithmic frequency band edges for perceptually uniform distribution
     this.bandEdges = this._computeLogBandEdges(this.bands, 20, 20000);
+    this.sampleRate = 48000;
+    this.fftSize = 8192;
+    this.reset();
+  }
+
+  // Clear all running state (envelopes, onset histories, tempo) while keeping FFT setup
+  reset() {
+    this.bandValues = new Float32Array(this.bands);
+    this.bandPeaks = new Float32Array(this.bands);
     this.prevBandValues = new Float32Array(this.bands);
     this.onsetDecay = new Float32Array(this.bands);
     this._fftSmooth = null;
@@ -41,12 +96,23 @@ export class AudioAnalyzer {
     this.rms = 0;
     this.rmsSmooth = 0.06;
     this.rmsPeak = 0;
-    this.sampleRate = 48000;
-    this.fftSize = 8192;
+    // Tonal picture (see tonalAnalysis.js). rootNote is the current chord's
+    // root, or the key's tonic between chords.
+    this._tonal = new TonalAnalyzer();
     this.rootNote = NaN;
     this.noteName = '--';
-    this.chroma = new Float32Array(12);
-    this._noteBins = new Float32Array(12);
+    this.chroma = this._tonal.chroma;
+    this.tuning = 0;
+    this.keyRoot = NaN;
+    this.keyMode = 0;
+    this.keyConfidence = 0;
+    this.keyName = '--';
+    this.chordRoot = NaN;
+    this.chordQuality = 0;
+    this.chordName = '--';
+    this.melodyPitch = NaN;
+    this.melodyConfidence = 0;
+    this.melodyNote = '--';
     this.smoothSubBass = 0;
     this.smoothBass = 0;
     this.smoothLowMid = 0;
@@ -64,6 +130,12 @@ export class AudioAnalyzer {
     this.transientSharpness = 0;
     // Harmonic content detection
     this.harmonicRatio = 0;
+    // Stereo image: width 0 (mono) to 1 (decorrelated), balance -1 (left) to 1 (right),
+    // correlation -1 to 1 between the channels, and the balance of each band
+    this.stereoWidth = 0;
+    this.stereoBalance = 0;
+    this.stereoCorrelation = 1;
+    this.bandPan = new Float32Array(this.bands);
   }
 
   _computeLogBandEdges(numBands, minHz, maxHz) {
@@ -106,25 +178,35 @@ export class AudioAnalyzer {
   }
 
   _noteName(pc) {
-    return ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'][(pc | 0) % 12];
+    return NOTE_NAMES[(pc | 0) % 12];
   }
 
-  analyze(freqData, timeData, dt, freqL = null, freqR = null, smoothingAlpha = 0.18) {
+  /**
+   * One analyser read: byte spectrum and waveform of the mix, covering dt
+   * seconds. `left` and `right` are the same reads per channel ({ freq, time })
+   * for the stereo features; without them the image reads as centred mono.
+   */
+  analyze(freqData, timeData, dt, left = null, right = null, smoothingAlpha = 0.18) {
     this._tMs += dt * 1000;
     const N = freqData.length;
     this._ensureFftSmooth(N);
 
-    // Adaptive smoothing - less smoothing during transients for sharper response
+    // Adaptive smoothing - less smoothing during transients for sharper response.
+    // smoothingAlpha is per 60 fps frame; rescaled here to this call's dt
     const baseAlpha = clamp(smoothingAlpha, 0.05, 0.4);
+    const releaseAlpha = 1 - decay(frameTau(1 - baseAlpha), dt);
+    const attackAlpha = 1 - decay(frameTau(1 - Math.min(baseAlpha * 2.5, 0.7)), dt);
     const hzPerBin = this.sampleRate / this.fftSize;
 
     for (let i = 0; i < N; i++) {
       // Convert byte to linear amplitude (0-1) with slight curve for better dynamics
       const linear = Math.pow(freqData[i] / 255, 1.2);
       // Adaptive alpha - faster attack, slower release
-      const a = linear > this._fftSmooth[i] ? Math.min(baseAlpha * 2.5, 0.7) : baseAlpha;
+      const a = linear > this._fftSmooth[i] ? attackAlpha : releaseAlpha;
       this._fftSmooth[i] = lerp(this._fftSmooth[i], linear, a);
     }
+    const peakKeep = decay(PEAK_TAU, dt);
+    const onsetKeep = decay(BAND_ONSET_TAU, dt);
 
     // Compute logarithmic frequency bands for perceptual accuracy
     let sumEnergy = 0, sumCentroid = 0, sumCentroidWeight = 0;
@@ -144,7 +226,7 @@ export class AudioAnalyzer {
       }
       const val = w > 0 ? v / w : 0;
       this.bandValues[b] = val;
-      this.bandPeaks[b] = Math.max(this.bandPeaks[b] * 0.97, val);
+      this.bandPeaks[b] = Math.max(this.bandPeaks[b] * peakKeep, val);
 
       const centerHz = (lowHz + highHz) / 2;
       sumCentroid += (b / this.bands) * val;
@@ -175,7 +257,7 @@ export class AudioAnalyzer {
       else if (hz >= 200 && hz < 2000) fluxSnare += rectified;
       else if (hz >= 4000) fluxHihat += rectified * 1.5;
 
-      this.onsetDecay[b] = Math.max(this.onsetDecay[b] * 0.82, clamp(pos * 2.8, 0, 1));
+      this.onsetDecay[b] = Math.max(this.onsetDecay[b] * onsetKeep, clamp(pos * 2.8, 0, 1));
       this.prevBandValues[b] = this.bandValues[b];
     }
     flux = Math.sqrt(flux);
@@ -183,14 +265,16 @@ export class AudioAnalyzer {
     fluxSnare = Math.sqrt(fluxSnare);
     fluxHihat = Math.sqrt(fluxHihat);
 
-    const pushHist = (arr, v, maxLen) => {
+    // Histories hold a fixed span of time, however many calls that is
+    const pushHist = (arr, v, seconds) => {
       arr.push(v);
-      if (arr.length > maxLen) arr.shift();
+      const maxLen = Math.max(8, Math.round(seconds / Math.max(dt, 1e-3)));
+      while (arr.length > maxLen) arr.shift();
     };
-    pushHist(this._fluxHist, flux, 60);
-    pushHist(this._fluxKickHist, fluxKick, 50);
-    pushHist(this._fluxSnareHist, fluxSnare, 50);
-    pushHist(this._fluxHihatHist, fluxHihat, 40);
+    pushHist(this._fluxHist, flux, FLUX_WINDOW);
+    pushHist(this._fluxKickHist, fluxKick, KICK_WINDOW);
+    pushHist(this._fluxSnareHist, fluxSnare, SNARE_WINDOW);
+    pushHist(this._fluxHihatHist, fluxHihat, HIHAT_WINDOW);
 
     // Improved onset detection with separate cooldowns for different instruments
     const now = this._tMs;
@@ -208,10 +292,10 @@ export class AudioAnalyzer {
     const hOn = trigOnset(fluxHihat, this._adaptiveThreshold(this._fluxHihatHist, 2.5), '_lastHihatT', 50);
 
     // Smoother decay with different rates per instrument type
-    this.onsetGlobal = Math.max(gOn, this.onsetGlobal * 0.88);
-    this.onsetKick = Math.max(kOn, this.onsetKick * 0.78);
-    this.onsetSnare = Math.max(sOn, this.onsetSnare * 0.82);
-    this.onsetHihat = Math.max(hOn, this.onsetHihat * 0.90);
+    this.onsetGlobal = Math.max(gOn, this.onsetGlobal * decay(GLOBAL_ONSET_TAU, dt));
+    this.onsetKick = Math.max(kOn, this.onsetKick * decay(KICK_ONSET_TAU, dt));
+    this.onsetSnare = Math.max(sOn, this.onsetSnare * decay(SNARE_ONSET_TAU, dt));
+    this.onsetHihat = Math.max(hOn, this.onsetHihat * decay(HIHAT_ONSET_TAU, dt));
 
     this.spectralFlux = clamp(flux * 0.8, 0, 2.5);
 
@@ -242,7 +326,7 @@ export class AudioAnalyzer {
     const releaseCoeff = 1 - Math.exp(-dt / releaseTime);
     const envCoeff = this.rms > this.rmsSmooth ? attackCoeff : releaseCoeff;
     this.rmsSmooth = this.rmsSmooth + (this.rms - this.rmsSmooth) * envCoeff;
-    this.rmsPeak = Math.max(this.rmsPeak * 0.9995, this.rmsSmooth);
+    this.rmsPeak = Math.max(this.rmsPeak * decay(RMS_PEAK_TAU, dt), this.rmsSmooth);
 
     // Enhanced multi-band smoothing with attack/release envelopes
     const computeBandEnergy = (startBand, endBand) => {
@@ -305,28 +389,94 @@ export class AudioAnalyzer {
     }
     this.beatGate = Math.max(0, this.beatGate - dt * 1000);
 
-    // Chroma / pitch class detection for synesthesia
-    if (this._fftSmooth) {
-      this.chroma.fill(0);
-      for (let i = 4; i < Math.min(400, N); i++) {
-        const freq = i * hzPerBin;
-        if (freq > 30 && freq < 4000) {
-          const midi = 69 + 12 * Math.log2(freq / 440);
-          const chroma = ((Math.round(midi) % 12) + 12) % 12;
-          this.chroma[chroma] += this._fftSmooth[i];
-        }
+    this._analyzeStereo(left, right, dt, hzPerBin);
+
+    this._analyzeTonal(dt, hzPerBin);
+    return isBeat;
+  }
+
+  _analyzeTonal(dt, hzPerBin) {
+    const tonal = this._tonal;
+    tonal.update(this._fftSmooth, hzPerBin, dt, this.beatCount);
+    this.tuning = tonal.tuning;
+    this.keyRoot = tonal.keyRoot;
+    this.keyMode = tonal.keyMode;
+    this.keyConfidence = tonal.keyConfidence;
+    this.chordRoot = tonal.chordRoot;
+    this.chordQuality = tonal.chordQuality;
+    this.melodyPitch = tonal.melodyPitch;
+    this.melodyConfidence = tonal.melodyConfidence;
+    this.rootNote = Number.isFinite(tonal.chordRoot) ? tonal.chordRoot : tonal.keyRoot;
+    this.updateNoteNames();
+  }
+
+  // Display names for the tonal values (also after they're set from a recording)
+  updateNoteNames() {
+    this.noteName = Number.isFinite(this.rootNote) ? this._noteName(this.rootNote) : '--';
+    this.keyName = keyName(this.keyRoot, this.keyMode);
+    this.chordName = chordName(this.chordRoot, this.chordQuality);
+    this.melodyNote = midiNoteName(this.melodyPitch);
+  }
+
+  _analyzeStereo(left, right, dt, hzPerBin) {
+    const k = 1 - decay(STEREO_TAU, dt);
+    let width = 0, balance = 0, correlation = 1;
+    if (left && right) {
+      // Mid / side energies from the waveforms; silence stays centred mono
+      let ll = 0, rr = 0, lr = 0;
+      const n = Math.min(left.time.length, right.time.length);
+      for (let i = 0; i < n; i++) {
+        const l = (left.time[i] - 128) / 128;
+        const r = (right.time[i] - 128) / 128;
+        ll += l * l;
+        rr += r * r;
+        lr += l * r;
       }
-      // Find dominant pitch class
-      let maxVal = 0, maxIdx = 0;
-      for (let i = 0; i < 12; i++) {
-        if (this.chroma[i] > maxVal) { maxVal = this.chroma[i]; maxIdx = i; }
+      if (ll + rr > n * 1e-5) {
+        const mid = ll + rr + 2 * lr, side = ll + rr - 2 * lr;
+        width = clamp((2 * side) / (mid + side), 0, 1);
+        balance = (rr - ll) / (rr + ll);
+        correlation = clamp(lr / Math.sqrt(ll * rr + 1e-12), -1, 1);
       }
-      if (maxVal > 0.1) {
-        this.rootNote = maxIdx;
-        this.noteName = this._noteName(this.rootNote);
+
+      const N = Math.min(left.freq.length, right.freq.length);
+      for (let b = 0; b < this.bands; b++) {
+        const startBin = Math.max(1, Math.floor(this.bandEdges[b] / hzPerBin));
+        const endBin = Math.min(N - 1, Math.ceil(this.bandEdges[b + 1] / hzPerBin));
+        let l = 0, r = 0;
+        for (let i = startBin; i <= endBin; i++) {
+          l += Math.pow(left.freq[i] / 255, 1.2);
+          r += Math.pow(right.freq[i] / 255, 1.2);
+        }
+        const pan = l + r > 1e-3 * (endBin - startBin + 1) ? (r - l) / (r + l) : 0;
+        this.bandPan[b] = lerp(this.bandPan[b], pan, k);
       }
+    } else {
+      for (let b = 0; b < this.bands; b++) this.bandPan[b] = lerp(this.bandPan[b], 0, k);
     }
-    return isBeat;
+    this.stereoWidth = lerp(this.stereoWidth, width, k);
+    this.stereoBalance = lerp(this.stereoBalance, balance, k);
+    this.stereoCorrelation = lerp(this.stereoCorrelation, correlation, k);
+  }
+
+  // Follow an externally analysed beat grid: counters and tempo come from the
+  // grid, while the kick detector keeps driving onsets and envelopes. A grid
+  // without a tempo yet is ignored: 60000 / 0 would poison the tempo estimate
+  syncToGrid(beatIndex, bpm) {
+    if (!Number.isFinite(bpm) || bpm <= 0) return;
+    this.beatCount = beatIndex;
+    this.barCount = Math.floor(beatIndex / 4);
+    this.bpmSmooth = bpm;
+    this.beatInterval = 60000 / bpm;
+  }
+
+  // External onset (e.g. a MIDI drum note); decays like a detected one
+  triggerOnset(kind, strength = 1) {
+    const key = { kick: 'onsetKick', snare: 'onsetSnare', hihat: 'onsetHihat' }[kind];
+    if (!key) return;
+    const v = clamp(strength, 0.5, 1.5);
+    this[key] = Math.max(this[key], v);
+    this.onsetGlobal = Math.max(this.onsetGlobal, v);
   }
 
   getBand(i) {
@@ -0,0 +1,115 @@
+// ============================================================================
+// AUDIO INPUT SOURCES - File playback, microphone / line-in, tab / system audio
+// ============================================================================
+//
+// Every source feeds the same input bus, which splits into the analysis chain
+// and playback. Live sources are never sent to the speakers: the output gate
+// is closed while they are active so a microphone can't feed back through the PA.
+
+export const INPUT_SOURCES = {
+  file: 'Audio File',
+  mic: 'Microphone / Line-in',
+  display: 'Tab / System Audio'
+};
+
+// Music needs the raw signal - voice processing would gate and pump it
+const LIVE_AUDIO_CONSTRAINTS = {
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false
+};
+
+export class AudioInputManager {
+  constructor({ audioCtx, fileSource, input, outputGate, onChange = () => { } }) {
+    this.audioCtx = audioCtx;
+    this.fileSource = fileSource;
+    this.input = input;
+    this.outputGate = outputGate;
+    this.onChange = onChange;
+    this.mode = 'file';
+    this.deviceId = '';
+    this._stream = null;
+    this._streamSource = null;
+  }
+
+  get isLive() {
+    return this.mode !== 'file';
+  }
+
+  // Audio inputs only have labels once the page holds a capture permission
+  async listDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(d => d.kind === 'audioinput')
+      .map((d, i) => ({ id: d.deviceId, label: d.label || `Input ${i + 1}` }));
+  }
+
+  async useFile() {
+    this._releaseStream();
+    this.fileSource.connect(this.input);
+    this._setMode('file', '');
+  }
+
+  async useMicrophone(deviceId = '') {
+    const audio = { ...LIVE_AUDIO_CONSTRAINTS };
+    if (deviceId) audio.deviceId = { exact: deviceId };
+    const stream = await navigator.mediaDevices.getUserMedia({ audio });
+    this._attachStream(stream);
+    const track = stream.getAudioTracks()[0];
+    const settings = track && track.getSettings ? track.getSettings() : {};
+    this._setMode('mic', settings.deviceId || deviceId);
+  }
+
+  async useDisplayAudio() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+      throw new Error('Tab / system audio capture is not supported in this browser');
+    }
+    // Chrome requires a video track to be requested; it is dropped right away
+    const stream = await navigator.mediaDevices.getDisplayMedia({
+      video: true,
+      audio: { ...LIVE_AUDIO_CONSTRAINTS },
+      systemAudio: 'include'
+    });
+    stream.getVideoTracks().forEach(track => track.stop());
+    if (!stream.getAudioTracks().length) {
+      throw new Error('No audio was shared - enable "Share audio" in the picker');
+    }
+    this._attachStream(stream);
+    this._setMode('display', '');
+  }
+
+  _attachStream(stream) {
+    this._releaseStream();
+    try { this.fileSource.disconnect(this.input); } catch (e) { }
+
+    this._stream = stream;
+    this._streamSource = this.audioCtx.createMediaStreamSource(stream);
+    this._streamSource.connect(this.input);
+
+    // Sharing stopped from the browser UI / device unplugged: fall back to file playback
+    stream.getAudioTracks().forEach(track => {
+      track.addEventListener('ended', () => {
+        if (this._stream === stream) this.useFile();
+      });
+    });
+  }
+
+  _releaseStream() {
+    if (this._streamSource) {
+      this._streamSource.disconnect();
+      this._streamSource = null;
+    }
+    if (this._stream) {
+      this._stream.getTracks().forEach(track => track.stop());
+      this._stream = null;
+    }
+  }
+
+  _setMode(mode, deviceId) {
+    this.mode = mode;
+    this.deviceId = deviceId;
+    this.outputGate.gain.value = this.isLive ? 0 : 1;
+    this.onChange(mode);
+  }
+}
@@ -0,0 +1,82 @@
+import { clamp, lerp, easeOutQuad, easeOutCubic, easeOutExpo, easeInOutSine, smoothstep, smootherstep } from './utils.js';
+
+// ============================================================================
+// AUTOMATION - Keyframed config parameters against song position
+// ============================================================================
+//
+// config.automation = {
+//   timeBase: 'seconds' | 'bars',
+//   lanes: [{ param, enabled, discrete, keys: [{ t, v, ease }] }]
+// }
+// A key's `ease` shapes the segment from that key to the next one.
+// Discrete lanes (forms, modes, toggles, numeric selects) always step.
+
+export const EASINGS = {
+  linear: (t) => t,
+  step: () => 0,
+  easeOutQuad,
+  easeOutCubic,
+  easeOutExpo,
+  easeInOutSine,
+  smoothstep: (t) => smoothstep(0, 1, t),
+  smootherstep: (t) => smootherstep(0, 1, t)
+};
+
+export function createAutomation() {
+  return { timeBase: 'seconds', lanes: [] };
+}
+
+export function createLane(param, discrete = false) {
+  return { param, enabled: true, discrete, keys: [] };
+}
+
+// Insert (or replace a key at the same time) keeping keys sorted by time
+export function setKey(lane, t, v, ease = 'linear') {
+  const existing = lane.keys.find(k => Math.abs(k.t - t) < 1e-3);
+  if (existing) {
+    existing.v = v;
+    existing.ease = ease;
+    return existing;
+  }
+  const key = { t, v, ease };
+  lane.keys.push(key);
+  lane.keys.sort((a, b) => a.t - b.t);
+  return key;
+}
+
+export function removeKey(lane, key) {
+  const i = lane.keys.indexOf(key);
+  if (i >= 0) lane.keys.splice(i, 1);
+}
+
+export function evaluateLane(lane, time) {
+  const keys = lane.keys;
+  if (!keys.length) return undefined;
+  if (time <= keys[0].t) return keys[0].v;
+  const last = keys[keys.length - 1];
+  if (time >= last.t) return last.v;
+
+  let i = 0;
+  while (i < keys.length - 2 && keys[i + 1].t <= time) i++;
+  const a = keys[i], b = keys[i + 1];
+  if (lane.discrete || typeof a.v !== 'number' || typeof b.v !== 'number') return a.v;
+
+  const ease = EASINGS[a.ease] || EASINGS.linear;
+  const x = clamp((time - a.t) / Math.max(b.t - a.t, 1e-6), 0, 1);
+  return lerp(a.v, b.v, ease(x));
+}
+
+// Song position in the automation's time base
+export function automationTime(automation, seconds, bars) {
+  return automation.timeBase === 'bars' ? bars : seconds;
+}
+
+// Apply every enabled lane at `time`; `apply(param, value)` does the actual write
+export function evaluateAutomation(automation, time, apply) {
+  if (!automation || !automation.lanes) return;
+  for (const lane of automation.lanes) {
+    if (!lane.enabled) continue;
+    const v = evaluateLane(lane, time);
+    if (v !== undefined) apply(lane.param, v);
+  }
+}
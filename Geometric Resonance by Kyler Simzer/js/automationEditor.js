@@ -0,0 +1,230 @@
+import { clamp } from './utils.js';
+import { EASINGS, createLane, setKey, removeKey, evaluateLane } from './automation.js';
+
+// ============================================================================
+// AUTOMATION LANE EDITOR - Canvas keyframe editing for the Automate tab
+// ============================================================================
+//
+// Click empty space to add a key, drag a key to move it, shift-click or
+// right-click a key to delete it. The ease menu shapes the segment after the
+// selected key.
+
+const LANE_HEIGHT = 44;
+const KEY_RADIUS = 4;
+
+export class AutomationEditor {
+  constructor({ container, getAutomation, getParamInfo, getTime, getDuration }) {
+    this.container = container;
+    this.getAutomation = getAutomation;
+    this.getParamInfo = getParamInfo;
+    this.getTime = getTime;
+    this.getDuration = getDuration;
+    this.selected = null;   // { lane, key }
+    this._rows = [];
+  }
+
+  addLane(param) {
+    const automation = this.getAutomation();
+    if (automation.lanes.some(l => l.param === param)) return;
+    automation.lanes.push(createLane(param, this.getParamInfo(param).kind !== 'number'));
+    this.render();
+  }
+
+  render() {
+    const automation = this.getAutomation();
+    this.container.innerHTML = '';
+    this._rows = [];
+    this.selected = null;
+
+    if (!automation.lanes.length) {
+      this.container.innerHTML = '<div style="padding:10px;color:rgba(255,255,255,0.3);font-size:12px;">Add a lane to automate a parameter</div>';
+      return;
+    }
+
+    automation.lanes.forEach(lane => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display:flex;gap:10px;align-items:center;margin-bottom:6px;';
+
+      const label = document.createElement('span');
+      label.style.cssText = `width:120px;font-family:'Space Mono',monospace;font-size:9px;letter-spacing:0.1em;color:rgba(255,255,255,${lane.enabled ? 0.6 : 0.25});cursor:pointer;overflow:hidden;text-overflow:ellipsis;`;
+      label.textContent = lane.param;
+      label.title = 'Click to enable / bypass this lane';
+      label.addEventListener('click', () => {
+        lane.enabled = !lane.enabled;
+        this.render();
+      });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 560;
+      canvas.height = LANE_HEIGHT;
+      canvas.style.cssText = 'background:rgba(255,255,255,0.03);border-radius:6px;cursor:crosshair;';
+      canvas.addEventListener('mousedown', e => this._onMouseDown(e, lane, canvas));
+      canvas.addEventListener('contextmenu', e => e.preventDefault());
+
+      const ease = document.createElement('select');
+      ease.style.cssText = 'padding:3px 6px;font-size:10px;';
+      Object.keys(EASINGS).forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        ease.appendChild(opt);
+      });
+      ease.disabled = true;
+      ease.addEventListener('change', e => {
+        if (this.selected && this.selected.lane === lane) {
+          this.selected.key.ease = e.target.value;
+          this.draw();
+        }
+      });
+
+      const keyBtn = document.createElement('span');
+      keyBtn.style.cssText = 'color:rgba(255,255,255,0.55);cursor:pointer;font-size:11px;';
+      keyBtn.textContent = '◆';
+      keyBtn.title = 'Add a key with the current value at the playhead';
+      keyBtn.addEventListener('click', () => {
+        const info = this.getParamInfo(lane.param);
+        this._select(lane, setKey(lane, this.getTime(), info.current));
+      });
+
+      const remove = document.createElement('span');
+      remove.style.cssText = 'color:rgba(255,100,100,0.6);cursor:pointer;';
+      remove.textContent = '✕';
+      remove.addEventListener('click', () => {
+        const automation = this.getAutomation();
+        automation.lanes.splice(automation.lanes.indexOf(lane), 1);
+        this.render();
+      });
+
+      row.append(label, canvas, ease, keyBtn, remove);
+      this.container.appendChild(row);
+      this._rows.push({ lane, canvas, ease });
+    });
+
+    this.draw();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Coordinate mapping
+  // ---------------------------------------------------------------------------
+
+  _tToX(t, canvas) {
+    return (t / Math.max(this.getDuration(), 1e-6)) * canvas.width;
+  }
+
+  _xToT(x, canvas) {
+    return clamp(x / canvas.width, 0, 1) * this.getDuration();
+  }
+
+  _vToY(v, info, canvas) {
+    const pad = KEY_RADIUS + 2;
+    let n;
+    if (info.kind === 'number') n = (v - info.min) / Math.max(info.max - info.min, 1e-6);
+    else n = info.options.length > 1 ? info.options.indexOf(v) / (info.options.length - 1) : 0.5;
+    return pad + (1 - clamp(n, 0, 1)) * (canvas.height - pad * 2);
+  }
+
+  _yToV(y, info, canvas) {
+    const pad = KEY_RADIUS + 2;
+    const n = clamp(1 - (y - pad) / (canvas.height - pad * 2), 0, 1);
+    if (info.kind === 'number') {
+      const raw = info.min + n * (info.max - info.min);
+      return info.step ? Math.round(raw / info.step) * info.step : raw;
+    }
+    return info.options[Math.round(n * (info.options.length - 1))];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Interaction
+  // ---------------------------------------------------------------------------
+
+  _select(lane, key) {
+    this.selected = key ? { lane, key } : null;
+    this._rows.forEach(row => {
+      const active = this.selected && row.lane === lane;
+      row.ease.disabled = !active;
+      if (active) row.ease.value = key.ease;
+    });
+    this.draw();
+  }
+
+  _hitKey(lane, canvas, x, y) {
+    const info = this.getParamInfo(lane.param);
+    return lane.keys.find(k => {
+      const dx = this._tToX(k.t, canvas) - x;
+      const dy = this._vToY(k.v, info, canvas) - y;
+      return dx * dx + dy * dy <= (KEY_RADIUS + 3) * (KEY_RADIUS + 3);
+    });
+  }
+
+  _onMouseDown(e, lane, canvas) {
+    e.preventDefault();
+    const rect = canvas.getBoundingClientRect();
+    const toLocal = (ev) => ({
+      x: (ev.clientX - rect.left) * (canvas.width / rect.width),
+      y: (ev.clientY - rect.top) * (canvas.height / rect.height)
+    });
+    const { x, y } = toLocal(e);
+    const info = this.getParamInfo(lane.param);
+    let key = this._hitKey(lane, canvas, x, y);
+
+    if (key && (e.shiftKey || e.button === 2)) {
+      removeKey(lane, key);
+      this._select(lane, null);
+      return;
+    }
+    if (!key) key = setKey(lane, this._xToT(x, canvas), this._yToV(y, info, canvas));
+    this._select(lane, key);
+
+    const onMove = (ev) => {
+      const p = toLocal(ev);
+      key.t = this._xToT(p.x, canvas);
+      key.v = this._yToV(p.y, info, canvas);
+      lane.keys.sort((a, b) => a.t - b.t);
+      this.draw();
+    };
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Drawing
+  // ---------------------------------------------------------------------------
+
+  draw() {
+    const now = this.getTime();
+    this._rows.forEach(({ lane, canvas }) => {
+      const ctx = canvas.getContext('2d');
+      const info = this.getParamInfo(lane.param);
+      const w = canvas.width, h = canvas.height;
+      ctx.clearRect(0, 0, w, h);
+
+      if (lane.keys.length) {
+        ctx.strokeStyle = `rgba(255,255,255,${lane.enabled ? 0.45 : 0.15})`;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let px = 0; px <= w; px += 2) {
+          const y = this._vToY(evaluateLane(lane, this._xToT(px, canvas)), info, canvas);
+          if (px === 0) ctx.moveTo(px, y);
+          else ctx.lineTo(px, y);
+        }
+        ctx.stroke();
+      }
+
+      lane.keys.forEach(k => {
+        const isSel = this.selected && this.selected.key === k;
+        ctx.fillStyle = isSel ? 'rgba(255,255,255,0.95)' : 'rgba(255,255,255,0.6)';
+        ctx.beginPath();
+        ctx.arc(this._tToX(k.t, canvas), this._vToY(k.v, info, canvas), KEY_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+      });
+
+      const px = this._tToX(now, canvas);
+      ctx.fillStyle = 'rgba(255,120,120,0.7)';
+      ctx.fillRect(px, 0, 1, h);
+    });
+  }
+}
@@ -0,0 +1,155 @@
+import { damp, decay } from './utils.js';
+
+// ============================================================================
+// CAMERA PATHS - Camera modes as plain math on a small state object
+// ============================================================================
+//
+// Each mode sets a target angle / height / distance / roll around the form;
+// the rig eases toward it and adds beat shake. Positions come out as plain
+// { x, y, z } objects for main.js to copy onto the three.js camera, so none
+// of this needs a renderer (or a DOM) to run.
+
+// The modes autopilot cuts between
+export const AUTO_CAMERA_MODES = ['orbit', 'reactive', 'cinematic', 'spiral', 'figure8', 'vortex', 'pendulum'];
+
+// Shake dies away with this time constant once it's switched off (0.95 per frame at 60 fps)
+const SHAKE_TAU = 0.325;
+
+const vec = () => ({ x: 0, y: 0, z: 0 });
+
+export class CameraRig {
+  constructor(distance = 40, mode = 'orbit') {
+    this.position = vec();
+    this.look = vec();
+    this.targetLook = vec();
+    this.shake = vec();
+    this.drunk = vec();
+    this.reset(distance, mode);
+  }
+
+  reset(distance, mode) {
+    Object.assign(this, {
+      angle: 0, targetAngle: 0, height: 0, targetHeight: 0,
+      distance, targetDistance: distance,
+      roll: 0, targetRoll: 0, appliedRoll: 0,
+      autoMode: mode, autoAngleOffset: 0, autoAngleOffsetTarget: 0,
+      autoHeightBias: 0, autoHeightBiasTarget: 0, autoRoll: 0, autoRollTarget: 0
+    });
+    [this.position, this.look, this.targetLook, this.shake, this.drunk].forEach(v => Object.assign(v, vec()));
+  }
+
+  // Autopilot cut: a new mode plus fresh angle, height and roll offsets to drift toward
+  cut(rand) {
+    this.autoMode = AUTO_CAMERA_MODES[Math.floor(rand() * AUTO_CAMERA_MODES.length)];
+    this.autoAngleOffsetTarget = (rand() * 2 - 1) * (Math.PI * 0.45);
+    this.autoHeightBiasTarget = (rand() * 2 - 1) * 7.0;
+    this.autoRollTarget = (rand() * 2 - 1) * (Math.PI / 18);
+  }
+
+  /**
+   * Advance by dt seconds. `t` is the animation time, `mode` the camera mode
+   * in effect, `motion` a MotionCoordinator and `rand` the camera's random
+   * stream. Updates position, look and appliedRoll.
+   */
+  update(dt, { t, mode, config, motion, rand }) {
+    const cSpeed = config.cameraSpeed;
+    const cShake = config.cameraShake;
+
+    this.autoAngleOffset = damp(this.autoAngleOffset, this.autoAngleOffsetTarget, 0.5, dt);
+    this.autoHeightBias = damp(this.autoHeightBias, this.autoHeightBiasTarget, 0.5, dt);
+    this.autoRoll = damp(this.autoRoll, this.autoRollTarget, 0.3, dt);
+
+    const camPhase = t * 2.0;
+    switch (mode) {
+      case 'orbit':
+        this.targetAngle = camPhase * 0.08 * cSpeed + this.autoAngleOffset;
+        this.targetHeight = Math.sin(camPhase * 0.04 * cSpeed) * 8 + this.autoHeightBias;
+        this.targetDistance = config.cameraDistance;
+        break;
+      case 'reactive':
+        this.targetAngle = camPhase * 0.06 * cSpeed + motion.swell * 0.3 + this.autoAngleOffset;
+        this.targetHeight = motion.midMotion * 6 - 1 + this.autoHeightBias;
+        this.targetDistance = config.cameraDistance - motion.swell * 4;
+        this.targetRoll = (motion.highMotion - 0.3) * 0.08;
+        break;
+      case 'cinematic':
+        this.targetAngle = Math.sin(camPhase * 0.02 * cSpeed) * 1.2 + this.autoAngleOffset;
+        this.targetHeight = Math.cos(camPhase * 0.015 * cSpeed) * 6 + 2 + this.autoHeightBias;
+        this.targetDistance = config.cameraDistance + Math.sin(camPhase * 0.01) * 5;
+        break;
+      case 'spiral':
+        this.targetAngle = camPhase * 0.12 * cSpeed + this.autoAngleOffset;
+        this.targetHeight = Math.sin(camPhase * 0.08 * cSpeed) * 12 + this.autoHeightBias;
+        this.targetDistance = config.cameraDistance + Math.cos(camPhase * 0.06) * 8;
+        break;
+      case 'figure8':
+        this.targetAngle = Math.sin(camPhase * 0.05 * cSpeed) * 1.5 + this.autoAngleOffset;
+        this.targetHeight = Math.sin(camPhase * 0.1 * cSpeed) * Math.cos(camPhase * 0.05 * cSpeed) * 10 + this.autoHeightBias;
+        this.targetDistance = config.cameraDistance;
+        break;
+      case 'vortex':
+        this.targetAngle = camPhase * 0.15 * cSpeed + motion.swell * 0.8 + this.autoAngleOffset;
+        this.targetHeight = motion.highMotion * 5 + this.autoHeightBias;
+        this.targetDistance = config.cameraDistance - motion.swell * 6;
+        this.targetRoll = camPhase * 0.02 * cSpeed;
+        break;
+      case 'pendulum':
+        this.targetAngle = Math.sin(camPhase * 0.04 * cSpeed) * 2 + this.autoAngleOffset;
+        this.targetHeight = Math.abs(Math.sin(camPhase * 0.04 * cSpeed)) * 15 - 5 + this.autoHeightBias;
+        this.targetDistance = config.cameraDistance;
+        break;
+      case 'flythrough':
+        this.targetAngle = camPhase * 0.1 * cSpeed + this.autoAngleOffset;
+        this.targetHeight = Math.sin(camPhase * 0.05 * cSpeed) * 5 + this.autoHeightBias;
+        this.targetDistance = config.cameraDistance + Math.sin(camPhase * 0.08 * cSpeed) * 15;
+        break;
+      case 'drunk':
+        this.drunk.x = damp(this.drunk.x, (rand() - 0.5) * 0.8, 0.5, dt);
+        this.drunk.y = damp(this.drunk.y, (rand() - 0.5) * 0.6, 0.5, dt);
+        this.drunk.z = damp(this.drunk.z, (rand() - 0.5) * 0.4, 0.5, dt);
+        this.targetAngle = camPhase * 0.05 * cSpeed + this.drunk.x + this.autoAngleOffset;
+        this.targetHeight = this.drunk.y * 10 + this.autoHeightBias;
+        this.targetDistance = config.cameraDistance + this.drunk.z * 10;
+        this.targetRoll = this.drunk.z * 0.3 + this.autoRoll;
+        break;
+    }
+
+    // Drift toward the side the mix leans to, and pull back as it widens
+    if (config.cameraStereoDrift > 0) {
+      this.targetAngle += motion.pan * 0.5 * config.cameraStereoDrift;
+      this.targetDistance += motion.width * 4 * config.cameraStereoDrift;
+    }
+
+    if (config.cameraBeatZoom) {
+      this.targetDistance += motion.zoomSuggestion * 8;
+    }
+
+    const camLerpBase = 1.8 - config.smoothness * 1.0;
+    const camLerpSlow = camLerpBase * 0.8;
+
+    this.angle = damp(this.angle, this.targetAngle, camLerpBase, dt);
+    this.height = damp(this.height, this.targetHeight, camLerpSlow, dt);
+    this.distance = damp(this.distance, this.targetDistance, camLerpSlow, dt);
+    this.roll = damp(this.roll, this.targetRoll + this.autoRoll, camLerpSlow * 0.8, dt);
+    for (const a of ['x', 'y', 'z']) this.look[a] = damp(this.look[a], this.targetLook[a], camLerpSlow, dt);
+
+    const shakeMultiplier = 1.0 - config.smoothness * 0.9;
+    if (cShake > 0 && shakeMultiplier > 0.05) {
+      const shakeAmt = motion.impact * cShake * 0.12 * shakeMultiplier;
+      const shakeRate = 3.0 - config.smoothness * 2.0;
+      this.shake.x = damp(this.shake.x, (rand() - 0.5) * shakeAmt, shakeRate, dt);
+      this.shake.y = damp(this.shake.y, (rand() - 0.5) * shakeAmt, shakeRate, dt);
+      this.shake.z = damp(this.shake.z, (rand() - 0.5) * shakeAmt * 0.2, shakeRate, dt);
+    } else {
+      const keep = decay(SHAKE_TAU, dt);
+      this.shake.x *= keep;
+      this.shake.y *= keep;
+      this.shake.z *= keep;
+    }
+
+    this.position.x = Math.cos(this.angle) * this.distance + this.shake.x;
+    this.position.y = this.height + this.shake.y;
+    this.position.z = Math.sin(this.angle) * this.distance + this.shake.z;
+    this.appliedRoll = damp(this.appliedRoll, this.roll, 2, dt);
+  }
+}
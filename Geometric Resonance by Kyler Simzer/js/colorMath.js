@@ -0,0 +1,144 @@
+import { clamp, lerp, fract, easeInOutSine } from './utils.js';
+
+// ============================================================================
+// COLOR MATH - Theme colors and music-driven harmonization, no three.js
+// ============================================================================
+//
+// Colors are worked on in linear RGB, like three.js' working color space:
+// hex strings are decoded from sRGB, and HSL is taken of the linear values
+// (as THREE.Color.getHSL / setHSL do), so a color built here and one built
+// with THREE.Color from the same numbers are identical.
+
+const srgbToLinear = (c) => (c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4));
+
+// '#rrggbb' -> linear { r, g, b } in 0..1
+export function hexToRgb(hex, out = {}) {
+  const n = parseInt(String(hex).replace('#', ''), 16) || 0;
+  out.r = srgbToLinear(((n >> 16) & 255) / 255);
+  out.g = srgbToLinear(((n >> 8) & 255) / 255);
+  out.b = srgbToLinear((n & 255) / 255);
+  return out;
+}
+
+export function rgbToHsl(r, g, b, out = {}) {
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  out.l = (min + max) / 2;
+  if (min === max) {
+    out.h = out.s = 0;
+    return out;
+  }
+  const delta = max - min;
+  out.s = out.l <= 0.5 ? delta / (max + min) : delta / (2 - max - min);
+  if (max === r) out.h = (g - b) / delta + (g < b ? 6 : 0);
+  else if (max === g) out.h = (b - r) / delta + 2;
+  else out.h = (r - g) / delta + 4;
+  out.h /= 6;
+  return out;
+}
+
+function hueToRgb(p, q, t) {
+  if (t < 0) t += 1;
+  if (t > 1) t -= 1;
+  if (t < 1 / 6) return p + (q - p) * 6 * t;
+  if (t < 1 / 2) return q;
+  if (t < 2 / 3) return p + (q - p) * 6 * (2 / 3 - t);
+  return p;
+}
+
+export function hslToRgb(h, s, l, out = {}) {
+  h = fract(h);
+  s = clamp(s, 0, 1);
+  l = clamp(l, 0, 1);
+  if (s === 0) {
+    out.r = out.g = out.b = l;
+    return out;
+  }
+  const p = l <= 0.5 ? l * (1 + s) : l + s - l * s;
+  const q = 2 * l - p;
+  out.r = hueToRgb(q, p, h + 1 / 3);
+  out.g = hueToRgb(q, p, h);
+  out.b = hueToRgb(q, p, h - 1 / 3);
+  return out;
+}
+
+// Copy a named theme's colors into config; returns false for an unknown theme
+export function applyThemeColors(config, colorThemes) {
+  const theme = colorThemes[config.colorTheme];
+  if (!theme) return false;
+  config.colorPrimary = theme.primary;
+  config.colorSecondary = theme.secondary;
+  config.colorBg = theme.bg;
+  return true;
+}
+
+const _rgb = {};
+
+// Hue shift per step around the circle of fifths between a chord and its key
+const CHORD_HUE_STEP = 0.03;
+// Key confidence below which harmonic snap and key-based synesthesia hold off
+const KEY_TRUST = 0.3;
+
+const keyIsTrusted = (audio) => audio.keyConfidence > KEY_TRUST && Number.isFinite(audio.keyRoot);
+
+/**
+ * Harmonic snap's hue offset for the current chord: its distance from the
+ * key's tonic around the circle of fifths, so the tonic chord shows the theme
+ * as-is and the dominant and subdominant lean either side of it. null while
+ * there is no trusted key or no chord, in which case the palette holds.
+ */
+export function harmonicHueOffset(audio) {
+  if (!keyIsTrusted(audio) || !Number.isFinite(audio.chordRoot)) return null;
+  let steps = (((audio.chordRoot - audio.keyRoot) * 7) % 12 + 12) % 12;
+  if (steps > 6) steps -= 12;
+  return steps * CHORD_HUE_STEP;
+}
+
+/**
+ * The per-frame half of harmonization: theme colors as HSL plus the hue,
+ * saturation and lightness adjustments the music applies to every color this
+ * frame. The GPU particle shader takes these as uniforms.
+ */
+export function getHarmonyParams(config, palette, audio, music, out = {}) {
+  hexToRgb(config.colorPrimary, _rgb);
+  out.hsl1 = rgbToHsl(_rgb.r, _rgb.g, _rgb.b, out.hsl1);
+  hexToRgb(config.colorSecondary, _rgb);
+  out.hsl2 = rgbToHsl(_rgb.r, _rgb.g, _rgb.b, out.hsl2);
+  out.reactivity = config.colorReactivity;
+
+  // Harmonic snap swaps the per-bar hue drift for the chord's place in the key
+  let hueShift = (config.harmonicSnap ? palette.harmonicHue : palette.hOffset) + palette.globalHueShift;
+  if (config.colorCycle) {
+    hueShift += 0.018 * Math.sin(music.phase * 0.06);
+    hueShift += 0.008 * Math.sin(music.phase * 0.15 + Math.PI / 3);
+  }
+  out.hueShift = hueShift;
+
+  // Synesthesia pulls the hue toward the detected root note (the key's tonic when snapped)
+  out.noteHue = 0;
+  out.noteAmount = 0;
+  const note = config.harmonicSnap && keyIsTrusted(audio) ? audio.keyRoot : audio.rootNote;
+  if (config.synesthesia && Number.isFinite(note)) {
+    const chromaMax = Math.max(...audio.chroma);
+    if (chromaMax > 0.1) {
+      out.noteHue = note / 12;
+      out.noteAmount = 0.35 * (chromaMax / (chromaMax + 0.5));
+    }
+  }
+
+  out.satScale = 0.75 + 0.50 * audio.smoothHigh + audio.transientSharpness * 0.15 + audio.smoothHighMid * 0.1;
+  out.lumBoost = audio.onsetKick * 0.15 + audio.spectralFlux * 0.08;
+  return out;
+}
+
+// One harmonized color as { h, s, l }: `bandMix01` blends primary -> secondary, `energy` brightens
+export function harmonizeHsl(energy, bandMix01, harmony, out = {}) {
+  const { hsl1, hsl2, reactivity, hueShift, noteHue, noteAmount, satScale, lumBoost } = harmony;
+
+  const rawMix = bandMix01 * reactivity + energy * reactivity * 0.4;
+  const mixAmt = clamp(easeInOutSine(rawMix), 0, 1);
+
+  out.h = fract(lerp(lerp(hsl1.h, hsl2.h, mixAmt) + hueShift, noteHue, noteAmount));
+  out.s = clamp(lerp(hsl1.s, hsl2.s, mixAmt) * satScale, 0.1, 0.98);
+  out.l = clamp(lerp(hsl1.l, hsl2.l, mixAmt) * (0.50 + 0.70 * energy + lumBoost), 0.08, 0.88);
+  return out;
+}
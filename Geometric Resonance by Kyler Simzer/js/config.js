@@ -3,10 +3,26 @@
 // ============================================================================
 
 export const config = {
+  seed: 1337,
   form: 'icosahedron',
   density: 3,
+  // Form changes interpolate over morphBeats instead of snapping; morphEveryBars > 0 also
+  // steps through the built-in forms on its own
+  morphEnabled: false,
+  morphBeats: 4,
+  morphEasing: 'easeInOutSine',
+  morphEveryBars: 0,
   sensitivity: 1.2,
   volume: 0.8,
+  // Conditioning on the analysis branch only - playback is never filtered or compressed
+  analysisHighpass: 20,
+  analysisCompressor: true,
+  analysisThreshold: -24,
+  analysisRatio: 3,
+  analysisGain: 0,
+  // Visuals wait for the device's output latency (file playback only) plus avOffset ms
+  avLatencyAuto: true,
+  avOffset: 0,
   visualMode: 'standard',
   colorTheme: 'void',
   colorPrimary: '#ffffff',
@@ -23,15 +39,24 @@ export const config = {
   cameraFov: 60,
   cameraBeatZoom: true,
   cameraAutoAngles: false,
+  // How far the camera drifts toward the side the mix leans to (0 = off)
+  cameraStereoDrift: 0,
   particleMode: 'vertex',
   fieldMode: 'harmonic',
   symmetry: 6,
   turbulence: 0.25,
   cohesion: 0.55,
+  // Push particles left/right with each band's position in the stereo field
+  stereoSpread: 0,
   particleCount: 1500,
+  // Simulate particles on the GPU where float render targets exist (the CPU path caps the count)
+  gpuParticles: true,
   bloomStrength: 0.8,
   bloomRadius: 0.7,
   trailMode: 'medium',
+  qualityLocked: false,
+  qualityTargetFps: 50,
+  showStats: false,
   glitchAmount: 0,
   vignette: 0.35,
   grain: 0.12,
@@ -45,8 +70,12 @@ export const config = {
   showInner: true,
   showOuter: true,
   showWaveform: true,
+  // 'ring' = waveform around the core, 'goniometer' = left/right Lissajous figure
+  waveformStyle: 'ring',
   showBars: false,
   showConnections: true,
+  connectionDistance: 3.5,
+  connectionMaxNeighbors: 4,
   showParticles: true,
   showDeepParticles: true,
   showShockwaves: true,
@@ -78,7 +107,20 @@ export const config = {
   modelSpinReactive: true,
   modelSpinReactivity: 1.0,
   modelPulseEnabled: true,
-  modelPulseAmount: 1.0
+  modelPulseAmount: 1.0,
+  // form: 'custom' surface; u, v run 0..1 (see geometryBuilders.js for the variables)
+  customForm: {
+    x: 'sin(v * PI) * cos(u * TAU) * (1 + 0.15 * sin(5 * u * TAU + time) + 0.35 * bass)',
+    y: 'cos(v * PI) * (1 + 0.2 * mid)',
+    z: 'sin(v * PI) * sin(u * TAU) * (1 + 0.15 * sin(5 * u * TAU + time) + 0.35 * bass)'
+  },
+  // Keyframe lanes against song position (see automation.js)
+  automation: { timeBase: 'seconds', lanes: [] },
+  // 'auto' = analysed track grid or live detection, 'midi' = incoming MIDI clock
+  beatSource: 'auto',
+  midiDrumOnsets: false,
+  // Audio feature / LFO -> parameter routes (see modulation.js)
+  modRoutes: []
 };
 
 export const colorThemes = {
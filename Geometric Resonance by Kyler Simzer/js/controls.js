@@ -0,0 +1,127 @@
+// ============================================================================
+// CONTROLS - Declarative registry tying config keys to their UI controls
+// ============================================================================
+//
+// Each user-facing config key is declared once:
+//   key: { id?, type: 'range' | 'select' | 'toggle' | 'color' | 'number', int?, parse?, apply?, refresh? }
+// `id` defaults to the key. `apply` (a function or a list of them) runs when
+// the value changes through the control itself, MIDI or automation;
+// `refresh` (defaults to `apply`) runs when sync() finds the value changed
+// underneath it - a preset load, randomize or shared link. Effects shared by
+// several keys (geometry rebuilds, ...) run once per change, in declaration order.
+
+const EVENTS = { range: 'input', color: 'input', select: 'change', number: 'change', toggle: 'click' };
+
+const effectList = (fx) => (fx ? (Array.isArray(fx) ? fx : [fx]) : []);
+
+export class ControlRegistry {
+  constructor(config, specs) {
+    this.config = config;
+    this.controls = {};
+    Object.entries(specs).forEach(([key, spec]) => {
+      // Keys without an element in the page are left out of the registry
+      const el = document.getElementById(spec.id || key);
+      if (!el) return;
+      this.controls[key] = {
+        ...spec,
+        key,
+        el,
+        apply: effectList(spec.apply),
+        refresh: effectList(spec.refresh || spec.apply)
+      };
+    });
+    // Values the scene was last brought in line with
+    this._applied = {};
+    this._snapshot(Object.keys(this.controls));
+  }
+
+  get keys() {
+    return Object.keys(this.controls);
+  }
+
+  get(key) {
+    return this.controls[key] || null;
+  }
+
+  keyForElement(el) {
+    return this.keys.find(key => this.controls[key].el === el) || null;
+  }
+
+  // Whether changing this key needs more than the per-frame read of config
+  hasEffects(key) {
+    const control = this.controls[key];
+    return !!control && control.apply.length > 0;
+  }
+
+  // Current element value as a config value; null when it doesn't parse
+  read(control) {
+    const { el, type } = control;
+    if (control.parse) return control.parse(el.value);
+    if (type === 'toggle') return el.classList.contains('active');
+    if (type === 'color') return el.value;
+    if (type === 'select' && typeof this.config[control.key] !== 'number') return el.value === '' ? null : el.value;
+    const n = control.int ? parseInt(el.value) : parseFloat(el.value);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  write(control) {
+    const value = this.config[control.key];
+    if (control.type === 'toggle') control.el.classList.toggle('active', !!value);
+    else if (value !== undefined && value !== null) control.el.value = value;
+  }
+
+  // Listen to every control; call after generic handlers (toggle class flipping) are attached
+  bind() {
+    Object.values(this.controls).forEach(control => {
+      control.el.addEventListener(EVENTS[control.type], () => {
+        const value = this.read(control);
+        if (value === null) {
+          this.write(control);
+          return;
+        }
+        this.config[control.key] = value;
+        this._run([control], 'apply');
+      });
+    });
+  }
+
+  // Set one key as if its control had been moved (ranges snap to their step).
+  // Returns false when the value was rejected or nothing changed.
+  set(key, value) {
+    const control = this.controls[key];
+    if (!control) return false;
+    if (control.type === 'toggle') value = !!value;
+    else control.el.value = value;
+    const parsed = control.type === 'toggle' ? value : this.read(control);
+    if (parsed === null || parsed === this.config[key]) {
+      this.write(control);
+      return false;
+    }
+    this.config[key] = parsed;
+    this.write(control);
+    this._run([control], 'apply');
+    return true;
+  }
+
+  // Push every config value to its control and bring the scene up to date
+  // with whatever changed since the last sync
+  sync() {
+    const changed = [];
+    Object.values(this.controls).forEach(control => {
+      this.write(control);
+      if (this._applied[control.key] !== this.config[control.key]) changed.push(control);
+    });
+    this._run(changed, 'refresh');
+  }
+
+  _run(controls, phase) {
+    const effects = new Set();
+    controls.forEach(control => control[phase].forEach(fx => effects.add(fx)));
+    effects.forEach(fx => fx());
+    this._snapshot(controls.map(c => c.key));
+  }
+
+  _snapshot(keys) {
+    keys.forEach(key => { this._applied[key] = this.config[key]; });
+  }
+}
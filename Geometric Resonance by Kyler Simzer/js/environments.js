@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+import { TAU, damp } from './utils.js';
+import { resetStream } from './random.js';
+import { shaders } from './shaders.js';
+
+// ============================================================================
+// ENVIRONMENTS - Backdrop scenes behind the main form
+// ============================================================================
+//
+// buildEnvironmentScene() returns { group, update(dt, ctx) } or null for the
+// void. Everything an environment creates hangs off `group`, so tearing it
+// down is a single disposeObject() call. ctx per frame:
+//   { t, audio, motion, colorA, colorB, waves: [{ radius, strength }] }
+
+const MATRIX_GLYPHS = 'アイウエオカキクケコサシスセソタチツテトナニヌネノハヒフヘホマミムメモヤユヨラリルレロワン0123456789ZXE:=+*<>';
+
+// Free every GPU resource under `root` (geometry, materials and their textures)
+export function disposeObject(root) {
+  root.traverse(obj => {
+    if (obj.geometry) obj.geometry.dispose();
+    const materials = Array.isArray(obj.material) ? obj.material : obj.material ? [obj.material] : [];
+    materials.forEach(mat => {
+      Object.values(mat.uniforms || {}).forEach(u => { if (u.value && u.value.isTexture) u.value.dispose(); });
+      if (mat.map) mat.map.dispose();
+      mat.dispose();
+    });
+  });
+}
+
+function glyphAtlas() {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 512;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, 512, 512);
+  ctx.fillStyle = '#fff';
+  ctx.font = '48px "Space Mono", monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (let i = 0; i < 64; i++) {
+    // Row 0 of the atlas is at the bottom in UV space
+    const x = (i % 8) * 64 + 32;
+    const y = 512 - (Math.floor(i / 8) * 64 + 32);
+    ctx.fillText(MATRIX_GLYPHS[i % MATRIX_GLYPHS.length], x, y);
+  }
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.minFilter = THREE.LinearFilter;
+  tex.generateMipmaps = false;
+  return tex;
+}
+
+function buildGrid(group) {
+  const grid = new THREE.GridHelper(100, 50, 0x222222, 0x111111);
+  grid.position.y = -20;
+  group.add(grid);
+  return null;
+}
+
+function buildStars(group, rand) {
+  const starPos = new Float32Array(3000 * 3);
+  for (let i = 0; i < 3000; i++) {
+    starPos[i * 3] = (rand() - 0.5) * 250;
+    starPos[i * 3 + 1] = (rand() - 0.5) * 250;
+    starPos[i * 3 + 2] = (rand() - 0.5) * 250;
+  }
+  const sGeom = new THREE.BufferGeometry();
+  sGeom.setAttribute('position', new THREE.BufferAttribute(starPos, 3));
+  group.add(new THREE.Points(sGeom, new THREE.PointsMaterial({ size: 0.18, color: 0xffffff, transparent: true, opacity: 0.7 })));
+  return null;
+}
+
+function buildNebula(group) {
+  const shells = [];
+  for (let i = 0; i < 6; i++) {
+    const neb = new THREE.Mesh(
+      new THREE.SphereGeometry(35 + i * 12, 20, 20),
+      new THREE.MeshBasicMaterial({
+        color: new THREE.Color().setHSL(0.58 + i * 0.08, 0.6, 0.12),
+        transparent: true,
+        opacity: 0.04,
+        side: THREE.BackSide,
+        blending: THREE.AdditiveBlending
+      })
+    );
+    neb.userData = { rotSpeed: 0.001 * (i + 1) };
+    shells.push(neb);
+    group.add(neb);
+  }
+  return (dt) => {
+    shells.forEach(neb => { neb.rotation.y += neb.userData.rotSpeed * dt * 60; });
+  };
+}
+
+function buildMatrix(group) {
+  const uniforms = {
+    uGlyphs: { value: glyphAtlas() },
+    uTime: { value: 0 },
+    uPhase: { value: new Array(16).fill(0) },
+    uBands: { value: new Array(16).fill(0) },
+    uColor: { value: new THREE.Color(0x33ff88) }
+  };
+  const rain = new THREE.Mesh(
+    new THREE.CylinderGeometry(70, 70, 90, 64, 1, true),
+    new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader: shaders.matrixVert,
+      fragmentShader: shaders.matrixFrag,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+      side: THREE.BackSide
+    })
+  );
+  group.add(rain);
+
+  // Each column group falls at a rate set by its own high band
+  return (dt, { t, audio, colorA }) => {
+    uniforms.uTime.value = t;
+    for (let i = 0; i < 16; i++) {
+      const level = audio.getBand(32 + i * 2);
+      uniforms.uBands.value[i] = level;
+      uniforms.uPhase.value[i] += dt * (0.08 + level * 0.6);
+    }
+    uniforms.uColor.value.copy(colorA);
+    rain.rotation.y += dt * 0.01;
+  };
+}
+
+function buildOcean(group) {
+  const uniforms = {
+    uPhase: { value: 0 },
+    uBass: { value: 0 },
+    uColorA: { value: new THREE.Color() },
+    uColorB: { value: new THREE.Color() }
+  };
+  const ocean = new THREE.Mesh(
+    new THREE.PlaneGeometry(200, 200, 160, 160),
+    new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader: shaders.oceanVert,
+      fragmentShader: shaders.oceanFrag,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+      side: THREE.DoubleSide
+    })
+  );
+  ocean.rotation.x = -Math.PI / 2;
+  ocean.position.y = -18;
+  group.add(ocean);
+
+  // Bass both lifts the swell and speeds it up; the phase accumulates so tempo changes never jump
+  return (dt, { audio, colorA, colorB }) => {
+    const bass = Math.max(audio.smoothSubBass, audio.smoothBass);
+    uniforms.uBass.value = damp(uniforms.uBass.value, bass, 6, dt);
+    uniforms.uPhase.value += dt * (0.4 + uniforms.uBass.value * 1.6);
+    uniforms.uColorA.value.copy(colorA);
+    uniforms.uColorB.value.copy(colorB);
+  };
+}
+
+function buildCrystal(group, rand) {
+  const uniforms = {
+    uColorA: { value: new THREE.Color() },
+    uColorB: { value: new THREE.Color() },
+    uWaveRadius: { value: new THREE.Vector4(-100, -100, -100, -100) },
+    uWaveStrength: { value: new THREE.Vector4() },
+    uEnergy: { value: 0 }
+  };
+  const material = new THREE.ShaderMaterial({
+    uniforms,
+    vertexShader: shaders.crystalVert,
+    fragmentShader: shaders.crystalFrag,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    side: THREE.DoubleSide
+  });
+  // One shared shard shape; each instance is stretched into a spike
+  const geom = new THREE.OctahedronGeometry(1, 0);
+
+  const shards = [];
+  for (let i = 0; i < 56; i++) {
+    const shard = new THREE.Mesh(geom, material);
+    const angle = rand() * TAU;
+    const dist = 22 + rand() * 40;
+    const floor = i % 3 !== 0;
+    shard.position.set(Math.cos(angle) * dist, floor ? -20 + rand() * 3 : 26 + rand() * 6, Math.sin(angle) * dist);
+    shard.scale.set(0.8 + rand() * 1.6, 4 + rand() * 10, 0.8 + rand() * 1.6);
+    shard.rotation.set((rand() - 0.5) * 0.6, rand() * TAU, (rand() - 0.5) * 0.6 + (floor ? 0 : Math.PI));
+    shard.userData = { spin: (rand() - 0.5) * 0.05 };
+    shards.push(shard);
+    group.add(shard);
+  }
+
+  return (dt, { motion, colorA, colorB, waves }) => {
+    uniforms.uColorA.value.copy(colorA);
+    uniforms.uColorB.value.copy(colorB);
+    uniforms.uEnergy.value = motion.swell;
+    // The four strongest live shockwave fronts light the shards they pass through
+    const lit = waves.slice().sort((a, b) => b.strength - a.strength);
+    ['x', 'y', 'z', 'w'].forEach((c, i) => {
+      uniforms.uWaveRadius.value[c] = lit[i] ? lit[i].radius : -100;
+      uniforms.uWaveStrength.value[c] = lit[i] ? lit[i].strength : 0;
+    });
+    shards.forEach(s => { s.rotation.y += s.userData.spin * dt; });
+  };
+}
+
+const BUILDERS = {
+  grid: buildGrid,
+  stars: buildStars,
+  nebula: buildNebula,
+  matrix: buildMatrix,
+  ocean: buildOcean,
+  crystal: buildCrystal
+};
+
+export function buildEnvironmentScene(scene, kind) {
+  const builder = BUILDERS[kind];
+  if (!builder) return null;
+  const group = new THREE.Group();
+  group.name = `environment:${kind}`;
+  const update = builder(group, resetStream('environment')) || (() => { });
+  scene.add(group);
+  return { group, update };
+}
@@ -0,0 +1,220 @@
+// ============================================================================
+// FEATURE RECORDING - Per-frame analysis snapshots, saved and replayed
+// ============================================================================
+//
+// A recording holds what the analyser and motion coordinator produced on
+// every frame of a performance, so the visuals can be driven from it later
+// exactly as they were live. File layout (little-endian):
+//
+//   'GRAF'  u32 version  u32 header bytes  header JSON (padded to 4 bytes)
+//   frames: `recordBytes` each - the float fields in header order, then
+//           the waveform as `waveform` bytes (padded to 4 bytes)
+//
+// The header lists every field by name, so a reader only depends on the
+// names it knows: fields added later are ignored by older readers, and
+// fields missing from older files are left alone on replay.
+
+const MAGIC = 'GRAF';
+const VERSION = 1;
+
+// Frame timing: time and dt in seconds, beat 0/1, music clock position in beats
+const FRAME_FIELDS = ['time', 'dt', 'beat', 'musicBeats'];
+const AUDIO_FIELDS = [
+  'bpmSmooth', 'beatCount', 'barCount', 'rms', 'rmsSmooth', 'rmsPeak', 'energy',
+  'spectralCentroid', 'spectralFlux', 'spectralFlatness', 'spectralSpread', 'spectralRolloff',
+  'onsetKick', 'onsetSnare', 'onsetHihat', 'onsetGlobal', 'transientSharpness', 'harmonicRatio',
+  'smoothSubBass', 'smoothBass', 'smoothLowMid', 'smoothMid', 'smoothHighMid', 'smoothHigh', 'smoothBrilliance',
+  'rootNote', 'stereoWidth', 'stereoBalance', 'stereoCorrelation',
+  'tuning', 'keyRoot', 'keyMode', 'keyConfidence', 'chordRoot', 'chordQuality', 'melodyPitch', 'melodyConfidence'
+];
+const AUDIO_ARRAYS = { bandValues: 64, bandPeaks: 64, onsetDecay: 64, chroma: 12, bandPan: 64 };
+const MOTION_FIELDS = ['pulse', 'impact', 'swell', 'breathe', 'lowMotion', 'midMotion', 'highMotion', 'pan', 'width', 'scaleSuggestion', 'zoomSuggestion'];
+// Waveform samples kept per frame (bytes, like the analyser's time-domain data)
+const WAVEFORM = 256;
+
+const align4 = (n) => (n + 3) & ~3;
+
+// Column layout shared by writer and reader: name -> { offset, length } in floats
+function layout(header) {
+  const columns = {};
+  let floats = 0;
+  const add = (name, length = 1) => {
+    columns[name] = { offset: floats, length };
+    floats += length;
+  };
+  header.frame.forEach(name => add(name));
+  header.audio.forEach(name => add(`audio.${name}`));
+  Object.entries(header.arrays).forEach(([name, length]) => add(`audio.${name}`, length));
+  header.motion.forEach(name => add(`motion.${name}`));
+  return { columns, floats, recordBytes: floats * 4 + align4(header.waveform) };
+}
+
+export class FeatureRecorder {
+  constructor() {
+    this.recording = false;
+    this.frameCount = 0;
+    this.header = null;
+    this._bytes = new Uint8Array(0);
+  }
+
+  // `info` lands in the header as-is (track name, preset, ...)
+  start(info = {}) {
+    this.header = {
+      version: VERSION,
+      created: new Date().toISOString(),
+      frame: FRAME_FIELDS,
+      audio: AUDIO_FIELDS,
+      arrays: AUDIO_ARRAYS,
+      motion: MOTION_FIELDS,
+      waveform: WAVEFORM,
+      ...info
+    };
+    this._layout = layout(this.header);
+    this._bytes = new Uint8Array(this._layout.recordBytes * 1024);
+    this.frameCount = 0;
+    this.recording = true;
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  /**
+   * Append one frame: `frame` is { time, dt, beat, musicBeats }, `timeData`
+   * the analyser's byte waveform (or null).
+   */
+  capture(frame, audio, motion, timeData) {
+    if (!this.recording) return;
+    const { columns, recordBytes, floats } = this._layout;
+    const start = this.frameCount * recordBytes;
+    if (start + recordBytes > this._bytes.length) {
+      const grown = new Uint8Array(this._bytes.length * 2);
+      grown.set(this._bytes);
+      this._bytes = grown;
+    }
+    const f = new Float32Array(this._bytes.buffer, start, floats);
+    FRAME_FIELDS.forEach(name => { f[columns[name].offset] = +frame[name] || 0; });
+    AUDIO_FIELDS.forEach(name => { f[columns[`audio.${name}`].offset] = audio[name]; });
+    Object.keys(AUDIO_ARRAYS).forEach(name => {
+      const { offset, length } = columns[`audio.${name}`];
+      f.set(audio[name].subarray(0, length), offset);
+    });
+    MOTION_FIELDS.forEach(name => { f[columns[`motion.${name}`].offset] = motion[name]; });
+
+    const wave = this._bytes.subarray(start + floats * 4, start + floats * 4 + WAVEFORM);
+    if (timeData && timeData.length) {
+      for (let i = 0; i < WAVEFORM; i++) wave[i] = timeData[Math.floor((i * timeData.length) / WAVEFORM)];
+    } else {
+      wave.fill(128);
+    }
+    this.frameCount++;
+  }
+
+  // The finished file as an ArrayBuffer
+  encode() {
+    const json = new TextEncoder().encode(JSON.stringify({ ...this.header, frames: this.frameCount }));
+    const headerBytes = align4(json.length);
+    const dataBytes = this.frameCount * this._layout.recordBytes;
+    const out = new Uint8Array(12 + headerBytes + dataBytes);
+    const view = new DataView(out.buffer);
+    for (let i = 0; i < 4; i++) out[i] = MAGIC.charCodeAt(i);
+    view.setUint32(4, VERSION, true);
+    view.setUint32(8, headerBytes, true);
+    out.set(json, 12);
+    out.fill(0x20, 12 + json.length, 12 + headerBytes);
+    out.set(this._bytes.subarray(0, dataBytes), 12 + headerBytes);
+    return out.buffer;
+  }
+}
+
+// A decoded recording. Throws on anything that isn't one.
+export class FeatureTrack {
+  constructor(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < 12 || String.fromCharCode(...bytes.subarray(0, 4)) !== MAGIC) {
+      throw new Error('Not a feature recording');
+    }
+    const view = new DataView(buffer);
+    const version = view.getUint32(4, true);
+    if (version > VERSION) throw new Error(`Recording version ${version} is newer than this app`);
+    const headerBytes = view.getUint32(8, true);
+    this.header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerBytes)));
+    const { columns, floats, recordBytes } = layout(this.header);
+    this.columns = columns;
+    this.floats = floats;
+    this.recordBytes = recordBytes;
+    this.frameCount = Math.min(this.header.frames, Math.floor((bytes.length - 12 - headerBytes) / recordBytes));
+    // Copied so every record's floats are aligned regardless of the source buffer
+    this._bytes = bytes.slice(12 + headerBytes, 12 + headerBytes + this.frameCount * recordBytes);
+  }
+
+  get duration() {
+    return this.frameCount ? this.value(this.frameCount - 1, 'time') : 0;
+  }
+
+  _floats(index) {
+    return new Float32Array(this._bytes.buffer, index * this.recordBytes, this.floats);
+  }
+
+  // One named value of frame `index` (e.g. 'time', 'audio.energy'); NaN when the file lacks it
+  value(index, name) {
+    const column = this.columns[name];
+    return column ? this._floats(index)[column.offset] : NaN;
+  }
+
+  // Write frame `index` back onto an analyser, a motion coordinator and (optionally) a byte waveform
+  apply(index, audio, motion, timeData = null) {
+    const f = this._floats(index);
+    Object.entries(this.columns).forEach(([name, { offset, length }]) => {
+      const dot = name.indexOf('.');
+      if (dot < 0) return;
+      const target = name.startsWith('audio.') ? audio : motion;
+      const key = name.slice(dot + 1);
+      if (!(key in target)) return;
+      if (length === 1) target[key] = f[offset];
+      else target[key].set(f.subarray(offset, offset + Math.min(length, target[key].length)));
+    });
+    audio.updateNoteNames();
+
+    if (timeData) {
+      const start = index * this.recordBytes + this.floats * 4;
+      const wave = this._bytes.subarray(start, start + this.header.waveform);
+      for (let i = 0; i < timeData.length; i++) timeData[i] = wave[Math.floor((i * wave.length) / timeData.length)];
+    }
+  }
+}
+
+/**
+ * Plays a FeatureTrack back against the frame clock: advance(dt) moves to the
+ * last recorded frame at or before the new time. Beats on frames skipped over
+ * (replaying at a lower frame rate than the recording) still count.
+ */
+export class FeatureReplay {
+  constructor(track) {
+    this.track = track;
+    this.reset();
+  }
+
+  reset() {
+    this.time = this.track.frameCount ? this.track.value(0, 'time') : 0;
+    this.index = -1;
+  }
+
+  get done() {
+    return this.index >= this.track.frameCount - 1;
+  }
+
+  // Returns { index, beat } for the frame to show now
+  advance(dt) {
+    const { track } = this;
+    this.time += this.index < 0 ? 0 : dt;
+    let beat = false;
+    let i = this.index;
+    while (i + 1 < track.frameCount && (i < 0 || track.value(i + 1, 'time') <= this.time + 1e-6)) {
+      i++;
+      if (track.value(i, 'beat') > 0) beat = true;
+    }
+    this.index = i;
+    return { index: i, beat };
+  }
+}
@@ -0,0 +1,77 @@
+// ============================================================================
+// FFT - Radix-2 complex transform for offline analysis
+// ============================================================================
+//
+// The live path uses the browser's AnalyserNode; this exists for work done on
+// raw sample buffers (whole-track analysis) where no audio graph is involved.
+
+const _tables = new Map();
+
+function tablesFor(n) {
+  if (_tables.has(n)) return _tables.get(n);
+  const bits = Math.round(Math.log2(n));
+  const rev = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+    rev[i] = r;
+  }
+  const cos = new Float32Array(n / 2);
+  const sin = new Float32Array(n / 2);
+  for (let i = 0; i < n / 2; i++) {
+    cos[i] = Math.cos(-2 * Math.PI * i / n);
+    sin[i] = Math.sin(-2 * Math.PI * i / n);
+  }
+  const t = { rev, cos, sin };
+  _tables.set(n, t);
+  return t;
+}
+
+// In-place forward FFT; n = re.length must be a power of two
+export function fft(re, im) {
+  const n = re.length;
+  const { rev, cos, sin } = tablesFor(n);
+
+  for (let i = 0; i < n; i++) {
+    const j = rev[i];
+    if (j > i) {
+      let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+      tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * step], wi = sin[k * step];
+        const a = start + k, b = a + half;
+        const xr = re[b] * wr - im[b] * wi;
+        const xi = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - xr;
+        im[b] = im[a] - xi;
+        re[a] += xr;
+        im[a] += xi;
+      }
+    }
+  }
+}
+
+export function hannWindow(n) {
+  const w = new Float32Array(n);
+  for (let i = 0; i < n; i++) w[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1));
+  return w;
+}
+
+// Magnitude spectrum (n/2 bins) of a real frame, windowed
+export function magnitudeSpectrum(frame, window, re, im, out) {
+  const n = frame.length;
+  for (let i = 0; i < n; i++) {
+    re[i] = frame[i] * window[i];
+    im[i] = 0;
+  }
+  fft(re, im);
+  for (let i = 0; i < n / 2; i++) out[i] = Math.hypot(re[i], im[i]);
+  return out;
+}
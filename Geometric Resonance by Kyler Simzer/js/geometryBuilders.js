@@ -1,10 +1,99 @@
 import * as THREE from 'three';
 import { TAU } from './utils.js';
+import { compileExpression, ExpressionError } from './mathExpr.js';
+import { decimateGeometry } from './modelLoader.js';
 
 // ============================================================================
 // GEOMETRY CREATION
 // ============================================================================
 
+// Names a custom form's x / y / z expressions may use; u and v run 0..1
+export const CUSTOM_FORM_VARS = ['u', 'v', 'time', 'bass', 'mid', 'high', 'energy', 'beat'];
+const STATIC_VARS = ['u', 'v'];
+const CUSTOM_SCALE = 6;
+
+// Imported model (see modelLoader.js), thinned further at lower Complexity settings
+const MODEL_DETAIL_VERTICES = [800, 1600, 3000, 4500, 6000];
+let modelGeometry = null;
+
+export function setModelGeometry(geometry) {
+  if (modelGeometry) modelGeometry.dispose();
+  modelGeometry = geometry;
+}
+
+/**
+ * Compile config.customForm ({ x, y, z } expression strings).
+ * Returns { x, y, z, dynamic } where each axis is an evaluate(scope) function
+ * and `dynamic` says whether the surface moves with time / audio.
+ * Throws ExpressionError with an extra `axis` property on the first bad axis.
+ */
+export function compileCustomForm(def) {
+  const out = { dynamic: false };
+  ['x', 'y', 'z'].forEach(axis => {
+    try {
+      const { evaluate, uses } = compileExpression(def[axis], CUSTOM_FORM_VARS);
+      out[axis] = evaluate;
+      if ([...uses].some(name => !STATIC_VARS.includes(name))) out.dynamic = true;
+    } catch (e) {
+      if (e instanceof ExpressionError) e.axis = axis;
+      throw e;
+    }
+  });
+  return out;
+}
+
+// Re-evaluate a custom form's vertices in place for the current scope (time, audio levels)
+export function updateCustomGeometry(geometry, scope) {
+  const { form, slices, stacks } = geometry.userData.custom;
+  const pos = geometry.attributes.position.array;
+  let k = 0;
+  for (let i = 0; i <= stacks; i++) {
+    scope.v = i / stacks;
+    for (let j = 0; j <= slices; j++) {
+      scope.u = j / slices;
+      // Bad values (sqrt of a negative, ...) collapse to the origin rather than poisoning the bounds
+      pos[k++] = (form.x(scope) || 0) * CUSTOM_SCALE;
+      pos[k++] = (form.y(scope) || 0) * CUSTOM_SCALE;
+      pos[k++] = (form.z(scope) || 0) * CUSTOM_SCALE;
+    }
+  }
+  geometry.attributes.position.needsUpdate = true;
+  geometry.computeVertexNormals();
+}
+
+// Unique triangle edges as line segments sharing the mesh's position attribute,
+// so a wireframe follows the surface when its vertices are updated in place.
+// Non-indexed geometry (the polyhedra) repeats every corner per face; those
+// copies are welded by position so shared edges aren't drawn twice.
+export function createEdgeGeometry(geometry) {
+  const pos = geometry.attributes.position;
+  let index = geometry.index ? geometry.index.array : null;
+  if (!index) {
+    const first = new Map();
+    index = new Uint32Array(pos.count);
+    for (let i = 0; i < pos.count; i++) {
+      const key = `${pos.getX(i).toFixed(3)},${pos.getY(i).toFixed(3)},${pos.getZ(i).toFixed(3)}`;
+      if (!first.has(key)) first.set(key, i);
+      index[i] = first.get(key);
+    }
+  }
+  const seen = new Set();
+  const edges = [];
+  for (let i = 0; i < index.length; i += 3) {
+    for (let e = 0; e < 3; e++) {
+      const a = index[i + e], b = index[i + (e + 1) % 3];
+      const key = a < b ? a * 1e6 + b : b * 1e6 + a;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      edges.push(a, b);
+    }
+  }
+  const lines = new THREE.BufferGeometry();
+  lines.setAttribute('position', pos);
+  lines.setIndex(edges);
+  return lines;
+}
+
 export function createParametricGeometry(func, slices, stacks, scale = 8) {
   const geometry = new THREE.BufferGeometry();
   const vertices = [], indices = [];
@@ -27,9 +116,31 @@ export function createParametricGeometry(func, slices, stacks, scale = 8) {
   return geometry;
 }
 
-export function createGeometry(type, detail) {
+export function createGeometry(type, detail, customForm = null) {
   const segments = 8 + detail * 8;
   switch (type) {
+    case 'model':
+      // Until a model is loaded (e.g. a preset from another session) show the default form
+      if (!modelGeometry) return new THREE.IcosahedronGeometry(8, detail);
+      return decimateGeometry(modelGeometry, MODEL_DETAIL_VERTICES[Math.min(4, Math.max(0, detail - 1))]);
+    case 'custom': {
+      let form;
+      try {
+        form = compileCustomForm(customForm || {});
+      } catch (e) {
+        // The editor reports the error; show the default form meanwhile
+        return new THREE.IcosahedronGeometry(8, detail);
+      }
+      const slices = segments * 2, stacks = segments * 2;
+      const scope = { u: 0, v: 0, time: 0, bass: 0, mid: 0, high: 0, energy: 0, beat: 0 };
+      const geometry = createParametricGeometry((u, v) => {
+        scope.u = u;
+        scope.v = v;
+        return { x: form.x(scope) || 0, y: form.y(scope) || 0, z: form.z(scope) || 0 };
+      }, slices, stacks, CUSTOM_SCALE);
+      geometry.userData.custom = { form, slices, stacks };
+      return geometry;
+    }
     case 'icosahedron':
       return new THREE.IcosahedronGeometry(8, detail);
     case 'octahedron':
@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { shaders } from './shaders.js';
+
+// ============================================================================
+// GPU PARTICLES - The particle simulation on ping-pong float render targets
+// ============================================================================
+//
+// The same model as the CPU loop in main.js - a target from fieldMode and
+// particleMode, a spring toward it, damping and a speed cap - run as a
+// fragment shader with one texel per particle. Position and velocity
+// ping-pong through GPUComputationRenderer; each particle's base (xyz +
+// band) and static info (theta, phi, phase) sit in data textures, and the
+// render shader reads positions straight from the simulation, so nothing
+// comes back to the CPU except the few particles the connection lines use.
+
+export const PARTICLE_MODES = ['vertex', 'swarm', 'explode', 'orbital', 'magnetic', 'wave', 'vortex', 'aurora'];
+export const FIELD_MODES = ['harmonic', 'curl', 'spiral', 'noise'];
+// The CPU loop stops keeping up past this many particles
+export const CPU_PARTICLE_LIMIT = 8000;
+
+// Float render targets, and textures the vertex shader can read
+export function gpuParticlesSupported(renderer) {
+  return renderer.extensions.has('EXT_color_buffer_float') && renderer.capabilities.maxVertexTextures > 0;
+}
+
+function dataTexture(width, height) {
+  const tex = new THREE.DataTexture(new Float32Array(width * height * 4), width, height, THREE.RGBAFormat, THREE.FloatType);
+  tex.minFilter = tex.magFilter = THREE.NearestFilter;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+export class GpuParticles {
+  // Throws when the simulation can't run here; call load() before the first update()
+  constructor(renderer, count) {
+    this.renderer = renderer;
+    this.count = count;
+    this.size = Math.max(1, Math.ceil(Math.sqrt(count)));
+    const { size } = this;
+
+    this.gpu = new GPUComputationRenderer(size, size, renderer);
+    const pos0 = this.gpu.createTexture();
+    const vel0 = this.gpu.createTexture();
+    this.position = this.gpu.addVariable('texturePosition', shaders.particlePositionFrag, pos0);
+    this.velocity = this.gpu.addVariable('textureVelocity', shaders.particleVelocityFrag, vel0);
+    this.gpu.setVariableDependencies(this.position, [this.position, this.velocity]);
+    this.gpu.setVariableDependencies(this.velocity, [this.position, this.velocity]);
+
+    this.baseTexture = dataTexture(size, size);
+    this.infoTexture = dataTexture(size, size);
+    this.bandTexture = dataTexture(64, 1);
+    // Shared by the simulation and the render material
+    const shared = {
+      tBase: { value: this.baseTexture },
+      tInfo: { value: this.infoTexture },
+      tBands: { value: this.bandTexture },
+      uSens: { value: 1 },
+      uSymmetry: { value: 6 }
+    };
+    Object.assign(this.velocity.material.uniforms, shared, {
+      uTime: { value: 0 },
+      uDt: { value: 0 },
+      uPhase: { value: 0 },
+      uTurbulence: { value: 0 },
+      uCohesion: { value: 0 },
+      uSmoothness: { value: 0 },
+      uPulse: { value: 0 },
+      uImpact: { value: 0 },
+      uLow: { value: 0 },
+      uMid: { value: 0 },
+      uHigh: { value: 0 },
+      uSwell: { value: 0 },
+      uFieldMode: { value: 0 },
+      uParticleMode: { value: 0 },
+      uStereoAxis: { value: new THREE.Vector3(1, 0, 0) },
+      uStereoSpread: { value: 0 }
+    });
+    this.position.material.uniforms.uDt = { value: 0 };
+
+    const error = this.gpu.init();
+    pos0.dispose();
+    vel0.dispose();
+    if (error !== null) {
+      this.dispose();
+      throw new Error(error);
+    }
+
+    const geom = new THREE.BufferGeometry();
+    const ref = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+      ref[i * 2] = ((i % size) + 0.5) / size;
+      ref[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+    }
+    // Positions come from tPosition; the attribute only sets the draw count
+    geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geom.setAttribute('ref', new THREE.BufferAttribute(ref, 2));
+    this.points = new THREE.Points(
+      geom,
+      new THREE.ShaderMaterial({
+        uniforms: {
+          ...shared,
+          tPosition: { value: null },
+          uTime: { value: 0 },
+          uEnergy: { value: 0 },
+          uPixelRatio: { value: window.devicePixelRatio },
+          uSizeMult: { value: 1.0 },
+          uBrightness: { value: 1.0 },
+          uPulse: { value: 0 },
+          uCentroid: { value: 0 },
+          uHsl1: { value: new THREE.Vector3() },
+          uHsl2: { value: new THREE.Vector3() },
+          uReactivity: { value: 0 },
+          uHueShift: { value: 0 },
+          uNoteHue: { value: 0 },
+          uNoteAmount: { value: 0 },
+          uSatScale: { value: 1 },
+          uLumBoost: { value: 0 }
+        },
+        vertexShader: shaders.gpuParticleVert,
+        fragmentShader: shaders.particleFrag,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+      })
+    );
+    this.points.frustumCulled = false;
+    this._readBuffer = null;
+  }
+
+  // Take positions, velocities and per-particle data from vertexData (after a build, morph start or reset)
+  load(vertexData) {
+    const pos = this.gpu.createTexture();
+    const vel = this.gpu.createTexture();
+    const p = pos.image.data, v = vel.image.data, info = this.infoTexture.image.data;
+    for (let i = 0; i < this.count; i++) {
+      const vd = vertexData[i];
+      p[i * 4] = vd.current.x;
+      p[i * 4 + 1] = vd.current.y;
+      p[i * 4 + 2] = vd.current.z;
+      p[i * 4 + 3] = 1;
+      v[i * 4] = vd.velocity.x;
+      v[i * 4 + 1] = vd.velocity.y;
+      v[i * 4 + 2] = vd.velocity.z;
+      info[i * 4] = vd.theta;
+      info[i * 4 + 1] = vd.phi;
+      info[i * 4 + 2] = vd.phase;
+    }
+    this.infoTexture.needsUpdate = true;
+    this.updateBases(vertexData, true);
+    this.position.renderTargets.forEach(rt => this.gpu.renderTexture(pos, rt));
+    this.velocity.renderTargets.forEach(rt => this.gpu.renderTexture(vel, rt));
+    pos.dispose();
+    vel.dispose();
+  }
+
+  // Re-upload bases after the surface moved (morphs, animated custom forms). Surface
+  // particles come first in vertexData, so unless `all` is set the extras are skipped.
+  updateBases(vertexData, all = false) {
+    const data = this.baseTexture.image.data;
+    for (let i = 0; i < this.count; i++) {
+      const vd = vertexData[i];
+      if (vd.isExtra && !all) break;
+      data[i * 4] = vd.base.x;
+      data[i * 4 + 1] = vd.base.y;
+      data[i * 4 + 2] = vd.base.z;
+      data[i * 4 + 3] = vd.band;
+    }
+    this.baseTexture.needsUpdate = true;
+  }
+
+  // One simulation step. harmony comes from getHarmonyParams() (colorMath.js);
+  // stereoAxis is screen-right in the particles' local space.
+  update(dt, { t, phase, config, audio, motion, stereoAxis, harmony }) {
+    const bands = this.bandTexture.image.data;
+    for (let b = 0; b < 64; b++) {
+      bands[b * 4] = audio.getBand(b);
+      bands[b * 4 + 1] = audio.getOnset(b);
+      bands[b * 4 + 2] = audio.bandPan[b];
+    }
+    this.bandTexture.needsUpdate = true;
+
+    const sim = this.velocity.material.uniforms;
+    sim.uSens.value = config.sensitivity;
+    sim.uSymmetry.value = config.symmetry;
+    sim.uTime.value = t;
+    sim.uDt.value = dt;
+    sim.uPhase.value = phase;
+    sim.uTurbulence.value = config.turbulence;
+    sim.uCohesion.value = config.cohesion;
+    sim.uSmoothness.value = config.smoothness;
+    sim.uPulse.value = motion.pulse;
+    sim.uImpact.value = motion.impact;
+    sim.uLow.value = motion.lowMotion;
+    sim.uMid.value = motion.midMotion;
+    sim.uHigh.value = motion.highMotion;
+    sim.uSwell.value = motion.swell;
+    if (stereoAxis) sim.uStereoAxis.value.copy(stereoAxis);
+    sim.uStereoSpread.value = config.stereoSpread * config.sensitivity;
+    sim.uParticleMode.value = PARTICLE_MODES.indexOf(config.particleMode);
+    // Anything unrecognised gets the noise field, as on the CPU
+    const field = FIELD_MODES.indexOf(config.fieldMode);
+    sim.uFieldMode.value = field < 0 ? FIELD_MODES.indexOf('noise') : field;
+    this.position.material.uniforms.uDt.value = dt;
+    this.gpu.compute();
+
+    const draw = this.points.material.uniforms;
+    draw.tPosition.value = this.gpu.getCurrentRenderTarget(this.position).texture;
+    draw.uPulse.value = motion.pulse;
+    draw.uCentroid.value = audio.spectralCentroid;
+    draw.uHsl1.value.set(harmony.hsl1.h, harmony.hsl1.s, harmony.hsl1.l);
+    draw.uHsl2.value.set(harmony.hsl2.h, harmony.hsl2.s, harmony.hsl2.l);
+    draw.uReactivity.value = harmony.reactivity;
+    draw.uHueShift.value = harmony.hueShift;
+    draw.uNoteHue.value = harmony.noteHue;
+    draw.uNoteAmount.value = harmony.noteAmount;
+    draw.uSatScale.value = harmony.satScale;
+    draw.uLumBoost.value = harmony.lumBoost;
+  }
+
+  // Copy the first `count` simulated positions back into vertexData[i].current
+  readPositions(vertexData, count) {
+    count = Math.min(count, this.count);
+    const rows = Math.ceil(count / this.size);
+    const width = rows > 1 ? this.size : count;
+    if (!this._readBuffer || this._readBuffer.length < width * rows * 4) this._readBuffer = new Float32Array(width * rows * 4);
+    const buf = this._readBuffer;
+    this.renderer.readRenderTargetPixels(this.gpu.getCurrentRenderTarget(this.position), 0, 0, width, rows, buf);
+    for (let i = 0; i < count; i++) vertexData[i].current.set(buf[i * 4], buf[i * 4 + 1], buf[i * 4 + 2]);
+  }
+
+  dispose() {
+    this.gpu.dispose();
+    [this.baseTexture, this.infoTexture, this.bandTexture].forEach(tex => tex.dispose());
+    if (this.points) {
+      this.points.geometry.dispose();
+      this.points.material.dispose();
+    }
+  }
+}
@@ -0,0 +1,118 @@
+// ============================================================================
+// LATENCY - Holding the analysis back until its audio is actually heard
+// ============================================================================
+//
+// The analyser taps the signal before it leaves for the output device, so it
+// runs ahead of the speakers by the output latency - a few milliseconds on
+// built-in audio, 150 ms or more over Bluetooth. Analyser reads are queued
+// here against the audio clock and handed back once that much time has
+// passed, so the visuals land with the sound instead of before it.
+
+// Longest delay that can be compensated, in seconds
+export const MAX_AV_DELAY = 1;
+
+/**
+ * A queue of analyser reads. add() hands out a slot to read into - one byte
+ * array per entry of `shape` ({ name: length }) - stamped with the audio
+ * clock time of the read and the seconds it steps the analysis by;
+ * shift(time) returns the oldest slot read at or before `time`.
+ */
+export class FrameDelay {
+  constructor() {
+    this._queue = [];
+    this._free = [];
+  }
+
+  get length() {
+    return this._queue.length;
+  }
+
+  reset() {
+    this._free.push(...this._queue);
+    this._queue.length = 0;
+  }
+
+  add(at, step, shape) {
+    // Reads older than the longest delay can never come due; recycle them
+    while (this._queue.length && this._queue[0].at < at - MAX_AV_DELAY - 0.25) this._free.push(this._queue.shift());
+    let slot = this._free.pop();
+    if (!slot || Object.entries(shape).some(([name, length]) => !slot[name] || slot[name].length !== length)) {
+      slot = {};
+      Object.entries(shape).forEach(([name, length]) => { slot[name] = new Uint8Array(length); });
+    }
+    slot.at = at;
+    slot.step = step;
+    this._queue.push(slot);
+    return slot;
+  }
+
+  shift(time) {
+    if (!this._queue.length || this._queue[0].at > time + 1e-6) return null;
+    return this._queue.shift();
+  }
+
+  // Give a slot from shift() back once its data has been used
+  release(slot) {
+    this._free.push(slot);
+  }
+}
+
+const BEAT_INTERVAL = 1;     // seconds between calibration beeps
+const BEEP_LENGTH = 0.04;
+const SCHEDULE_AHEAD = 0.3;
+
+/**
+ * Calibration: a short beep every second, sent straight to the speakers, and
+ * onFlash() called when each beep should be heard given the current delay.
+ * Adjust the offset until flash and beep line up.
+ */
+export class LatencyCalibrator {
+  constructor(audioCtx, onFlash) {
+    this.audioCtx = audioCtx;
+    this.onFlash = onFlash;
+    this.active = false;
+    this._pending = [];
+  }
+
+  start() {
+    this.active = true;
+    this._pending = [];
+    this._next = this.audioCtx.currentTime + 0.2;
+  }
+
+  stop() {
+    this.active = false;
+    this._pending = [];
+  }
+
+  // Call once per frame with the current A/V delay in seconds
+  update(delay) {
+    if (!this.active) return;
+    const now = this.audioCtx.currentTime;
+    while (this._next < now + SCHEDULE_AHEAD) {
+      this._beep(this._next);
+      this._pending.push(this._next);
+      this._next += BEAT_INTERVAL;
+    }
+    let flash = false;
+    while (this._pending.length && now >= this._pending[0] + delay) {
+      this._pending.shift();
+      flash = true;
+    }
+    if (flash) this.onFlash();
+  }
+
+  _beep(at) {
+    const ctx = this.audioCtx;
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.frequency.value = 1000;
+    env.gain.setValueAtTime(0, at);
+    env.gain.linearRampToValueAtTime(0.4, at + 0.002);
+    env.gain.exponentialRampToValueAtTime(0.001, at + BEEP_LENGTH);
+    osc.connect(env);
+    env.connect(ctx.destination);
+    osc.start(at);
+    osc.stop(at + BEEP_LENGTH + 0.01);
+  }
+}
@@ -1,28 +1,75 @@
 import * as THREE from 'three';
-import { TAU, clamp, lerp, fract, hash1, gradNoise, smoothstep, foldTheta } from './utils.js';
-import { AudioAnalyzer } from './audioAnalyzer.js';
+import { TAU, clamp, lerp, damp, decay, frameTau, fract, hash1, gradNoise, smoothstep, foldTheta } from './utils.js';
+import { AudioAnalyzer, AnalysisTimer } from './audioAnalyzer.js';
 import { MotionCoordinator } from './motionCoordinator.js';
 import { config, colorThemes } from './config.js';
 import { shaders } from './shaders.js';
-import { initRenderer, initBackgroundScene, initMainScene, initPostProcessing, updateTrailMode, initAudio } from './sceneSetup.js';
+import { buildEnvironmentScene, disposeObject } from './environments.js';
+import { initRenderer, initBackgroundScene, initMainScene, initPostProcessing, updateTrailMode, initAudio, applyAnalysisChain } from './sceneSetup.js';
 import { applyColorTheme, getHarmonizedColor, setBgPatternFromConfig, palette } from './colorHelpers.js';
+import { getHarmonyParams, harmonicHueOffset } from './colorMath.js';
 import { buildMainGeometry, buildSecondary, buildWaveformRing, buildFreqBars, buildRings, buildShockwaves, spawnShockwave } from './sceneObjects.js';
-import { createGeometry } from './geometryBuilders.js';
+import { createGeometry, compileCustomForm, updateCustomGeometry, setModelGeometry } from './geometryBuilders.js';
+import { loadModelFile, isModelFile } from './modelLoader.js';
+import { ExpressionError } from './mathExpr.js';
+import { FormMorph } from './morph.js';
+import { GpuParticles, gpuParticlesSupported, CPU_PARTICLE_LIMIT } from './gpuParticles.js';
+import { NeighborGrid } from './spatialGrid.js';
+import { QualityGovernor } from './qualityGovernor.js';
+import { CameraRig } from './cameraPaths.js';
+import { MusicClock } from './musicClock.js';
+import { FeatureRecorder, FeatureTrack, FeatureReplay } from './featureRecording.js';
+import { FrameDelay, LatencyCalibrator, MAX_AV_DELAY } from './latency.js';
+import { setSeed, stream, resetStream, randomSeed } from './random.js';
+import { AudioInputManager, INPUT_SOURCES } from './audioInput.js';
+import { Playlist, collectDroppedFiles } from './playlist.js';
+import { decodeAudioFile, analysisFrames, createRenderSink, writeWav } from './offlineRender.js';
+import { evaluateAutomation, automationTime } from './automation.js';
+import { AutomationEditor } from './automationEditor.js';
+import { ModulationMatrix } from './modulation.js';
+import { ModulationEditor } from './modulationEditor.js';
+import { MidiController } from './midi.js';
+import { MidiClock, drumOnsetForNote } from './midiClock.js';
+import { analyzeTrack, beatPosition, sectionAt, loadCachedAnalysis, saveCachedAnalysis } from './trackAnalysis.js';
+import { ControlRegistry } from './controls.js';
+import { migratePreset, parsePresetFile, serializePreset, serializeLibrary, mergePresets, encodePresetHash, decodePresetHash } from './presetIO.js';
 
 // ============================================================================
 // MAIN APPLICATION
 // ============================================================================
 
+// Pristine defaults, taken before anything touches config; presets are migrated against them
+const configDefaults = JSON.parse(JSON.stringify(config));
+
 // Initialize core systems
 const renderer = initRenderer();
 const { scene: bgScene, camera: bgCam, uniforms: bgUniforms } = initBackgroundScene(config);
 const { scene, camera } = initMainScene(config);
 const { composer, bloomPass, afterimagePass, screenFXPass } = initPostProcessing(renderer, bgScene, bgCam, scene, camera, config);
-const { audioEl, audioCtx, analyser, sourceNode, gainNode, mediaDest, freqData, timeData } = initAudio();
+const { decks, audioCtx, analyser, stereoAnalysers, sourceNode, inputBus, conditioning, gainNode, outputGate, recordDelay, mediaDest, freqData, timeData, stereo } = initAudio();
 
 // Audio and animation systems
 const audio = new AudioAnalyzer();
 const motion = new MotionCoordinator();
+const playlist = new Playlist({
+  audioCtx,
+  decks,
+  onTrackChange: onPlaylistTrackChange,
+  onPlayStateChange: setPlayingState,
+  onListChange: () => renderPlaylist(),
+  onError: (entry, e) => {
+    document.getElementById('playlist-status').textContent = e.name === 'NotAllowedError'
+      ? 'Playback was blocked by the browser; press play to start'
+      : `${entry.name} could not be played (${e.message || e.name})`;
+  }
+});
+const audioInput = new AudioInputManager({
+  audioCtx,
+  fileSource: sourceNode,
+  input: inputBus,
+  outputGate,
+  onChange: onInputSourceChange
+});
 
 // Scene objects
 let wireframeMesh, particleSystem, connectionLines, rimMesh;
@@ -30,67 +77,123 @@ let innerMesh, outerMesh, waveformRing, freqBars = [], rings = [];
 let floatingParticles, floatingData = [];
 let lightRays = [], auroraLayer, energyFieldMesh, orbitalRings = [];
 let shockwaves = [];
+let environment = null;  // { group, update } from environments.js
 let vertexData = [];
+// Transition in flight: { morph: FormMorph, ghost: outgoing wireframe, lastBeats }
+let formMorph = null;
+// GPU particle simulation; null when the CPU loop in animate() runs the particles
+let gpuParticles = null;
+let gpuParticlesAvailable = gpuParticlesSupported(renderer);
+let gpuParticlesError = null;
+const _harmony = {};
+// Variables handed to an animated custom form's expressions each frame
+const customFormScope = { u: 0, v: 0, time: 0, bass: 0, mid: 0, high: 0, energy: 0, beat: 0 };
 
 // Animation state
 let beatPulse = 0;
 let _lastFrameTime = 0;
 let _animationTime = 0;
-let _lastFFTUpdate = 0;
+// Paces live FFT reads at getFFTRate(), whatever the display refresh
+const fftTimer = new AnalysisTimer();
+// Live reads wait here until they're audible; avDelay is how long, in seconds
+const frameDelay = new FrameDelay();
+// One queued read: the mixed analyser plus each channel's
+const READ_SHAPE = {
+  freq: freqData.length, time: timeData.length,
+  freqL: freqData.length, timeL: timeData.length,
+  freqR: freqData.length, timeR: timeData.length
+};
+let avDelay = 0;
 let modelSpin = 0;
 let playing = false;
-
-const music = { beats: 0, phase: 0, bpmSmooth: 120, lastSeenBar: -1 };
+const offlineRender = { active: false, cancelled: false, analysis: null };
+// Analysis snapshots being recorded, or played back in place of the analyser
+const featureRecorder = new FeatureRecorder();
+let featureReplay = null;
+// Pre-analysed beat grid of the current track; the live detector is the fallback
+const beatGrid = { active: false, source: null, position: 0, lastBeat: 0, section: null, sectionChanged: false };
+// External beat source: MIDI clock / transport plus drum-note onsets queued between frames
+const midiClock = new MidiClock();
+const midiOnsets = [];
+
+const music = new MusicClock();
 const shockState = { lastTime: -1e9 };
-const camState = {
-  angle: 0, targetAngle: 0, height: 0, targetHeight: 0,
-  distance: config.cameraDistance, targetDistance: config.cameraDistance,
-  look: new THREE.Vector3(), targetLook: new THREE.Vector3(),
-  roll: 0, targetRoll: 0, appliedRoll: 0,
-  autoMode: config.cameraMode, autoAngleOffset: 0, autoAngleOffsetTarget: 0,
-  autoHeightBias: 0, autoHeightBiasTarget: 0, autoRoll: 0, autoRollTarget: 0,
-  shake: new THREE.Vector3(), drunk: new THREE.Vector3()
-};
+const camRig = new CameraRig(config.cameraDistance, config.cameraMode);
+
+// Frame-time driven quality: `quality` is the level currently applied (see applyQuality)
+const governor = new QualityGovernor({ targetFps: config.qualityTargetFps });
+governor.setLocked(config.qualityLocked);
+let quality = governor.settings;
+renderer.info.autoReset = false;
+const statsEl = document.getElementById('stats-overlay');
+let _statsTimer = 0;
+
+// Connection lines join up to this many particles; their neighbors come from the grid
+const CONNECTION_PARTICLE_LIMIT = 8000;
+const neighborGrid = new NeighborGrid();
+let connectionPoints = new Float32Array(0);
 
 const _pool = {
   tmp: new THREE.Vector3(),
   targetPos: new THREE.Vector3(),
   axisY: new THREE.Vector3(0, 1, 0),
   quat: new THREE.Quaternion(),
-  vi: new THREE.Vector3(),
-  vj: new THREE.Vector3()
+  quatInv: new THREE.Quaternion(),
+  stereoAxis: new THREE.Vector3(),
+  vi: new THREE.Vector3()
 };
 
-// Presets
+// Presets. A stored library that can't be read is copied to a backup key and
+// never overwritten; presetLoadError says why, and saving stays off until reload.
+const PRESET_KEY = 'geometricResonancePresets';
 let presets = {};
-try {
-  presets = JSON.parse(localStorage.getItem('geometricResonancePresets') || '{}');
-} catch (e) { }
+let presetLoadError = null;
+{
+  const stored = localStorage.getItem(PRESET_KEY);
+  try {
+    if (stored) presets = parsePresetFile(stored, configDefaults).presets;
+  } catch (e) {
+    presetLoadError = `Saved presets could not be read (${e.message}). They are untouched and copied to ${PRESET_KEY}Backup; changes here are not saved.`;
+    try {
+      localStorage.setItem(`${PRESET_KEY}Backup`, stored);
+    } catch (backupError) {
+      presetLoadError = `Saved presets could not be read (${e.message}). They are untouched; changes here are not saved.`;
+    }
+  }
+}
 
 // ============================================================================
 // INITIALIZATION FUNCTIONS
 // ============================================================================
 
 function buildEnvironment() {
-  const envObjects = [];
-  if (floatingParticles) scene.remove(floatingParticles);
+  if (environment) {
+    scene.remove(environment.group);
+    disposeObject(environment.group);
+    environment = null;
+  }
+  if (floatingParticles) {
+    scene.remove(floatingParticles);
+    disposeObject(floatingParticles);
+  }
   floatingData = [];
+  const rand = resetStream('deepField');
 
   const fpPos = new Float32Array(500 * 3);
   const fpCol = new Float32Array(500 * 3);
   for (let i = 0; i < 500; i++) {
-    const theta = Math.random() * TAU;
-    const phi = Math.acos(2 * Math.random() - 1);
-    const r = 15 + Math.random() * 50;
+    const theta = rand() * TAU;
+    const phi = Math.acos(2 * rand() - 1);
+    const r = 15 + rand() * 50;
     fpPos[i * 3] = r * Math.sin(phi) * Math.cos(theta);
     fpPos[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
     fpPos[i * 3 + 2] = r * Math.cos(phi);
     fpCol[i * 3] = fpCol[i * 3 + 1] = fpCol[i * 3 + 2] = 1;
     floatingData.push({
       r, theta, phi,
-      speed: 0.1 + Math.random() * 0.4,
-      band: Math.floor(Math.random() * 64),
-      phase: Math.random() * TAU
+      speed: 0.1 + rand() * 0.4,
+      band: Math.floor(rand() * 64),
+      phase: rand() * TAU
     });
   }
 
@@ -110,48 +213,14 @@ function buildEnvironment() {
   scene.add(floatingParticles);
   floatingParticles.visible = config.showDeepParticles;
 
-  if (config.environment === 'grid') {
-    const grid = new THREE.GridHelper(100, 50, 0x222222, 0x111111);
-    grid.position.y = -20;
-    envObjects.push(grid);
-    scene.add(grid);
-  } else if (config.environment === 'stars') {
-    const starPos = new Float32Array(3000 * 3);
-    for (let i = 0; i < 3000; i++) {
-      starPos[i * 3] = (Math.random() - 0.5) * 250;
-      starPos[i * 3 + 1] = (Math.random() - 0.5) * 250;
-      starPos[i * 3 + 2] = (Math.random() - 0.5) * 250;
-    }
-    const sGeom = new THREE.BufferGeometry();
-    sGeom.setAttribute('position', new THREE.BufferAttribute(starPos, 3));
-    const stars = new THREE.Points(sGeom, new THREE.PointsMaterial({ size: 0.18, color: 0xffffff, transparent: true, opacity: 0.7 }));
-    envObjects.push(stars);
-    scene.add(stars);
-  } else if (config.environment === 'nebula') {
-    for (let i = 0; i < 6; i++) {
-      const neb = new THREE.Mesh(
-        new THREE.SphereGeometry(35 + i * 12, 20, 20),
-        new THREE.MeshBasicMaterial({
-          color: new THREE.Color().setHSL(0.58 + i * 0.08, 0.6, 0.12),
-          transparent: true,
-          opacity: 0.04,
-          side: THREE.BackSide,
-          blending: THREE.AdditiveBlending
-        })
-      );
-      neb.userData = { rotSpeed: 0.001 * (i + 1) };
-      envObjects.push(neb);
-      scene.add(neb);
-    }
-  }
-
-  return envObjects;
+  environment = buildEnvironmentScene(scene, config.environment);
 }
 
 function buildLightRays() {
   lightRays.forEach(r => scene.remove(r));
   lightRays = [];
   if (!config.showLightRays) return;
+  const rand = resetStream('lightRays');
 
   for (let i = 0; i < 12; i++) {
     const mat = new THREE.ShaderMaterial({
@@ -170,7 +239,7 @@ function buildLightRays() {
     const ray = new THREE.Mesh(new THREE.ConeGeometry(0.3, 50, 8, 1, true), mat);
     ray.rotation.x = Math.PI;
     ray.rotation.z = (i / 12) * TAU;
-    ray.userData = { baseAngle: ray.rotation.z, speed: 0.1 + Math.random() * 0.2 };
+    ray.userData = { baseAngle: ray.rotation.z, speed: 0.1 + rand() * 0.2 };
     lightRays.push(ray);
     scene.add(ray);
   }
@@ -247,15 +316,171 @@ function buildOrbitals() {
   }
 }
 
+// With `morph`, the new form grows out of the one on screen (see startFormMorph)
+function rebuildMainGeometry(morph = false) {
+  // Whatever is on screen - possibly a morph still in flight - is where the next one starts
+  if (morph && gpuParticles) gpuParticles.readPositions(vertexData, vertexData.length);
+  const from = morph && rimMesh ? {
+    positions: Float32Array.from(rimMesh.geometry.attributes.position.array),
+    particles: vertexData.map(vd => vd.current.clone()),
+    ghost: wireframeMesh
+  } : null;
+  endFormMorph();
+  [from ? null : wireframeMesh, rimMesh, particleSystem, connectionLines].forEach(disposeMesh);
+  if (gpuParticles) {
+    gpuParticles.dispose();
+    gpuParticles = null;
+  }
+
+  const gpu = config.gpuParticles && gpuParticlesAvailable;
+  const result = buildMainGeometry(scene, config, vertexData, audio, clamp, {
+    sharedEdges: !!from,
+    particleCount: Math.round((gpu ? config.particleCount : Math.min(config.particleCount, CPU_PARTICLE_LIMIT)) * quality.particleScale),
+    points: !gpu
+  });
+  wireframeMesh = result.wireframeMesh;
+  particleSystem = result.particleSystem;
+  connectionLines = result.connectionLines;
+  rimMesh = result.rimMesh;
+
+  if (gpu) {
+    try {
+      gpuParticles = new GpuParticles(renderer, vertexData.length);
+    } catch (e) {
+      // No float render targets after all: fall back to the CPU loop for good
+      gpuParticlesAvailable = false;
+      gpuParticlesError = e.message || String(e);
+      if (from) disposeMesh(from.ghost);
+      rebuildMainGeometry();
+      return;
+    }
+    particleSystem = gpuParticles.points;
+    particleSystem.visible = config.showParticles;
+    scene.add(particleSystem);
+  }
+
+  applyNegativeSpace();
+  if (from) startFormMorph(from);
+  if (gpuParticles) gpuParticles.load(vertexData);
+  renderParticleEngine();
+}
+
+function disposeMesh(obj) {
+  if (!obj) return;
+  scene.remove(obj);
+  obj.geometry.dispose();
+  obj.material.dispose();
+}
+
+// Grow the connection line buffers to hold `segments` lines (never shrinks; a power of two)
+function ensureLineCapacity(segments) {
+  const geom = connectionLines.geometry;
+  if (geom.attributes.position.count >= segments * 2) return;
+  let size = geom.attributes.position.count / 2;
+  while (size < segments) size *= 2;
+  // WebGL buffers can't be resized in place: drop the old ones and upload fresh
+  geom.dispose();
+  geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(size * 6), 3));
+  geom.setAttribute('color', new THREE.BufferAttribute(new Float32Array(size * 6), 3));
+}
+
+function renderParticleEngine() {
+  const el = document.getElementById('particle-engine');
+  if (gpuParticles) el.textContent = `GPU · ${vertexData.length} particles`;
+  else if (config.gpuParticles && gpuParticlesError) el.textContent = `GPU particles failed (${gpuParticlesError}) · CPU, up to ${CPU_PARTICLE_LIMIT}`;
+  else if (config.gpuParticles && !gpuParticlesAvailable) el.textContent = `No float textures here · CPU, up to ${CPU_PARTICLE_LIMIT}`;
+  else el.textContent = `CPU · up to ${CPU_PARTICLE_LIMIT}`;
+}
+
+// Form changes morph when morphing is on; everything else rebuilds outright
+function changeMainGeometry() {
+  rebuildMainGeometry(config.morphEnabled);
+}
+
+function startFormMorph(from) {
+  const morph = new FormMorph(from.positions, rimMesh.geometry.attributes.position.array, {
+    beats: config.morphBeats,
+    easing: config.morphEasing
+  });
+  formMorph = { morph, ghost: from.ghost, lastBeats: music.beats };
+  applyFormMorph();
+  // Surface particles ride their vertices; the rest fly in from where the old particles were
+  vertexData.forEach((vd, i) => {
+    if (vd.source !== undefined) vd.current.copy(vd.base);
+    else if (from.particles.length) vd.current.copy(from.particles[i % from.particles.length]);
+  });
+}
+
+// Blend the surface and move the surface particles' anchors along with it
+function applyFormMorph() {
+  const geom = rimMesh.geometry;
+  formMorph.k = formMorph.morph.apply(geom.attributes.position.array);
+  geom.attributes.position.needsUpdate = true;
+  geom.computeVertexNormals();
+  const src = geom.attributes.position.array;
+  vertexData.forEach(vd => {
+    if (vd.source !== undefined) vd.base.set(src[vd.source * 3], src[vd.source * 3 + 1], src[vd.source * 3 + 2]);
+  });
+  if (gpuParticles) gpuParticles.updateBases(vertexData);
+}
+
+// Per frame, after the wireframe's own transform and opacity are set
+function stepFormMorph(dt) {
+  const db = music.beats - formMorph.lastBeats;
+  formMorph.lastBeats = music.beats;
+  // A seek or a fresh beat grid jumps the clock; carry on at tempo instead
+  formMorph.morph.advance(db >= 0 && db < 1 ? db : dt * music.bpmSmooth / 60);
+  applyFormMorph();
+  if (formMorph.morph.done) {
+    endFormMorph();
+    return;
+  }
+  // The outgoing wireframe fades out as the incoming one fades in
+  const { ghost, k } = formMorph;
+  ghost.visible = wireframeMesh.visible;
+  ghost.rotation.copy(wireframeMesh.rotation);
+  ghost.scale.copy(wireframeMesh.scale);
+  ghost.material.color.copy(wireframeMesh.material.color);
+  ghost.material.blending = wireframeMesh.material.blending;
+  ghost.material.opacity = wireframeMesh.material.opacity * (1 - k);
+  wireframeMesh.material.opacity *= k;
+}
+
+function endFormMorph() {
+  if (!formMorph) return;
+  disposeMesh(formMorph.ghost);
+  formMorph = null;
+}
+
+// Built-in forms in menu order; custom and imported forms are only picked by hand
+function nextAutoMorphForm() {
+  const forms = [...document.getElementById('form').options].map(o => o.value).filter(f => f !== 'custom' && f !== 'model');
+  return forms[(forms.indexOf(config.form) + 1) % forms.length];
+}
+
+function applyNegativeSpace() {
+  wireframeMesh.material.blending = config.negativeSpace ? THREE.NormalBlending : THREE.AdditiveBlending;
+}
+
+// buildRings() starts from scratch, so the old rings have to go first
+function rebuildRings() {
+  rings.forEach(r => {
+    scene.remove(r);
+    r.geometry.dispose();
+    r.material.dispose();
+  });
+  rings = buildRings(scene, config);
+}
+
+// Everything built from a seeded stream; rebuilt whenever the seed changes
+const seededRebuild = [() => setSeed(config.seed), changeMainGeometry, buildEnvironment, buildLightRays];
+
 // Initialize all geometry
 applyColorTheme(scene, bgUniforms, config, colorThemes);
 setBgPatternFromConfig(bgUniforms, config);
+setSeed(config.seed);
 
-const result = buildMainGeometry(scene, config, vertexData, audio, clamp);
-wireframeMesh = result.wireframeMesh;
-particleSystem = result.particleSystem;
-connectionLines = result.connectionLines;
-rimMesh = result.rimMesh;
+rebuildMainGeometry();
 
 const secondary = buildSecondary(scene, config);
 innerMesh = secondary.innerMesh;
@@ -299,19 +524,368 @@ function drawSpectrum() {
   }
 }
 
-function updateMusicClock(dt) {
-  const bpm = audio.getBPM() || 120;
-  music.bpmSmooth = lerp(music.bpmSmooth, bpm, 0.08);
-  music.beats += dt * (clamp(music.bpmSmooth, 50, 220) / 60);
-  music.phase = music.beats * TAU;
+// Analysis for whatever is driving the visuals right now (null for live input)
+function currentTrackAnalysis(frame) {
+  if (frame) return offlineRender.analysis;
+  if (audioInput.isLive || !playlist.current) return null;
+  return playlist.current.analysis || null;
+}
+
+// Drive beat / bar counters from an external beat position; returns true on a new beat
+function syncBeatPosition(pos, bpm) {
+  const beat = Math.floor(pos);
+  const isBeat = beat === beatGrid.lastBeat + 1;
+  beatGrid.lastBeat = beat;
+  beatGrid.position = pos;
+  audio.syncToGrid(Math.max(0, beat), bpm);
+  return isBeat;
+}
+
+function syncBeatGrid(analysis, seconds) {
+  const isBeat = syncBeatPosition(beatPosition(analysis, seconds), analysis.bpm);
+
+  const section = sectionAt(analysis, seconds);
+  beatGrid.sectionChanged = !!beatGrid.section && section !== beatGrid.section;
+  beatGrid.section = section;
+  return isBeat;
+}
+
+async function getTrackAnalysis(file, onProgress) {
+  const cached = loadCachedAnalysis(file);
+  if (cached) return cached;
+  const analysis = await analyzeTrack(await decodeAudioFile(file), { onProgress });
+  saveCachedAnalysis(file, analysis);
+  return analysis;
+}
+
+async function analyzePlaylistEntry(entry) {
+  if (entry.analysis || entry.analyzing) return;
+  entry.analyzing = true;
+  const display = document.getElementById('section-display');
+  try {
+    entry.analysis = await getTrackAnalysis(entry.file, p => {
+      if (playlist.current === entry) display.textContent = `Analysing ${Math.round(p * 100)}%`;
+    });
+    if (playlist.current === entry) display.textContent = '';
+  } catch (e) {
+    // Live beat detection carries on in its place
+    if (playlist.current === entry) display.textContent = `Analysis failed: ${e.message}`;
+  } finally {
+    entry.analyzing = false;
+  }
+}
+
+function setViewportSize(w, h, pixelRatio = Math.min(window.devicePixelRatio, 2) * quality.renderScale, updateStyle = true) {
+  camera.aspect = w / h;
+  camera.updateProjectionMatrix();
+  renderer.setPixelRatio(pixelRatio);
+  renderer.setSize(w, h, updateStyle);
+  composer.setPixelRatio(pixelRatio);
+  composer.setSize(w, h);
+  bloomPass.resolution.set(w, h);
+  // The composer sized bloom like every other pass; the governor may want it smaller
+  if (quality.bloomScale < 1) bloomPass.setSize(w * pixelRatio * quality.bloomScale, h * pixelRatio * quality.bloomScale);
+  bgUniforms.uResolution.value.set(w, h);
+  screenFXPass.uniforms.uResolution.value.set(w, h);
+}
+
+// Bring the scene in line with the governor's current level, touching only what changed
+function applyQuality() {
+  const prev = quality;
+  quality = governor.settings;
+  if (quality === prev) return;
+  if (quality.renderScale !== prev.renderScale || quality.bloomScale !== prev.bloomScale) {
+    if (!offlineRender.active) setViewportSize(window.innerWidth, window.innerHeight);
+  }
+  if (quality.trails !== prev.trails) applyTrailMode();
+  if (quality.particleScale !== prev.particleScale) rebuildMainGeometry();
+}
+
+const applyTrailMode = () => updateTrailMode(afterimagePass, quality.trails ? config.trailMode : 'none');
+
+function updateStats(dt) {
+  _statsTimer -= dt;
+  if (!config.showStats || _statsTimer > 0) return;
+  _statsTimer = 0.25;
+  const { calls, triangles, points, lines } = renderer.info.render;
+  const level = governor.locked ? 'locked' : `${governor.level} (${quality.name})`;
+  statsEl.textContent = [
+    `${governor.fps.toFixed(0)} fps · ${(1000 / governor.fps).toFixed(1)} ms`,
+    `draw calls ${calls}`,
+    `triangles ${triangles.toLocaleString()}`,
+    `lines ${lines.toLocaleString()} · points ${points.toLocaleString()}`,
+    `particles ${vertexData.length.toLocaleString()}`,
+    `quality ${level} · scale ${quality.renderScale}`
+  ].join('\n');
+}
+
+// Return every piece of time-dependent state to its starting point so a render is repeatable
+function resetVisualState() {
+  audio.reset();
+  motion.reset();
+  music.reset();
+  Object.assign(beatGrid, { active: false, source: null, position: 0, lastBeat: 0, section: null, sectionChanged: false });
+  midiOnsets.length = 0;
+  shockState.lastTime = -1e9;
+  shockwaves.forEach(s => {
+    s.active = false;
+    s.mesh.material.uniforms.uOpacity.value = 0;
+  });
+  modMatrix.reset();
+  _animationTime = 0;
+  fftTimer.reset();
+  frameDelay.reset();
+  modelSpin = 0;
+  beatPulse = 0;
+  palette.hOffset = palette.hOffsetTarget = palette.globalHueShift = 0;
+  palette.harmonicHue = palette.harmonicHueTarget = 0;
+
+  camRig.reset(config.cameraDistance, config.cameraMode);
+  resetStream('camera');
+
+  if (formMorph) {
+    formMorph.morph.finish();
+    applyFormMorph();
+    endFormMorph();
+  }
+  vertexData.forEach(vd => {
+    vd.current.copy(vd.base);
+    vd.velocity.set(0, 0, 0);
+  });
+  if (gpuParticles) gpuParticles.load(vertexData);
+  // Deep field and environment phases accumulate; a fresh build starts them from zero
+  buildEnvironment();
+}
+
+// ============================================================================
+// OFFLINE RENDER
+// ============================================================================
+
+function setRenderStatus(text) {
+  document.getElementById('render-status').textContent = text;
+}
+
+window.openRenderModal = () => {
+  document.getElementById('render-modal').style.display = 'block';
+};
+
+window.closeRenderModal = () => {
+  if (offlineRender.active) return;
+  document.getElementById('render-modal').style.display = 'none';
+};
+
+window.cancelOfflineRender = () => {
+  if (offlineRender.active) offlineRender.cancelled = true;
+};
+
+window.startOfflineRender = async () => {
+  if (offlineRender.active) return;
+  const loadedFile = playlist.current && playlist.current.file;
+  if (!loadedFile) {
+    setRenderStatus('Load an audio file first');
+    return;
+  }
+  if (!window.showDirectoryPicker) {
+    setRenderStatus('Rendering to disk needs the File System Access API (Chrome / Edge)');
+    return;
+  }
+
+  const [width, height] = document.getElementById('render-size').value.split('x').map(Number);
+  const fps = parseInt(document.getElementById('render-fps').value);
+  const format = document.getElementById('render-format').value;
+
+  let dir;
+  try {
+    dir = await window.showDirectoryPicker({ mode: 'readwrite' });
+  } catch (e) {
+    return;
+  }
+
+  playlist.pause();
+  offlineRender.active = true;
+  offlineRender.cancelled = false;
+
+  try {
+    setRenderStatus('Decoding audio...');
+    const buffer = await decodeAudioFile(loadedFile);
+    await writeWav(dir, buffer);
+    setRenderStatus('Analysing track...');
+    offlineRender.analysis = playlist.current.analysis || loadCachedAnalysis(loadedFile) || await analyzeTrack(buffer);
+
+    const sink = createRenderSink(format, dir, { width, height, fps });
+    await sink.open();
+
+    audio.setFFTInfo(analyser.fftSize, buffer.sampleRate);
+    // Files are always rendered at full quality, however the live view was coping
+    governor.setLocked(true);
+    applyQuality();
+    setViewportSize(width, height, 1, false);
+    resetVisualState();
+
+    const total = Math.ceil(buffer.duration * fps);
+    const dt = 1 / fps;
+    let rendered = 0;
+    for await (const frame of analysisFrames(buffer, { fps, chain: config, isCancelled: () => offlineRender.cancelled })) {
+      renderFrame(dt, frame);
+      await sink.addFrame(renderer.domElement, frame.index);
+      rendered++;
+      if (frame.index % 10 === 0) setRenderStatus(`Rendering frame ${frame.index + 1} / ${total}`);
+    }
+    await sink.close();
+    setRenderStatus(offlineRender.cancelled ? `Cancelled after ${rendered} frames` : `Done: ${rendered} frames + audio.wav`);
+  } catch (e) {
+    setRenderStatus(`Render failed: ${e.message}`);
+  } finally {
+    offlineRender.active = false;
+    offlineRender.analysis = null;
+    audio.setFFTInfo(analyser.fftSize, audioCtx.sampleRate);
+    governor.setLocked(config.qualityLocked);
+    applyQuality();
+    setViewportSize(window.innerWidth, window.innerHeight);
+    _lastFrameTime = 0;
+  }
+};
+
+// ============================================================================
+// FEATURE RECORDING & REPLAY
+// ============================================================================
+
+const featureStatusEl = document.getElementById('feature-status');
+const featureRecordBtn = document.getElementById('featureRecord');
+
+// Both ends start from a reset visual state, so a replay lines up with what was on screen
+function toggleFeatureRecording() {
+  if (featureRecorder.recording) {
+    featureRecorder.stop();
+    featureRecordBtn.textContent = 'Record';
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const url = URL.createObjectURL(new Blob([featureRecorder.encode()], { type: 'application/octet-stream' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `geometric_resonance_features_${stamp}.graf`;
+    a.click();
+    URL.revokeObjectURL(url);
+    featureStatusEl.textContent = `Saved ${featureRecorder.frameCount} frames`;
+    return;
+  }
+  if (featureReplay) stopFeatureReplay();
+  resetVisualState();
+  featureRecorder.start({
+    track: audioInput.isLive ? 'live input' : playlist.current ? playlist.current.name : null,
+    preset: migratePreset(config, configDefaults)
+  });
+  featureRecordBtn.textContent = 'Save';
+  featureStatusEl.textContent = 'Recording analysis...';
+}
+
+async function startFeatureReplay(file) {
+  let track;
+  try {
+    track = new FeatureTrack(await file.arrayBuffer());
+  } catch (e) {
+    featureStatusEl.textContent = `Replay failed: ${e.message}`;
+    return;
+  }
+  if (!track.frameCount) {
+    featureStatusEl.textContent = 'Replay failed: the recording is empty';
+    return;
+  }
+  if (featureRecorder.recording) toggleFeatureRecording();
+  // The look it was recorded with, then the same starting point
+  if (track.header.preset) applyPresetConfig(track.header.preset);
+  resetVisualState();
+  featureReplay = new FeatureReplay(track);
+  const source = track.header.track ? ` of ${track.header.track}` : '';
+  featureStatusEl.textContent = `Replaying ${track.duration.toFixed(1)} s${source}`;
 }
 
+function stopFeatureReplay(message = '') {
+  if (!featureReplay) return;
+  featureReplay = null;
+  audio.reset();
+  motion.reset();
+  featureStatusEl.textContent = message;
+}
+
+featureRecordBtn.addEventListener('click', toggleFeatureRecording);
+document.getElementById('featureReplayFile').addEventListener('change', e => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (file) startFeatureReplay(file);
+});
+document.getElementById('featureReplayStop').addEventListener('click', () => stopFeatureReplay('Replay stopped'));
+
+// ============================================================================
+// LATENCY COMPENSATION
+// ============================================================================
+
+const syncStatusEl = document.getElementById('sync-status');
+const syncFlashEl = document.getElementById('sync-flash');
+const calibrateBtn = document.getElementById('latencyCalibrate');
+const calibrator = new LatencyCalibrator(audioCtx, () => {
+  // Restarting a CSS animation needs a reflow in between
+  syncFlashEl.classList.remove('flash');
+  void syncFlashEl.offsetWidth;
+  syncFlashEl.classList.add('flash');
+});
+
+// Device latency between the analyser tap and the speakers; live inputs aren't played, so none
+function outputLatency() {
+  if (audioInput.isLive || !config.avLatencyAuto) return 0;
+  return (audioCtx.outputLatency || 0) + (audioCtx.baseLatency || 0);
+}
+
+// Once a frame: how far the visuals - and the recorder's audio - run behind the analyser
+function updateAVSync() {
+  const latency = outputLatency();
+  const delay = clamp(latency + config.avOffset / 1000, 0, MAX_AV_DELAY);
+  if (Math.abs(delay - avDelay) > 0.001) {
+    avDelay = delay;
+    recordDelay.delayTime.setTargetAtTime(delay, audioCtx.currentTime, 0.05);
+  }
+  const status = `Output ${Math.round(latency * 1000)} ms · visuals ${Math.round(avDelay * 1000)} ms behind`;
+  if (syncStatusEl.textContent !== status) syncStatusEl.textContent = status;
+  calibrator.update(avDelay);
+}
+
+// Analyse the queued live reads that have reached the speakers by now; true on a beat
+function analyzeHeardReads(smoothingAlpha) {
+  const heard = audioCtx.currentTime - avDelay;
+  let isBeat = false;
+  for (let slot = frameDelay.shift(heard); slot; slot = frameDelay.shift(heard)) {
+    freqData.set(slot.freq);
+    timeData.set(slot.time);
+    stereo.left.freq.set(slot.freqL);
+    stereo.left.time.set(slot.timeL);
+    stereo.right.freq.set(slot.freqR);
+    stereo.right.time.set(slot.timeR);
+    if (audio.analyze(freqData, timeData, slot.step, stereo.left, stereo.right, smoothingAlpha)) isBeat = true;
+    frameDelay.release(slot);
+  }
+  return isBeat;
+}
+
+// Position in the current track of the audio coming out of the speakers now
+const heardSongTime = () => Math.max(0, (playlist.activeEl.currentTime || 0) - avDelay);
+
+calibrateBtn.addEventListener('click', () => {
+  if (calibrator.active) {
+    calibrator.stop();
+    calibrateBtn.textContent = 'Calibrate';
+    return;
+  }
+  audioCtx.resume();
+  calibrator.start();
+  calibrateBtn.textContent = 'Stop';
+});
+
 // ============================================================================
 // PRESET SYSTEM
 // ============================================================================
 
 window.openPresetModal = () => {
   document.getElementById('preset-modal').style.display = 'block';
+  if (presetLoadError) setPresetStatus(presetLoadError);
   renderPresetList();
 };
 
@@ -319,129 +893,597 @@ window.closePresetModal = () => {
   document.getElementById('preset-modal').style.display = 'none';
 };
 
+function setPresetStatus(text) {
+  document.getElementById('preset-status').textContent = text;
+}
+
+function storePresets() {
+  if (presetLoadError) setPresetStatus(presetLoadError);
+  else localStorage.setItem(PRESET_KEY, serializeLibrary(presets));
+  renderPresetList();
+  renderPlaylist();
+  renderMidiActionOptions();
+}
+
+function downloadJSON(text, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+const presetFileName = (name) => `${name.replace(/[^\w\-]+/g, '_') || 'preset'}.grpreset.json`;
+
 window.savePreset = () => {
   const name = document.getElementById('preset-name').value.trim();
   if (!name) return;
-  presets[name] = JSON.parse(JSON.stringify(config));
-  localStorage.setItem('geometricResonancePresets', JSON.stringify(presets));
-  renderPresetList();
+  presets[name] = migratePreset(config, configDefaults);
+  storePresets();
 };
 
+// Apply a preset's config (migrated, so it is also a deep copy) and sync the UI to it
+function applyPresetConfig(data) {
+  const previousCustomForm = JSON.stringify(config.customForm);
+  Object.assign(config, migratePreset(data, configDefaults));
+  modMatrix.reset();
+  controls.sync();
+  // The registry only sees `form`; a different custom surface needs its own rebuild
+  if (config.form === 'custom' && JSON.stringify(config.customForm) !== previousCustomForm) rebuildMainGeometry();
+  renderCustomForm();
+  document.getElementById('automationTimeBase').value = config.automation.timeBase;
+  automationEditor.render();
+  modulationEditor.render();
+}
+
 window.loadPreset = (name) => {
   if (!presets[name]) return;
-  Object.assign(config, presets[name]);
-
-  const setToggle = (id, on) => {
-    const el = document.getElementById(id);
-    if (el) el.classList.toggle('active', !!on);
-  };
-
-  const setVal = (id, v) => {
-    const el = document.getElementById(id);
-    if (el && typeof v !== 'undefined' && v !== null) el.value = v;
-  };
-
-  setVal('form', config.form);
-  setVal('colorTheme', config.colorTheme);
-  setVal('cameraMode', config.cameraMode);
-  setVal('particleMode', config.particleMode);
-  setVal('trailMode', config.trailMode);
-  setVal('environment', config.environment);
-  setVal('bgPattern', config.bgPattern);
-
-  setToggle('toggleModelSpin', config.modelSpinEnabled);
-  setToggle('toggleModelSpinReactive', config.modelSpinReactive);
-  setToggle('toggleModelPulse', config.modelPulseEnabled);
-  setVal('modelSpinSpeed', config.modelSpinSpeed);
-  setVal('modelSpinAxis', config.modelSpinAxis);
-  setVal('modelSpinReactivity', config.modelSpinReactivity);
-  setVal('modelPulseAmount', config.modelPulseAmount);
-
-  applyColorTheme(scene, bgUniforms, config, colorThemes);
-  setBgPatternFromConfig(bgUniforms, config);
-  updateTrailMode(afterimagePass, config.trailMode);
-
-  scene.fog.density = config.fogDensity;
-  camera.fov = config.cameraFov;
-  camera.updateProjectionMatrix();
-
+  applyPresetConfig(presets[name]);
   closePresetModal();
 };
 
 window.deletePreset = (name) => {
   delete presets[name];
-  localStorage.setItem('geometricResonancePresets', JSON.stringify(presets));
-  renderPresetList();
+  storePresets();
+};
+
+window.exportPreset = (name) => {
+  if (presets[name]) downloadJSON(serializePreset(name, presets[name]), presetFileName(name));
+};
+
+window.exportAllPresets = () => {
+  downloadJSON(JSON.stringify(JSON.parse(serializeLibrary(presets)), null, 2), 'geometric_resonance_presets.json');
 };
 
+window.copyPresetLink = async (name) => {
+  const cfg = name ? presets[name] : migratePreset(config, configDefaults);
+  let url;
+  try {
+    url = `${location.origin}${location.pathname}#${await encodePresetHash(name || 'Shared', cfg)}`;
+  } catch (e) {
+    setPresetStatus(`Link could not be created: ${e.message}`);
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(url);
+    setPresetStatus('Link copied');
+  } catch (e) {
+    // Clipboard blocked (e.g. insecure context): put it in the address bar instead
+    history.replaceState(null, '', url);
+    setPresetStatus('Link is in the address bar');
+  }
+};
+
+async function importPresetFiles(files) {
+  const summary = [];
+  for (const file of files) {
+    try {
+      const { presets: incoming } = parsePresetFile(await file.text(), configDefaults, file.name.replace(/(\.grpreset)?\.json$/i, ''));
+      const { added, skipped, renamed } = mergePresets(presets, incoming);
+      summary.push(`${file.name}: ${added.length} added` +
+        (renamed.length ? `, ${renamed.map(([a, b]) => `${a} → ${b}`).join(', ')}` : '') +
+        (skipped.length ? `, ${skipped.length} already present` : ''));
+    } catch (e) {
+      summary.push(`${file.name}: ${e.message}`);
+    }
+  }
+  storePresets();
+  if (presetLoadError) summary.push(presetLoadError);
+  setPresetStatus(summary.join(' · '));
+}
+
+// Opening a shared link applies its preset and offers its name for saving
+async function loadPresetFromHash() {
+  try {
+    const shared = await decodePresetHash(location.hash, configDefaults);
+    if (!shared) return;
+    applyPresetConfig(shared.config);
+    document.getElementById('preset-name').value = shared.name;
+  } catch (e) {
+    window.openPresetModal();
+    setPresetStatus(`Shared link could not be loaded: ${e.message}`);
+  }
+}
+
 function renderPresetList() {
   const list = document.getElementById('preset-list');
   list.innerHTML = '';
+  const icon = (text, title, color, onClick) => {
+    const el = document.createElement('span');
+    el.style.cssText = `color:${color};cursor:pointer;margin-left:10px;`;
+    el.textContent = text;
+    el.title = title;
+    el.addEventListener('click', onClick);
+    return el;
+  };
   Object.keys(presets).forEach(name => {
     const item = document.createElement('div');
     item.style.cssText = 'padding:10px;background:rgba(255,255,255,0.03);border-radius:8px;margin-bottom:8px;cursor:pointer;color:rgba(255,255,255,0.7);display:flex;justify-content:space-between;';
-    item.innerHTML = `<span onclick="loadPreset('${name}')">${name}</span><span style="color:rgba(255,100,100,0.6);cursor:pointer;" onclick="deletePreset('${name}')">✕</span>`;
+    const label = document.createElement('span');
+    label.textContent = name;
+    label.addEventListener('click', () => window.loadPreset(name));
+    const actions = document.createElement('span');
+    actions.append(
+      icon('↓', 'Export to file', 'rgba(255,255,255,0.45)', () => window.exportPreset(name)),
+      icon('🔗', 'Copy share link', 'rgba(255,255,255,0.45)', () => window.copyPresetLink(name)),
+      icon('✕', 'Delete', 'rgba(255,100,100,0.6)', () => window.deletePreset(name))
+    );
+    item.append(label, actions);
     list.appendChild(item);
   });
 }
 
+document.getElementById('presetImport').addEventListener('change', e => {
+  const files = [...e.target.files];
+  e.target.value = '';
+  if (files.length) importPresetFiles(files);
+});
+
 function randomize() {
+  // A fresh seed drives every choice below: the same seed picks the same values
+  // for these settings, while everything not set here keeps its current value
+  config.seed = randomSeed();
+  setSeed(config.seed);
+  const rand = resetStream('randomize');
+
   const forms = ['icosahedron', 'octahedron', 'dodecahedron', 'torus', 'torusKnot', 'sphere', 'mobius', 'gyroid', 'hopfFibration', 'seashell'];
   const themes = Object.keys(colorThemes);
   const cameras = ['orbit', 'reactive', 'cinematic', 'spiral', 'figure8', 'vortex', 'pendulum'];
   const particles = ['vertex', 'swarm', 'explode', 'orbital', 'magnetic', 'wave', 'vortex', 'aurora'];
   const trails = ['none', 'light', 'medium', 'heavy', 'smear'];
-  const envs = ['void', 'stars', 'nebula', 'grid'];
+  const envs = ['void', 'stars', 'nebula', 'grid', 'matrix', 'ocean', 'crystal'];
   const patterns = ['none', 'mandala', 'lattice', 'plasma', 'voronoi', 'waves'];
 
-  config.form = forms[Math.floor(Math.random() * forms.length)];
-  config.density = Math.floor(Math.random() * 4) + 1;
-  config.colorTheme = themes[Math.floor(Math.random() * themes.length)];
-  config.cameraMode = cameras[Math.floor(Math.random() * cameras.length)];
-  config.particleMode = particles[Math.floor(Math.random() * particles.length)];
-  config.trailMode = trails[Math.floor(Math.random() * trails.length)];
-  config.environment = envs[Math.floor(Math.random() * envs.length)];
-  config.bgPattern = patterns[Math.floor(Math.random() * patterns.length)];
-  config.symmetry = [3, 4, 6, 8, 12][Math.floor(Math.random() * 5)];
-  config.sensitivity = 0.6 + Math.random() * 1.8;
-  config.turbulence = Math.random() * 1.5;
-  config.bloomStrength = 0.4 + Math.random() * 1.2;
-  config.cameraSpeed = 0.3 + Math.random() * 1.2;
-  config.cameraShake = Math.random() * 1.0;
-  config.bgPatternStrength = 0.1 + Math.random() * 0.5;
-  config.showLightRays = Math.random() > 0.7;
-  config.showAurora = Math.random() > 0.7;
-  config.showEnergyField = Math.random() > 0.8;
-  config.showOrbitals = Math.random() > 0.7;
-
+  config.form = forms[Math.floor(rand() * forms.length)];
+  config.density = Math.floor(rand() * 4) + 1;
+  config.colorTheme = themes[Math.floor(rand() * themes.length)];
+  config.cameraMode = cameras[Math.floor(rand() * cameras.length)];
+  config.particleMode = particles[Math.floor(rand() * particles.length)];
+  config.trailMode = trails[Math.floor(rand() * trails.length)];
+  config.environment = envs[Math.floor(rand() * envs.length)];
+  config.bgPattern = patterns[Math.floor(rand() * patterns.length)];
+  config.symmetry = [3, 4, 6, 8, 12][Math.floor(rand() * 5)];
+  config.sensitivity = 0.6 + rand() * 1.8;
+  config.turbulence = rand() * 1.5;
+  config.bloomStrength = 0.4 + rand() * 1.2;
+  config.cameraSpeed = 0.3 + rand() * 1.2;
+  config.cameraShake = rand() * 1.0;
+  config.bgPatternStrength = 0.1 + rand() * 0.5;
+  config.showLightRays = rand() > 0.7;
+  config.showAurora = rand() > 0.7;
+  config.showEnergyField = rand() > 0.8;
+  config.showOrbitals = rand() > 0.7;
+
+  // A new theme brings its own colors; everything else follows from sync
   applyColorTheme(scene, bgUniforms, config, colorThemes);
-  setBgPatternFromConfig(bgUniforms, config);
-  updateTrailMode(afterimagePass, config.trailMode);
+  controls.sync();
+}
+
+// ============================================================================
+// CONTROLS
+// ============================================================================
+
+const applyColors = () => {
+  scene.fog.color.set(config.colorBg);
+  bgUniforms.uBgColor.value.set(config.colorBg);
+  bgUniforms.uAccentA.value.set(config.colorPrimary);
+  bgUniforms.uAccentB.value.set(config.colorSecondary);
+};
+
+const showObject = (key, getObject) => () => {
+  const obj = getObject();
+  if (obj) obj.visible = config[key];
+};
+
+const updateAnalysisChain = () => applyAnalysisChain(conditioning, config);
+const showObjects = (key, getObjects) => () => getObjects().forEach(obj => { obj.visible = config[key]; });
+
+const range = (apply, int = false) => ({ type: 'range', int, apply });
+const select = (apply) => ({ type: 'select', apply });
+const toggle = (id, apply) => ({ type: 'toggle', id, apply });
+
+const controls = new ControlRegistry(config, {
+  seed: {
+    type: 'number',
+    parse: v => { const n = parseInt(v); return Number.isFinite(n) ? n >>> 0 : null; },
+    apply: seededRebuild
+  },
+  form: select([changeMainGeometry, renderCustomForm]),
+  density: range(changeMainGeometry, true),
+  morphEnabled: toggle('toggleMorph'),
+  morphBeats: range(),
+  morphEasing: select(),
+  morphEveryBars: range(null, true),
+  sensitivity: range(),
+  smoothness: range(),
+  volume: range(() => { if (gainNode) gainNode.gain.value = config.volume; }),
+  analysisHighpass: range(updateAnalysisChain),
+  analysisCompressor: toggle('toggleAnalysisCompressor', updateAnalysisChain),
+  analysisThreshold: range(updateAnalysisChain),
+  analysisRatio: range(updateAnalysisChain),
+  analysisGain: range(updateAnalysisChain),
+  avLatencyAuto: toggle('toggleAVLatencyAuto'),
+  avOffset: range(),
+  visualMode: select(),
+
+  modelSpinSpeed: range(),
+  modelSpinAxis: select(),
+  modelSpinReactivity: range(),
+  modelPulseAmount: range(),
+  modelSpinEnabled: toggle('toggleModelSpin'),
+  modelSpinReactive: toggle('toggleModelSpinReactive'),
+  modelPulseEnabled: toggle('toggleModelPulse'),
+
+  // Picking a theme overwrites the custom colors; loading a config keeps its own
+  colorTheme: {
+    type: 'select',
+    apply: () => {
+      applyColorTheme(scene, bgUniforms, config, colorThemes);
+      ['colorPrimary', 'colorSecondary', 'colorBg'].forEach(key => controls.write(controls.get(key)));
+    },
+    refresh: applyColors
+  },
+  colorPrimary: { type: 'color', apply: applyColors },
+  colorSecondary: { type: 'color', apply: applyColors },
+  colorBg: { type: 'color', apply: applyColors },
+  colorReactivity: range(),
+  hueRotateSpeed: range(),
+  barLockColors: toggle('toggleBarLockColors'),
+  colorCycle: toggle('toggleColorCycle'),
+
+  cameraMode: select(() => { camRig.autoMode = config.cameraMode; }),
+  cameraDistance: range(),
+  cameraSpeed: range(),
+  cameraShake: range(),
+  cameraFov: range(() => { camera.fov = config.cameraFov; camera.updateProjectionMatrix(); }),
+  cameraBeatZoom: toggle('toggleBeatZoom'),
+  cameraAutoAngles: toggle('toggleAutoAngles'),
+  cameraStereoDrift: range(),
+
+  particleMode: select(),
+  fieldMode: select(),
+  symmetry: select(),
+  turbulence: range(),
+  cohesion: range(),
+  stereoSpread: range(),
+  particleCount: select(rebuildMainGeometry),
+  gpuParticles: toggle('toggleGpuParticles', rebuildMainGeometry),
+  particleSizeMult: range(),
+  particleBrightness: range(),
+
+  showWireframeCore: toggle('toggleWireframe', showObject('showWireframeCore', () => wireframeMesh)),
+  showRimGlow: toggle('toggleRimGlow'),
+  showInner: toggle('toggleInner', showObject('showInner', () => innerMesh)),
+  showOuter: toggle('toggleOuter', showObject('showOuter', () => outerMesh)),
+  showWaveform: toggle('toggleWaveform', showObject('showWaveform', () => waveformRing)),
+  waveformStyle: select(),
+  showBars: toggle('toggleBars', showObjects('showBars', () => freqBars)),
+  showConnections: toggle('toggleConnections', showObject('showConnections', () => connectionLines)),
+  connectionDistance: range(),
+  connectionMaxNeighbors: range(null, true),
+  showParticles: toggle('toggleParticles', showObject('showParticles', () => particleSystem)),
+  showDeepParticles: toggle('toggleDeepParticles', showObject('showDeepParticles', () => floatingParticles)),
+  showRings: toggle('toggleRings', showObjects('showRings', () => rings)),
+  // Shockwaves aren't built at all when they start disabled
+  showShockwaves: toggle('toggleShockwaves', () => {
+    if (config.showShockwaves && !shockwaves.length) shockwaves = buildShockwaves(scene, config);
+    shockwaves.forEach(s => { s.mesh.visible = config.showShockwaves; });
+  }),
+  showLightRays: toggle('toggleLightRays', buildLightRays),
+  showAurora: toggle('toggleAurora', buildAurora),
+  showEnergyField: toggle('toggleEnergyField', buildEnergyField),
+  showOrbitals: toggle('toggleOrbitals', buildOrbitals),
+  shockwaveIntensity: range(),
+  shockwaveImpactThreshold: range(),
+  shockwaveCooldown: range(),
+
+  bloomStrength: range(),
+  bloomRadius: range(),
+  trailMode: select(applyTrailMode),
+  qualityLocked: toggle('toggleQualityLock', () => {
+    governor.setLocked(config.qualityLocked);
+    applyQuality();
+  }),
+  qualityTargetFps: range(() => { governor.targetFps = config.qualityTargetFps; }, true),
+  showStats: toggle('toggleStats', () => {
+    statsEl.style.display = config.showStats ? 'block' : 'none';
+    _statsTimer = 0;
+  }),
+  glitchAmount: range(),
+  vignette: range(),
+  grain: range(),
+  aberration: range(),
+  anamorphic: range(),
+  scanlines: range(),
+  filmLook: select(),
+
+  environment: select(buildEnvironment),
+  fogDensity: range(() => { scene.fog.density = config.fogDensity; }),
+  ringCount: range(rebuildRings, true),
+  bgPattern: select(() => setBgPatternFromConfig(bgUniforms, config)),
+  bgPatternStrength: range(),
+
+  showSpectrum: toggle('toggleSpectrum'),
+  autoPilot: toggle('toggleAutoPilot'),
+  beatFlash: toggle('toggleBeatFlash'),
+  synesthesia: toggle('toggleSynesthesia'),
+  harmonicSnap: toggle('toggleHarmonicSnap'),
+  negativeSpace: toggle('toggleNegativeSpace', applyNegativeSpace),
+  reactiveBg: toggle('toggleReactiveBg'),
+
+  beatSource: select(),
+  midiDrumOnsets: toggle('toggleMidiDrums')
+});
+
+// ============================================================================
+// AUTOMATION
+// ============================================================================
+
+// Any slider or select in the control registry can be automated. Values go
+// through controls.set() so every side effect (geometry rebuilds, theme
+// changes, ...) runs exactly as if the user had moved the control.
+const automatableParams = controls.keys.filter(key => ['range', 'select'].includes(controls.get(key).type));
+
+function getParamInfo(param) {
+  const { el } = controls.get(param);
+  if (el.tagName === 'SELECT') {
+    const numeric = typeof config[param] === 'number';
+    return {
+      kind: 'select',
+      options: [...el.options].map(o => numeric ? Number(o.value) : o.value),
+      current: config[param]
+    };
+  }
+  return {
+    kind: 'number',
+    min: parseFloat(el.min),
+    max: parseFloat(el.max),
+    step: el.step === 'any' ? 0 : parseFloat(el.step) || 0,
+    current: config[param]
+  };
+}
 
-  document.getElementById('form').value = config.form;
-  document.getElementById('colorTheme').value = config.colorTheme;
-  document.getElementById('cameraMode').value = config.cameraMode;
-  document.getElementById('particleMode').value = config.particleMode;
-  document.getElementById('trailMode').value = config.trailMode;
-  document.getElementById('environment').value = config.environment;
-  document.getElementById('bgPattern').value = config.bgPattern;
+function applyAutomatedValue(param, value) {
+  if (config[param] !== value) controls.set(param, value);
 }
 
+// Song position in seconds, or fractional bars from the analyzer's beat counter
+function getSongTime(frame = null) {
+  const seconds = frame ? frame.timeSec : heardSongTime();
+  const bars = audio.barCount + (audio.beatCount % 4) / 4;
+  return automationTime(config.automation, seconds, bars);
+}
+
+function getAutomationDuration() {
+  if (config.automation.timeBase === 'bars') {
+    const lastKey = Math.max(0, ...config.automation.lanes.flatMap(l => l.keys.map(k => k.t)));
+    return Math.max(64, Math.ceil((lastKey + 8) / 16) * 16);
+  }
+  const d = playlist.activeEl.duration;
+  return Number.isFinite(d) && d > 0 ? d : 180;
+}
+
+const automationEditor = new AutomationEditor({
+  container: document.getElementById('automation-lanes'),
+  getAutomation: () => config.automation,
+  getParamInfo,
+  getTime: () => getSongTime(),
+  getDuration: getAutomationDuration
+});
+
+// ============================================================================
+// MODULATION
+// ============================================================================
+
+
+const uniformTarget = (label, uniforms, name, min, max) => ({
+  label, group: 'uniform', min, max,
+  get: () => uniforms[name].value,
+  set: v => { uniforms[name].value = v; }
+});
+
+// Sliders with side effects (rebuilds, audio gain, ...) only take effect on change, so per-frame modulation can't reach them
+const modTargets = {};
+automatableParams.forEach(key => {
+  const { el, type } = controls.get(key);
+  if (type !== 'range' || controls.hasEffects(key)) return;
+  modTargets[key] = {
+    label: key, group: 'config', min: parseFloat(el.min), max: parseFloat(el.max),
+    get: () => config[key],
+    set: v => { config[key] = v; }
+  };
+});
+Object.assign(modTargets, {
+  'bloom.strength': { label: 'bloom (final)', group: 'uniform', min: 0, max: 3, get: () => bloomPass.strength, set: v => { bloomPass.strength = v; } },
+  'fx.glitch': uniformTarget('fx glitch', screenFXPass.uniforms, 'uGlitch', 0, 1),
+  'fx.kaleidoscope': uniformTarget('fx kaleidoscope', screenFXPass.uniforms, 'uKaleidoscope', 0, 1),
+  'fx.negative': uniformTarget('fx negative', screenFXPass.uniforms, 'uNegative', 0, 1),
+  'fx.beatPulse': uniformTarget('fx beat flash', screenFXPass.uniforms, 'uBeatPulse', 0, 1),
+  'bg.patternStrength': uniformTarget('bg pattern', bgUniforms, 'uPatternStrength', 0, 1),
+  'bg.energy': uniformTarget('bg energy', bgUniforms, 'uEnergy', 0, 1.5),
+  'bg.bass': uniformTarget('bg bass', bgUniforms, 'uBass', 0, 1),
+  'bg.mid': uniformTarget('bg mid', bgUniforms, 'uMid', 0, 1),
+  'bg.high': uniformTarget('bg high', bgUniforms, 'uHigh', 0, 1),
+  'bg.beatPulse': uniformTarget('bg beat pulse', bgUniforms, 'uBeatPulse', 0, 1)
+});
+
+const modMatrix = new ModulationMatrix(modTargets);
+const modulationEditor = new ModulationEditor({
+  container: document.getElementById('mod-routes'),
+  getRoutes: () => config.modRoutes,
+  matrix: modMatrix
+});
+
 // ============================================================================
 // ANIMATION LOOP
 // ============================================================================
 
-const getFFTInterval = () => 1000 / (60 - config.smoothness * 30);
+// Live analysis rate in Hz: smoother settings read the FFT less often
+const getFFTRate = () => 60 - config.smoothness * 30;
 
 function animate(timestamp) {
   requestAnimationFrame(animate);
+  // The offline renderer drives frames itself while it is running
+  if (offlineRender.active) return;
   if (!timestamp) timestamp = performance.now();
 
   const rawDt = _lastFrameTime ? (timestamp - _lastFrameTime) / 1000 : 0.016;
   const dt = Math.min(rawDt, 0.05);
   _lastFrameTime = timestamp;
+  if (governor.sample(rawDt)) applyQuality();
+  updateAVSync();
+  renderFrame(dt);
+  updateStats(rawDt);
+}
+
+// The CPU particle path: spring every particle toward its audio-displaced target
+// and write position, color and size straight into the point buffers
+function updateCpuParticles(dt, t, phase, sens, symN, stereoSpread) {
+  const { spectralCentroid } = audio;
+  const pos = particleSystem.geometry.attributes.position.array;
+  const col = particleSystem.geometry.attributes.color.array;
+  const sizes = particleSystem.geometry.attributes.size.array;
+  const pMode = config.particleMode;
+  const turb = config.turbulence;
+  const cohe = config.cohesion;
+
+  const noiseOffset = t * 0.15;
+  // Spring and damping per 60 fps frame, scaled to this frame's dt (the GPU sim does the same)
+  const springStep = cohe * (0.4 - config.smoothness * 0.15) * dt * 60;
+  const velocityKeep = decay(frameTau(0.92 + config.smoothness * 0.05), dt);
+  const particlePulse = motion.pulse;
+  const particleImpact = motion.impact;
+
+  for (let i = 0; i < vertexData.length; i++) {
+    const vd = vertexData[i];
+    const freqVal = clamp(audio.getBand(vd.band) * 1.2 * sens, 0, 1.5);
+    const onset = audio.getOnset(vd.band) * 0.6;
+    const thetaSym = foldTheta(vd.theta, symN);
+
+    let disp = 1.0;
+
+    if (config.fieldMode === 'harmonic') {
+      const h1 = Math.sin(thetaSym + 2.0 * vd.phi + phase * 0.04);
+      const h2 = Math.sin(2.0 * thetaSym - 3.0 * vd.phi + phase * 0.028);
+      disp = 1.0 + freqVal * 0.5 * h1 + motion.lowMotion * 0.4 * h2 + particlePulse * 0.15 + onset * 0.08;
+    } else if (config.fieldMode === 'curl') {
+      const noiseVal = gradNoise(vd.base.x * 0.08 + noiseOffset, vd.base.y * 0.08, vd.base.z * 0.08 + t * 0.1);
+      disp = 1 + freqVal * 0.45 + onset * 0.25 + noiseVal * 0.2 * turb + particlePulse * 0.18;
+    } else if (config.fieldMode === 'spiral') {
+      const spiralWave = Math.sin(thetaSym + phase * 0.18 + motion.lowMotion * 2.0);
+      disp = 1 + freqVal * 0.45 + onset * 0.25 + spiralWave * 0.22 * sens + particlePulse * 0.18;
+    } else {
+      const noiseVal = gradNoise(vd.base.x * 0.12 + noiseOffset, vd.base.y * 0.12, vd.base.z * 0.12);
+      disp = 1 + freqVal * 0.55 + onset * 0.35 + noiseVal * 0.25 * turb + particlePulse * 0.2;
+    }
+    disp = clamp(disp, 0.7, 2.2);
+
+    _pool.targetPos.copy(vd.base).multiplyScalar(disp);
+    // Each band leans toward where it sits in the stereo field
+    _pool.targetPos.addScaledVector(_pool.stereoAxis, audio.bandPan[vd.band] * freqVal * stereoSpread * 3);
+
+    if (pMode === 'swarm') {
+      const swarmIntensity = turb * freqVal * 1.0;
+      _pool.targetPos.x += Math.cos(thetaSym + phase * 0.18) * swarmIntensity;
+      _pool.targetPos.y += Math.sin(vd.phi + phase * 0.14) * swarmIntensity * 0.7;
+      _pool.targetPos.z += Math.sin(thetaSym - phase * 0.16) * swarmIntensity;
+    } else if (pMode === 'explode') {
+      _pool.tmp.copy(vd.base).normalize();
+      const explodeForce = (particlePulse * 0.8 + particleImpact * 0.5) * 5 * sens;
+      _pool.targetPos.addScaledVector(_pool.tmp, explodeForce);
+    } else if (pMode === 'orbital') {
+      const ang = phase * 0.25 + vd.phase + freqVal * 2.0;
+      const r = vd.base.length() * (1 + freqVal * 0.3 * sens);
+      _pool.targetPos.set(Math.cos(ang) * r, vd.base.y * (1 + motion.midMotion * 0.35), Math.sin(ang) * r);
+    } else if (pMode === 'magnetic') {
+      const attractorY = (motion.lowMotion - motion.highMotion) * 6;
+      const attractorStrength = motion.swell * 0.12 * sens;
+      _pool.tmp.set(0, attractorY, 0).sub(vd.current);
+      const dist = Math.max(_pool.tmp.length(), 0.5);
+      _pool.targetPos.addScaledVector(_pool.tmp.normalize(), attractorStrength / (dist * 0.08));
+      _pool.targetPos.x += Math.sin(phase * 0.2 + vd.phase) * motion.midMotion * 1.2;
+      _pool.targetPos.z += Math.cos(phase * 0.2 + vd.phase) * motion.midMotion * 1.2;
+    } else if (pMode === 'wave') {
+      const wave1 = Math.sin(thetaSym + phase * 0.35) * motion.lowMotion * 2.5;
+      const wave2 = Math.sin(thetaSym * 2 + phase * 0.5 + Math.PI / 3) * motion.midMotion * 1.2;
+      const wave3 = Math.sin(thetaSym * 3 + phase * 0.7) * motion.highMotion * 0.6;
+      _pool.targetPos.y += (wave1 + wave2 + wave3) * sens;
+    } else if (pMode === 'vortex') {
+      const vAng = phase * 0.35 + vd.phase;
+      const vR = vd.base.length() * (1 + motion.lowMotion * 0.2);
+      _pool.targetPos.x = Math.cos(vAng + thetaSym * 0.5) * vR;
+      _pool.targetPos.z = Math.sin(vAng + thetaSym * 0.5) * vR;
+      _pool.targetPos.y = vd.base.y * (1 + motion.midMotion * 0.25) + motion.highMotion * 3 * Math.sin(vAng * 2);
+    } else if (pMode === 'aurora') {
+      const aWave1 = Math.sin(vd.base.x * 0.15 + phase * 0.12) * Math.cos(vd.base.z * 0.15 + phase * 0.08);
+      const aWave2 = Math.sin(vd.base.x * 0.25 + phase * 0.18 + Math.PI / 4) * motion.highMotion;
+      _pool.targetPos.y += (aWave1 * motion.midMotion * 3.0 + aWave2 * 1.2) * sens;
+      _pool.targetPos.x += Math.sin(phase * 0.08 + vd.base.y * 0.1) * motion.lowMotion * 0.6;
+    }
+
+    _pool.tmp.copy(_pool.targetPos).sub(vd.current);
+
+    vd.velocity.add(_pool.tmp.multiplyScalar(springStep));
+    vd.velocity.multiplyScalar(velocityKeep);
+
+    const maxVel = 2.0 - config.smoothness * 1.0;
+    const velMag = vd.velocity.length();
+    if (velMag > maxVel) {
+      vd.velocity.multiplyScalar(maxVel / velMag);
+    }
+
+    vd.current.addScaledVector(vd.velocity, dt);
+
+    pos[i * 3] = vd.current.x;
+    pos[i * 3 + 1] = vd.current.y;
+    pos[i * 3 + 2] = vd.current.z;
+
+    const colorEnergy = freqVal + onset * 0.3;
+    const colorPhase = fract((thetaSym / TAU) + spectralCentroid * 0.25);
+    const c = getHarmonizedColor(colorEnergy, colorPhase, config, palette, audio, music);
+    const brightness = clamp(0.35 + freqVal * 0.45 + motion.pulse * 0.15, 0.15, 1.0);
+    col[i * 3] = c.r * brightness;
+    col[i * 3 + 1] = c.g * brightness;
+    col[i * 3 + 2] = c.b * brightness;
+
+    const baseSize = 0.12 + freqVal * 0.14;
+    const pulseSize = motion.pulse * 0.25;
+    sizes[i] = baseSize * (1 + pulseSize);
+  }
+
+  particleSystem.geometry.attributes.position.needsUpdate = true;
+  particleSystem.geometry.attributes.color.needsUpdate = true;
+  particleSystem.geometry.attributes.size.needsUpdate = true;
+}
+
+// Advance the whole visual state by dt and render once.
+// When `frame` is given its precomputed FFT data replaces the live analyser.
+function renderFrame(dt, frame = null) {
   _animationTime += dt;
   const t = _animationTime;
+  const camRand = stream('camera');
+  renderer.info.reset();
 
   // Model spin
   if (config.modelSpinEnabled) {
@@ -449,24 +1491,76 @@ function animate(timestamp) {
   }
 
   let isBeat = false;
-  if (analyser && playing) {
-    if ((timestamp - _lastFFTUpdate) >= getFFTInterval()) {
-      _lastFFTUpdate = timestamp;
-      analyser.getByteFrequencyData(freqData);
-      analyser.getByteTimeDomainData(timeData);
+  // A feature replay stands in for the analyser (and everything else that drives the beat)
+  const replaying = !frame && !!featureReplay;
+  // MIDI clock only drives live playback; offline renders always follow the track
+  const midiLocked = !frame && !replaying && config.beatSource === 'midi' && midiClock.isLocked(performance.now());
+  const hasAudio = frame || replaying || (analyser && (playing || audioInput.isLive || midiLocked));
+  if (frame) {
+    freqData.set(frame.freq);
+    timeData.set(frame.time);
+    for (const side of ['left', 'right']) {
+      stereo[side].freq.set(frame[side].freq);
+      stereo[side].time.set(frame[side].time);
+    }
+  } else if (!replaying && hasAudio) {
+    // Seconds of audio the analyser steps over with this read; 0 when none is due
+    const step = fftTimer.tick(dt, getFFTRate());
+    if (step > 0) {
+      const slot = frameDelay.add(audioCtx.currentTime, step, READ_SHAPE);
+      analyser.getByteFrequencyData(slot.freq);
+      analyser.getByteTimeDomainData(slot.time);
+      stereoAnalysers.left.getByteFrequencyData(slot.freqL);
+      stereoAnalysers.left.getByteTimeDomainData(slot.timeL);
+      stereoAnalysers.right.getByteFrequencyData(slot.freqR);
+      stereoAnalysers.right.getByteTimeDomainData(slot.timeR);
     }
+  }
+  const trackAnalysis = hasAudio && !midiLocked && !replaying ? currentTrackAnalysis(frame) : null;
+  beatGrid.source = midiLocked ? 'midi' : trackAnalysis ? 'track' : null;
+  beatGrid.active = !!beatGrid.source;
+  let replayBeats = null;
+  if (replaying) {
+    const { index, beat } = featureReplay.advance(dt);
+    featureReplay.track.apply(index, audio, motion, timeData);
+    // Recordings keep one waveform, so the goniometer shows it on both channels
+    stereo.left.time.set(timeData);
+    stereo.right.time.set(timeData);
+    replayBeats = featureReplay.track.value(index, 'musicBeats');
+    isBeat = beat;
+  } else if (hasAudio) {
     const smoothingAlpha = 0.18 + config.smoothness * 0.15;
-    isBeat = audio.analyze(freqData, timeData, dt, null, null, smoothingAlpha);
+    if (frame) isBeat = audio.analyze(freqData, timeData, dt, stereo.left, stereo.right, smoothingAlpha);
+    else isBeat = analyzeHeardReads(smoothingAlpha);
+    if (midiLocked) isBeat = syncBeatPosition(midiClock.position(performance.now()), midiClock.bpm);
+    else if (trackAnalysis) isBeat = syncBeatGrid(trackAnalysis, frame ? frame.timeSec : heardSongTime());
+    if (!frame) midiOnsets.forEach(hit => audio.triggerOnset(hit.kind, hit.strength));
+  }
+  midiOnsets.length = 0;
+
+  if (replaying) music.update(dt, audio.bpmSmooth, replayBeats);
+  else if (beatGrid.active) music.update(dt, audio.bpmSmooth, beatGrid.position);
+  else music.update(dt, audio.getBPM());
+  evaluateAutomation(config.automation, getSongTime(frame), applyAutomatedValue);
+  if (!frame && document.querySelector('.settings-panel[data-panel="automate"].active')) automationEditor.draw();
 
-    motion.update(audio, dt, music.phase, config.smoothness);
+  if (hasAudio) {
+    if (!replaying) motion.update(audio, dt, music.phase, config.smoothness);
+    if (!frame && !replaying) featureRecorder.capture({ time: t, dt, beat: isBeat ? 1 : 0, musicBeats: music.beats }, audio, motion, timeData);
 
-    document.getElementById('bpm-display').textContent = `${audio.getBPM()} BPM`;
+    document.getElementById('bpm-display').textContent = `${audio.getBPM()} BPM${beatGrid.source === 'midi' ? ' · MIDI' : ''}`;
     document.getElementById('energy-display').textContent = `Energy: ${(audio.energy * 100).toFixed(0)}%`;
     document.getElementById('bar-display').textContent = `Bar: ${audio.barCount}`;
-    document.getElementById('note-display').textContent = `Note: ${audio.noteName}`;
+    document.getElementById('key-display').textContent = `Key: ${audio.keyName}${Number.isFinite(audio.keyRoot) ? ` · ${Math.round(audio.keyConfidence * 100)}%` : ''}`;
+    document.getElementById('chord-display').textContent = `Chord: ${audio.chordName}`;
+    document.getElementById('note-display').textContent = `Melody: ${audio.melodyNote}`;
+    if (beatGrid.source === 'track') document.getElementById('section-display').textContent = `Section: ${beatGrid.section ? beatGrid.section.label : '--'}`;
   }
 
-  updateMusicClock(dt);
+  // Config targets are modulated for the rest of this frame and restored after render
+  modMatrix.update(config.modRoutes, dt, { audio, motion, beats: music.beats });
+  modMatrix.apply(config.modRoutes, 'config');
+  if (!frame && document.querySelector('.settings-panel[data-panel="mod"].active')) modulationEditor.draw();
 
   if (config.hueRotateSpeed > 0) {
     palette.globalHueShift += dt * config.hueRotateSpeed * 0.1;
@@ -476,15 +1570,21 @@ function animate(timestamp) {
   if (audio.barCount !== music.lastSeenBar) {
     music.lastSeenBar = audio.barCount;
     if (config.barLockColors) palette.hOffsetTarget = (hash1(audio.barCount * 0.97) - 0.5) * 0.10;
-    if (config.cameraAutoAngles && audio.barCount > 0 && audio.barCount % 16 === 0) {
-      const modes = ['orbit', 'reactive', 'cinematic', 'spiral', 'figure8', 'vortex', 'pendulum'];
-      camState.autoMode = modes[Math.floor(Math.random() * modes.length)];
-      camState.autoAngleOffsetTarget = (Math.random() * 2 - 1) * (Math.PI * 0.45);
-      camState.autoHeightBiasTarget = (Math.random() * 2 - 1) * 7.0;
-      camState.autoRollTarget = (Math.random() * 2 - 1) * (Math.PI / 18);
+    // With an analysed track, cut at real section boundaries; otherwise every 16 bars
+    const angleCut = beatGrid.source === 'track' ? beatGrid.sectionChanged : audio.barCount > 0 && audio.barCount % 16 === 0;
+    if (config.cameraAutoAngles && angleCut) {
+      camRig.cut(camRand);
+    }
+    if (config.morphEnabled && config.morphEveryBars > 0 && audio.barCount > 0 && audio.barCount % config.morphEveryBars === 0) {
+      controls.set('form', nextAutoMorphForm());
     }
   }
-  palette.hOffset = lerp(palette.hOffset, palette.hOffsetTarget, dt * 0.8);
+  palette.hOffset = damp(palette.hOffset, palette.hOffsetTarget, 0.8, dt);
+  if (config.harmonicSnap) {
+    const offset = harmonicHueOffset(audio);
+    if (offset !== null) palette.harmonicHueTarget = offset;
+  }
+  palette.harmonicHue = damp(palette.harmonicHue, palette.harmonicHueTarget, 3, dt);
 
   const { smoothSubBass, smoothBass, smoothLowMid, smoothMid, smoothHighMid, smoothHigh, smoothBrilliance, spectralCentroid, spectralFlux, energy, transientSharpness, onsetSnare, onsetHihat } = audio;
   const phase = music.phase;
@@ -549,126 +1649,42 @@ function animate(timestamp) {
     );
 
     if (rimMesh) {
-      rimMesh.visible = config.negativeSpace;
+      rimMesh.visible = config.negativeSpace && config.showRimGlow;
       rimMesh.rotation.copy(wireframeMesh.rotation);
       rimMesh.scale.copy(wireframeMesh.scale);
       rimMesh.material.uniforms.uColor.value.copy(getHarmonizedColor(motion.swell, 0.5, config, palette, audio, music));
       rimMesh.material.uniforms.uTime.value = t;
     }
 
-    // Update particles
-    const pos = particleSystem.geometry.attributes.position.array;
-    const col = particleSystem.geometry.attributes.color.array;
-    const sizes = particleSystem.geometry.attributes.size.array;
-    const pMode = config.particleMode;
-    const turb = config.turbulence;
-    const cohe = config.cohesion;
-
-    const noiseOffset = t * 0.15;
-    const particlePulse = motion.pulse;
-    const particleImpact = motion.impact;
-
-    for (let i = 0; i < vertexData.length; i++) {
-      const vd = vertexData[i];
-      const freqVal = clamp(audio.getBand(vd.band) * 1.2 * sens, 0, 1.5);
-      const onset = audio.getOnset(vd.band) * 0.6;
-      const thetaSym = foldTheta(vd.theta, symN);
-
-      let disp = 1.0;
-
-      if (config.fieldMode === 'harmonic') {
-        const h1 = Math.sin(thetaSym + 2.0 * vd.phi + phase * 0.04);
-        const h2 = Math.sin(2.0 * thetaSym - 3.0 * vd.phi + phase * 0.028);
-        disp = 1.0 + freqVal * 0.5 * h1 + motion.lowMotion * 0.4 * h2 + particlePulse * 0.15 + onset * 0.08;
-      } else if (config.fieldMode === 'curl') {
-        const noiseVal = gradNoise(vd.base.x * 0.08 + noiseOffset, vd.base.y * 0.08, vd.base.z * 0.08 + t * 0.1);
-        disp = 1 + freqVal * 0.45 + onset * 0.25 + noiseVal * 0.2 * turb + particlePulse * 0.18;
-      } else if (config.fieldMode === 'spiral') {
-        const spiralWave = Math.sin(thetaSym + phase * 0.18 + motion.lowMotion * 2.0);
-        disp = 1 + freqVal * 0.45 + onset * 0.25 + spiralWave * 0.22 * sens + particlePulse * 0.18;
-      } else {
-        const noiseVal = gradNoise(vd.base.x * 0.12 + noiseOffset, vd.base.y * 0.12, vd.base.z * 0.12);
-        disp = 1 + freqVal * 0.55 + onset * 0.35 + noiseVal * 0.25 * turb + particlePulse * 0.2;
-      }
-      disp = clamp(disp, 0.7, 2.2);
-
-      _pool.targetPos.copy(vd.base).multiplyScalar(disp);
-
-      if (pMode === 'swarm') {
-        const swarmIntensity = turb * freqVal * 1.0;
-        _pool.targetPos.x += Math.cos(thetaSym + phase * 0.18) * swarmIntensity;
-        _pool.targetPos.y += Math.sin(vd.phi + phase * 0.14) * swarmIntensity * 0.7;
-        _pool.targetPos.z += Math.sin(thetaSym - phase * 0.16) * swarmIntensity;
-      } else if (pMode === 'explode') {
-        _pool.tmp.copy(vd.base).normalize();
-        const explodeForce = (particlePulse * 0.8 + particleImpact * 0.5) * 5 * sens;
-        _pool.targetPos.addScaledVector(_pool.tmp, explodeForce);
-      } else if (pMode === 'orbital') {
-        const ang = phase * 0.25 + vd.phase + freqVal * 2.0;
-        const r = vd.base.length() * (1 + freqVal * 0.3 * sens);
-        _pool.targetPos.set(Math.cos(ang) * r, vd.base.y * (1 + motion.midMotion * 0.35), Math.sin(ang) * r);
-      } else if (pMode === 'magnetic') {
-        const attractorY = (motion.lowMotion - motion.highMotion) * 6;
-        const attractorStrength = motion.swell * 0.12 * sens;
-        _pool.tmp.set(0, attractorY, 0).sub(vd.current);
-        const dist = Math.max(_pool.tmp.length(), 0.5);
-        _pool.targetPos.addScaledVector(_pool.tmp.normalize(), attractorStrength / (dist * 0.08));
-        _pool.targetPos.x += Math.sin(phase * 0.2 + vd.phase) * motion.midMotion * 1.2;
-        _pool.targetPos.z += Math.cos(phase * 0.2 + vd.phase) * motion.midMotion * 1.2;
-      } else if (pMode === 'wave') {
-        const wave1 = Math.sin(thetaSym + phase * 0.35) * motion.lowMotion * 2.5;
-        const wave2 = Math.sin(thetaSym * 2 + phase * 0.5 + Math.PI / 3) * motion.midMotion * 1.2;
-        const wave3 = Math.sin(thetaSym * 3 + phase * 0.7) * motion.highMotion * 0.6;
-        _pool.targetPos.y += (wave1 + wave2 + wave3) * sens;
-      } else if (pMode === 'vortex') {
-        const vAng = phase * 0.35 + vd.phase;
-        const vR = vd.base.length() * (1 + motion.lowMotion * 0.2);
-        _pool.targetPos.x = Math.cos(vAng + thetaSym * 0.5) * vR;
-        _pool.targetPos.z = Math.sin(vAng + thetaSym * 0.5) * vR;
-        _pool.targetPos.y = vd.base.y * (1 + motion.midMotion * 0.25) + motion.highMotion * 3 * Math.sin(vAng * 2);
-      } else if (pMode === 'aurora') {
-        const aWave1 = Math.sin(vd.base.x * 0.15 + phase * 0.12) * Math.cos(vd.base.z * 0.15 + phase * 0.08);
-        const aWave2 = Math.sin(vd.base.x * 0.25 + phase * 0.18 + Math.PI / 4) * motion.highMotion;
-        _pool.targetPos.y += (aWave1 * motion.midMotion * 3.0 + aWave2 * 1.2) * sens;
-        _pool.targetPos.x += Math.sin(phase * 0.08 + vd.base.y * 0.1) * motion.lowMotion * 0.6;
-      }
-
-      _pool.tmp.copy(_pool.targetPos).sub(vd.current);
-
-      const effectiveCohesion = cohe * (0.4 - config.smoothness * 0.15);
-      vd.velocity.add(_pool.tmp.multiplyScalar(effectiveCohesion));
-
-      const damping = 0.92 + config.smoothness * 0.05;
-      vd.velocity.multiplyScalar(damping);
-
-      const maxVel = 2.0 - config.smoothness * 1.0;
-      const velMag = vd.velocity.length();
-      if (velMag > maxVel) {
-        vd.velocity.multiplyScalar(maxVel / velMag);
-      }
-
-      vd.current.addScaledVector(vd.velocity, dt);
-
-      pos[i * 3] = vd.current.x;
-      pos[i * 3 + 1] = vd.current.y;
-      pos[i * 3 + 2] = vd.current.z;
+    // Animated custom form: re-evaluate the surface and let the particles follow it
+    // (a morph owns the surface until it lands)
+    const custom = rimMesh && rimMesh.geometry.userData.custom;
+    if (formMorph) {
+      stepFormMorph(dt);
+    } else if (custom && custom.form.dynamic) {
+      Object.assign(customFormScope, {
+        time: t, bass: audio.smoothBass, mid: audio.smoothMid, high: audio.smoothHigh,
+        energy: audio.energy, beat: motion.pulse
+      });
+      updateCustomGeometry(rimMesh.geometry, customFormScope);
+      const src = rimMesh.geometry.attributes.position.array;
+      vertexData.forEach(vd => {
+        if (vd.source !== undefined) vd.base.set(src[vd.source * 3], src[vd.source * 3 + 1], src[vd.source * 3 + 2]);
+      });
+      if (gpuParticles) gpuParticles.updateBases(vertexData);
+    }
 
-      const colorEnergy = freqVal + onset * 0.3;
-      const colorPhase = fract((thetaSym / TAU) + spectralCentroid * 0.25);
-      const c = getHarmonizedColor(colorEnergy, colorPhase, config, palette, audio, music);
-      const brightness = clamp(0.35 + freqVal * 0.45 + motion.pulse * 0.15, 0.15, 1.0);
-      col[i * 3] = c.r * brightness;
-      col[i * 3 + 1] = c.g * brightness;
-      col[i * 3 + 2] = c.b * brightness;
+    // Screen-right in the particles' own space, for the stereo push
+    _pool.quatInv.copy(wireframeMesh.quaternion).invert();
+    _pool.stereoAxis.set(1, 0, 0).applyQuaternion(camera.quaternion).applyQuaternion(_pool.quatInv);
+    const stereoSpread = config.stereoSpread * sens;
 
-      const baseSize = 0.12 + freqVal * 0.14;
-      const pulseSize = motion.pulse * 0.25;
-      sizes[i] = baseSize * (1 + pulseSize);
+    // Update particles
+    if (gpuParticles) {
+      gpuParticles.update(dt, { t, phase, config, audio, motion, stereoAxis: _pool.stereoAxis, harmony: getHarmonyParams(config, palette, audio, music, _harmony) });
+    } else {
+      updateCpuParticles(dt, t, phase, sens, symN, stereoSpread);
     }
-
-    particleSystem.geometry.attributes.position.needsUpdate = true;
-    particleSystem.geometry.attributes.color.needsUpdate = true;
-    particleSystem.geometry.attributes.size.needsUpdate = true;
     particleSystem.rotation.copy(wireframeMesh.rotation);
     particleSystem.scale.copy(wireframeMesh.scale);
     particleSystem.material.uniforms.uTime.value = t;
@@ -679,36 +1695,43 @@ function animate(timestamp) {
 
   // Connection lines
   if (connectionLines && config.showConnections && vertexData.length > 1) {
-    const linePos = connectionLines.geometry.attributes.position.array;
-    const lineCol = connectionLines.geometry.attributes.color.array;
-    let lineIdx = 0;
-    const maxDist = 3.5 + motion.midMotion * 4.0 + motion.pulse * 2.0;
+    const maxDist = config.connectionDistance + motion.midMotion * 4.0 + motion.pulse * 2.0;
     _pool.quat.setFromEuler(wireframeMesh.rotation);
     const scale = wireframeMesh.scale.x;
-    const limit = Math.min(vertexData.length, 150);
-
-    for (let i = 0; i < limit && lineIdx < linePos.length / 6; i++) {
-      for (let j = i + 1; j < limit && lineIdx < linePos.length / 6; j++) {
-        _pool.vi.copy(vertexData[i].current).multiplyScalar(scale).applyQuaternion(_pool.quat);
-        _pool.vj.copy(vertexData[j].current).multiplyScalar(scale).applyQuaternion(_pool.quat);
-        const d = _pool.vi.distanceTo(_pool.vj);
-        if (d < maxDist) {
-          linePos[lineIdx * 6] = _pool.vi.x;
-          linePos[lineIdx * 6 + 1] = _pool.vi.y;
-          linePos[lineIdx * 6 + 2] = _pool.vi.z;
-          linePos[lineIdx * 6 + 3] = _pool.vj.x;
-          linePos[lineIdx * 6 + 4] = _pool.vj.y;
-          linePos[lineIdx * 6 + 5] = _pool.vj.z;
-          const bright = clamp((maxDist - d) / maxDist, 0, 1) * 0.24 + 0.03;
-          const c = getHarmonizedColor(energy, 0.5, config, palette, audio, music);
-          lineCol[lineIdx * 6] = lineCol[lineIdx * 6 + 3] = c.r * bright;
-          lineCol[lineIdx * 6 + 1] = lineCol[lineIdx * 6 + 4] = c.g * bright;
-          lineCol[lineIdx * 6 + 2] = lineCol[lineIdx * 6 + 5] = c.b * bright;
-          lineIdx++;
-        }
+    const count = Math.min(vertexData.length, Math.round(CONNECTION_PARTICLE_LIMIT * quality.connectionScale));
+    if (gpuParticles) gpuParticles.readPositions(vertexData, count);
+
+    // World-space positions, searched through the grid instead of testing every pair
+    if (connectionPoints.length < count * 3) connectionPoints = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      _pool.vi.copy(vertexData[i].current).multiplyScalar(scale).applyQuaternion(_pool.quat);
+      connectionPoints[i * 3] = _pool.vi.x;
+      connectionPoints[i * 3 + 1] = _pool.vi.y;
+      connectionPoints[i * 3 + 2] = _pool.vi.z;
+    }
+    const lines = neighborGrid.query(connectionPoints, count, maxDist, config.connectionMaxNeighbors);
+    ensureLineCapacity(lines);
+
+    const linePos = connectionLines.geometry.attributes.position.array;
+    const lineCol = connectionLines.geometry.attributes.color.array;
+    const pairs = neighborGrid.pairs;
+    const c = getHarmonizedColor(energy, 0.5, config, palette, audio, music);
+    for (let l = 0; l < lines; l++) {
+      const i = pairs[l * 2] * 3, j = pairs[l * 2 + 1] * 3;
+      const dx = connectionPoints[j] - connectionPoints[i];
+      const dy = connectionPoints[j + 1] - connectionPoints[i + 1];
+      const dz = connectionPoints[j + 2] - connectionPoints[i + 2];
+      const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      for (let a = 0; a < 3; a++) {
+        linePos[l * 6 + a] = connectionPoints[i + a];
+        linePos[l * 6 + 3 + a] = connectionPoints[j + a];
       }
+      const bright = clamp((maxDist - d) / maxDist, 0, 1) * 0.24 + 0.03;
+      lineCol[l * 6] = lineCol[l * 6 + 3] = c.r * bright;
+      lineCol[l * 6 + 1] = lineCol[l * 6 + 4] = c.g * bright;
+      lineCol[l * 6 + 2] = lineCol[l * 6 + 5] = c.b * bright;
     }
-    connectionLines.geometry.setDrawRange(0, lineIdx * 2);
+    connectionLines.geometry.setDrawRange(0, lines * 2);
     connectionLines.geometry.attributes.position.needsUpdate = true;
     connectionLines.geometry.attributes.color.needsUpdate = true;
   }
@@ -735,7 +1758,20 @@ function animate(timestamp) {
     const baseRadius = 12;
     const waveAmplitude = 3.5 * (1 + motion.swell * 0.4);
 
-    for (let i = 0; i < 256; i++) {
+    if (config.waveformStyle === 'goniometer') {
+      // Lissajous of consecutive left/right samples: mid runs up, side across,
+      // so mono is a vertical line and a wide mix opens out sideways
+      const scale = baseRadius * 0.8 * (1 + motion.swell * 0.4);
+      const { left, right } = stereo;
+      for (let i = 0; i < 256; i++) {
+        const dataIdx = Math.min(left.time.length - 1, i * 4);
+        const l = left.time[dataIdx] / 128 - 1;
+        const r = right.time[dataIdx] / 128 - 1;
+        wPos[i * 3] = (r - l) * 0.5 * scale;
+        wPos[i * 3 + 1] = 0;
+        wPos[i * 3 + 2] = -(l + r) * 0.5 * scale;
+      }
+    } else for (let i = 0; i < 256; i++) {
       const ang = (i / 256) * TAU;
       const dataIdx = Math.floor((i * timeData.length) / 256);
       const sample = timeData[dataIdx] / 128 - 1;
@@ -759,7 +1795,7 @@ function animate(timestamp) {
     const v = audio.getBand(idx);
     const peak = audio.bandPeaks[idx];
     const targetScale = 0.5 + v * 8 + (peak - v) * 1.5;
-    bar.scale.y = lerp(bar.scale.y, targetScale, 0.25);
+    bar.scale.y = damp(bar.scale.y, targetScale, 17, dt);   // 0.25 per frame at 60 fps
     bar.material.color.copy(getHarmonizedColor(v, idx / 64, config, palette, audio, music));
     bar.material.opacity = 0.35 + v * 0.45;
   });
@@ -842,100 +1878,22 @@ function animate(timestamp) {
     floatingParticles.geometry.attributes.color.needsUpdate = true;
   }
 
-  // Camera
-  const mode = config.autoPilot ? camState.autoMode : config.cameraMode;
-  const cSpeed = config.cameraSpeed;
-  const cShake = config.cameraShake;
-
-  camState.autoAngleOffset = lerp(camState.autoAngleOffset, camState.autoAngleOffsetTarget, dt * 0.5);
-  camState.autoHeightBias = lerp(camState.autoHeightBias, camState.autoHeightBiasTarget, dt * 0.5);
-  camState.autoRoll = lerp(camState.autoRoll, camState.autoRollTarget, dt * 0.3);
-
-  const camPhase = t * 2.0;
-  switch (mode) {
-    case 'orbit':
-      camState.targetAngle = camPhase * 0.08 * cSpeed + camState.autoAngleOffset;
-      camState.targetHeight = Math.sin(camPhase * 0.04 * cSpeed) * 8 + camState.autoHeightBias;
-      camState.targetDistance = config.cameraDistance;
-      break;
-    case 'reactive':
-      camState.targetAngle = camPhase * 0.06 * cSpeed + motion.swell * 0.3 + camState.autoAngleOffset;
-      camState.targetHeight = motion.midMotion * 6 - 1 + camState.autoHeightBias;
-      camState.targetDistance = config.cameraDistance - motion.swell * 4;
-      camState.targetRoll = (motion.highMotion - 0.3) * 0.08;
-      break;
-    case 'cinematic':
-      camState.targetAngle = Math.sin(camPhase * 0.02 * cSpeed) * 1.2 + camState.autoAngleOffset;
-      camState.targetHeight = Math.cos(camPhase * 0.015 * cSpeed) * 6 + 2 + camState.autoHeightBias;
-      camState.targetDistance = config.cameraDistance + Math.sin(camPhase * 0.01) * 5;
-      break;
-    case 'spiral':
-      camState.targetAngle = camPhase * 0.12 * cSpeed + camState.autoAngleOffset;
-      camState.targetHeight = Math.sin(camPhase * 0.08 * cSpeed) * 12 + camState.autoHeightBias;
-      camState.targetDistance = config.cameraDistance + Math.cos(camPhase * 0.06) * 8;
-      break;
-    case 'figure8':
-      camState.targetAngle = Math.sin(camPhase * 0.05 * cSpeed) * 1.5 + camState.autoAngleOffset;
-      camState.targetHeight = Math.sin(camPhase * 0.1 * cSpeed) * Math.cos(camPhase * 0.05 * cSpeed) * 10 + camState.autoHeightBias;
-      camState.targetDistance = config.cameraDistance;
-      break;
-    case 'vortex':
-      camState.targetAngle = camPhase * 0.15 * cSpeed + motion.swell * 0.8 + camState.autoAngleOffset;
-      camState.targetHeight = motion.highMotion * 5 + camState.autoHeightBias;
-      camState.targetDistance = config.cameraDistance - motion.swell * 6;
-      camState.targetRoll = camPhase * 0.02 * cSpeed;
-      break;
-    case 'pendulum':
-      camState.targetAngle = Math.sin(camPhase * 0.04 * cSpeed) * 2 + camState.autoAngleOffset;
-      camState.targetHeight = Math.abs(Math.sin(camPhase * 0.04 * cSpeed)) * 15 - 5 + camState.autoHeightBias;
-      camState.targetDistance = config.cameraDistance;
-      break;
-    case 'flythrough':
-      camState.targetAngle = camPhase * 0.1 * cSpeed + camState.autoAngleOffset;
-      camState.targetHeight = Math.sin(camPhase * 0.05 * cSpeed) * 5 + camState.autoHeightBias;
-      camState.targetDistance = config.cameraDistance + Math.sin(camPhase * 0.08 * cSpeed) * 15;
-      break;
-    case 'drunk':
-      camState.drunk.x = lerp(camState.drunk.x, (Math.random() - 0.5) * 0.8, dt * 0.5);
-      camState.drunk.y = lerp(camState.drunk.y, (Math.random() - 0.5) * 0.6, dt * 0.5);
-      camState.drunk.z = lerp(camState.drunk.z, (Math.random() - 0.5) * 0.4, dt * 0.5);
-      camState.targetAngle = camPhase * 0.05 * cSpeed + camState.drunk.x + camState.autoAngleOffset;
-      camState.targetHeight = camState.drunk.y * 10 + camState.autoHeightBias;
-      camState.targetDistance = config.cameraDistance + camState.drunk.z * 10;
-      camState.targetRoll = camState.drunk.z * 0.3 + camState.autoRoll;
-      break;
-  }
-
-  if (config.cameraBeatZoom) {
-    camState.targetDistance += motion.zoomSuggestion * 8;
-  }
-
-  const camLerpBase = 1.8 - config.smoothness * 1.0;
-  const camLerpSlow = camLerpBase * 0.8;
-
-  camState.angle = lerp(camState.angle, camState.targetAngle, dt * camLerpBase);
-  camState.height = lerp(camState.height, camState.targetHeight, dt * camLerpSlow);
-  camState.distance = lerp(camState.distance, camState.targetDistance, dt * camLerpSlow);
-  camState.roll = lerp(camState.roll, camState.targetRoll + camState.autoRoll, dt * camLerpSlow * 0.8);
-  camState.look.lerp(camState.targetLook, dt * camLerpSlow);
-
-  const shakeMultiplier = 1.0 - config.smoothness * 0.9;
-  if (cShake > 0 && shakeMultiplier > 0.05) {
-    const shakeAmt = motion.impact * cShake * 0.12 * shakeMultiplier;
-    const shakeLerp = dt * (3.0 - config.smoothness * 2.0);
-    camState.shake.x = lerp(camState.shake.x, (Math.random() - 0.5) * shakeAmt, shakeLerp);
-    camState.shake.y = lerp(camState.shake.y, (Math.random() - 0.5) * shakeAmt, shakeLerp);
-    camState.shake.z = lerp(camState.shake.z, (Math.random() - 0.5) * shakeAmt * 0.2, shakeLerp);
-  } else {
-    camState.shake.multiplyScalar(0.95);
+  // Environment
+  if (environment) {
+    environment.update(dt, {
+      t, audio, motion,
+      colorA: getHarmonizedColor(motion.swell, 0.25, config, palette, audio, music),
+      colorB: getHarmonizedColor(motion.swell, 0.75, config, palette, audio, music),
+      // Shockwave rings are camera-facing, so their world radius is the mesh scale times the ring radius
+      waves: shockwaves.filter(s => s.active).map(s => ({ radius: s.mesh.scale.x * 1.1, strength: s.life * (s.strength || 1.0) }))
+    });
   }
 
-  camera.position.x = Math.cos(camState.angle) * camState.distance + camState.shake.x;
-  camera.position.y = camState.height + camState.shake.y;
-  camera.position.z = Math.sin(camState.angle) * camState.distance + camState.shake.z;
-  camera.lookAt(camState.look);
-  camState.appliedRoll = lerp(camState.appliedRoll, camState.roll, dt * 2);
-  camera.rotation.z = camState.appliedRoll;
+  // Camera
+  camRig.update(dt, { t, mode: config.autoPilot ? camRig.autoMode : config.cameraMode, config, motion, rand: camRand });
+  camera.position.set(camRig.position.x, camRig.position.y, camRig.position.z);
+  camera.lookAt(camRig.look.x, camRig.look.y, camRig.look.z);
+  camera.rotation.z = camRig.appliedRoll;
 
   // Post-processing
   bloomPass.strength = config.bloomStrength * (1 + motion.pulse * 0.2);
@@ -956,7 +1914,10 @@ function animate(timestamp) {
   screenFXPass.uniforms.uFilmLook.value = filmMap[config.filmLook] || 0;
 
   drawSpectrum();
+  modMatrix.apply(config.modRoutes, 'uniform');
   composer.render();
+  modMatrix.restore();
+  if (replaying && featureReplay.done) stopFeatureReplay('Replay finished');
 }
 
 animate();
@@ -978,156 +1939,464 @@ document.querySelectorAll('.toggle').forEach(toggle => {
   toggle.addEventListener('click', () => toggle.classList.toggle('active'));
 });
 
-// Sync layer sliders
-const _psm = document.getElementById('particleSizeMult');
-if (_psm) _psm.value = config.particleSizeMult;
-const _pbr = document.getElementById('particleBrightness');
-if (_pbr) _pbr.value = config.particleBrightness;
-const _swi = document.getElementById('shockwaveIntensity');
-if (_swi) _swi.value = config.shockwaveIntensity;
-const _swt = document.getElementById('shockwaveImpactThreshold');
-if (_swt) _swt.value = config.shockwaveImpactThreshold;
-const _swc = document.getElementById('shockwaveCooldown');
-if (_swc) _swc.value = config.shockwaveCooldown;
-
-// Main controls
-document.getElementById('form').addEventListener('change', e => {
-  config.form = e.target.value;
-  const result = buildMainGeometry(scene, config, vertexData, audio, clamp);
-  wireframeMesh = result.wireframeMesh;
-  particleSystem = result.particleSystem;
-  connectionLines = result.connectionLines;
-  rimMesh = result.rimMesh;
+// Every config-backed control goes through the registry
+controls.bind();
+controls.sync();
+document.getElementById('rerollSeed').addEventListener('click', () => controls.set('seed', randomSeed()));
+
+// Custom form editor: each valid edit rebuilds the surface, errors are shown inline
+const customFormEls = {
+  x: document.getElementById('customFormX'),
+  y: document.getElementById('customFormY'),
+  z: document.getElementById('customFormZ')
+};
+const customFormErrorEl = document.getElementById('custom-form-error');
+
+function validateCustomForm(def) {
+  Object.values(customFormEls).forEach(el => el.classList.remove('invalid'));
+  try {
+    compileCustomForm(def);
+    customFormErrorEl.textContent = '';
+    return true;
+  } catch (e) {
+    if (!(e instanceof ExpressionError)) throw e;
+    customFormEls[e.axis].classList.add('invalid');
+    customFormErrorEl.textContent = `${e.axis}: ${e.message} (at ${e.index + 1})`;
+    return false;
+  }
+}
+
+function renderCustomForm() {
+  document.getElementById('custom-form').style.display = config.form === 'custom' ? '' : 'none';
+  Object.entries(customFormEls).forEach(([axis, el]) => { el.value = config.customForm[axis]; });
+  validateCustomForm(config.customForm);
+}
+
+Object.entries(customFormEls).forEach(([axis, el]) => {
+  el.addEventListener('input', () => {
+    const def = { ...config.customForm, [axis]: el.value };
+    if (!validateCustomForm(def)) return;
+    config.customForm = def;
+    if (config.form === 'custom') rebuildMainGeometry();
+  });
 });
+renderCustomForm();
+
+// Imported models replace the main form; the file itself stays in memory only
+const modelStatusEl = document.getElementById('model-status');
+
+async function loadModel(file) {
+  modelStatusEl.textContent = 'Loading…';
+  try {
+    const { geometry, name, sourceVertices } = await loadModelFile(file);
+    setModelGeometry(geometry);
+    modelStatusEl.textContent = name;
+    modelStatusEl.title = `${name}: ${sourceVertices} vertices, ${geometry.attributes.position.count} used`;
+    if (!controls.set('form', 'model')) rebuildMainGeometry();
+  } catch (e) {
+    modelStatusEl.textContent = 'Load failed';
+    modelStatusEl.title = e.message;
+  }
+}
 
-document.getElementById('density').addEventListener('input', e => {
-  config.density = parseInt(e.target.value);
-  const result = buildMainGeometry(scene, config, vertexData, audio, clamp);
-  wireframeMesh = result.wireframeMesh;
-  particleSystem = result.particleSystem;
-  connectionLines = result.connectionLines;
-  rimMesh = result.rimMesh;
+document.getElementById('modelFile').addEventListener('change', e => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (file) loadModel(file);
+});
+
+// Automation controls
+const automationParamEl = document.getElementById('automationParam');
+automatableParams.forEach(param => {
+  const opt = document.createElement('option');
+  opt.value = param;
+  opt.textContent = param;
+  automationParamEl.appendChild(opt);
 });
+document.getElementById('automationAddLane').addEventListener('click', () => automationEditor.addLane(automationParamEl.value));
+document.getElementById('automationTimeBase').addEventListener('change', e => {
+  config.automation.timeBase = e.target.value;
+  automationEditor.render();
+});
+automationEditor.render();
+
+// Modulation controls
+document.getElementById('modAddRoute').addEventListener('click', () => modulationEditor.addRoute());
+modulationEditor.render();
+
+// Input source controls
+const inputSourceEl = document.getElementById('inputSource');
+const inputDeviceEl = document.getElementById('inputDevice');
+
+// A new source has a different level and tempo - stale onset histories and BPM would mislead the detectors
+function onInputSourceChange(mode) {
+  audio.reset();
+  motion.reset();
+  frameDelay.reset();
+  audio.setFFTInfo(analyser.fftSize, audioCtx.sampleRate);
+  if (mode !== 'file' && !playlist.paused) playlist.pause();
+  inputSourceEl.value = mode;
+  inputDeviceEl.disabled = mode !== 'mic';
+  document.getElementById('input-display').textContent = `Input: ${INPUT_SOURCES[mode]}`;
+}
+
+async function refreshInputDevices() {
+  const devices = await audioInput.listDevices();
+  inputDeviceEl.innerHTML = '<option value="">Default</option>';
+  devices.forEach(d => {
+    const opt = document.createElement('option');
+    opt.value = d.id;
+    opt.textContent = d.label;
+    inputDeviceEl.appendChild(opt);
+  });
+  inputDeviceEl.value = devices.some(d => d.id === audioInput.deviceId) ? audioInput.deviceId : '';
+}
 
-document.getElementById('sensitivity').addEventListener('input', e => { config.sensitivity = parseFloat(e.target.value); });
-document.getElementById('smoothness').addEventListener('input', e => { config.smoothness = parseFloat(e.target.value); });
-document.getElementById('volume').addEventListener('input', e => { config.volume = parseFloat(e.target.value); if (gainNode) gainNode.gain.value = config.volume; });
-document.getElementById('visualMode').addEventListener('change', e => { config.visualMode = e.target.value; });
-
-// Model motion controls
-document.getElementById('modelSpinSpeed').addEventListener('input', e => { config.modelSpinSpeed = parseFloat(e.target.value); });
-document.getElementById('modelSpinAxis').addEventListener('change', e => { config.modelSpinAxis = e.target.value; });
-document.getElementById('modelSpinReactivity').addEventListener('input', e => { config.modelSpinReactivity = parseFloat(e.target.value); });
-document.getElementById('modelPulseAmount').addEventListener('input', e => { config.modelPulseAmount = parseFloat(e.target.value); });
-
-document.getElementById('toggleModelSpin').addEventListener('click', e => { config.modelSpinEnabled = e.target.classList.contains('active'); });
-document.getElementById('toggleModelSpinReactive').addEventListener('click', e => { config.modelSpinReactive = e.target.classList.contains('active'); });
-document.getElementById('toggleModelPulse').addEventListener('click', e => { config.modelPulseEnabled = e.target.classList.contains('active'); });
-
-// Color controls
-document.getElementById('colorTheme').addEventListener('change', e => { config.colorTheme = e.target.value; applyColorTheme(scene, bgUniforms, config, colorThemes); });
-document.getElementById('colorPrimary').addEventListener('input', e => { config.colorPrimary = e.target.value; bgUniforms.uAccentA.value.set(config.colorPrimary); });
-document.getElementById('colorSecondary').addEventListener('input', e => { config.colorSecondary = e.target.value; bgUniforms.uAccentB.value.set(config.colorSecondary); });
-document.getElementById('colorBg').addEventListener('input', e => { config.colorBg = e.target.value; scene.fog.color.set(config.colorBg); bgUniforms.uBgColor.value.set(config.colorBg); });
-document.getElementById('colorReactivity').addEventListener('input', e => { config.colorReactivity = parseFloat(e.target.value); });
-document.getElementById('hueRotateSpeed').addEventListener('input', e => { config.hueRotateSpeed = parseFloat(e.target.value); });
-document.getElementById('toggleBarLockColors').addEventListener('click', e => { config.barLockColors = e.target.classList.contains('active'); });
-
-// Camera controls
-document.getElementById('cameraMode').addEventListener('change', e => { config.cameraMode = e.target.value; camState.autoMode = e.target.value; });
-document.getElementById('cameraDistance').addEventListener('input', e => { config.cameraDistance = parseFloat(e.target.value); });
-document.getElementById('cameraSpeed').addEventListener('input', e => { config.cameraSpeed = parseFloat(e.target.value); });
-document.getElementById('cameraShake').addEventListener('input', e => { config.cameraShake = parseFloat(e.target.value); });
-document.getElementById('cameraFov').addEventListener('input', e => { config.cameraFov = parseFloat(e.target.value); camera.fov = config.cameraFov; camera.updateProjectionMatrix(); });
-document.getElementById('toggleBeatZoom').addEventListener('click', e => { config.cameraBeatZoom = e.target.classList.contains('active'); });
-document.getElementById('toggleAutoAngles').addEventListener('click', e => { config.cameraAutoAngles = e.target.classList.contains('active'); });
-
-// Particle controls
-document.getElementById('particleMode').addEventListener('change', e => { config.particleMode = e.target.value; });
-document.getElementById('fieldMode').addEventListener('change', e => { config.fieldMode = e.target.value; });
-document.getElementById('symmetry').addEventListener('change', e => { config.symmetry = parseInt(e.target.value); });
-document.getElementById('turbulence').addEventListener('input', e => { config.turbulence = parseFloat(e.target.value); });
-document.getElementById('cohesion').addEventListener('input', e => { config.cohesion = parseFloat(e.target.value); });
-document.getElementById('particleCount').addEventListener('change', e => { config.particleCount = parseInt(e.target.value); });
-
-// Layer controls
-document.getElementById('toggleInner').addEventListener('click', e => { config.showInner = e.target.classList.contains('active'); if (innerMesh) innerMesh.visible = config.showInner; });
-document.getElementById('toggleOuter').addEventListener('click', e => { config.showOuter = e.target.classList.contains('active'); if (outerMesh) outerMesh.visible = config.showOuter; });
-document.getElementById('toggleWaveform').addEventListener('click', e => { config.showWaveform = e.target.classList.contains('active'); if (waveformRing) waveformRing.visible = config.showWaveform; });
-document.getElementById('toggleBars').addEventListener('click', e => { config.showBars = e.target.classList.contains('active'); freqBars.forEach(b => b.visible = config.showBars); });
-document.getElementById('toggleConnections').addEventListener('click', e => { config.showConnections = e.target.classList.contains('active'); if (connectionLines) connectionLines.visible = config.showConnections; });
-document.getElementById('toggleParticles').addEventListener('click', e => { config.showParticles = e.target.classList.contains('active'); if (particleSystem) particleSystem.visible = config.showParticles; });
-document.getElementById('toggleShockwaves').addEventListener('click', e => { config.showShockwaves = e.target.classList.contains('active'); shockwaves.forEach(s => s.mesh.visible = config.showShockwaves); });
-document.getElementById('toggleLightRays').addEventListener('click', e => { config.showLightRays = e.target.classList.contains('active'); buildLightRays(); });
-document.getElementById('toggleAurora').addEventListener('click', e => { config.showAurora = e.target.classList.contains('active'); buildAurora(); });
-document.getElementById('toggleEnergyField').addEventListener('click', e => { config.showEnergyField = e.target.classList.contains('active'); buildEnergyField(); });
-document.getElementById('toggleOrbitals').addEventListener('click', e => { config.showOrbitals = e.target.classList.contains('active'); buildOrbitals(); });
-
-// Effects controls
-document.getElementById('bloomStrength').addEventListener('input', e => { config.bloomStrength = parseFloat(e.target.value); });
-document.getElementById('bloomRadius').addEventListener('input', e => { config.bloomRadius = parseFloat(e.target.value); });
-document.getElementById('trailMode').addEventListener('change', e => { config.trailMode = e.target.value; updateTrailMode(afterimagePass, config.trailMode); });
-document.getElementById('glitchAmount').addEventListener('input', e => { config.glitchAmount = parseFloat(e.target.value); });
-document.getElementById('vignette').addEventListener('input', e => { config.vignette = parseFloat(e.target.value); });
-document.getElementById('grain').addEventListener('input', e => { config.grain = parseFloat(e.target.value); });
-document.getElementById('aberration').addEventListener('input', e => { config.aberration = parseFloat(e.target.value); });
-document.getElementById('anamorphic').addEventListener('input', e => { config.anamorphic = parseFloat(e.target.value); });
-document.getElementById('scanlines').addEventListener('input', e => { config.scanlines = parseFloat(e.target.value); });
-document.getElementById('filmLook').addEventListener('change', e => { config.filmLook = e.target.value; });
-
-// Environment controls
-document.getElementById('environment').addEventListener('change', e => { config.environment = e.target.value; buildEnvironment(); });
-document.getElementById('fogDensity').addEventListener('input', e => { config.fogDensity = parseFloat(e.target.value); scene.fog.density = config.fogDensity; });
-document.getElementById('ringCount').addEventListener('input', e => { config.ringCount = parseInt(e.target.value); rings = buildRings(scene, config); });
-document.getElementById('bgPattern').addEventListener('change', e => { config.bgPattern = e.target.value; setBgPatternFromConfig(bgUniforms, config); });
-document.getElementById('bgPatternStrength').addEventListener('input', e => { config.bgPatternStrength = parseFloat(e.target.value); });
-
-// Extra controls
-document.getElementById('toggleSpectrum').addEventListener('click', e => { config.showSpectrum = e.target.classList.contains('active'); });
-document.getElementById('toggleAutoPilot').addEventListener('click', e => { config.autoPilot = e.target.classList.contains('active'); });
-document.getElementById('toggleBeatFlash').addEventListener('click', e => { config.beatFlash = e.target.classList.contains('active'); });
-document.getElementById('toggleColorCycle').addEventListener('click', e => { config.colorCycle = e.target.classList.contains('active'); });
-document.getElementById('toggleSynesthesia').addEventListener('click', e => { config.synesthesia = e.target.classList.contains('active'); });
-document.getElementById('toggleHarmonicSnap').addEventListener('click', e => { config.harmonicSnap = e.target.classList.contains('active'); });
-document.getElementById('toggleNegativeSpace').addEventListener('click', e => { config.negativeSpace = e.target.classList.contains('active'); if (rimMesh) rimMesh.visible = config.negativeSpace; wireframeMesh.material.blending = config.negativeSpace ? THREE.NormalBlending : THREE.AdditiveBlending; });
-document.getElementById('toggleReactiveBg').addEventListener('click', e => { config.reactiveBg = e.target.classList.contains('active'); });
+async function selectInputSource(mode, deviceId = '') {
+  if (audioCtx.state === 'suspended') audioCtx.resume();
+  try {
+    if (mode === 'mic') await audioInput.useMicrophone(deviceId);
+    else if (mode === 'display') await audioInput.useDisplayAudio();
+    else await audioInput.useFile();
+  } catch (e) {
+    inputSourceEl.value = audioInput.mode;
+    document.getElementById('input-display').textContent = `Input: ${e.message || e.name}`;
+  }
+  refreshInputDevices();
+}
+
+inputSourceEl.addEventListener('change', e => selectInputSource(e.target.value, inputDeviceEl.value));
+inputDeviceEl.addEventListener('change', e => selectInputSource('mic', e.target.value));
+if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+  navigator.mediaDevices.addEventListener('devicechange', refreshInputDevices);
+}
+refreshInputDevices();
 
 // Playback controls
 const playBtn = document.getElementById('playBtn');
 const playIcon = document.getElementById('playIcon');
 const pauseIcon = document.getElementById('pauseIcon');
 
+function setPlayingState(on) {
+  playing = on;
+  playIcon.style.display = on ? 'none' : 'block';
+  pauseIcon.style.display = on ? 'block' : 'none';
+}
+
+function addToPlaylist(files) {
+  audio.setFFTInfo(analyser.fftSize, audioCtx.sampleRate);
+  playlist.add(files);
+}
+
 document.getElementById('file').addEventListener('change', e => {
-  const file = e.target.files[0];
-  if (file) {
-    audio.setFFTInfo(analyser.fftSize, audioCtx.sampleRate);
-    audioEl.src = URL.createObjectURL(file);
-    audioEl.load();
-  }
+  addToPlaylist(e.target.files);
+  e.target.value = '';
 });
 
 playBtn.addEventListener('click', () => {
-  if (!audioEl.src) return;
+  if (!playlist.entries.length || offlineRender.active) return;
   if (audioCtx.state === 'suspended') audioCtx.resume();
-  if (audioEl.paused) {
-    audioEl.play();
-    playing = true;
-    playIcon.style.display = 'none';
-    pauseIcon.style.display = 'block';
-  } else {
-    audioEl.pause();
-    playing = false;
-    playIcon.style.display = 'block';
-    pauseIcon.style.display = 'none';
+  if (audioInput.isLive && playlist.paused) selectInputSource('file');
+  playlist.toggle();
+});
+
+// ============================================================================
+// PLAYLIST
+// ============================================================================
+
+function onPlaylistTrackChange(entry) {
+  document.getElementById('track-display').textContent = entry ? entry.name : '';
+  document.getElementById('playlist-status').textContent = '';
+  document.getElementById('section-display').textContent = '';
+  // The new track's beat grid starts from its own first beat
+  beatGrid.lastBeat = 0;
+  if (entry) analyzePlaylistEntry(entry);
+  if (entry && entry.preset && presets[entry.preset]) window.loadPreset(entry.preset);
+  renderPlaylist();
+}
+
+let _dragIndex = -1;
+
+function renderPlaylist() {
+  const list = document.getElementById('playlist-list');
+  list.innerHTML = '';
+  if (!playlist.entries.length) {
+    list.innerHTML = '<div style="padding:10px;color:rgba(255,255,255,0.3);font-size:12px;">Drop audio files or folders here</div>';
+    return;
   }
+
+  playlist.entries.forEach((entry, i) => {
+    const isCurrent = i === playlist.index;
+    const item = document.createElement('div');
+    item.draggable = true;
+    item.style.cssText = `padding:8px 10px;background:rgba(255,255,255,${isCurrent ? 0.09 : 0.03});border-radius:8px;margin-bottom:6px;cursor:grab;color:rgba(255,255,255,${isCurrent ? 0.9 : 0.6});display:flex;gap:10px;align-items:center;font-size:12px;`;
+
+    const name = document.createElement('span');
+    name.style.cssText = 'flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;cursor:pointer;';
+    name.textContent = `${i + 1}. ${entry.name}`;
+    name.addEventListener('dblclick', () => {
+      if (audioCtx.state === 'suspended') audioCtx.resume();
+      playlist.play(i);
+    });
+
+    const presetSel = document.createElement('select');
+    presetSel.style.cssText = 'padding:3px 6px;font-size:10px;max-width:110px;';
+    presetSel.innerHTML = '<option value="">No preset</option>';
+    Object.keys(presets).forEach(p => {
+      const opt = document.createElement('option');
+      opt.value = p;
+      opt.textContent = p;
+      presetSel.appendChild(opt);
+    });
+    presetSel.value = entry.preset;
+    presetSel.addEventListener('change', e => playlist.setPreset(entry.id, e.target.value));
+
+    const remove = document.createElement('span');
+    remove.style.cssText = 'color:rgba(255,100,100,0.6);cursor:pointer;';
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => playlist.remove(entry.id));
+
+    item.addEventListener('dragstart', () => { _dragIndex = i; });
+    item.addEventListener('dragover', e => { if (_dragIndex >= 0) e.preventDefault(); });
+    item.addEventListener('drop', e => {
+      if (_dragIndex < 0) return;
+      e.preventDefault();
+      e.stopPropagation();
+      playlist.move(_dragIndex, i);
+      _dragIndex = -1;
+    });
+    item.addEventListener('dragend', () => { _dragIndex = -1; });
+
+    item.append(name, presetSel, remove);
+    list.appendChild(item);
+  });
+}
+
+document.getElementById('playlistPrev').addEventListener('click', () => playlist.prev());
+document.getElementById('playlistNext').addEventListener('click', () => playlist.next());
+document.getElementById('playlistClear').addEventListener('click', () => playlist.clear());
+document.getElementById('toggleShuffle').addEventListener('click', e => { playlist.setShuffle(e.target.classList.contains('active')); });
+document.getElementById('repeatMode').addEventListener('change', e => { playlist.repeat = e.target.value; });
+document.getElementById('crossfadeTime').addEventListener('input', e => { playlist.crossfade = parseFloat(e.target.value); });
+document.getElementById('playlistFiles').addEventListener('change', e => {
+  addToPlaylist(e.target.files);
+  e.target.value = '';
+});
+document.getElementById('playlistFolder').addEventListener('change', e => {
+  const files = [...e.target.files].sort((a, b) => a.webkitRelativePath.localeCompare(b.webkitRelativePath, undefined, { numeric: true }));
+  addToPlaylist(files);
+  e.target.value = '';
 });
 
-audioEl.addEventListener('ended', () => {
-  playing = false;
-  playIcon.style.display = 'block';
-  pauseIcon.style.display = 'none';
+// Drag-and-drop files or whole folders anywhere onto the page
+document.addEventListener('dragover', e => {
+  if (_dragIndex < 0) e.preventDefault();
+});
+document.addEventListener('drop', async e => {
+  if (_dragIndex >= 0) return;
+  e.preventDefault();
+  const files = await collectDroppedFiles(e.dataTransfer);
+  const model = files.find(isModelFile);
+  if (model) loadModel(model);
+  addToPlaylist(files);
 });
 
+renderPlaylist();
+
+// ============================================================================
+// MIDI
+// ============================================================================
+
+function stepSelect(id, dir) {
+  const el = document.getElementById(id);
+  const n = el.options.length;
+  el.selectedIndex = (el.selectedIndex + dir + n) % n;
+  el.dispatchEvent(new Event('change'));
+}
+
+const midiActions = {
+  randomize: { label: 'Randomize', run: () => randomize() },
+  shockwave: {
+    label: 'Shockwave',
+    run: (binding, velocity) => spawnShockwave(shockwaves, config, getHarmonizedColor(audio.energy, 0.5, config, palette, audio, music), 0.5 + velocity * 0.5)
+  },
+  nextForm: { label: 'Next Form', run: () => stepSelect('form', 1) },
+  prevForm: { label: 'Previous Form', run: () => stepSelect('form', -1) },
+  nextTheme: { label: 'Next Color Theme', run: () => stepSelect('colorTheme', 1) },
+  playPause: { label: 'Play / Pause', run: () => playBtn.click() },
+  nextTrack: { label: 'Next Track', run: () => playlist.next() },
+  prevTrack: { label: 'Previous Track', run: () => playlist.prev() },
+  preset: { label: 'Load Preset', run: (binding) => window.loadPreset(binding.arg) }
+};
+
+// CC sweeps a control across its range; a note steps selects and flips toggles
+function applyMidiControl(binding, value, isNote) {
+  const el = document.getElementById(binding.control);
+  if (!el) return;
+  if (el.classList.contains('toggle')) {
+    if (isNote || el.classList.contains('active') !== value >= 0.5) el.click();
+  } else if (el.tagName === 'SELECT') {
+    const n = el.options.length;
+    const index = isNote ? (el.selectedIndex + 1) % n : Math.round(value * (n - 1));
+    if (index === el.selectedIndex) return;
+    el.selectedIndex = index;
+    el.dispatchEvent(new Event('change'));
+  } else if (el.tagName === 'INPUT' && el.type === 'range') {
+    const min = parseFloat(el.min), max = parseFloat(el.max);
+    const before = el.value;
+    el.value = min + value * (max - min);
+    if (el.value !== before) el.dispatchEvent(new Event('input'));
+  } else if (isNote) {
+    el.click();
+  }
+}
+
+const midiStatusEl = document.getElementById('midi-status');
+const midiLearnToggle = document.getElementById('toggleMidiLearn');
+let midiLearnEl = null;
+
+function setMidiLearnTarget(el) {
+  if (midiLearnEl) midiLearnEl.classList.remove('midi-learn-target');
+  midiLearnEl = el;
+  if (el) el.classList.add('midi-learn-target');
+}
+
+// Clock / transport go to the beat source; unbound GM drum notes can fire onsets
+function handleMidiMessage(msg, time) {
+  midiClock.handle(msg, time);
+  if (msg.type !== 'noteon' || !config.midiDrumOnsets) return;
+  const kind = drumOnsetForNote(msg.number);
+  const bound = midi.bindings.some(b => b.type === 'note' && b.channel === msg.channel && b.number === msg.number);
+  if (kind && !bound) midiOnsets.push({ kind, strength: 0.5 + msg.value / 127 });
+}
+
+const midi = new MidiController({
+  onControl: applyMidiControl,
+  onMessage: handleMidiMessage,
+  onAction: (binding, velocity) => {
+    const action = midiActions[binding.action];
+    if (action) action.run(binding, velocity);
+  },
+  onLearn: binding => {
+    setMidiLearnTarget(null);
+    midiStatusEl.textContent = `Bound ${describeMidiBinding(binding)}`;
+    renderMidiBindings();
+  },
+  onStateChange: () => {
+    midiStatusEl.textContent = midi.inputNames.length ? midi.inputNames.join(', ') : 'No MIDI inputs';
+  }
+});
+
+function describeMidiBinding(b) {
+  const msg = b.type === 'cc' ? `CC ${b.number}` : `Note ${b.number}`;
+  const target = b.control || (b.action === 'preset' ? `Preset: ${b.arg}` : (midiActions[b.action] || {}).label || b.action);
+  return `Ch ${b.channel + 1} ${msg} → ${target}`;
+}
+
+function renderMidiBindings() {
+  const list = document.getElementById('midi-bindings');
+  list.innerHTML = '';
+  if (!midi.bindings.length) {
+    list.innerHTML = '<div style="padding:10px;color:rgba(255,255,255,0.3);font-size:12px;">No bindings yet - turn on Learn and click a control</div>';
+    return;
+  }
+  midi.bindings.forEach(binding => {
+    const item = document.createElement('div');
+    item.style.cssText = 'padding:6px 10px;background:rgba(255,255,255,0.03);border-radius:8px;margin-bottom:4px;color:rgba(255,255,255,0.7);display:flex;justify-content:space-between;font-size:11px;';
+    const label = document.createElement('span');
+    label.textContent = describeMidiBinding(binding);
+    const remove = document.createElement('span');
+    remove.style.cssText = 'color:rgba(255,100,100,0.6);cursor:pointer;';
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => {
+      midi.removeBinding(binding);
+      renderMidiBindings();
+    });
+    item.append(label, remove);
+    list.appendChild(item);
+  });
+}
+
+function renderMidiActionOptions() {
+  const select = document.getElementById('midiAction');
+  select.innerHTML = '';
+  Object.entries(midiActions).forEach(([key, action]) => {
+    if (key === 'preset') return;
+    select.add(new Option(action.label, key));
+  });
+  Object.keys(presets).forEach(name => select.add(new Option(`Preset: ${name}`, `preset:${name}`)));
+}
+
+const isMidiBindable = (el) => el && el.id && !el.closest('[data-panel="midi"]') &&
+  el.matches('input[type="range"], select, .toggle, .btn');
+
+// While learning, a click arms the control instead of changing it
+['mousedown', 'click'].forEach(type => {
+  document.getElementById('ui').addEventListener(type, e => {
+    if (!midiLearnToggle.classList.contains('active')) return;
+    const el = e.target.closest('input[type="range"], select, .toggle, .btn');
+    if (!isMidiBindable(el)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (type === 'mousedown') {
+      setMidiLearnTarget(el);
+      midi.startLearn({ control: el.id });
+      midiStatusEl.textContent = `Move a knob or hit a pad for ${el.id}`;
+    }
+  }, true);
+});
+
+document.getElementById('midiEnable').addEventListener('click', async () => {
+  try {
+    await midi.enable();
+  } catch (e) {
+    midiStatusEl.textContent = e.message;
+  }
+});
+midiLearnToggle.addEventListener('click', () => {
+  if (midiLearnToggle.classList.contains('active')) {
+    if (!midi.enabled) document.getElementById('midiEnable').click();
+    return;
+  }
+  midi.cancelLearn();
+  setMidiLearnTarget(null);
+});
+document.getElementById('midiLearnAction').addEventListener('click', () => {
+  const value = document.getElementById('midiAction').value;
+  const target = value.startsWith('preset:') ? { action: 'preset', arg: value.slice(7) } : { action: value };
+  setMidiLearnTarget(null);
+  midi.startLearn(target);
+  midiStatusEl.textContent = 'Hit a pad or key to bind the action';
+  if (!midi.enabled) document.getElementById('midiEnable').click();
+});
+document.getElementById('midiExport').addEventListener('click', () => {
+  const url = URL.createObjectURL(new Blob([midi.exportBindings()], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'geometric_resonance_midi.json';
+  a.click();
+  URL.revokeObjectURL(url);
+});
+document.getElementById('midiImport').addEventListener('change', async e => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    midi.importBindings(await file.text());
+    midiStatusEl.textContent = `Imported ${midi.bindings.length} bindings`;
+  } catch (err) {
+    midiStatusEl.textContent = `Import failed: ${err.message}`;
+  }
+  renderMidiBindings();
+});
+document.getElementById('midiClear').addEventListener('click', () => {
+  midi.clearBindings();
+  renderMidiBindings();
+});
+
+renderMidiActionOptions();
+renderMidiBindings();
+
 // Recording
 let mediaRecorder, recordedChunks = [];
 document.getElementById('recordBtn').addEventListener('click', () => {
@@ -1184,9 +2453,18 @@ document.addEventListener('keydown', e => {
     case 'p':
       openPresetModal();
       break;
-    case '1': case '2': case '3': case '4': case '5': case '6': case '7': case '8':
+    case 's':
+      controls.set('showStats', !config.showStats);
+      break;
+    case 'n':
+      playlist.next();
+      break;
+    case 'b':
+      playlist.prev();
+      break;
+    case '1': case '2': case '3': case '4': case '5': case '6': case '7': case '8': case '9': case '0':
       const tabs = document.querySelectorAll('.tab');
-      const idx = parseInt(e.key) - 1;
+      const idx = e.key === '0' ? 9 : parseInt(e.key) - 1;
       if (tabs[idx]) tabs[idx].click();
       break;
   }
@@ -1196,12 +2474,11 @@ document.addEventListener('keydown', e => {
 window.addEventListener('resize', () => {
   const w = window.innerWidth;
   const h = window.innerHeight;
-  camera.aspect = w / h;
-  camera.updateProjectionMatrix();
-  renderer.setSize(w, h);
-  composer.setSize(w, h);
-  bloomPass.resolution.set(w, h);
-  bgUniforms.uResolution.value.set(w, h);
-  screenFXPass.uniforms.uResolution.value.set(w, h);
   specCanvas.width = w;
+  if (offlineRender.active) return;
+  setViewportSize(w, h);
 });
+
+// Shared preset links (#preset=...)
+window.addEventListener('hashchange', loadPresetFromHash);
+loadPresetFromHash();
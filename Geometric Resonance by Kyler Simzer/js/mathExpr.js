@@ -0,0 +1,192 @@
+// ============================================================================
+// MATH EXPRESSIONS - Safe parser / evaluator for user-typed formulas
+// ============================================================================
+//
+// Numbers, + - * / % ^ (power, right-assoc), unary minus, parentheses and a
+// fixed set of functions and constants. Identifiers must be constants,
+// functions or one of the variables the caller allows - anything else is a
+// compile error, so nothing a user types can reach the page. The parse tree
+// is turned into nested closures once; evaluate(scope) is then cheap enough
+// to run per vertex per frame.
+
+const MAX_LENGTH = 400;
+
+export const EXPR_CONSTANTS = {
+  PI: Math.PI,
+  TAU: Math.PI * 2,
+  E: Math.E
+};
+
+export const EXPR_FUNCTIONS = {
+  sin: Math.sin, cos: Math.cos, tan: Math.tan,
+  asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+  sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+  sqrt: Math.sqrt, abs: Math.abs, sign: Math.sign,
+  exp: Math.exp, log: Math.log, pow: Math.pow,
+  floor: Math.floor, ceil: Math.ceil, round: Math.round,
+  min: Math.min, max: Math.max,
+  fract: (x) => x - Math.floor(x),
+  mod: (a, b) => a - b * Math.floor(a / b),
+  clamp: (x, a, b) => Math.min(b, Math.max(a, x)),
+  mix: (a, b, t) => a + (b - a) * t,
+  step: (edge, x) => (x < edge ? 0 : 1),
+  smoothstep: (a, b, x) => {
+    const t = Math.min(1, Math.max(0, (x - a) / (b - a)));
+    return t * t * (3 - 2 * t);
+  }
+};
+
+export class ExpressionError extends Error {
+  constructor(message, index) {
+    super(message);
+    this.name = 'ExpressionError';
+    this.index = index;   // character offset of the problem in the source
+  }
+}
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (/[0-9.]/.test(ch)) {
+      const m = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(src.slice(i));
+      if (!m) throw new ExpressionError('Bad number', i);
+      tokens.push({ type: 'num', value: parseFloat(m[0]), index: i });
+      i += m[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+      tokens.push({ type: 'id', value: m[0], index: i });
+      i += m[0].length;
+    } else if ('+-*/%^(),'.includes(ch)) {
+      tokens.push({ type: ch, index: i });
+      i++;
+    } else {
+      throw new ExpressionError(`Unexpected '${ch}'`, i);
+    }
+  }
+  tokens.push({ type: 'end', index: src.length });
+  return tokens;
+}
+
+// Recursive descent: expr := term (('+'|'-') term)*, term := unary (('*'|'/'|'%') unary)*,
+// unary := '-' unary | power, power := atom ('^' unary)?
+function parse(tokens, variables) {
+  let pos = 0;
+  const uses = new Set();
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (type) => {
+    const tok = next();
+    if (tok.type !== type) throw new ExpressionError(tok.type === 'end' ? `Expected '${type}'` : `Expected '${type}' here`, tok.index);
+    return tok;
+  };
+
+  function expr() {
+    let left = term();
+    while (peek().type === '+' || peek().type === '-') {
+      const op = next().type;
+      const a = left, b = term();
+      left = op === '+' ? (s) => a(s) + b(s) : (s) => a(s) - b(s);
+    }
+    return left;
+  }
+
+  function term() {
+    let left = unary();
+    while (peek().type === '*' || peek().type === '/' || peek().type === '%') {
+      const op = next().type;
+      const a = left, b = unary();
+      if (op === '*') left = (s) => a(s) * b(s);
+      else if (op === '/') left = (s) => a(s) / b(s);
+      else left = (s) => a(s) % b(s);
+    }
+    return left;
+  }
+
+  function unary() {
+    if (peek().type === '-') {
+      next();
+      const a = unary();
+      return (s) => -a(s);
+    }
+    if (peek().type === '+') {
+      next();
+      return unary();
+    }
+    return power();
+  }
+
+  function power() {
+    const base = atom();
+    if (peek().type !== '^') return base;
+    next();
+    const exp = unary();
+    return (s) => Math.pow(base(s), exp(s));
+  }
+
+  function atom() {
+    const tok = next();
+    if (tok.type === 'num') {
+      const v = tok.value;
+      return () => v;
+    }
+    if (tok.type === '(') {
+      const inner = expr();
+      expect(')');
+      return inner;
+    }
+    if (tok.type === 'id') {
+      const name = tok.value;
+      if (peek().type === '(') {
+        const fn = Object.prototype.hasOwnProperty.call(EXPR_FUNCTIONS, name) ? EXPR_FUNCTIONS[name] : null;
+        if (!fn) throw new ExpressionError(`Unknown function '${name}'`, tok.index);
+        next();
+        const args = [];
+        if (peek().type !== ')') {
+          args.push(expr());
+          while (peek().type === ',') {
+            next();
+            args.push(expr());
+          }
+        }
+        expect(')');
+        if (fn.length && args.length < fn.length) throw new ExpressionError(`${name}() needs ${fn.length} argument${fn.length > 1 ? 's' : ''}`, tok.index);
+        if (args.length === 1) {
+          const [a] = args;
+          return (s) => fn(a(s));
+        }
+        return (s) => fn(...args.map(a => a(s)));
+      }
+      if (Object.prototype.hasOwnProperty.call(EXPR_CONSTANTS, name)) {
+        const v = EXPR_CONSTANTS[name];
+        return () => v;
+      }
+      if (variables.includes(name)) {
+        uses.add(name);
+        return (s) => s[name];
+      }
+      throw new ExpressionError(`Unknown name '${name}'`, tok.index);
+    }
+    throw new ExpressionError(tok.type === 'end' ? 'Unexpected end of expression' : `Unexpected '${tok.value ?? tok.type}'`, tok.index);
+  }
+
+  const root = expr();
+  if (peek().type !== 'end') throw new ExpressionError(`Unexpected '${peek().value ?? peek().type}'`, peek().index);
+  return { root, uses };
+}
+
+/**
+ * Compile `source` into { evaluate(scope) -> number, uses: Set<variable> }.
+ * `variables` lists the names the formula may read from scope.
+ * Throws ExpressionError (with .index) on anything it can't accept.
+ */
+export function compileExpression(source, variables = []) {
+  const src = String(source);
+  if (!src.trim()) throw new ExpressionError('Expression is empty', 0);
+  if (src.length > MAX_LENGTH) throw new ExpressionError(`Expression is longer than ${MAX_LENGTH} characters`, MAX_LENGTH);
+  const { root, uses } = parse(tokenize(src), variables);
+  return { evaluate: root, uses };
+}
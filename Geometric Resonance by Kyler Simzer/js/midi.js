@@ -0,0 +1,172 @@
+// ============================================================================
+// MIDI - Web MIDI input, MIDI learn and persistent bindings
+// ============================================================================
+//
+// A binding maps one incoming message (CC or note, per channel) to either a
+// UI control (by element id) or a named action:
+//   { type: 'cc' | 'note', channel, number, control?: id, action?: name, arg? }
+// CC values arrive as 0..1, notes fire on note-on.
+
+const STORAGE_KEY = 'geometricResonanceMidi';
+
+// Decode a raw MIDI message into something readable; null for anything we don't handle
+export function parseMidiMessage(data) {
+  const status = data[0];
+  if (status === undefined) return null;
+
+  // System real-time / common
+  switch (status) {
+    case 0xF8: return { type: 'clock' };
+    case 0xFA: return { type: 'start' };
+    case 0xFB: return { type: 'continue' };
+    case 0xFC: return { type: 'stop' };
+    case 0xF2: return { type: 'spp', value: (data[1] | 0) | ((data[2] | 0) << 7) };
+  }
+  if (status >= 0xF0) return null;
+
+  const kind = status & 0xF0;
+  const channel = status & 0x0F;
+  const number = data[1] | 0;
+  const value = data[2] | 0;
+  if (kind === 0xB0) return { type: 'cc', channel, number, value };
+  if (kind === 0x90 && value > 0) return { type: 'noteon', channel, number, value };
+  if (kind === 0x80 || kind === 0x90) return { type: 'noteoff', channel, number, value };
+  return null;
+}
+
+const bindingKey = (type, channel, number) => `${type}:${channel}:${number}`;
+
+export class MidiController {
+  constructor({ onControl = () => { }, onAction = () => { }, onLearn = () => { }, onMessage = () => { }, onStateChange = () => { } } = {}) {
+    this.onControl = onControl;       // (binding, value01, isNote)
+    this.onAction = onAction;         // (binding, velocity01)
+    this.onLearn = onLearn;           // (binding)
+    this.onMessage = onMessage;       // (parsed message, timeStamp) - every message, for clock / note consumers
+    this.onStateChange = onStateChange;
+    this.access = null;
+    this.bindings = [];
+    this.learnTarget = null;          // { control } | { action, arg }
+    this._handler = (e) => this._onMidiMessage(e);
+    this.load();
+  }
+
+  get enabled() {
+    return !!this.access;
+  }
+
+  get inputNames() {
+    return this.access ? [...this.access.inputs.values()].map(i => i.name) : [];
+  }
+
+  async enable() {
+    if (this.access) return;
+    if (!navigator.requestMIDIAccess) throw new Error('Web MIDI is not supported in this browser');
+    this.access = await navigator.requestMIDIAccess({ sysex: false });
+    this._attachInputs();
+    // Controllers plugged in later are picked up automatically
+    this.access.addEventListener('statechange', () => {
+      this._attachInputs();
+      this.onStateChange();
+    });
+    this.onStateChange();
+  }
+
+  _attachInputs() {
+    this.access.inputs.forEach(input => {
+      input.removeEventListener('midimessage', this._handler);
+      input.addEventListener('midimessage', this._handler);
+    });
+  }
+
+  // Feed a message in directly (used by the input handlers and for testing without hardware)
+  receive(data, timeStamp = performance.now()) {
+    const msg = parseMidiMessage(data);
+    if (!msg) return;
+    this.onMessage(msg, timeStamp);
+
+    if (msg.type !== 'cc' && msg.type !== 'noteon') return;
+    const type = msg.type === 'cc' ? 'cc' : 'note';
+
+    if (this.learnTarget) {
+      this._learn(type, msg.channel, msg.number);
+      return;
+    }
+
+    const binding = this.bindings.find(b => bindingKey(b.type, b.channel, b.number) === bindingKey(type, msg.channel, msg.number));
+    if (!binding) return;
+    const value = msg.value / 127;
+    if (binding.action) this.onAction(binding, value);
+    else this.onControl(binding, value, type === 'note');
+  }
+
+  _onMidiMessage(e) {
+    this.receive(e.data, e.timeStamp);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Learn
+  // ---------------------------------------------------------------------------
+
+  startLearn(target) {
+    this.learnTarget = target;
+  }
+
+  cancelLearn() {
+    this.learnTarget = null;
+  }
+
+  _learn(type, channel, number) {
+    const target = this.learnTarget;
+    this.learnTarget = null;
+    const key = bindingKey(type, channel, number);
+    // One binding per message, and one per control
+    this.bindings = this.bindings.filter(b =>
+      bindingKey(b.type, b.channel, b.number) !== key &&
+      !(target.control && b.control === target.control)
+    );
+    const binding = { type, channel, number, ...target };
+    this.bindings.push(binding);
+    this.save();
+    this.onLearn(binding);
+  }
+
+  removeBinding(binding) {
+    this.bindings = this.bindings.filter(b => b !== binding);
+    this.save();
+  }
+
+  clearBindings() {
+    this.bindings = [];
+    this.save();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Persistence
+  // ---------------------------------------------------------------------------
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (saved && Array.isArray(saved.bindings)) this.bindings = saved.bindings;
+    } catch (e) {
+      this.bindings = [];
+    }
+  }
+
+  save() {
+    localStorage.setItem(STORAGE_KEY, this.exportBindings());
+  }
+
+  exportBindings() {
+    return JSON.stringify({ version: 1, bindings: this.bindings }, null, 2);
+  }
+
+  importBindings(json) {
+    const data = JSON.parse(json);
+    if (!data || !Array.isArray(data.bindings)) throw new Error('Not a MIDI mapping file');
+    this.bindings = data.bindings.filter(b =>
+      (b.type === 'cc' || b.type === 'note') && Number.isInteger(b.channel) && Number.isInteger(b.number) && (b.control || b.action)
+    );
+    this.save();
+  }
+}
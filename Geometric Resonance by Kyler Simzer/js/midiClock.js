@@ -0,0 +1,80 @@
+import { clamp } from './utils.js';
+
+// ============================================================================
+// MIDI CLOCK - Beat position from MIDI clock / transport and drum notes
+// ============================================================================
+//
+// 24 clocks per quarter note. Start resets to beat 0 (the first clock after
+// Start is tick 0), Continue resumes, Stop freezes, Song Position Pointer
+// (in 16th notes = 6 clocks) relocates. Between clocks the position is
+// interpolated from the measured clock interval, so motion stays smooth at
+// any frame rate. All times are message timestamps in milliseconds.
+
+export const PPQN = 24;
+
+// General MIDI drum map -> onset kinds understood by the analyzer
+const DRUM_NOTES = {
+  35: 'kick', 36: 'kick',
+  37: 'snare', 38: 'snare', 39: 'snare', 40: 'snare',
+  42: 'hihat', 44: 'hihat', 46: 'hihat', 49: 'hihat', 51: 'hihat'
+};
+
+export const drumOnsetForNote = (note) => DRUM_NOTES[note] || null;
+
+export class MidiClock {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.ticks = 0;
+    this.running = false;
+    this.lastTickTime = null;
+    this.tickInterval = 0;   // ms, smoothed
+  }
+
+  get bpm() {
+    return this.tickInterval > 0 ? 60000 / (this.tickInterval * PPQN) : 0;
+  }
+
+  handle(msg, time) {
+    switch (msg.type) {
+      case 'clock':
+        if (this.lastTickTime !== null) {
+          const dt = time - this.lastTickTime;
+          // Ignore gaps (sender paused) so they don't drag the tempo estimate
+          if (dt > 0 && dt < 250) {
+            this.tickInterval = this.tickInterval ? this.tickInterval + (dt - this.tickInterval) * 0.1 : dt;
+          }
+        }
+        this.lastTickTime = time;
+        if (this.running) this.ticks++;
+        break;
+      case 'start':
+        this.ticks = -1;
+        this.running = true;
+        break;
+      case 'continue':
+        this.running = true;
+        break;
+      case 'stop':
+        this.running = false;
+        break;
+      case 'spp':
+        this.ticks = msg.value * 6 - 1;
+        break;
+    }
+  }
+
+  // Running transport with clocks still arriving, and at least two of them to give a tempo
+  isLocked(now) {
+    return this.running && this.tickInterval > 0 && this.lastTickTime !== null && now - this.lastTickTime < 500;
+  }
+
+  // Fractional beats since Start at time `now`
+  position(now) {
+    if (!this.running || this.lastTickTime === null || !this.tickInterval) return Math.max(0, this.ticks) / PPQN;
+    const frac = clamp((now - this.lastTickTime) / this.tickInterval, 0, 0.999);
+    return (this.ticks + frac) / PPQN;
+  }
+}
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+import { OBJLoader } from './vendor/three/loaders/OBJLoader.js';
+import { STLLoader } from './vendor/three/loaders/STLLoader.js';
+import { GLTFLoader } from './vendor/three/loaders/GLTFLoader.js';
+import { mergeVertices } from './vendor/three/utils/BufferGeometryUtils.js';
+
+// ============================================================================
+// MODEL LOADER - Local OBJ / STL / glTF files as the main form
+// ============================================================================
+//
+// Whatever the file holds (one mesh or a whole scene graph) ends up as a
+// single indexed, position-only BufferGeometry: world transforms baked in,
+// coincident vertices welded, centred and scaled to MODEL_RADIUS - the size
+// of the built-in forms - and decimated to MODEL_MAX_VERTICES so vertexData
+// stays within budget.
+//
+// The loaders are copied unmodified from three@0.165.0 (examples/jsm, MIT,
+// see vendor/three/LICENSE) so model import does not depend on the CDN addons
+// path; keep them in step with the "three" version in the import map.
+
+export const MODEL_EXTENSIONS = ['obj', 'stl', 'glb', 'gltf'];
+export const MODEL_RADIUS = 8;
+export const MODEL_MAX_VERTICES = 6000;
+
+export const modelExtension = (file) => (file.name.split('.').pop() || '').toLowerCase();
+export const isModelFile = (file) => MODEL_EXTENSIONS.includes(modelExtension(file));
+
+async function parseModel(file) {
+  const ext = modelExtension(file);
+  switch (ext) {
+    case 'obj':
+      return new OBJLoader().parse(await file.text());
+    case 'stl':
+      return new THREE.Mesh(new STLLoader().parse(await file.arrayBuffer()));
+    case 'glb':
+    case 'gltf': {
+      // A .gltf has to embed its buffers - sibling files can't be reached from a file picker
+      const gltf = await new GLTFLoader().parseAsync(ext === 'glb' ? await file.arrayBuffer() : await file.text(), '');
+      return gltf.scene;
+    }
+    default:
+      throw new Error(`Unsupported model format .${ext}`);
+  }
+}
+
+// Every mesh under `root` as one position-only, indexed geometry in world space
+function mergeMeshes(root) {
+  root.updateMatrixWorld(true);
+  const positions = [];
+  const indices = [];
+  let offset = 0;
+  root.traverse(obj => {
+    if (!obj.isMesh || !obj.geometry.attributes.position) return;
+    const geom = obj.geometry;
+    const pos = geom.attributes.position;
+    const v = new THREE.Vector3();
+    for (let i = 0; i < pos.count; i++) {
+      v.fromBufferAttribute(pos, i).applyMatrix4(obj.matrixWorld);
+      positions.push(v.x, v.y, v.z);
+    }
+    if (geom.index) {
+      for (let i = 0; i < geom.index.count; i++) indices.push(geom.index.getX(i) + offset);
+    } else {
+      for (let i = 0; i < pos.count; i++) indices.push(i + offset);
+    }
+    offset += pos.count;
+  });
+  if (!positions.length) throw new Error('The file contains no meshes');
+
+  const merged = new THREE.BufferGeometry();
+  merged.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  merged.setIndex(indices);
+  return mergeVertices(merged);
+}
+
+// Centre on the bounding box and scale the farthest vertex to `radius`
+function normalizeGeometry(geometry, radius) {
+  geometry.computeBoundingBox();
+  const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+  geometry.translate(-center.x, -center.y, -center.z);
+  const pos = geometry.attributes.position.array;
+  let maxR2 = 0;
+  for (let i = 0; i < pos.length; i += 3) {
+    maxR2 = Math.max(maxR2, pos[i] * pos[i] + pos[i + 1] * pos[i + 1] + pos[i + 2] * pos[i + 2]);
+  }
+  if (maxR2 === 0) throw new Error('The model has no extent');
+  const s = radius / Math.sqrt(maxR2);
+  geometry.scale(s, s, s);
+  return geometry;
+}
+
+/**
+ * Vertex-clustering decimation: snap vertices to a grid, merge each occupied
+ * cell into its average and drop triangles that collapse. The grid coarsens
+ * until at most `maxVertices` remain. Works on plain arrays and returns
+ * { positions: Float32Array, indices: Uint32Array }.
+ */
+export function clusterDecimate(positions, indices, maxVertices) {
+  const count = positions.length / 3;
+  if (count <= maxVertices) return { positions: Float32Array.from(positions), indices: Uint32Array.from(indices) };
+
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let a = 0; a < 3; a++) {
+      min[a] = Math.min(min[a], positions[i + a]);
+      max[a] = Math.max(max[a], positions[i + a]);
+    }
+  }
+  const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+
+  // Surfaces fill roughly cells^2 grid cells, so start near sqrt(budget) and coarsen
+  let cells = Math.ceil(Math.sqrt(maxVertices) * 2);
+  let cellOf, cellCount;
+  while (true) {
+    const size = extent / cells;
+    const n = cells + 1;
+    const keys = new Map();
+    cellOf = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+      const key = Math.floor((positions[i * 3] - min[0]) / size) +
+        Math.floor((positions[i * 3 + 1] - min[1]) / size) * n +
+        Math.floor((positions[i * 3 + 2] - min[2]) / size) * n * n;
+      let id = keys.get(key);
+      if (id === undefined) {
+        id = keys.size;
+        keys.set(key, id);
+      }
+      cellOf[i] = id;
+    }
+    cellCount = keys.size;
+    if (cellCount <= maxVertices || cells <= 2) break;
+    cells = Math.max(2, Math.floor(cells * Math.sqrt(maxVertices / cellCount) * 0.95));
+  }
+
+  const sums = new Float64Array(cellCount * 3);
+  const hits = new Uint32Array(cellCount);
+  for (let i = 0; i < count; i++) {
+    const c = cellOf[i];
+    sums[c * 3] += positions[i * 3];
+    sums[c * 3 + 1] += positions[i * 3 + 1];
+    sums[c * 3 + 2] += positions[i * 3 + 2];
+    hits[c]++;
+  }
+  const outPos = new Float32Array(cellCount * 3);
+  for (let c = 0; c < cellCount; c++) {
+    outPos[c * 3] = sums[c * 3] / hits[c];
+    outPos[c * 3 + 1] = sums[c * 3 + 1] / hits[c];
+    outPos[c * 3 + 2] = sums[c * 3 + 2] / hits[c];
+  }
+
+  const outIdx = [];
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = cellOf[indices[i]], b = cellOf[indices[i + 1]], c = cellOf[indices[i + 2]];
+    if (a !== b && b !== c && a !== c) outIdx.push(a, b, c);
+  }
+  return { positions: outPos, indices: Uint32Array.from(outIdx) };
+}
+
+// Thin a prepared model further (e.g. for a lower Complexity setting)
+export function decimateGeometry(geometry, maxVertices) {
+  const { positions, indices } = clusterDecimate(geometry.attributes.position.array, geometry.index.array, maxVertices);
+  const out = new THREE.BufferGeometry();
+  out.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  out.setIndex(new THREE.BufferAttribute(indices, 1));
+  out.computeVertexNormals();
+  return out;
+}
+
+/**
+ * Load a model file into a normalized, decimated geometry.
+ * Resolves to { geometry, name, sourceVertices }.
+ */
+export async function loadModelFile(file) {
+  const merged = mergeMeshes(await parseModel(file));
+  const sourceVertices = merged.attributes.position.count;
+  normalizeGeometry(merged, MODEL_RADIUS);
+  const geometry = decimateGeometry(merged, MODEL_MAX_VERTICES);
+  merged.dispose();
+  return { geometry, name: file.name, sourceVertices };
+}
@@ -0,0 +1,122 @@
+import { TAU, clamp, fract, smoothstep } from './utils.js';
+
+// ============================================================================
+// MODULATION MATRIX - Route audio features and LFOs to any parameter
+// ============================================================================
+//
+// config.modRoutes = [{ id, source, target, depth, curve, smoothing, min, max, rate, enabled }]
+// Each route reads its source as 0..1, shapes it with `curve`, smooths it
+// (`smoothing` is a time constant in seconds) and adds
+// depth * value * (max - min) to the target, clamped to [min, max]. Routes
+// into the same target sum. Targets are restored after every frame, so
+// sliders, presets and automation only ever see the unmodulated base value.
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const chromaSource = (pc) => ({
+  label: `Chroma ${NOTE_NAMES[pc]}`,
+  read: ({ audio }) => {
+    let max = 1e-6;
+    for (let i = 0; i < 12; i++) max = Math.max(max, audio.chroma[i]);
+    return audio.chroma[pc] / max;
+  }
+});
+
+const lfoPhase = ({ beats }, route) => fract(beats / (route.rate || 4));
+
+export const MOD_SOURCES = {
+  smoothSubBass: { label: 'Sub Bass', read: ({ audio }) => audio.smoothSubBass },
+  smoothBass: { label: 'Bass', read: ({ audio }) => audio.smoothBass },
+  smoothLowMid: { label: 'Low Mid', read: ({ audio }) => audio.smoothLowMid },
+  smoothMid: { label: 'Mid', read: ({ audio }) => audio.smoothMid },
+  smoothHighMid: { label: 'High Mid', read: ({ audio }) => audio.smoothHighMid },
+  smoothHigh: { label: 'High', read: ({ audio }) => audio.smoothHigh },
+  smoothBrilliance: { label: 'Brilliance', read: ({ audio }) => audio.smoothBrilliance },
+  energy: { label: 'Energy', read: ({ audio }) => audio.energy / 1.5 },
+  rms: { label: 'Loudness', read: ({ audio }) => audio.rmsSmooth / Math.max(audio.rmsPeak, 1e-3) },
+  spectralCentroid: { label: 'Brightness', read: ({ audio }) => audio.spectralCentroid },
+  spectralFlux: { label: 'Spectral Flux', read: ({ audio }) => audio.spectralFlux / 2.5 },
+  onsetKick: { label: 'Kick Onset', read: ({ audio }) => audio.onsetKick / 1.5 },
+  onsetSnare: { label: 'Snare Onset', read: ({ audio }) => audio.onsetSnare / 1.5 },
+  onsetHihat: { label: 'Hi-hat Onset', read: ({ audio }) => audio.onsetHihat / 1.5 },
+  transientSharpness: { label: 'Transients', read: ({ audio }) => audio.transientSharpness / 2 },
+  stereoWidth: { label: 'Stereo Width', read: ({ audio }) => audio.stereoWidth },
+  stereoBalance: { label: 'Stereo Balance', read: ({ audio }) => (audio.stereoBalance + 1) / 2 },
+  ...Object.fromEntries(NOTE_NAMES.map((_, pc) => [`chroma${pc}`, chromaSource(pc)])),
+  pulse: { label: 'Motion Pulse', read: ({ motion }) => motion.pulse },
+  impact: { label: 'Motion Impact', read: ({ motion }) => motion.impact },
+  swell: { label: 'Motion Swell', read: ({ motion }) => motion.swell },
+  breathe: { label: 'Motion Breathe', read: ({ motion }) => motion.breathe },
+  lfoSine: { label: 'LFO Sine', lfo: true, read: (ctx, route) => 0.5 - 0.5 * Math.cos(TAU * lfoPhase(ctx, route)) },
+  lfoTriangle: { label: 'LFO Triangle', lfo: true, read: (ctx, route) => 1 - Math.abs(2 * lfoPhase(ctx, route) - 1) },
+  lfoSaw: { label: 'LFO Saw', lfo: true, read: (ctx, route) => lfoPhase(ctx, route) },
+  lfoSquare: { label: 'LFO Square', lfo: true, read: (ctx, route) => lfoPhase(ctx, route) < 0.5 ? 1 : 0 }
+};
+
+export const MOD_CURVES = {
+  linear: (x) => x,
+  exponential: (x) => x * x,
+  logarithmic: (x) => Math.sqrt(x),
+  sCurve: (x) => smoothstep(0, 1, x),
+  inverted: (x) => 1 - x
+};
+
+// LFO period in beats
+export const LFO_RATES = [0.25, 0.5, 1, 2, 4, 8, 16];
+
+export function createRoute(routes, source, target, min, max) {
+  const id = routes.reduce((m, r) => Math.max(m, r.id), 0) + 1;
+  return { id, source, target, depth: 0.5, curve: 'linear', smoothing: 0.1, min, max, rate: 4, enabled: true };
+}
+
+export class ModulationMatrix {
+  // targets: { key: { label, group: 'config' | 'uniform', min, max, get(), set(v) } }
+  constructor(targets) {
+    this.targets = targets;
+    this.values = new Map();  // route id -> smoothed 0..1
+    this._saved = new Map();  // target key -> base value while modulated
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  // Sample and smooth every route's source for this frame
+  update(routes, dt, ctx) {
+    for (const route of routes) {
+      const source = MOD_SOURCES[route.source];
+      if (!source || !route.enabled) continue;
+      const shape = MOD_CURVES[route.curve] || MOD_CURVES.linear;
+      const raw = shape(clamp(source.read(ctx, route) || 0, 0, 1));
+      const prev = this.values.has(route.id) ? this.values.get(route.id) : raw;
+      const k = route.smoothing > 0 ? 1 - Math.exp(-dt / route.smoothing) : 1;
+      this.values.set(route.id, prev + (raw - prev) * k);
+    }
+  }
+
+  // Add route offsets onto one group of targets, remembering their base values
+  apply(routes, group) {
+    const sums = new Map();
+    for (const route of routes) {
+      const target = this.targets[route.target];
+      if (!route.enabled || !target || target.group !== group || !this.values.has(route.id)) continue;
+      const sum = sums.get(route.target) || { offset: 0, min: Infinity, max: -Infinity };
+      sum.offset += route.depth * this.values.get(route.id) * (route.max - route.min);
+      sum.min = Math.min(sum.min, route.min);
+      sum.max = Math.max(sum.max, route.max);
+      sums.set(route.target, sum);
+    }
+    sums.forEach(({ offset, min, max }, key) => {
+      const target = this.targets[key];
+      const base = this._saved.has(key) ? this._saved.get(key) : target.get();
+      this._saved.set(key, base);
+      target.set(clamp(base + offset, min, max));
+    });
+  }
+
+  // Put every modulated target back to its base value
+  restore() {
+    this._saved.forEach((base, key) => this.targets[key].set(base));
+    this._saved.clear();
+  }
+}
@@ -0,0 +1,154 @@
+import { MOD_SOURCES, MOD_CURVES, LFO_RATES, createRoute } from './modulation.js';
+
+// ============================================================================
+// MODULATION EDITOR - Route list for the Mod tab
+// ============================================================================
+
+const FIELD_CSS = 'padding:3px 6px;font-size:10px;';
+const NUM_CSS = 'width:52px;padding:3px 6px;background:rgba(255,255,255,0.04);border:1px solid rgba(255,255,255,0.08);border-radius:6px;color:rgba(255,255,255,0.75);font-family:\'Space Mono\',monospace;font-size:10px;';
+
+function makeSelect(options, value, onChange) {
+  const el = document.createElement('select');
+  el.style.cssText = FIELD_CSS;
+  options.forEach(([v, label]) => {
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = label;
+    el.appendChild(opt);
+  });
+  el.value = value;
+  el.addEventListener('change', () => onChange(el.value));
+  return el;
+}
+
+function makeNumber(value, step, onChange, css = NUM_CSS) {
+  const el = document.createElement('input');
+  el.type = 'number';
+  el.step = step;
+  el.value = value;
+  el.style.cssText = css;
+  el.addEventListener('change', () => {
+    const v = parseFloat(el.value);
+    if (Number.isFinite(v)) onChange(v);
+    else el.value = value;
+  });
+  return el;
+}
+
+function makeRange(min, max, step, value, title, onInput) {
+  const el = document.createElement('input');
+  el.type = 'range';
+  el.min = min;
+  el.max = max;
+  el.step = step;
+  el.value = value;
+  el.title = title;
+  el.style.cssText = 'width:70px;';
+  el.addEventListener('input', () => onInput(parseFloat(el.value)));
+  return el;
+}
+
+export class ModulationEditor {
+  constructor({ container, getRoutes, matrix }) {
+    this.container = container;
+    this.getRoutes = getRoutes;
+    this.matrix = matrix;
+    this._meters = [];
+  }
+
+  addRoute(source = 'smoothBass', targetKey = Object.keys(this.matrix.targets)[0]) {
+    const routes = this.getRoutes();
+    const target = this.matrix.targets[targetKey];
+    routes.push(createRoute(routes, source, targetKey, target.min, target.max));
+    this.render();
+  }
+
+  render() {
+    const routes = this.getRoutes();
+    this.container.innerHTML = '';
+    this._meters = [];
+
+    if (!routes.length) {
+      this.container.innerHTML = '<div style="padding:10px;color:rgba(255,255,255,0.3);font-size:12px;">Add a route to modulate a parameter</div>';
+      return;
+    }
+
+    const sourceOptions = Object.entries(MOD_SOURCES).map(([k, s]) => [k, s.label]);
+    const targetOptions = Object.entries(this.matrix.targets).map(([k, t]) => [k, t.label]);
+    const curveOptions = Object.keys(MOD_CURVES).map(k => [k, k]);
+    const rateOptions = LFO_RATES.map(r => [r, r < 1 ? `1/${1 / r} beat` : `${r} beat${r > 1 ? 's' : ''}`]);
+
+    routes.forEach(route => {
+      const row = document.createElement('div');
+      row.style.cssText = `display:flex;flex-wrap:wrap;gap:6px;align-items:center;margin-bottom:8px;padding:6px 8px;background:rgba(255,255,255,0.03);border-radius:8px;opacity:${route.enabled ? 1 : 0.45};`;
+
+      const toggle = document.createElement('div');
+      toggle.className = `toggle${route.enabled ? ' active' : ''}`;
+      toggle.title = 'Enable / bypass this route';
+      toggle.addEventListener('click', () => {
+        route.enabled = !route.enabled;
+        this.render();
+      });
+
+      const rate = makeSelect(rateOptions, route.rate, v => { route.rate = parseFloat(v); });
+      rate.title = 'LFO period';
+      rate.style.display = MOD_SOURCES[route.source] && MOD_SOURCES[route.source].lfo ? '' : 'none';
+
+      const source = makeSelect(sourceOptions, route.source, v => {
+        route.source = v;
+        rate.style.display = MOD_SOURCES[v].lfo ? '' : 'none';
+      });
+
+      const min = makeNumber(route.min, 'any', v => { route.min = v; });
+      const max = makeNumber(route.max, 'any', v => { route.max = v; });
+      min.title = 'Range minimum';
+      max.title = 'Range maximum';
+
+      const target = makeSelect(targetOptions, route.target, v => {
+        // A new target brings its own natural range
+        route.target = v;
+        route.min = this.matrix.targets[v].min;
+        route.max = this.matrix.targets[v].max;
+        min.value = route.min;
+        max.value = route.max;
+      });
+
+      const depth = makeRange(-1, 1, 0.01, route.depth, 'Depth', v => { route.depth = v; });
+      const curve = makeSelect(curveOptions, route.curve, v => { route.curve = v; });
+      curve.title = 'Curve';
+      const smoothing = makeRange(0, 2, 0.01, route.smoothing, 'Smoothing (seconds)', v => { route.smoothing = v; });
+
+      const meter = document.createElement('div');
+      meter.style.cssText = 'width:40px;height:4px;background:rgba(255,255,255,0.08);border-radius:2px;overflow:hidden;';
+      const fill = document.createElement('div');
+      fill.style.cssText = 'height:100%;width:0;background:rgba(255,255,255,0.6);';
+      meter.appendChild(fill);
+
+      const remove = document.createElement('span');
+      remove.style.cssText = 'color:rgba(255,100,100,0.6);cursor:pointer;';
+      remove.textContent = '✕';
+      remove.addEventListener('click', () => {
+        const list = this.getRoutes();
+        list.splice(list.indexOf(route), 1);
+        this.matrix.values.delete(route.id);
+        this.render();
+      });
+
+      const arrow = document.createElement('span');
+      arrow.style.cssText = 'color:rgba(255,255,255,0.35);font-size:10px;';
+      arrow.textContent = '→';
+
+      row.append(toggle, source, rate, arrow, target, depth, curve, smoothing, min, max, meter, remove);
+      this.container.appendChild(row);
+      this._meters.push({ route, fill });
+    });
+  }
+
+  // Live source level per route
+  draw() {
+    this._meters.forEach(({ route, fill }) => {
+      const v = this.matrix.values.get(route.id) || 0;
+      fill.style.width = `${Math.round(v * 100)}%`;
+    });
+  }
+}
@@ -0,0 +1,122 @@
+import { clamp } from './utils.js';
+import { EASINGS } from './automation.js';
+
+// ============================================================================
+// FORM MORPH - Interpolating the main form from one geometry to the next
+// ============================================================================
+//
+// Both surfaces are reduced to their distinct points and keyed by direction:
+// a latitude band, then longitude within the band. The outgoing points are
+// resampled onto the incoming set - each new point starts from the old point
+// with the nearest key - so the morph flows region to region instead of
+// scrambling. Vertices duplicated at one position (seams, flat-shaded
+// polyhedra) share a start point, so the surface never tears.
+
+const BANDS = 24;
+
+// Distinct positions of a flat xyz array, plus each vertex's index into them
+export function uniquePoints(positions) {
+  const ids = new Map();
+  const points = [];
+  const map = new Uint32Array(positions.length / 3);
+  for (let i = 0; i < map.length; i++) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    const key = `${x.toFixed(3)},${y.toFixed(3)},${z.toFixed(3)}`;
+    let id = ids.get(key);
+    if (id === undefined) {
+      id = ids.size;
+      ids.set(key, id);
+      points.push(x, y, z);
+    }
+    map[i] = id;
+  }
+  return { points: Float32Array.from(points), map };
+}
+
+// Band index * 8 + longitude in [0, 2PI]: sorting by it reads a form top to bottom, around each band
+function directionKey(x, y, z) {
+  const r = Math.sqrt(x * x + y * y + z * z);
+  const phi = r > 0 ? Math.acos(clamp(y / r, -1, 1)) : 0;
+  const band = Math.min(BANDS - 1, Math.floor((phi / Math.PI) * BANDS));
+  return band * 8 + Math.atan2(z, x) + Math.PI;
+}
+
+/**
+ * Resample `fromPoints` onto `toPoints` (both flat xyz arrays of distinct
+ * points): returns a Float32Array the length of `toPoints` holding, for every
+ * target point, the source point nearest to it in direction.
+ */
+export function resamplePoints(fromPoints, toPoints) {
+  const count = toPoints.length / 3;
+  const out = new Float32Array(count * 3);
+  const sourceCount = fromPoints.length / 3;
+  if (!sourceCount) return out;
+
+  const keys = new Float64Array(sourceCount);
+  for (let i = 0; i < sourceCount; i++) keys[i] = directionKey(fromPoints[i * 3], fromPoints[i * 3 + 1], fromPoints[i * 3 + 2]);
+  const order = Array.from({ length: sourceCount }, (_, i) => i).sort((a, b) => keys[a] - keys[b]);
+  const sorted = Float64Array.from(order, i => keys[i]);
+
+  for (let i = 0; i < count; i++) {
+    const key = directionKey(toPoints[i * 3], toPoints[i * 3 + 1], toPoints[i * 3 + 2]);
+    // First sorted key >= key, then whichever neighbour is closer
+    let lo = 0, hi = sourceCount;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] < key) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo === sourceCount || (lo > 0 && key - sorted[lo - 1] < sorted[lo] - key)) lo--;
+    const src = order[lo];
+    out[i * 3] = fromPoints[src * 3];
+    out[i * 3 + 1] = fromPoints[src * 3 + 1];
+    out[i * 3 + 2] = fromPoints[src * 3 + 2];
+  }
+  return out;
+}
+
+/**
+ * One transition, measured in beats. `start` and `target` are per-vertex
+ * position arrays laid out like the incoming geometry; apply() writes the
+ * eased blend into that geometry's position array.
+ */
+export class FormMorph {
+  constructor(fromPositions, toPositions, { beats = 4, easing = 'easeInOutSine' } = {}) {
+    const { points, map } = uniquePoints(toPositions);
+    const resampled = resamplePoints(uniquePoints(fromPositions).points, points);
+    this.start = new Float32Array(toPositions.length);
+    for (let i = 0; i < map.length; i++) {
+      this.start[i * 3] = resampled[map[i] * 3];
+      this.start[i * 3 + 1] = resampled[map[i] * 3 + 1];
+      this.start[i * 3 + 2] = resampled[map[i] * 3 + 2];
+    }
+    this.target = Float32Array.from(toPositions);
+    this.beats = Math.max(0, beats);
+    this.ease = EASINGS[easing] || EASINGS.easeInOutSine;
+    this.elapsed = 0;
+  }
+
+  get progress() {
+    return this.beats > 0 ? clamp(this.elapsed / this.beats, 0, 1) : 1;
+  }
+
+  get done() {
+    return this.elapsed >= this.beats;
+  }
+
+  advance(beats) {
+    this.elapsed += Math.max(0, beats);
+  }
+
+  finish() {
+    this.elapsed = this.beats;
+  }
+
+  // Returns the eased amount (0 = old form, 1 = new form) it blended by
+  apply(out) {
+    const k = this.ease(this.progress);
+    const { start, target } = this;
+    for (let i = 0; i < target.length; i++) out[i] = start[i] + (target[i] - start[i]) * k;
+    return k;
+  }
+}
@@ -1,11 +1,22 @@
-import { clamp, lerp } from './utils.js';
+import { TAU, clamp, damp, decay, frameTau } from './utils.js';
 
 // ============================================================================
 // MOTION COORDINATOR V2 - Ultra-smooth motion with configurable smoothness
 // ============================================================================
+//
+// Its clock is the dt passed to update(): nothing reads wall time, so the
+// same audio frames produce the same motion live, offline or under test.
+// Every lerp and decay is a rate per second, so the frame rate doesn't
+// change how it moves either.
+
+const IMPACT_TAU = 0.158;   // 0.9 per frame at 60 fps
 
 export class MotionCoordinator {
   constructor() {
+    this.reset();
+  }
+
+  reset() {
     // === OUTPUT VALUES (what visual elements should READ) ===
     this.pulse = 0;           // Main beat pulse (0-1)
     this.impact = 0;          // Sharp transients (0-1)
@@ -17,6 +28,10 @@ export class MotionCoordinator {
     this.midMotion = 0;
     this.highMotion = 0;
 
+    // Stereo image, slowed down for drifting rather than hitting
+    this.pan = 0;             // -1 left to 1 right
+    this.width = 0;           // 0 mono to 1 wide
+
     // Pre-computed suggestions
     this.scaleSuggestion = 1;
     this.zoomSuggestion = 0;
@@ -35,22 +50,24 @@ export class MotionCoordinator {
     this._swellSmooth1 = 0;
     this._swellSmooth2 = 0;
 
-    // === INTERNAL: Timing ===
+    // === INTERNAL: Timing (ms on the update() clock) ===
+    this._tMs = 0;
     this._lastBeatTime = 0;
     this._beatLockout = 0;
     this._breathePhase = 0;
   }
 
   update(audio, dt, musicPhase, smoothness = 0.7) {
-    const now = performance.now();
+    this._tMs += dt * 1000;
+    const now = this._tMs;
 
-    // Smoothness affects all lerp rates
+    // Smoothness affects all lerp rates (per second)
     // smoothness 0 = reactive (fast lerps)
     // smoothness 1 = ultra smooth (very slow lerps)
     const smoothFactor = 0.3 + smoothness * 0.7; // 0.3 to 1.0
-    const lerpSlow = dt * (1.5 - smoothFactor * 1.2);   // 1.5 to 0.3
-    const lerpMed = dt * (4.0 - smoothFactor * 3.0);    // 4.0 to 1.0
-    const lerpFast = dt * (8.0 - smoothFactor * 5.0);   // 8.0 to 3.0
+    const rateSlow = 1.5 - smoothFactor * 1.2;   // 1.5 to 0.3
+    const rateMed = 4.0 - smoothFactor * 3.0;    // 4.0 to 1.0
+    const rateFast = 8.0 - smoothFactor * 5.0;   // 8.0 to 3.0
 
     // === BEAT PULSE ===
     // Longer lockout at higher smoothness to prevent rapid beats
@@ -64,35 +81,34 @@ export class MotionCoordinator {
     }
     this._beatLockout = Math.max(0, this._beatLockout - dt * 1000);
 
-    // Decay rate affected by smoothness
-    const pulseDecayRate = 0.92 + smoothness * 0.06; // 0.92 to 0.98
-    this._pulseRaw *= pulseDecayRate;
+    // Decay rate affected by smoothness: 0.92 to 0.98 per frame at 60 fps (0.2 to 0.8 s)
+    this._pulseRaw *= decay(frameTau(0.92 + smoothness * 0.06), dt);
 
     // TWO-STAGE smoothing for pulse (removes jitter)
-    this._pulseSmooth1 = lerp(this._pulseSmooth1, this._pulseRaw, lerpFast);
-    this._pulseSmooth2 = lerp(this._pulseSmooth2, this._pulseSmooth1, lerpMed);
+    this._pulseSmooth1 = damp(this._pulseSmooth1, this._pulseRaw, rateFast, dt);
+    this._pulseSmooth2 = damp(this._pulseSmooth2, this._pulseSmooth1, rateMed, dt);
     this.pulse = this._pulseSmooth2;
 
     // === IMPACT (sharp transients) ===
     // At high smoothness, we basically disable sharp transients
     const impactInfluence = 1.0 - smoothness * 0.8; // 1.0 to 0.2
     const rawImpact = (audio.onsetSnare * 0.5 + audio.onsetHihat * 0.3) * impactInfluence;
-    this._impactRaw = Math.max(this._impactRaw * 0.9, rawImpact);
-    this.impact = lerp(this.impact, this._impactRaw, lerpFast);
+    this._impactRaw = Math.max(this._impactRaw * decay(IMPACT_TAU, dt), rawImpact);
+    this.impact = damp(this.impact, this._impactRaw, rateFast, dt);
 
     // === SWELL (sustained energy) ===
     // This is intentionally VERY slow - tracks overall song energy
     const targetSwell = audio.energy * 0.7 + audio.rmsSmooth * 0.3;
-    this._swellRaw = lerp(this._swellRaw, targetSwell, dt * (0.5 - smoothness * 0.35)); // Very slow
+    this._swellRaw = damp(this._swellRaw, targetSwell, 0.5 - smoothness * 0.35, dt); // Very slow
 
     // Two-stage smoothing for swell
-    this._swellSmooth1 = lerp(this._swellSmooth1, this._swellRaw, lerpSlow);
-    this._swellSmooth2 = lerp(this._swellSmooth2, this._swellSmooth1, lerpSlow);
+    this._swellSmooth1 = damp(this._swellSmooth1, this._swellRaw, rateSlow, dt);
+    this._swellSmooth2 = damp(this._swellSmooth2, this._swellSmooth1, rateSlow, dt);
     this.swell = this._swellSmooth2;
 
     // === BREATHE (tempo-locked gentle motion) ===
-    const bpm = audio.getBPM() || 120;
-    this._breathePhase += dt * (bpm / 60) * 0.25; // Quarter-note cycle
+    // One cycle per bar, in phase with the music clock (the beat grid when there is one)
+    this._breathePhase = (musicPhase / TAU) * 0.25;
     // Sine wave breathing, scaled by swell
     this.breathe = (Math.sin(this._breathePhase * Math.PI * 2) * 0.5 + 0.5) * this.swell * 0.7;
 
@@ -102,14 +118,18 @@ export class MotionCoordinator {
     const highTarget = (audio.smoothHighMid + audio.smoothHigh) * 0.5;
 
     // Extra smoothing layer
-    this._lowRaw = lerp(this._lowRaw, lowTarget, lerpMed);
-    this._midRaw = lerp(this._midRaw, midTarget, lerpMed);
-    this._highRaw = lerp(this._highRaw, highTarget, lerpMed);
+    this._lowRaw = damp(this._lowRaw, lowTarget, rateMed, dt);
+    this._midRaw = damp(this._midRaw, midTarget, rateMed, dt);
+    this._highRaw = damp(this._highRaw, highTarget, rateMed, dt);
 
     // Final output with additional smoothing
-    this.lowMotion = lerp(this.lowMotion, this._lowRaw, lerpSlow);
-    this.midMotion = lerp(this.midMotion, this._midRaw, lerpSlow);
-    this.highMotion = lerp(this.highMotion, this._highRaw, lerpSlow);
+    this.lowMotion = damp(this.lowMotion, this._lowRaw, rateSlow, dt);
+    this.midMotion = damp(this.midMotion, this._midRaw, rateSlow, dt);
+    this.highMotion = damp(this.highMotion, this._highRaw, rateSlow, dt);
+
+    // === STEREO IMAGE ===
+    this.pan = damp(this.pan, audio.stereoBalance, rateSlow, dt);
+    this.width = damp(this.width, audio.stereoWidth, rateSlow, dt);
 
     // === PRE-COMPUTED SUGGESTIONS ===
     // Scale: gentle pulse + subtle swell + breathing
@@ -0,0 +1,39 @@
+import { TAU, clamp, damp } from './utils.js';
+
+// ============================================================================
+// MUSIC CLOCK - Beat count and phase the visuals animate against
+// ============================================================================
+//
+// With a beat grid (an analysed track or MIDI clock) the clock simply reads
+// the grid's position. Without one it free-runs at the detected tempo,
+// easing toward each new estimate so a jumpy BPM reading never makes the
+// visuals lurch. Time only advances through update(dt), so it runs the same
+// in the browser, an offline render or a test.
+
+export class MusicClock {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.beats = 0;
+    this.phase = 0;
+    this.bpmSmooth = 120;
+    this.lastSeenBar = -1;
+  }
+
+  /**
+   * Advance by dt seconds at `bpm`. `gridPosition` (in beats) takes over
+   * when a beat grid is driving the music; pass null to free-run.
+   */
+  update(dt, bpm, gridPosition = null) {
+    if (gridPosition !== null) {
+      this.bpmSmooth = bpm;
+      this.beats = gridPosition;
+    } else {
+      this.bpmSmooth = damp(this.bpmSmooth, bpm || 120, 5, dt);   // 0.08 per frame at 60 fps
+      this.beats += dt * (clamp(this.bpmSmooth, 50, 220) / 60);
+    }
+    this.phase = this.beats * TAU;
+  }
+}
@@ -0,0 +1,285 @@
+import { configureAnalyser, createInputConditioning, createStereoAnalysers, createStereoBuffers } from './sceneSetup.js';
+
+// ============================================================================
+// OFFLINE RENDER - Deterministic frame-by-frame export
+// ============================================================================
+//
+// The track is decoded and pushed through the same analysis conditioning as
+// live playback inside an OfflineAudioContext. The context is suspended at every
+// frame time so the analyser snapshot matches what the live analyser would
+// have seen, independent of display refresh or dropped frames.
+
+export const RENDER_FORMATS = {
+  png: 'PNG image sequence',
+  ivf: 'VP9 video (WebCodecs, .ivf)'
+};
+
+export async function decodeAudioFile(file) {
+  const data = await file.arrayBuffer();
+  // A throwaway offline context is enough for decoding and never touches the output device
+  const decoder = new OfflineAudioContext(2, 1, 48000);
+  return decoder.decodeAudioData(data);
+}
+
+/**
+ * Yield one { index, timeSec, freq, time, left, right } analysis frame per
+ * video frame, `left` and `right` being { freq, time } for each channel.
+ * `chain` holds the analysis* settings (see createInputConditioning).
+ * Rendering happens in chunks (with a short pre-roll so the compressor has
+ * settled) to keep memory bounded on long tracks.
+ */
+export async function* analysisFrames(buffer, { fps = 60, chain, chunkSeconds = 8, prerollSeconds = 1, isCancelled = () => false } = {}) {
+  const sampleRate = buffer.sampleRate;
+  const duration = buffer.duration;
+  const totalFrames = Math.ceil(duration * fps);
+  const quantum = 128 / sampleRate;
+
+  for (let chunkStart = 0; chunkStart < duration; chunkStart += chunkSeconds) {
+    if (isCancelled()) return;
+    const chunkEnd = Math.min(duration, chunkStart + chunkSeconds);
+    const renderStart = Math.max(0, chunkStart - prerollSeconds);
+    const length = Math.ceil((chunkEnd - renderStart) * sampleRate) + 256;
+
+    const ctx = new OfflineAudioContext(buffer.numberOfChannels, length, sampleRate);
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    const conditioning = createInputConditioning(ctx, chain);
+    const analyser = configureAnalyser(ctx.createAnalyser());
+    source.connect(conditioning.input);
+    conditioning.output.connect(analyser);
+    analyser.connect(ctx.destination);
+    const stereo = createStereoAnalysers(ctx, conditioning.output);
+    stereo.left.connect(ctx.destination);
+    stereo.right.connect(ctx.destination);
+
+    const frames = [];
+    // Suspends land on render quanta, and a second suspend on the same one is
+    // rejected. At high frame rates several frames share a quantum, so they
+    // share its read too.
+    const byQuantum = new Map();
+    const firstFrame = Math.ceil(chunkStart * fps);
+    const lastFrame = Math.min(totalFrames, Math.ceil(chunkEnd * fps));
+    for (let i = firstFrame; i < lastFrame; i++) {
+      const frame = {
+        index: i,
+        timeSec: i / fps,
+        freq: new Uint8Array(analyser.frequencyBinCount),
+        time: new Uint8Array(analyser.fftSize),
+        ...createStereoBuffers(analyser)
+      };
+      frames.push(frame);
+      const q = Math.max(1, Math.floor((frame.timeSec - renderStart) / quantum));
+      if (byQuantum.has(q)) byQuantum.get(q).push(frame);
+      else byQuantum.set(q, [frame]);
+    }
+
+    let failure = null;
+    byQuantum.forEach((shared, q) => {
+      const [frame, ...rest] = shared;
+      // Half a quantum in, so the browser's own rounding can't merge two of them
+      ctx.suspend((q + 0.5) * quantum).then(() => {
+        analyser.getByteFrequencyData(frame.freq);
+        analyser.getByteTimeDomainData(frame.time);
+        for (const side of ['left', 'right']) {
+          stereo[side].getByteFrequencyData(frame[side].freq);
+          stereo[side].getByteTimeDomainData(frame[side].time);
+        }
+        for (const other of rest) {
+          other.freq.set(frame.freq);
+          other.time.set(frame.time);
+          for (const side of ['left', 'right']) {
+            other[side].freq.set(frame[side].freq);
+            other[side].time.set(frame[side].time);
+          }
+        }
+        ctx.resume();
+      }).catch((e) => {
+        failure = failure || e;
+      });
+    });
+
+    source.start(0, renderStart);
+    await ctx.startRendering();
+    if (failure) throw new Error(`Analysis from ${chunkStart.toFixed(1)} s failed: ${failure.message}`);
+
+    for (const frame of frames) {
+      if (isCancelled()) return;
+      yield frame;
+    }
+  }
+}
+
+// ============================================================================
+// OUTPUT SINKS
+// ============================================================================
+
+function frameName(index) {
+  return `frame_${String(index).padStart(6, '0')}.png`;
+}
+
+export class ImageSequenceSink {
+  constructor(dirHandle) {
+    this.dir = dirHandle;
+  }
+
+  async open() { }
+
+  async addFrame(canvas, index) {
+    // toBlob snapshots the drawing buffer synchronously, so it must be called right after render
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    const handle = await this.dir.getFileHandle(frameName(index), { create: true });
+    const out = await handle.createWritable();
+    await out.write(blob);
+    await out.close();
+  }
+
+  async close() { }
+}
+
+export class IvfVideoSink {
+  constructor(dirHandle, { width, height, fps, bitrate = 40000000 }) {
+    this.dir = dirHandle;
+    this.width = width;
+    this.height = height;
+    this.fps = fps;
+    this.bitrate = bitrate;
+    this.frameCount = 0;
+    this.position = 32;
+    this._writes = Promise.resolve();
+    this._error = null;
+  }
+
+  async open() {
+    if (typeof VideoEncoder === 'undefined') throw new Error('WebCodecs is not available in this browser');
+
+    const encoderConfig = {
+      codec: 'vp09.00.51.08',
+      width: this.width,
+      height: this.height,
+      bitrate: this.bitrate,
+      framerate: this.fps
+    };
+    const support = await VideoEncoder.isConfigSupported(encoderConfig);
+    if (!support.supported) throw new Error(`VP9 encoding at ${this.width}x${this.height} is not supported`);
+
+    const handle = await this.dir.getFileHandle('video.ivf', { create: true });
+    this.out = await handle.createWritable();
+
+    this.encoder = new VideoEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        const pts = Math.round(chunk.timestamp * this.fps / 1e6);
+        this._queueWrite(this._frameHeader(data.byteLength, pts), data);
+      },
+      error: (e) => { this._error = e; }
+    });
+    this.encoder.configure(encoderConfig);
+  }
+
+  _frameHeader(size, pts) {
+    const header = new DataView(new ArrayBuffer(12));
+    header.setUint32(0, size, true);
+    header.setUint32(4, pts >>> 0, true);
+    header.setUint32(8, Math.floor(pts / 0x100000000), true);
+    return header.buffer;
+  }
+
+  _fileHeader() {
+    const header = new DataView(new ArrayBuffer(32));
+    'DKIF'.split('').forEach((c, i) => header.setUint8(i, c.charCodeAt(0)));
+    header.setUint16(4, 0, true);
+    header.setUint16(6, 32, true);
+    'VP90'.split('').forEach((c, i) => header.setUint8(8 + i, c.charCodeAt(0)));
+    header.setUint16(12, this.width, true);
+    header.setUint16(14, this.height, true);
+    header.setUint32(16, this.fps, true);
+    header.setUint32(20, 1, true);
+    header.setUint32(24, this.frameCount, true);
+    return header.buffer;
+  }
+
+  _queueWrite(...parts) {
+    this._writes = this._writes.then(async () => {
+      for (const part of parts) {
+        await this.out.write({ type: 'write', position: this.position, data: part });
+        this.position += part.byteLength;
+      }
+    });
+  }
+
+  async addFrame(canvas, index) {
+    if (this._error) throw this._error;
+    const frame = new VideoFrame(canvas, {
+      timestamp: Math.round(index * 1e6 / this.fps),
+      duration: Math.round(1e6 / this.fps)
+    });
+    this.encoder.encode(frame, { keyFrame: index % (this.fps * 2) === 0 });
+    frame.close();
+    this.frameCount++;
+    // Back-pressure: don't let the encoder queue grow without bound at 4K
+    while (this.encoder.encodeQueueSize > 4) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+  }
+
+  async close() {
+    await this.encoder.flush();
+    this.encoder.close();
+    await this._writes;
+    if (this._error) throw this._error;
+    await this.out.write({ type: 'write', position: 0, data: this._fileHeader() });
+    await this.out.close();
+  }
+}
+
+export function createRenderSink(format, dirHandle, options) {
+  return format === 'ivf' ? new IvfVideoSink(dirHandle, options) : new ImageSequenceSink(dirHandle);
+}
+
+// ============================================================================
+// AUDIO EXPORT
+// ============================================================================
+
+// 16-bit PCM WAV of the decoded track, written next to the frames for muxing
+export function encodeWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const bytesPerSample = 2;
+  const dataSize = frames * channels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeStr = (offset, str) => str.split('').forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+  writeStr(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeStr(8, 'WAVE');
+  writeStr(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, 16, true);
+  writeStr(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channelData = [];
+  for (let c = 0; c < channels; c++) channelData.push(buffer.getChannelData(c));
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const s = Math.max(-1, Math.min(1, channelData[c][i]));
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      offset += 2;
+    }
+  }
+  return new Blob([view.buffer], { type: 'audio/wav' });
+}
+
+export async function writeWav(dirHandle, buffer) {
+  const handle = await dirHandle.getFileHandle('audio.wav', { create: true });
+  const out = await handle.createWritable();
+  await out.write(encodeWav(buffer));
+  await out.close();
+}
@@ -0,0 +1,336 @@
+import { resetStream } from './random.js';
+
+// ============================================================================
+// PLAYLIST - Queue with shuffle / repeat and crossfades between two decks
+// ============================================================================
+//
+// Two media elements ("decks") each feed their own fade gain into the shared
+// mix bus ahead of the analyser. The next track starts on the idle deck while
+// the active one fades out, so the visuals see one continuous signal.
+
+const AUDIO_EXT = /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac|webm)$/i;
+const FADE_STEPS = 24;
+
+export const isAudioFile = (file) => (file.type && file.type.startsWith('audio/')) || AUDIO_EXT.test(file.name);
+
+// Flatten a drop (files and whole folders) into a name-sorted list of files
+export async function collectDroppedFiles(dataTransfer) {
+  const roots = [...(dataTransfer.items || [])]
+    .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+    .filter(Boolean);
+  if (!roots.length) return [...(dataTransfer.files || [])];
+
+  const files = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      const children = [];
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        children.push(...batch);
+      } while (batch.length);
+      children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+      for (const child of children) await walk(child);
+    }
+  };
+  for (const root of roots) await walk(root);
+  return files;
+}
+
+export class Playlist {
+  constructor({ audioCtx, decks, onTrackChange = () => { }, onPlayStateChange = () => { }, onListChange = () => { }, onError = () => { } }) {
+    this.audioCtx = audioCtx;
+    this.decks = decks;
+    this.onTrackChange = onTrackChange;
+    this.onPlayStateChange = onPlayStateChange;
+    this.onListChange = onListChange;
+    // (entry, error) when a track refuses to start
+    this.onError = onError;
+
+    this.entries = [];
+    this.index = -1;
+    this.shuffle = false;
+    this.repeat = 'all'; // 'off' | 'all' | 'one'
+    this.crossfade = 4;  // seconds
+
+    this._active = 0;
+    this._fading = false;
+    this._fadeTimer = null;
+    this._fadeFrom = null;
+    this._order = [];
+    this._nextId = 1;
+    this._failures = 0;
+
+    decks.forEach((deck, i) => {
+      deck.el.addEventListener('timeupdate', () => this._onTimeUpdate(i));
+      deck.el.addEventListener('ended', () => this._onEnded(i));
+    });
+  }
+
+  get current() {
+    return this.entries[this.index] || null;
+  }
+
+  get activeEl() {
+    return this.decks[this._active].el;
+  }
+
+  get paused() {
+    return this.activeEl.paused;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Queue editing
+  // ---------------------------------------------------------------------------
+
+  add(files) {
+    const added = [...files].filter(isAudioFile).map(file => ({
+      id: this._nextId++,
+      file,
+      name: file.name.replace(/\.[^.]+$/, ''),
+      url: URL.createObjectURL(file),
+      preset: ''
+    }));
+    if (!added.length) return added;
+
+    this.entries.push(...added);
+    this._reshuffle();
+    if (this.index < 0) this._cue(0);
+    this.onListChange();
+    return added;
+  }
+
+  remove(id) {
+    const i = this.entries.findIndex(e => e.id === id);
+    if (i < 0) return;
+    const [entry] = this.entries.splice(i, 1);
+
+    if (i < this.index) {
+      this.index--;
+    } else if (i === this.index) {
+      const wasPlaying = !this.paused;
+      this.decks.forEach(deck => deck.el.pause());
+      this.index = -1;
+      if (this.entries.length) {
+        this._cue(Math.min(i, this.entries.length - 1));
+        if (wasPlaying) this._play(this.activeEl, this.current);
+      } else {
+        this.decks.forEach(deck => deck.el.removeAttribute('src'));
+        this.onPlayStateChange(false);
+      }
+    }
+    URL.revokeObjectURL(entry.url);
+    this._reshuffle();
+    this.onListChange();
+  }
+
+  move(from, to) {
+    if (from === to || from < 0 || to < 0 || from >= this.entries.length || to >= this.entries.length) return;
+    const current = this.current;
+    const [entry] = this.entries.splice(from, 1);
+    this.entries.splice(to, 0, entry);
+    this.index = this.entries.indexOf(current);
+    this.onListChange();
+  }
+
+  clear() {
+    this.decks.forEach(deck => {
+      deck.el.pause();
+      deck.el.removeAttribute('src');
+    });
+    this.entries.forEach(e => URL.revokeObjectURL(e.url));
+    this.entries = [];
+    this.index = -1;
+    this._order = [];
+    this.onPlayStateChange(false);
+    this.onListChange();
+  }
+
+  setShuffle(on) {
+    this.shuffle = !!on;
+    this._reshuffle();
+  }
+
+  setPreset(id, presetName) {
+    const entry = this.entries.find(e => e.id === id);
+    if (entry) entry.preset = presetName || '';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transport
+  // ---------------------------------------------------------------------------
+
+  play(index = this.index) {
+    if (!this.entries.length) return;
+    if (index < 0) index = 0;
+    if (index !== this.index) {
+      this._startTrack(index, this.paused ? 0 : this.crossfade);
+      return;
+    }
+    this._play(this.activeEl, this.current);
+    this.onPlayStateChange(true);
+  }
+
+  pause() {
+    this._finishFade();
+    this.decks.forEach(deck => deck.el.pause());
+    this.onPlayStateChange(false);
+  }
+
+  toggle() {
+    if (this.paused) this.play();
+    else this.pause();
+  }
+
+  next() {
+    const i = this._step(1, false);
+    if (i >= 0) this._startTrack(i, this.paused ? 0 : this.crossfade);
+  }
+
+  prev() {
+    // Like most players: restart the track unless we're right at its start
+    if (this.activeEl.currentTime > 3) {
+      this.activeEl.currentTime = 0;
+      return;
+    }
+    const i = this._step(-1, false);
+    if (i >= 0) this._startTrack(i, this.paused ? 0 : this.crossfade);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+  // ---------------------------------------------------------------------------
+
+  _reshuffle() {
+    const ids = this.entries.map(e => e.id);
+    if (this.shuffle) {
+      const rand = resetStream('playlist');
+      for (let i = ids.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+      }
+    }
+    this._order = ids;
+  }
+
+  // Index of the entry `dir` steps away in play order; -1 when the queue runs out
+  _step(dir, automatic) {
+    if (!this.entries.length) return -1;
+    if (automatic && this.repeat === 'one') return this.index;
+    const current = this.current;
+    const pos = current ? this._order.indexOf(current.id) : -1;
+    if (pos < 0) return this.entries.findIndex(e => e.id === this._order[0]);
+    let nextPos = pos + dir;
+    if (nextPos >= this._order.length || nextPos < 0) {
+      if (this.repeat === 'off' && automatic) return -1;
+      nextPos = (nextPos + this._order.length) % this._order.length;
+    }
+    return this.entries.findIndex(e => e.id === this._order[nextPos]);
+  }
+
+  // Load an entry into the active deck without starting playback
+  _cue(index) {
+    this.index = index;
+    const deck = this.decks[this._active];
+    deck.el.src = this.entries[index].url;
+    deck.el.load();
+    this._setGain(deck.fade.gain, 1, 0);
+    this.decks.forEach(d => { if (d !== deck) this._setGain(d.fade.gain, 0, 0); });
+    this.onTrackChange(this.entries[index]);
+  }
+
+  _startTrack(index, fadeSeconds) {
+    this._finishFade();
+    const from = this.decks[this._active];
+    const toIdx = fadeSeconds > 0 ? 1 - this._active : this._active;
+    const to = this.decks[toIdx];
+
+    to.el.src = this.entries[index].url;
+    to.el.currentTime = 0;
+    this._play(to.el, this.entries[index]);
+
+    if (fadeSeconds > 0) {
+      this._fading = true;
+      this._fadeFrom = from;
+      this._setGain(from.fade.gain, 0, fadeSeconds);
+      this._setGain(to.fade.gain, 1, fadeSeconds, 0);
+      this._fadeTimer = setTimeout(() => this._finishFade(), fadeSeconds * 1000);
+    } else {
+      // Hard cut: reuse the active deck
+      this._setGain(to.fade.gain, 1, 0);
+    }
+
+    this._active = toIdx;
+    this.index = index;
+    this.onTrackChange(this.entries[index]);
+    this.onPlayStateChange(true);
+  }
+
+  // Start a deck playing `entry`. A start the browser refuses (autoplay policy)
+  // pauses the queue; a track that fails to play is skipped, until every
+  // track in the queue has failed in a row.
+  _play(el, entry) {
+    const attempt = el.play();
+    if (!attempt) return;
+    attempt.then(() => { this._failures = 0; }).catch((e) => {
+      // Interrupted by loading something newer: nothing actually failed
+      if (e.name === 'AbortError' || this.current !== entry) return;
+      const next = e.name !== 'NotAllowedError' && ++this._failures < this.entries.length ? this._step(1, false) : -1;
+      if (next >= 0 && next !== this.index) this._startTrack(next, 0);
+      else this.pause();
+      // Reported last, so it outlives the track change the skip announces
+      this.onError(entry, e);
+    });
+  }
+
+  _finishFade() {
+    if (this._fadeTimer) clearTimeout(this._fadeTimer);
+    this._fadeTimer = null;
+    if (this._fadeFrom) {
+      this._fadeFrom.el.pause();
+      this._setGain(this._fadeFrom.fade.gain, 0, 0);
+      this._fadeFrom = null;
+    }
+    this._setGain(this.decks[this._active].fade.gain, 1, 0);
+    this._fading = false;
+  }
+
+  // Equal-power ramp built from short linear segments (never conflicts with earlier automation)
+  _setGain(param, target, seconds, startValue = param.value) {
+    const now = this.audioCtx.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(startValue, now);
+    if (seconds <= 0) {
+      param.setValueAtTime(target, now);
+      return;
+    }
+    for (let k = 1; k <= FADE_STEPS; k++) {
+      const x = k / FADE_STEPS;
+      // Rising follows sin, falling follows cos, so the two decks' powers sum to 1
+      const value = target > startValue
+        ? startValue + (target - startValue) * Math.sin(x * Math.PI / 2)
+        : target + (startValue - target) * Math.cos(x * Math.PI / 2);
+      param.linearRampToValueAtTime(value, now + seconds * x);
+    }
+  }
+
+  _onTimeUpdate(i) {
+    if (i !== this._active || this._fading || this.crossfade <= 0) return;
+    const el = this.decks[i].el;
+    if (!Number.isFinite(el.duration) || el.paused) return;
+    const remaining = el.duration - el.currentTime;
+    if (remaining > this.crossfade) return;
+    const next = this._step(1, true);
+    if (next >= 0) this._startTrack(next, Math.max(0.1, remaining));
+  }
+
+  _onEnded(i) {
+    if (i !== this._active) return;
+    const next = this._step(1, true);
+    if (next >= 0) this._startTrack(next, 0);
+    else this.onPlayStateChange(false);
+  }
+}
@@ -0,0 +1,199 @@
+// ============================================================================
+// PRESET IO - Versioned preset files, migration and shareable URLs
+// ============================================================================
+//
+// Single preset: { format: 'geometric-resonance-preset', version, name, config }
+// Library:       { format: 'geometric-resonance-presets', version, presets: { name: config } }
+// Older data (the bare { name: config } map from localStorage, or a bare
+// config) is accepted too. Every config goes through migratePreset(), which
+// checks it against the current defaults: unknown keys are dropped, wrongly
+// typed values rejected and missing keys filled from defaults, so an old
+// preset never inherits whatever happened to be on screen.
+
+export const PRESET_VERSION = 2;
+
+const PRESET_FORMAT = 'geometric-resonance-preset';
+const LIBRARY_FORMAT = 'geometric-resonance-presets';
+const HASH_KEY = 'preset';
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+// Something shaped like a config rather than a map of presets
+const looksLikeConfig = (obj, defaults) =>
+  isPlainObject(obj) && Object.keys(obj).filter(k => k in defaults).length >= 3;
+
+function migrateAutomation(value, fallback, defaults) {
+  if (!isPlainObject(value) || !Array.isArray(value.lanes)) return clone(fallback);
+  return {
+    timeBase: value.timeBase === 'bars' ? 'bars' : 'seconds',
+    lanes: value.lanes
+      .filter(l => isPlainObject(l) && l.param in defaults && Array.isArray(l.keys))
+      .map(l => ({
+        param: l.param,
+        enabled: l.enabled !== false,
+        discrete: !!l.discrete,
+        keys: l.keys.filter(k => isPlainObject(k) && Number.isFinite(k.t) && k.v !== undefined)
+          .map(k => ({ t: k.t, v: k.v, ease: typeof k.ease === 'string' ? k.ease : 'linear' }))
+      }))
+  };
+}
+
+function migrateModRoutes(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(r => isPlainObject(r) && typeof r.source === 'string' && typeof r.target === 'string' &&
+      Number.isFinite(r.min) && Number.isFinite(r.max))
+    .map((r, i) => ({
+      id: Number.isInteger(r.id) ? r.id : i + 1,
+      source: r.source,
+      target: r.target,
+      depth: Number.isFinite(r.depth) ? r.depth : 0.5,
+      curve: typeof r.curve === 'string' ? r.curve : 'linear',
+      smoothing: Number.isFinite(r.smoothing) ? r.smoothing : 0.1,
+      min: r.min,
+      max: r.max,
+      rate: Number.isFinite(r.rate) ? r.rate : 4,
+      enabled: r.enabled !== false
+    }));
+}
+
+// Expressions are only checked for shape here; the editor reports parse errors
+function migrateCustomForm(value, fallback) {
+  if (!isPlainObject(value)) return clone(fallback);
+  const out = {};
+  ['x', 'y', 'z'].forEach(axis => {
+    out[axis] = typeof value[axis] === 'string' ? value[axis] : fallback[axis];
+  });
+  return out;
+}
+
+// Bring any stored / imported config up to date with `defaults`
+export function migratePreset(raw, defaults) {
+  const src = isPlainObject(raw) ? raw : {};
+  const out = {};
+  for (const [key, def] of Object.entries(defaults)) {
+    const v = src[key];
+    if (key === 'automation') out[key] = migrateAutomation(v, def, defaults);
+    else if (key === 'modRoutes') out[key] = migrateModRoutes(v);
+    else if (key === 'customForm') out[key] = migrateCustomForm(v, def);
+    else if (typeof def === 'number') {
+      const n = typeof v === 'string' ? parseFloat(v) : v;
+      out[key] = Number.isFinite(n) ? n : def;
+    } else if (typeof def === typeof v && !isPlainObject(def)) out[key] = v;
+    else out[key] = clone(def);
+  }
+  return out;
+}
+
+/**
+ * Parse preset JSON of any supported shape.
+ * Returns { presets: { name: config } } with every config migrated;
+ * throws on anything that isn't recognisably preset data.
+ */
+export function parsePresetFile(text, defaults, fallbackName = 'Imported') {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Not valid JSON');
+  }
+  if (!isPlainObject(data)) throw new Error('Not a preset file');
+  if (typeof data.version === 'number' && data.version > PRESET_VERSION) {
+    throw new Error(`Preset file is from a newer version (${data.version})`);
+  }
+
+  const presets = {};
+  if (data.format === PRESET_FORMAT) {
+    if (!isPlainObject(data.config)) throw new Error('Preset file has no config');
+    presets[String(data.name || fallbackName)] = migratePreset(data.config, defaults);
+  } else if (data.format === LIBRARY_FORMAT) {
+    if (!isPlainObject(data.presets)) throw new Error('Preset library has no presets');
+    Object.entries(data.presets).forEach(([name, cfg]) => {
+      if (isPlainObject(cfg)) presets[name] = migratePreset(cfg, defaults);
+    });
+  } else if (looksLikeConfig(data, defaults)) {
+    presets[fallbackName] = migratePreset(data, defaults);
+  } else if (Object.values(data).every(v => looksLikeConfig(v, defaults))) {
+    // Version 1: the raw localStorage map
+    Object.entries(data).forEach(([name, cfg]) => { presets[name] = migratePreset(cfg, defaults); });
+  } else {
+    throw new Error('Not a preset file');
+  }
+  return { presets };
+}
+
+export function serializePreset(name, cfg) {
+  return JSON.stringify({ format: PRESET_FORMAT, version: PRESET_VERSION, name, config: cfg }, null, 2);
+}
+
+export function serializeLibrary(presets) {
+  return JSON.stringify({ format: LIBRARY_FORMAT, version: PRESET_VERSION, presets });
+}
+
+export function uniqueName(name, existing) {
+  if (!(name in existing)) return name;
+  let i = 2;
+  while (`${name} (${i})` in existing) i++;
+  return `${name} (${i})`;
+}
+
+// Add `incoming` into `existing`: identical presets are skipped, clashing names get a suffix
+export function mergePresets(existing, incoming) {
+  const result = { added: [], skipped: [], renamed: [] };
+  Object.entries(incoming).forEach(([name, cfg]) => {
+    if (name in existing && JSON.stringify(existing[name]) === JSON.stringify(cfg)) {
+      result.skipped.push(name);
+      return;
+    }
+    const target = uniqueName(name, existing);
+    if (target !== name) result.renamed.push([name, target]);
+    existing[target] = cfg;
+    result.added.push(target);
+  });
+  return result;
+}
+
+// ----------------------------------------------------------------------------
+// URL hash (#preset=...): deflated when CompressionStream exists, plain otherwise
+// ----------------------------------------------------------------------------
+
+function toBase64Url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+const pipeBytes = async (bytes, transform) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+
+export async function encodePresetHash(name, cfg) {
+  const json = new TextEncoder().encode(JSON.stringify({ v: PRESET_VERSION, n: name, c: cfg }));
+  if (typeof CompressionStream !== 'undefined') {
+    return `${HASH_KEY}=z${toBase64Url(await pipeBytes(json, new CompressionStream('deflate-raw')))}`;
+  }
+  return `${HASH_KEY}=j${toBase64Url(json)}`;
+}
+
+// Returns { name, config } or null when the hash holds no preset
+export async function decodePresetHash(hash, defaults) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const value = params.get(HASH_KEY);
+  if (!value) return null;
+
+  let bytes = fromBase64Url(value.slice(1));
+  if (value[0] === 'z') bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+  else if (value[0] !== 'j') throw new Error('Unknown preset link encoding');
+
+  const data = JSON.parse(new TextDecoder().decode(bytes));
+  if (!isPlainObject(data) || !isPlainObject(data.c)) throw new Error('Preset link is damaged');
+  if (data.v > PRESET_VERSION) throw new Error(`Preset link is from a newer version (${data.v})`);
+  return { name: String(data.n || 'Shared'), config: migratePreset(data.c, defaults) };
+}
@@ -0,0 +1,97 @@
+// ============================================================================
+// QUALITY GOVERNOR - Trading detail for frame rate while the visuals run
+// ============================================================================
+//
+// Frame times are smoothed into an fps estimate. Staying under the target
+// for a while steps down one level; staying comfortably above it steps back
+// up. Each level only ever lowers things relative to the one before, in the
+// order they cost the least to give up: render scale, bloom resolution,
+// connection lines, particle count and finally trails. A step up that gets
+// undone straight away doubles the wait before the next attempt, so a scene
+// sitting on the edge doesn't flicker between two levels.
+
+export const QUALITY_LEVELS = [
+  { name: 'Full', renderScale: 1, bloomScale: 1, connectionScale: 1, particleScale: 1, trails: true },
+  { name: 'High', renderScale: 0.85, bloomScale: 1, connectionScale: 1, particleScale: 1, trails: true },
+  { name: 'Medium', renderScale: 0.85, bloomScale: 0.5, connectionScale: 1, particleScale: 1, trails: true },
+  { name: 'Reduced', renderScale: 0.75, bloomScale: 0.5, connectionScale: 0.25, particleScale: 1, trails: true },
+  { name: 'Low', renderScale: 0.75, bloomScale: 0.5, connectionScale: 0.25, particleScale: 0.5, trails: true },
+  { name: 'Lower', renderScale: 0.6, bloomScale: 0.35, connectionScale: 0.1, particleScale: 0.5, trails: false },
+  { name: 'Minimal', renderScale: 0.5, bloomScale: 0.25, connectionScale: 0.05, particleScale: 0.25, trails: false }
+];
+
+const SMOOTHING = 0.05;          // EMA weight of each frame time
+const DOWNGRADE_AFTER = 1.5;     // seconds below target before stepping down
+const UPGRADE_AFTER = 5;         // seconds of headroom before stepping up (doubles on a failed try)
+const MAX_UPGRADE_AFTER = 60;
+const HEADROOM = 1.1;            // fps must reach target * HEADROOM to count as headroom
+const SETTLE = 1;                // seconds ignored after a change while the new level warms up
+const MAX_FRAME = 0.25;          // longer gaps (hidden tab, breakpoints) are not samples
+
+export class QualityGovernor {
+  constructor({ targetFps = 50, levels = QUALITY_LEVELS } = {}) {
+    this.targetFps = targetFps;
+    this.levels = levels;
+    this.locked = false;
+    this.reset();
+  }
+
+  reset() {
+    this.level = 0;
+    this.fps = this.targetFps;
+    this._frameTime = 1 / this.targetFps;
+    this._slowFor = 0;
+    this._fastFor = 0;
+    this._settle = 0;
+    this._upgradeAfter = UPGRADE_AFTER;
+    this._sinceUpgrade = Infinity;
+  }
+
+  get settings() {
+    return this.levels[this.locked ? 0 : this.level];
+  }
+
+  // Locking holds full quality (e.g. for a recording); unlocking resumes from full
+  setLocked(locked) {
+    if (locked === this.locked) return;
+    this.locked = locked;
+    this.reset();
+  }
+
+  /**
+   * Feed one frame's duration in seconds. Returns true when the level
+   * changed, i.e. when `settings` need to be applied again.
+   */
+  sample(dt) {
+    if (!(dt > 0) || dt > MAX_FRAME) return false;
+    this._frameTime += (dt - this._frameTime) * SMOOTHING;
+    this.fps = 1 / this._frameTime;
+    this._sinceUpgrade += dt;
+    if (this.locked) return false;
+    if (this._settle > 0) {
+      this._settle -= dt;
+      return false;
+    }
+
+    this._slowFor = this.fps < this.targetFps ? this._slowFor + dt : 0;
+    this._fastFor = this.fps >= this.targetFps * HEADROOM ? this._fastFor + dt : 0;
+
+    if (this._slowFor >= DOWNGRADE_AFTER && this.level < this.levels.length - 1) {
+      // Falling straight back after a step up: wait longer before the next try
+      if (this._sinceUpgrade < this._upgradeAfter) this._upgradeAfter = Math.min(this._upgradeAfter * 2, MAX_UPGRADE_AFTER);
+      return this._step(1);
+    }
+    if (this._fastFor >= this._upgradeAfter && this.level > 0) {
+      this._sinceUpgrade = 0;
+      return this._step(-1);
+    }
+    return false;
+  }
+
+  _step(delta) {
+    this.level += delta;
+    this._slowFor = this._fastFor = 0;
+    this._settle = SETTLE;
+    return true;
+  }
+}
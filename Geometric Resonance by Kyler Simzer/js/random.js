@@ -0,0 +1,38 @@
+import { createRng, hashString } from './utils.js';
+
+// ============================================================================
+// SEEDED RANDOMNESS
+// ============================================================================
+//
+// Every builder and per-frame consumer draws from a named stream derived from
+// config.seed. Streams are independent, so e.g. changing the particle count
+// never shifts the camera shake sequence.
+
+let currentSeed = 1;
+const streams = new Map();
+
+export function setSeed(seed) {
+  currentSeed = seed >>> 0;
+  streams.clear();
+}
+
+export function getSeed() {
+  return currentSeed;
+}
+
+// Get (or lazily create) the stream for `name`
+export function stream(name) {
+  if (!streams.has(name)) streams.set(name, createRng(currentSeed ^ hashString(name)));
+  return streams.get(name);
+}
+
+// Restart a stream from the beginning of its sequence - builders call this so a rebuild is identical
+export function resetStream(name) {
+  streams.delete(name);
+  return stream(name);
+}
+
+// The one place real entropy enters: picking a fresh seed
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
@@ -1,13 +1,17 @@
 import * as THREE from 'three';
 import { TAU, clamp, lerp } from './utils.js';
-import { createGeometry } from './geometryBuilders.js';
+import { createGeometry, createEdgeGeometry } from './geometryBuilders.js';
+import { resetStream } from './random.js';
 import { shaders } from './shaders.js';
 
 // ============================================================================
 // SCENE OBJECT BUILDERS
 // ============================================================================
 
-export function buildMainGeometry(scene, config, vertexData, audio, clampFunc) {
+// options.sharedEdges: build the wireframe on the surface's own position buffer
+// (for a form that is about to be morphed in place); options.particleCount
+// overrides config.particleCount; options.points: false skips the CPU point cloud
+export function buildMainGeometry(scene, config, vertexData, audio, clampFunc, options = {}) {
   let wireframeMesh, particleSystem, connectionLines, rimMesh;
 
   if (wireframeMesh) scene.remove(wireframeMesh);
@@ -15,10 +19,13 @@ export function buildMainGeometry(scene, config, vertexData, audio, clampFunc) {
   if (particleSystem) scene.remove(particleSystem);
   if (connectionLines) scene.remove(connectionLines);
 
-  const geom = createGeometry(config.form, config.density);
+  const geom = createGeometry(config.form, config.density, config.customForm);
+  // Animated custom forms and morphs update positions in place, so their wireframe shares the buffer
+  const animated = (geom.userData.custom && geom.userData.custom.form.dynamic) || !!options.sharedEdges;
+  const rand = resetStream('geometry');
 
   wireframeMesh = new THREE.LineSegments(
-    new THREE.WireframeGeometry(geom),
+    animated ? createEdgeGeometry(geom) : new THREE.WireframeGeometry(geom),
     new THREE.LineBasicMaterial({
       color: 0xffffff,
       transparent: true,
@@ -47,6 +54,8 @@ export function buildMainGeometry(scene, config, vertexData, audio, clampFunc) {
   );
   rimMesh.visible = config.showRimGlow;
   scene.add(rimMesh);
+  // Bounds computed at build time don't hold once the surface moves
+  if (animated) wireframeMesh.frustumCulled = rimMesh.frustumCulled = false;
 
   // Build vertex data
   const posArr = geom.attributes.position.array;
@@ -65,18 +74,19 @@ export function buildMainGeometry(scene, config, vertexData, audio, clampFunc) {
         band: Math.floor(
           ((Math.atan2(norm.z, norm.x) + Math.PI) / TAU) * 32 + (Math.acos(clampFunc(norm.y, -1, 1)) / Math.PI) * 32
         ) % 64,
-        phase: Math.random() * TAU,
+        phase: rand() * TAU,
         theta: Math.atan2(norm.z, norm.x),
         phi: Math.acos(clampFunc(norm.y, -1, 1)),
-        isExtra: false
+        isExtra: false,
+        source: i / 3
       });
     }
   }
 
-  while (vertexData.length < config.particleCount) {
-    const theta = Math.random() * TAU;
-    const phi = Math.acos(2 * Math.random() - 1);
-    const r = 2 + Math.random() * 8;
+  while (vertexData.length < (options.particleCount ?? config.particleCount)) {
+    const theta = rand() * TAU;
+    const phi = Math.acos(2 * rand() - 1);
+    const r = 2 + rand() * 8;
     const v = new THREE.Vector3(
       r * Math.sin(phi) * Math.cos(theta),
       r * Math.sin(phi) * Math.sin(theta),
@@ -85,16 +95,44 @@ export function buildMainGeometry(scene, config, vertexData, audio, clampFunc) {
     vertexData.push({
       base: v.clone(),
       current: v.clone(),
-      velocity: new THREE.Vector3((Math.random() - 0.5) * 0.1, (Math.random() - 0.5) * 0.1, (Math.random() - 0.5) * 0.1),
-      band: Math.floor(Math.random() * 64),
-      phase: Math.random() * TAU,
+      velocity: new THREE.Vector3((rand() - 0.5) * 0.1, (rand() - 0.5) * 0.1, (rand() - 0.5) * 0.1),
+      band: Math.floor(rand() * 64),
+      phase: rand() * TAU,
       theta: Math.atan2(v.z, v.x),
       phi: Math.acos(clampFunc(v.clone().normalize().y, -1, 1)),
       isExtra: true
     });
   }
 
-  // Create particle system
+  // The GPU path (gpuParticles.js) draws its own points
+  if (options.points !== false) {
+    particleSystem = buildParticlePoints(vertexData, rand);
+    scene.add(particleSystem);
+    particleSystem.visible = config.showParticles;
+  }
+
+  // Connection lines
+  const lineGeom = new THREE.BufferGeometry();
+  lineGeom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3000 * 6), 3));
+  lineGeom.setAttribute('color', new THREE.BufferAttribute(new Float32Array(3000 * 6), 3));
+  lineGeom.setDrawRange(0, 0);
+  connectionLines = new THREE.LineSegments(
+    lineGeom,
+    new THREE.LineBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      opacity: 0.2,
+      blending: THREE.AdditiveBlending
+    })
+  );
+  scene.add(connectionLines);
+  connectionLines.visible = config.showConnections;
+
+  return { wireframeMesh, particleSystem, connectionLines, rimMesh, vertexData };
+}
+
+// Point cloud for vertexData, positions and colors written by the CPU loop each frame
+function buildParticlePoints(vertexData, rand) {
   const pGeom = new THREE.BufferGeometry();
   const pPos = new Float32Array(vertexData.length * 3);
   const pCol = new Float32Array(vertexData.length * 3);
@@ -104,13 +142,13 @@ export function buildMainGeometry(scene, config, vertexData, audio, clampFunc) {
     pPos[i * 3 + 1] = vd.current.y;
     pPos[i * 3 + 2] = vd.current.z;
     pCol[i * 3] = pCol[i * 3 + 1] = pCol[i * 3 + 2] = 1;
-    pSize[i] = 0.15 + Math.random() * 0.1;
+    pSize[i] = 0.15 + rand() * 0.1;
   });
   pGeom.setAttribute('position', new THREE.BufferAttribute(pPos, 3));
   pGeom.setAttribute('color', new THREE.BufferAttribute(pCol, 3));
   pGeom.setAttribute('size', new THREE.BufferAttribute(pSize, 1));
 
-  particleSystem = new THREE.Points(
+  return new THREE.Points(
     pGeom,
     new THREE.ShaderMaterial({
       uniforms: {
@@ -127,27 +165,6 @@ export function buildMainGeometry(scene, config, vertexData, audio, clampFunc) {
       blending: THREE.AdditiveBlending
     })
   );
-  scene.add(particleSystem);
-
-  // Connection lines
-  const lineGeom = new THREE.BufferGeometry();
-  lineGeom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3000 * 6), 3));
-  lineGeom.setAttribute('color', new THREE.BufferAttribute(new Float32Array(3000 * 6), 3));
-  lineGeom.setDrawRange(0, 0);
-  connectionLines = new THREE.LineSegments(
-    lineGeom,
-    new THREE.LineBasicMaterial({
-      vertexColors: true,
-      transparent: true,
-      opacity: 0.2,
-      blending: THREE.AdditiveBlending
-    })
-  );
-  scene.add(connectionLines);
-  connectionLines.visible = config.showConnections;
-  particleSystem.visible = config.showParticles;
-
-  return { wireframeMesh, particleSystem, connectionLines, rimMesh, vertexData };
 }
 
 export function buildSecondary(scene, config) {
@@ -6,6 +6,7 @@ import { AfterimagePass } from 'three/addons/postprocessing/AfterimagePass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { config, colorThemes } from './config.js';
 import { shaders } from './shaders.js';
+import { MAX_AV_DELAY } from './latency.js';
 
 // ============================================================================
 // SCENE SETUP & RENDERER INITIALIZATION
@@ -168,47 +169,119 @@ export function updateTrailMode(afterimagePass, trailMode) {
   }
 }
 
-export function initAudio() {
-  const audioEl = document.getElementById('audio');
-  if (typeof AudioContext === 'undefined' && typeof webkitAudioContext !== 'undefined') {
-    var AudioContext = webkitAudioContext;
-  }
-
-  const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-  const sourceNode = audioCtx.createMediaElementSource(audioEl);
-  const analyser = audioCtx.createAnalyser();
-
+// Analyser settings shared by live playback and offline rendering
+export function configureAnalyser(analyser) {
   analyser.fftSize = 8192;
   analyser.smoothingTimeConstant = 0.0;
   analyser.minDecibels = -90;
   analyser.maxDecibels = -10;
+  return analyser;
+}
 
-  const gainNode = audioCtx.createGain();
-  gainNode.gain.value = config.volume;
-
-  const highpass = audioCtx.createBiquadFilter();
+// Highpass -> compressor -> gain conditioning in front of the analyser. It only
+// shapes what the analysis sees; playback never passes through it.
+export function createInputConditioning(ctx, settings = config) {
+  const highpass = ctx.createBiquadFilter();
   highpass.type = 'highpass';
-  highpass.frequency.value = 20;
   highpass.Q.value = 0.7;
 
-  const compressor = audioCtx.createDynamicsCompressor();
-  compressor.threshold.value = -24;
+  const compressor = ctx.createDynamicsCompressor();
   compressor.knee.value = 30;
-  compressor.ratio.value = 3;
   compressor.attack.value = 0.003;
   compressor.release.value = 0.25;
 
-  const mediaDest = audioCtx.createMediaStreamDestination();
+  const gain = ctx.createGain();
+  compressor.connect(gain);
+
+  const chain = { input: highpass, output: gain, highpass, compressor, gain };
+  applyAnalysisChain(chain, settings);
+  return chain;
+}
+
+// Copy the analysis* settings onto a conditioning chain; a disabled compressor is bypassed
+export function applyAnalysisChain(chain, settings) {
+  chain.highpass.frequency.value = settings.analysisHighpass;
+  chain.compressor.threshold.value = settings.analysisThreshold;
+  chain.compressor.ratio.value = settings.analysisRatio;
+  chain.gain.gain.value = Math.pow(10, settings.analysisGain / 20);
+  chain.highpass.disconnect();
+  chain.highpass.connect(settings.analysisCompressor ? chain.compressor : chain.gain);
+}
+
+// A pair of analysers on the left and right channels of `source`. Mono input
+// is upmixed to both, so it simply reads as centred with no width.
+export function createStereoAnalysers(ctx, source) {
+  const stereoIn = ctx.createGain();
+  stereoIn.channelCount = 2;
+  stereoIn.channelCountMode = 'explicit';
+  stereoIn.channelInterpretation = 'speakers';
+  const splitter = ctx.createChannelSplitter(2);
+  const left = configureAnalyser(ctx.createAnalyser());
+  const right = configureAnalyser(ctx.createAnalyser());
+  source.connect(stereoIn);
+  stereoIn.connect(splitter);
+  splitter.connect(left, 0);
+  splitter.connect(right, 1);
+  return { left, right };
+}
 
-  sourceNode.connect(highpass);
-  highpass.connect(compressor);
-  compressor.connect(analyser);
-  analyser.connect(gainNode);
-  gainNode.connect(audioCtx.destination);
-  gainNode.connect(mediaDest);
+// Byte buffers for one stereo read, shaped like the analyser's own
+export function createStereoBuffers(analyser) {
+  const side = () => ({ freq: new Uint8Array(analyser.frequencyBinCount), time: new Uint8Array(analyser.fftSize) });
+  return { left: side(), right: side() };
+}
+
+export function initAudio() {
+  if (typeof AudioContext === 'undefined' && typeof webkitAudioContext !== 'undefined') {
+    var AudioContext = webkitAudioContext;
+  }
+
+  const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+
+  // Two playback decks (for playlist crossfades) mixed into one source bus
+  const sourceNode = audioCtx.createGain();
+  const decks = ['audio', 'audio2'].map((id, i) => {
+    const el = document.getElementById(id);
+    const source = audioCtx.createMediaElementSource(el);
+    const fade = audioCtx.createGain();
+    fade.gain.value = i === 0 ? 1 : 0;
+    source.connect(fade);
+    fade.connect(sourceNode);
+    return { el, source, fade };
+  });
+
+  // The clean signal - whichever input is active - which both branches below split from
+  const inputBus = audioCtx.createGain();
+  sourceNode.connect(inputBus);
+
+  // Analysis branch: conditioned for the analyser and never heard (an analyser
+  // keeps processing without being connected onward)
+  const analyser = configureAnalyser(audioCtx.createAnalyser());
+  const conditioning = createInputConditioning(audioCtx);
+  inputBus.connect(conditioning.input);
+  conditioning.output.connect(analyser);
+  // Per-channel analysers on the same conditioned signal, for the stereo image
+  const stereoAnalysers = createStereoAnalysers(audioCtx, conditioning.output);
+
+  // Playback branch: untouched apart from the volume
+  const gainNode = audioCtx.createGain();
+  gainNode.gain.value = config.volume;
+  // Closed while a live input is active so it never reaches the speakers
+  const outputGate = audioCtx.createGain();
+  inputBus.connect(gainNode);
+  gainNode.connect(outputGate);
+  outputGate.connect(audioCtx.destination);
+
+  // The recorder gets the untouched mix, whatever the volume, held back by the
+  // same latency compensation as the visuals so recordings stay in sync
+  const recordDelay = audioCtx.createDelay(MAX_AV_DELAY);
+  const mediaDest = audioCtx.createMediaStreamDestination();
+  inputBus.connect(recordDelay);
+  recordDelay.connect(mediaDest);
 
   const freqData = new Uint8Array(analyser.frequencyBinCount);
   const timeData = new Uint8Array(analyser.fftSize);
+  const stereo = createStereoBuffers(analyser);
 
-  return { audioEl, audioCtx, analyser, sourceNode, gainNode, mediaDest, freqData, timeData };
+  return { decks, audioCtx, analyser, stereoAnalysers, sourceNode, inputBus, conditioning, gainNode, outputGate, recordDelay, mediaDest, freqData, timeData, stereo };
 }
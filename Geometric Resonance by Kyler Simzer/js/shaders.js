@@ -2,6 +2,21 @@
 // SHADER DEFINITIONS
 // ============================================================================
 
+// Shared by the GPU particle simulation and its render shader (see gpuParticles.js)
+const gpuParticleCommon = `
+    uniform sampler2D tBase, tInfo, tBands;
+    uniform float uSens, uSymmetry;
+    float foldTheta(float theta, float n) {
+      float sector = 6.28318530718 / max(1.0, n);
+      return mod(theta + 3.14159265359, sector) * n;
+    }
+    // (freqVal, onset) for a band, scaled as the CPU path scales them
+    vec2 bandLevels(float band) {
+      vec2 b = texture2D(tBands, vec2((band + 0.5) / 64.0, 0.5)).rg;
+      return vec2(clamp(b.r * 1.2 * uSens, 0.0, 1.5), b.g * 0.6);
+    }
+`;
+
 export const shaders = {
   // Background pattern shader
   bgVert: `varying vec2 vUv; void main(){ vUv = uv; gl_Position = vec4(position.xy, 0.0, 1.0); }`,
@@ -104,6 +119,168 @@ export const shaders = {
     }
   `,
 
+  // GPU particles: velocity step (target, spring, damping, speed cap), mirroring the CPU loop in main.js
+  particleVelocityFrag: `
+    ${gpuParticleCommon}
+    uniform float uTime, uDt, uPhase, uTurbulence, uCohesion, uSmoothness, uPulse, uImpact, uLow, uMid, uHigh, uSwell;
+    uniform int uFieldMode, uParticleMode;
+    uniform vec3 uStereoAxis;
+    uniform float uStereoSpread;
+    float hash3(vec3 p) { return fract(sin(p.x * 12.9898 + p.y * 78.233 + p.z * 45.164) * 43758.5453); }
+    float gradNoise(vec3 p) {
+      vec3 i = floor(p);
+      vec3 f = p - i;
+      vec3 u = f * f * f * (f * (f * 6.0 - 15.0) + 10.0);
+      float n000 = hash3(i) * 2.0 - 1.0;
+      float n001 = hash3(i + vec3(0.0, 0.0, 1.0)) * 2.0 - 1.0;
+      float n010 = hash3(i + vec3(0.0, 1.0, 0.0)) * 2.0 - 1.0;
+      float n011 = hash3(i + vec3(0.0, 1.0, 1.0)) * 2.0 - 1.0;
+      float n100 = hash3(i + vec3(1.0, 0.0, 0.0)) * 2.0 - 1.0;
+      float n101 = hash3(i + vec3(1.0, 0.0, 1.0)) * 2.0 - 1.0;
+      float n110 = hash3(i + vec3(1.0, 1.0, 0.0)) * 2.0 - 1.0;
+      float n111 = hash3(i + vec3(1.0, 1.0, 1.0)) * 2.0 - 1.0;
+      return mix(
+        mix(mix(n000, n100, u.x), mix(n010, n110, u.x), u.y),
+        mix(mix(n001, n101, u.x), mix(n011, n111, u.x), u.y),
+        u.z
+      );
+    }
+    vec3 safeNormalize(vec3 v) { float l = length(v); return l > 0.0 ? v / l : vec3(0.0); }
+    void main() {
+      vec2 uv = gl_FragCoord.xy / resolution.xy;
+      vec3 pos = texture2D(texturePosition, uv).xyz;
+      vec3 vel = texture2D(textureVelocity, uv).xyz;
+      vec4 baseBand = texture2D(tBase, uv);
+      vec3 base = baseBand.xyz;
+      vec3 info = texture2D(tInfo, uv).xyz;  // theta, phi, phase
+      vec2 levels = bandLevels(baseBand.w);
+      float freqVal = levels.x, onset = levels.y;
+      float thetaSym = foldTheta(info.x, uSymmetry);
+      float phi = info.y;
+      float noiseOffset = uTime * 0.15;
+
+      float disp;
+      if (uFieldMode == 0) {
+        float h1 = sin(thetaSym + 2.0 * phi + uPhase * 0.04);
+        float h2 = sin(2.0 * thetaSym - 3.0 * phi + uPhase * 0.028);
+        disp = 1.0 + freqVal * 0.5 * h1 + uLow * 0.4 * h2 + uPulse * 0.15 + onset * 0.08;
+      } else if (uFieldMode == 1) {
+        float n = gradNoise(vec3(base.x * 0.08 + noiseOffset, base.y * 0.08, base.z * 0.08 + uTime * 0.1));
+        disp = 1.0 + freqVal * 0.45 + onset * 0.25 + n * 0.2 * uTurbulence + uPulse * 0.18;
+      } else if (uFieldMode == 2) {
+        float spiralWave = sin(thetaSym + uPhase * 0.18 + uLow * 2.0);
+        disp = 1.0 + freqVal * 0.45 + onset * 0.25 + spiralWave * 0.22 * uSens + uPulse * 0.18;
+      } else {
+        float n = gradNoise(vec3(base.x * 0.12 + noiseOffset, base.y * 0.12, base.z * 0.12));
+        disp = 1.0 + freqVal * 0.55 + onset * 0.35 + n * 0.25 * uTurbulence + uPulse * 0.2;
+      }
+      vec3 target = base * clamp(disp, 0.7, 2.2);
+      // Each band leans toward where it sits in the stereo field
+      float pan = texture2D(tBands, vec2((baseBand.w + 0.5) / 64.0, 0.5)).b;
+      target += uStereoAxis * pan * freqVal * uStereoSpread * 3.0;
+
+      if (uParticleMode == 1) {
+        float swarm = uTurbulence * freqVal;
+        target += vec3(cos(thetaSym + uPhase * 0.18), sin(phi + uPhase * 0.14) * 0.7, sin(thetaSym - uPhase * 0.16)) * swarm;
+      } else if (uParticleMode == 2) {
+        target += safeNormalize(base) * (uPulse * 0.8 + uImpact * 0.5) * 5.0 * uSens;
+      } else if (uParticleMode == 3) {
+        float ang = uPhase * 0.25 + info.z + freqVal * 2.0;
+        float r = length(base) * (1.0 + freqVal * 0.3 * uSens);
+        target = vec3(cos(ang) * r, base.y * (1.0 + uMid * 0.35), sin(ang) * r);
+      } else if (uParticleMode == 4) {
+        vec3 toAttractor = vec3(0.0, (uLow - uHigh) * 6.0, 0.0) - pos;
+        float dist = max(length(toAttractor), 0.5);
+        target += safeNormalize(toAttractor) * (uSwell * 0.12 * uSens) / (dist * 0.08);
+        target.x += sin(uPhase * 0.2 + info.z) * uMid * 1.2;
+        target.z += cos(uPhase * 0.2 + info.z) * uMid * 1.2;
+      } else if (uParticleMode == 5) {
+        float wave1 = sin(thetaSym + uPhase * 0.35) * uLow * 2.5;
+        float wave2 = sin(thetaSym * 2.0 + uPhase * 0.5 + 1.04719755) * uMid * 1.2;
+        float wave3 = sin(thetaSym * 3.0 + uPhase * 0.7) * uHigh * 0.6;
+        target.y += (wave1 + wave2 + wave3) * uSens;
+      } else if (uParticleMode == 6) {
+        float vAng = uPhase * 0.35 + info.z;
+        float vR = length(base) * (1.0 + uLow * 0.2);
+        target = vec3(
+          cos(vAng + thetaSym * 0.5) * vR,
+          base.y * (1.0 + uMid * 0.25) + uHigh * 3.0 * sin(vAng * 2.0),
+          sin(vAng + thetaSym * 0.5) * vR
+        );
+      } else if (uParticleMode == 7) {
+        float aWave1 = sin(base.x * 0.15 + uPhase * 0.12) * cos(base.z * 0.15 + uPhase * 0.08);
+        float aWave2 = sin(base.x * 0.25 + uPhase * 0.18 + 0.78539816) * uHigh;
+        target.y += (aWave1 * uMid * 3.0 + aWave2 * 1.2) * uSens;
+        target.x += sin(uPhase * 0.08 + base.y * 0.1) * uLow * 0.6;
+      }
+
+      // Spring and damping are per 60 fps frame, scaled to this step's dt
+      float frames = uDt * 60.0;
+      vel += (target - pos) * uCohesion * (0.4 - uSmoothness * 0.15) * frames;
+      vel *= pow(0.92 + uSmoothness * 0.05, frames);
+      float maxVel = 2.0 - uSmoothness;
+      float speed = length(vel);
+      if (speed > maxVel) vel *= maxVel / speed;
+      gl_FragColor = vec4(vel, 1.0);
+    }
+  `,
+
+  particlePositionFrag: `
+    uniform float uDt;
+    void main() {
+      vec2 uv = gl_FragCoord.xy / resolution.xy;
+      vec3 pos = texture2D(texturePosition, uv).xyz;
+      vec3 vel = texture2D(textureVelocity, uv).xyz;
+      gl_FragColor = vec4(pos + vel * uDt, 1.0);
+    }
+  `,
+
+  // Draws straight from the simulation texture; color and size as the CPU loop computes them
+  gpuParticleVert: `
+    ${gpuParticleCommon}
+    attribute vec2 ref;
+    uniform sampler2D tPosition;
+    uniform float uEnergy, uPixelRatio, uTime, uSizeMult, uPulse, uCentroid;
+    uniform vec3 uHsl1, uHsl2;
+    uniform float uReactivity, uHueShift, uNoteHue, uNoteAmount, uSatScale, uLumBoost;
+    varying vec3 vColor;
+    varying float vSize;
+    float hue2rgb(float p, float q, float t) {
+      if (t < 0.0) t += 1.0;
+      if (t > 1.0) t -= 1.0;
+      if (t < 1.0 / 6.0) return p + (q - p) * 6.0 * t;
+      if (t < 0.5) return q;
+      if (t < 2.0 / 3.0) return p + (q - p) * 6.0 * (2.0 / 3.0 - t);
+      return p;
+    }
+    // getHarmonizedColor() from colorHelpers.js, fed by getHarmonyParams()
+    vec3 harmonizedColor(float energy, float bandMix) {
+      float rawMix = bandMix * uReactivity + energy * uReactivity * 0.4;
+      float mixAmt = clamp(-(cos(3.14159265359 * rawMix) - 1.0) / 2.0, 0.0, 1.0);
+      float h = fract(mix(mix(uHsl1.x, uHsl2.x, mixAmt) + uHueShift, uNoteHue, uNoteAmount));
+      float s = clamp(mix(uHsl1.y, uHsl2.y, mixAmt) * uSatScale, 0.1, 0.98);
+      float l = clamp(mix(uHsl1.z, uHsl2.z, mixAmt) * (0.5 + 0.7 * energy + uLumBoost), 0.08, 0.88);
+      float p = l <= 0.5 ? l * (1.0 + s) : l + s - l * s;
+      float q = 2.0 * l - p;
+      return vec3(hue2rgb(q, p, h + 1.0 / 3.0), hue2rgb(q, p, h), hue2rgb(q, p, h - 1.0 / 3.0));
+    }
+    void main() {
+      vec3 pos = texture2D(tPosition, ref).xyz;
+      vec2 levels = bandLevels(texture2D(tBase, ref).w);
+      float thetaSym = foldTheta(texture2D(tInfo, ref).x, uSymmetry);
+      float brightness = clamp(0.35 + levels.x * 0.45 + uPulse * 0.15, 0.15, 1.0);
+      vColor = harmonizedColor(levels.x + levels.y * 0.3, fract(thetaSym / 6.28318530718 + uCentroid * 0.25)) * brightness;
+      float size = (0.12 + levels.x * 0.14) * (1.0 + uPulse * 0.25);
+      vSize = size;
+      vec4 mv = modelViewMatrix * vec4(pos, 1.0);
+      float depth = -mv.z;
+      float sizeScale = 250.0 / max(depth, 1.0);
+      float pulse = 1.0 + sin(uTime * 2.5 + pos.x * 0.3 + pos.y * 0.2) * 0.15 * uEnergy;
+      gl_PointSize = size * sizeScale * uPixelRatio * (0.9 + uEnergy * 0.5) * pulse * uSizeMult;
+      gl_Position = projectionMatrix * mv;
+    }
+  `,
+
   // Light ray shader
   lightRayVert: 'varying float vY; void main() { vY = position.y / 50.0; gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0); }',
   lightRayFrag: 'uniform vec3 uColor; uniform float uIntensity; varying float vY; void main() { gl_FragColor = vec4(uColor, (1.0 - vY) * uIntensity * (1.0 - vY)); }',
@@ -116,6 +293,117 @@ export const shaders = {
   energyFieldVert: 'uniform float uTime, uEnergy; varying vec3 vNormal, vPos; void main() { vNormal = normal; vPos = position; vec3 pos = position; float pulse = sin(length(position) * 2.0 - uTime * 3.0) * 0.5 + 0.5; pos += normal * pulse * uEnergy * 2.0; gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0); }',
   energyFieldFrag: 'uniform vec3 uColor; uniform float uTime, uEnergy; varying vec3 vNormal, vPos; void main() { float fresnel = pow(1.0 - abs(dot(normalize(vNormal), vec3(0.0, 0.0, 1.0))), 3.0); float pattern = sin(vPos.x * 5.0 + uTime) * sin(vPos.y * 5.0 + uTime * 1.3) * sin(vPos.z * 5.0 + uTime * 0.7); gl_FragColor = vec4(uColor, fresnel * 0.15 * (0.5 + uEnergy) * (0.5 + pattern * 0.5)); }',
 
+  // Matrix rain: glyph columns on the inside of a cylinder, one phase per band
+  matrixVert: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  matrixFrag: `
+    uniform sampler2D uGlyphs;
+    uniform float uTime;
+    uniform float uPhase[16];
+    uniform float uBands[16];
+    uniform vec3 uColor;
+    varying vec2 vUv;
+    float hash(float n) { return fract(sin(n) * 43758.5453); }
+    void main() {
+      vec2 grid = vec2(96.0, 40.0);
+      vec2 cell = floor(vUv * grid);
+      vec2 local = fract(vUv * grid);
+      int band = int(mod(cell.x, 16.0));
+      float level = uBands[band];
+      float head = fract(uPhase[band] * (0.5 + hash(cell.x) * 0.8) + hash(cell.x + 17.0));
+      float y = 1.0 - (cell.y + 0.5) / grid.y;
+      float behind = fract(head - y);
+      float trailLen = 0.2 + level * 0.5;
+      float trail = behind < trailLen ? pow(1.0 - behind / trailLen, 2.5) : 0.0;
+      float glyph = floor(hash(cell.x * 13.1 + cell.y * 7.7 + floor(uTime * (1.0 + hash(cell.y) * 3.0))) * 64.0);
+      vec2 guv = (vec2(mod(glyph, 8.0), floor(glyph / 8.0)) + local) / 8.0;
+      float ink = texture2D(uGlyphs, guv).r;
+      float isHead = smoothstep(0.03, 0.0, behind);
+      vec3 col = mix(uColor, vec3(1.0), isHead * 0.8);
+      float a = ink * trail * (0.25 + level * 0.9);
+      if (a < 0.01) discard;
+      gl_FragColor = vec4(col * a, a);
+    }
+  `,
+
+  // Ocean: bass-driven swell on a wide plane below the form
+  oceanVert: `
+    uniform float uPhase;
+    uniform float uBass;
+    varying float vHeight;
+    varying vec3 vWorld;
+    void main() {
+      vec3 pos = position;
+      float amp = 0.6 + uBass * 4.5;
+      float h = sin(pos.x * 0.06 + uPhase) * cos(pos.y * 0.05 + uPhase * 0.7)
+              + sin((pos.x + pos.y) * 0.11 - uPhase * 1.3) * 0.45
+              + sin(length(pos.xy) * 0.18 - uPhase * 2.0) * 0.3;
+      pos.z += h * amp;
+      vHeight = h;
+      vec4 world = modelMatrix * vec4(pos, 1.0);
+      vWorld = world.xyz;
+      gl_Position = projectionMatrix * viewMatrix * world;
+    }
+  `,
+  oceanFrag: `
+    uniform vec3 uColorA, uColorB;
+    uniform float uBass;
+    varying float vHeight;
+    varying vec3 vWorld;
+    void main() {
+      float crest = smoothstep(0.6, 1.4, vHeight);
+      vec3 col = mix(uColorB * 0.35, uColorA, clamp(vHeight * 0.5 + 0.5, 0.0, 1.0));
+      col += vec3(1.0) * crest * (0.2 + uBass * 0.6);
+      vec2 lines = abs(fract(vWorld.xz * 0.25) - 0.5);
+      float line = smoothstep(0.47, 0.5, max(lines.x, lines.y));
+      float fade = 1.0 - smoothstep(30.0, 95.0, length(vWorld.xz));
+      float a = (0.08 + line * 0.25 + crest * 0.3) * fade * (0.6 + uBass * 0.6);
+      gl_FragColor = vec4(col, a);
+    }
+  `,
+
+  // Crystal shards: faceted fresnel with dispersion, lit as a shockwave front passes
+  crystalVert: `
+    varying vec3 vNormal;
+    varying vec3 vView;
+    varying float vDist;
+    void main() {
+      vec4 world = modelMatrix * vec4(position, 1.0);
+      vNormal = normalize(mat3(modelMatrix) * normal);
+      vView = normalize(cameraPosition - world.xyz);
+      vDist = length(world.xyz);
+      gl_Position = projectionMatrix * viewMatrix * world;
+    }
+  `,
+  crystalFrag: `
+    uniform vec3 uColorA, uColorB;
+    uniform vec4 uWaveRadius;
+    uniform vec4 uWaveStrength;
+    uniform float uEnergy;
+    varying vec3 vNormal;
+    varying vec3 vView;
+    varying float vDist;
+    void main() {
+      vec3 n = normalize(vNormal);
+      float fresnel = pow(1.0 - abs(dot(n, vView)), 2.5);
+      vec3 r = refract(-vView, n, 0.66);
+      vec3 g = refract(-vView, n, 0.62);
+      vec3 b = refract(-vView, n, 0.58);
+      vec3 disp = vec3(r.y, g.y, b.y) * 0.5 + 0.5;
+      vec3 col = mix(uColorB, uColorA, disp) * (0.3 + disp * 0.7);
+      vec4 d = (vec4(vDist) - uWaveRadius) * 0.35;
+      vec4 front = exp(-d * d) * uWaveStrength;
+      float lit = front.x + front.y + front.z + front.w;
+      float a = 0.06 + fresnel * (0.35 + uEnergy * 0.3) + lit * 0.9;
+      gl_FragColor = vec4(col * (0.6 + lit * 2.0) + vec3(lit * 0.4), clamp(a, 0.0, 1.0));
+    }
+  `,
+
   // Shockwave shader
   shockwaveVert: `
     varying vec2 vUv;
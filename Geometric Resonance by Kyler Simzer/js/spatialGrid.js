@@ -0,0 +1,152 @@
+// ============================================================================
+// SPATIAL GRID - Neighbor search for the connection lines
+// ============================================================================
+//
+// A uniform grid rebuilt from scratch on every query: points are bucketed
+// with a counting sort into cells `maxDist` wide (half that for crowded
+// clouds) and each point only visits the cells its search sphere touches.
+// Points that have been searched from, or already have all the neighbors
+// they may have, drop out of later searches, so the cost stays close to
+// linear in the number of points even for dense clouds. No DOM or three.js -
+// it runs in Node too (see bench/neighborSearch.mjs).
+
+// Never allocate more cells than this many per point; sparse clouds get coarser cells
+const CELLS_PER_POINT = 4;
+const MIN_CELLS = 4096;
+const DENSE_POINTS_PER_CELL = 8;
+
+export class NeighborGrid {
+  constructor() {
+    this.pairs = new Uint32Array(0);   // i, j index pairs from the last query
+    this.pairCount = 0;
+    this._cellOf = new Uint32Array(0);
+    this._sorted = new Uint32Array(0);
+    this._degree = new Uint32Array(0);
+    this._cellStart = new Uint32Array(0);
+    this._slot = new Uint32Array(0);
+    this._skip = new Uint32Array(0);
+  }
+
+  /**
+   * Find pairs of points closer than `maxDist`. `positions` is a flat xyz
+   * array; only its first `count` points are used. Each point is joined to
+   * at most `maxNeighbors` others and no more than `maxPairs` pairs are
+   * kept. Results land in this.pairs (2 indices per pair, i < j);
+   * returns the pair count.
+   */
+  query(positions, count, maxDist, maxNeighbors = Infinity, maxPairs = Infinity) {
+    this.pairCount = 0;
+    if (count < 2 || !(maxDist > 0) || maxNeighbors < 1 || maxPairs < 1) return 0;
+
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (let i = 0; i < count; i++) {
+      const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+      if (z < minZ) minZ = z;
+      if (z > maxZ) maxZ = z;
+    }
+    if (!Number.isFinite(maxX - minX + maxY - minY + maxZ - minZ)) return 0;
+
+    const cellsAt = (size) =>
+      (Math.floor((maxX - minX) / size) + 1) * (Math.floor((maxY - minY) / size) + 1) * (Math.floor((maxZ - minZ) / size) + 1);
+    // Crowded clouds get cells half the search radius wide, so a search sweeps less empty volume
+    let cell = count > DENSE_POINTS_PER_CELL * cellsAt(maxDist) ? maxDist / 2 : maxDist;
+    const maxCells = Math.max(MIN_CELLS, count * CELLS_PER_POINT);
+    while (cellsAt(cell) > maxCells) cell *= 1.5;
+    const nx = Math.floor((maxX - minX) / cell) + 1;
+    const ny = Math.floor((maxY - minY) / cell) + 1;
+    const nz = Math.floor((maxZ - minZ) / cell) + 1;
+    const cells = nx * ny * nz;
+    // Cells a pair can span: 2 with half-width cells, otherwise 1
+    const reach = Math.ceil(maxDist / cell);
+
+    const cellOf = this._cellOf = grow(this._cellOf, count, Uint32Array);
+    const sorted = this._sorted = grow(this._sorted, count, Uint32Array);
+    const degree = this._degree = grow(this._degree, count, Uint32Array);
+    const start = this._cellStart = grow(this._cellStart, cells + 1, Uint32Array);
+    start.fill(0, 0, cells + 1);
+    degree.fill(0, 0, count);
+
+    // Counting sort: afterwards cell c's points are sorted[start[c] .. start[c + 1])
+    for (let i = 0; i < count; i++) {
+      const cx = Math.floor((positions[i * 3] - minX) / cell);
+      const cy = Math.floor((positions[i * 3 + 1] - minY) / cell);
+      const cz = Math.floor((positions[i * 3 + 2] - minZ) / cell);
+      const c = cx + nx * (cy + ny * cz);
+      cellOf[i] = c;
+      start[c]++;
+    }
+    for (let c = 1; c <= cells; c++) start[c] += start[c - 1];
+    for (let i = count - 1; i >= 0; i--) sorted[--start[cellOf[i]]] = i;
+
+    // Points drop out of the search once searched from or full: skip[k] leads past
+    // dropped slots of `sorted` (a union-find over slots, compressed as it's walked)
+    const slot = this._slot = grow(this._slot, count, Uint32Array);
+    const skip = this._skip = grow(this._skip, count + 1, Uint32Array);
+    for (let k = 0; k <= count; k++) skip[k] = k;
+    for (let k = 0; k < count; k++) slot[sorted[k]] = k;
+    const live = (k) => {
+      while (skip[k] !== k) k = skip[k] = skip[skip[k]];
+      return k;
+    };
+
+    const maxD2 = maxDist * maxDist;
+    let pairs = this.pairs;
+    let n = 0;
+
+    for (let i = 0; i < count && n < maxPairs; i++) {
+      // Pairs are found from their lower index, so i is never a candidate again
+      skip[slot[i]] = slot[i] + 1;
+      if (degree[i] >= maxNeighbors) continue;
+      const xi = positions[i * 3], yi = positions[i * 3 + 1], zi = positions[i * 3 + 2];
+      const c = cellOf[i];
+      const cx = c % nx, cy = Math.floor(c / nx) % ny, cz = Math.floor(c / (nx * ny));
+
+      search:
+      for (let z = Math.max(0, cz - reach); z <= Math.min(nz - 1, cz + reach); z++) {
+        const gz = gap(zi - minZ, z, cell);
+        for (let y = Math.max(0, cy - reach); y <= Math.min(ny - 1, cy + reach); y++) {
+          const gzy = gz + gap(yi - minY, y, cell);
+          if (gzy >= maxD2) continue;
+          for (let x = Math.max(0, cx - reach); x <= Math.min(nx - 1, cx + reach); x++) {
+            // Cells entirely out of range are skipped without touching their points
+            if (gzy + gap(xi - minX, x, cell) >= maxD2) continue;
+            const cellIndex = x + nx * (y + ny * z);
+            const end = start[cellIndex + 1];
+            for (let k = live(start[cellIndex]); k < end; k = live(k + 1)) {
+              const j = sorted[k];
+              const dx = positions[j * 3] - xi, dy = positions[j * 3 + 1] - yi, dz = positions[j * 3 + 2] - zi;
+              if (dx * dx + dy * dy + dz * dz >= maxD2) continue;
+              if (n * 2 + 2 > pairs.length) pairs = this.pairs = grow(pairs, Math.max(64, n * 4), Uint32Array, true);
+              pairs[n * 2] = i;
+              pairs[n * 2 + 1] = j;
+              n++;
+              if (++degree[j] >= maxNeighbors) skip[slot[j]] = slot[j] + 1;
+              if (++degree[i] >= maxNeighbors || n >= maxPairs) break search;
+            }
+          }
+        }
+      }
+    }
+    this.pairCount = n;
+    return n;
+  }
+}
+
+// Squared distance along one axis from coordinate v to cell number `index`
+function gap(v, index, cell) {
+  const d = Math.max(index * cell - v, v - (index + 1) * cell, 0);
+  return d * d;
+}
+
+// Typed array of at least `size` elements, reusing `arr` when it's big enough
+function grow(arr, size, Type, keep = false) {
+  if (arr.length >= size) return arr;
+  const next = new Type(Math.max(size, arr.length * 2));
+  if (keep) next.set(arr);
+  return next;
+}
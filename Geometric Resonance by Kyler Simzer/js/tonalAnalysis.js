@@ -0,0 +1,289 @@
+import { clamp, decay } from './utils.js';
+
+// ============================================================================
+// TONAL ANALYSIS - Tuning, key, chords and melody from the live spectrum
+// ============================================================================
+//
+// Works from the spectral peaks of each analyser read:
+//   peaks (parabolic interpolation) -> tuning (circular mean of how far peaks
+//   sit from A440 equal temperament) -> tuning-corrected chroma -> key
+//   (Krumhansl-Kessler profiles against a slowly decaying chroma memory) and
+//   chords (triad templates over beat-long windows, nudged toward the key)
+// plus a melody track from harmonic summation over the same peaks.
+// Everything steps on the dt it is given, like the rest of the analysis.
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+export const MAJOR = 0;
+export const MINOR = 1;
+
+// Krumhansl-Kessler key profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+// Chords each mode counts as its own: [semitones above the tonic, quality]
+const DIATONIC = {
+  [MAJOR]: [[0, MAJOR], [2, MINOR], [4, MINOR], [5, MAJOR], [7, MAJOR], [9, MINOR]],
+  [MINOR]: [[0, MINOR], [3, MAJOR], [5, MINOR], [7, MINOR], [7, MAJOR], [8, MAJOR], [10, MAJOR]]
+};
+
+const MIN_HZ = 60;
+const MAX_HZ = 5000;
+const TUNING_MIN_HZ = 200;      // below this a bin is too wide a slice of a semitone
+const PEAK_FLOOR = 0.04;        // weakest peak (linear magnitude) that counts
+const TUNING_TAU = 8;
+const CHROMA_TAU = 0.25;
+const KEY_TAU = 12;
+const KEY_SETTLE = 4;           // seconds of tonal material before the key is trusted
+const KEY_SWITCH_MARGIN = 0.05;
+const MAX_CHORD_WINDOW = 1;     // seconds; without beats the window closes on its own
+const CHORD_MIN_SCORE = 0.6;
+const CHORD_KEY_BONUS = 0.05;
+const CHORD_HOLD_BONUS = 0.03;
+const MELODY_MIN_MIDI = 48;     // C3
+const MELODY_MAX_MIDI = 88;     // E6
+const MELODY_STEPS = 3;         // salience bins per semitone
+const MELODY_HARMONICS = 5;
+const MELODY_TOP = 0.6;         // the highest pitch within this share of the strongest is the melody
+const MELODY_HOLD = 0.05;       // seconds a new pitch has to win before the track moves
+const MELODY_MIN_CONFIDENCE = 0.25;
+
+const hzToMidi = (hz) => 69 + 12 * Math.log2(hz / 440);
+const pitchClass = (n) => ((Math.round(n) % 12) + 12) % 12;
+
+export const keyName = (root, mode) => (Number.isFinite(root) ? `${NOTE_NAMES[root]} ${mode === MINOR ? 'minor' : 'major'}` : '--');
+export const chordName = (root, quality) => (Number.isFinite(root) ? `${NOTE_NAMES[root]}${quality === MINOR ? 'm' : ''}` : '--');
+export const midiNoteName = (midi) => (Number.isFinite(midi) ? `${NOTE_NAMES[pitchClass(midi)]}${Math.floor(Math.round(midi) / 12) - 1}` : '--');
+
+// Pearson correlation of a chroma vector with `profile` rotated to `root`
+function profileCorrelation(chroma, profile, root) {
+  let meanC = 0, meanP = 0;
+  for (let i = 0; i < 12; i++) {
+    meanC += chroma[i];
+    meanP += profile[i];
+  }
+  meanC /= 12;
+  meanP /= 12;
+  let num = 0, dc = 0, dp = 0;
+  for (let i = 0; i < 12; i++) {
+    const c = chroma[i] - meanC;
+    const p = profile[(i - root + 12) % 12] - meanP;
+    num += c * p;
+    dc += c * c;
+    dp += p * p;
+  }
+  return dc > 1e-12 ? num / Math.sqrt(dc * dp) : 0;
+}
+
+// Cosine similarity of a chroma vector with a root-third-fifth triad
+function triadScore(chroma, root, quality, norm) {
+  const third = (root + (quality === MINOR ? 3 : 4)) % 12;
+  const fifth = (root + 7) % 12;
+  return (chroma[root] + chroma[third] + chroma[fifth]) / (Math.sqrt(3) * norm);
+}
+
+export class TonalAnalyzer {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    // Smoothed tuning-corrected chroma (sum of peak magnitudes per pitch class)
+    this.chroma = new Float32Array(12);
+    // Offset of the music from A440 equal temperament, in semitones (-0.5..0.5)
+    this.tuning = 0;
+    this.keyRoot = NaN;
+    this.keyMode = MAJOR;
+    this.keyConfidence = 0;
+    this.chordRoot = NaN;
+    this.chordQuality = MAJOR;
+    // Fractional MIDI note of the dominant melody line, NaN when there isn't one
+    this.melodyPitch = NaN;
+    this.melodyConfidence = 0;
+
+    this._peaks = [];
+    this._frame = new Float32Array(12);
+    this._keyChroma = new Float32Array(12);
+    this._keyHeard = 0;
+    this._tuneX = 0;
+    this._tuneY = 0;
+    this._window = new Float32Array(12);
+    this._windowTime = 0;
+    this._windowBeat = -1;
+    this._salience = new Float32Array((MELODY_MAX_MIDI - MELODY_MIN_MIDI) * MELODY_STEPS + 1);
+    this._melodyCandidate = NaN;
+    this._candidateTime = 0;
+  }
+
+  /**
+   * One analyser read. `spectrum` is the linear magnitude spectrum (0..1 per
+   * bin), `beatIndex` the running beat count: a chord is decided each time it
+   * changes.
+   */
+  update(spectrum, hzPerBin, dt, beatIndex) {
+    const peaks = this._findPeaks(spectrum, hzPerBin);
+    this._updateTuning(peaks, dt);
+
+    // This read's chroma, corrected for the tuning
+    const frame = this._frame;
+    frame.fill(0);
+    for (const p of peaks) frame[pitchClass(p.midi - this.tuning)] += p.mag;
+    const k = 1 - decay(CHROMA_TAU, dt);
+    let total = 0;
+    for (let i = 0; i < 12; i++) {
+      this.chroma[i] += (frame[i] - this.chroma[i]) * k;
+      total += frame[i];
+    }
+
+    this._updateKey(frame, total, dt);
+
+    // Chord windows run from beat to beat
+    for (let i = 0; i < 12; i++) this._window[i] += frame[i] * dt;
+    this._windowTime += dt;
+    if (this._windowBeat < 0) this._windowBeat = beatIndex;
+    if (beatIndex !== this._windowBeat || this._windowTime >= MAX_CHORD_WINDOW - 1e-6) {
+      this._decideChord();
+      this._window.fill(0);
+      this._windowTime = 0;
+      this._windowBeat = beatIndex;
+    }
+
+    this._updateMelody(peaks, dt);
+  }
+
+  // Local maxima of the spectrum between MIN_HZ and MAX_HZ, as { midi, mag }
+  _findPeaks(spectrum, hzPerBin) {
+    const peaks = this._peaks;
+    peaks.length = 0;
+    const start = Math.max(2, Math.floor(MIN_HZ / hzPerBin));
+    const end = Math.min(spectrum.length - 2, Math.ceil(MAX_HZ / hzPerBin));
+    for (let i = start; i <= end; i++) {
+      const b = spectrum[i];
+      if (b < PEAK_FLOOR || b < spectrum[i - 1] || b <= spectrum[i + 1]) continue;
+      const a = spectrum[i - 1], c = spectrum[i + 1];
+      const curve = a - 2 * b + c;
+      const offset = curve < 0 ? clamp((0.5 * (a - c)) / curve, -0.5, 0.5) : 0;
+      peaks.push({ midi: hzToMidi((i + offset) * hzPerBin), mag: b });
+    }
+    return peaks;
+  }
+
+  _updateTuning(peaks, dt) {
+    // Deviations wrap at half a semitone, so they are averaged as angles
+    let x = 0, y = 0;
+    for (const p of peaks) {
+      if (p.midi < hzToMidi(TUNING_MIN_HZ)) continue;
+      const angle = 2 * Math.PI * (p.midi - Math.round(p.midi));
+      x += Math.cos(angle) * p.mag;
+      y += Math.sin(angle) * p.mag;
+    }
+    const keep = decay(TUNING_TAU, dt);
+    this._tuneX = this._tuneX * keep + x * (1 - keep);
+    this._tuneY = this._tuneY * keep + y * (1 - keep);
+    if (this._tuneX * this._tuneX + this._tuneY * this._tuneY > 1e-8) {
+      this.tuning = Math.atan2(this._tuneY, this._tuneX) / (2 * Math.PI);
+    }
+  }
+
+  _updateKey(frame, total, dt) {
+    const keep = decay(KEY_TAU, dt);
+    for (let i = 0; i < 12; i++) this._keyChroma[i] = this._keyChroma[i] * keep + frame[i] * (1 - keep);
+    // Silence counts back down at the same rate, so an old key fades out with the music
+    this._keyHeard = total > PEAK_FLOOR ? Math.min(KEY_SETTLE, this._keyHeard + dt) : Math.max(0, this._keyHeard - dt);
+    if (this._keyHeard <= 0) {
+      this.keyConfidence = 0;
+      return;
+    }
+
+    let best = -Infinity, bestRoot = 0, bestMode = MAJOR;
+    for (let root = 0; root < 12; root++) {
+      const major = profileCorrelation(this._keyChroma, MAJOR_PROFILE, root);
+      const minor = profileCorrelation(this._keyChroma, MINOR_PROFILE, root);
+      if (major > best) { best = major; bestRoot = root; bestMode = MAJOR; }
+      if (minor > best) { best = minor; bestRoot = root; bestMode = MINOR; }
+    }
+    // Only move off the current key for a clearly better fit
+    let score = best;
+    if (Number.isFinite(this.keyRoot) && (bestRoot !== this.keyRoot || bestMode !== this.keyMode)) {
+      const current = profileCorrelation(this._keyChroma, this.keyMode === MINOR ? MINOR_PROFILE : MAJOR_PROFILE, this.keyRoot);
+      if (best < current + KEY_SWITCH_MARGIN) {
+        bestRoot = this.keyRoot;
+        bestMode = this.keyMode;
+        score = current;
+      }
+    }
+    this.keyRoot = bestRoot;
+    this.keyMode = bestMode;
+    this.keyConfidence = clamp(score, 0, 1) * (this._keyHeard / KEY_SETTLE);
+  }
+
+  _decideChord() {
+    const chroma = this._window;
+    let norm = 0;
+    for (let i = 0; i < 12; i++) norm += chroma[i] * chroma[i];
+    norm = Math.sqrt(norm);
+    if (norm < PEAK_FLOOR * this._windowTime) {
+      this.chordRoot = NaN;
+      return;
+    }
+
+    const diatonic = Number.isFinite(this.keyRoot) && this.keyConfidence > 0.3 ? DIATONIC[this.keyMode] : [];
+    let best = -Infinity, bestRoot = NaN, bestQuality = MAJOR;
+    for (let root = 0; root < 12; root++) {
+      for (const quality of [MAJOR, MINOR]) {
+        let score = triadScore(chroma, root, quality, norm);
+        if (diatonic.some(([step, q]) => q === quality && (this.keyRoot + step) % 12 === root)) score += CHORD_KEY_BONUS;
+        if (root === this.chordRoot && quality === this.chordQuality) score += CHORD_HOLD_BONUS;
+        if (score > best) { best = score; bestRoot = root; bestQuality = quality; }
+      }
+    }
+    this.chordRoot = best >= CHORD_MIN_SCORE ? bestRoot : NaN;
+    this.chordQuality = bestQuality;
+  }
+
+  // Harmonic summation: each peak votes for the fundamentals it could be a harmonic of
+  _updateMelody(peaks, dt) {
+    const salience = this._salience;
+    salience.fill(0);
+    let total = 0;
+    for (const p of peaks) {
+      for (let h = 1; h <= MELODY_HARMONICS; h++) {
+        const f0 = p.midi - 12 * Math.log2(h) - this.tuning;
+        if (f0 < MELODY_MIN_MIDI) break;
+        if (f0 > MELODY_MAX_MIDI) continue;
+        const vote = p.mag * Math.pow(0.8, h - 1);
+        salience[Math.round((f0 - MELODY_MIN_MIDI) * MELODY_STEPS)] += vote;
+        total += vote;
+      }
+    }
+    // A little stickiness to the current line keeps it from flickering
+    let strongest = 0;
+    for (let i = 0; i < salience.length; i++) {
+      if (Number.isFinite(this.melodyPitch) && Math.abs(MELODY_MIN_MIDI + i / MELODY_STEPS - this.melodyPitch) <= 1) salience[i] *= 1.2;
+      strongest = Math.max(strongest, salience[i]);
+    }
+    // The melody is usually the top voice: take the highest strong candidate,
+    // which also skips the octave-up ghosts lower notes' harmonics leave
+    let bestBin = -1;
+    for (let i = salience.length - 1; i >= 0 && bestBin < 0; i--) {
+      if (salience[i] > 0 && salience[i] >= MELODY_TOP * strongest && salience[i] >= (salience[i - 1] || 0)) bestBin = i;
+    }
+    const confidence = bestBin >= 0 ? clamp((3 * salience[bestBin]) / total, 0, 1) : 0;
+    this.melodyConfidence += (confidence - this.melodyConfidence) * (1 - decay(CHROMA_TAU, dt));
+
+    const pitch = bestBin >= 0 && confidence >= MELODY_MIN_CONFIDENCE ? MELODY_MIN_MIDI + bestBin / MELODY_STEPS : NaN;
+    if (Number.isNaN(pitch) || !Number.isFinite(this.melodyPitch) || Math.abs(pitch - this.melodyPitch) <= 0.5) {
+      this.melodyPitch = pitch;
+      this._melodyCandidate = NaN;
+      return;
+    }
+    // A jump has to hold for a moment first
+    if (Math.abs(pitch - this._melodyCandidate) > 0.5) {
+      this._melodyCandidate = pitch;
+      this._candidateTime = 0;
+    }
+    this._candidateTime += dt;
+    if (this._candidateTime >= MELODY_HOLD) {
+      this.melodyPitch = pitch;
+      this._melodyCandidate = NaN;
+    }
+  }
+}
@@ -0,0 +1,448 @@
+import { clamp } from './utils.js';
+import { hannWindow, magnitudeSpectrum } from './fft.js';
+
+// ============================================================================
+// TRACK ANALYSIS - Whole-file tempo, beat grid, downbeats and sections
+// ============================================================================
+//
+// Runs once per file on the decoded buffer, so the visuals can follow the real
+// beat grid from the first frame instead of waiting for the live detector to
+// converge. Pipeline:
+//   onset envelope (log band flux) -> global tempo (autocorrelation with a
+//   120 BPM prior) -> beats (dynamic programming, Ellis 2007) -> downbeat
+//   phase (bass onsets + harmonic change) -> sections (checkerboard novelty
+//   over bar-synchronous features), labelled by relative loudness.
+
+export const ANALYSIS_VERSION = 1;
+
+const TARGET_RATE = 22050;
+const FRAME = 1024;
+const HOP = 256;
+const BANDS = 24;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const SECTION_KERNEL = 4;     // bars on each side of a novelty boundary
+const MIN_SECTION_BARS = 4;
+
+const CACHE_KEY = 'geometricResonanceAnalysis';
+const CACHE_LIMIT = 24;
+
+// Let the page breathe during long analyses
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// ----------------------------------------------------------------------------
+// Feature extraction
+// ----------------------------------------------------------------------------
+
+// Mono mix, box-filter decimated to ~22 kHz (plenty for onsets and band energy)
+function downmix(buffer) {
+  const factor = Math.max(1, Math.round(buffer.sampleRate / TARGET_RATE));
+  const rate = buffer.sampleRate / factor;
+  const length = Math.floor(buffer.length / factor);
+  const channels = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+
+  const out = new Float32Array(length);
+  const norm = 1 / (factor * channels.length);
+  for (let i = 0; i < length; i++) {
+    let s = 0;
+    const base = i * factor;
+    for (const ch of channels) {
+      for (let k = 0; k < factor; k++) s += ch[base + k];
+    }
+    out[i] = s * norm;
+  }
+  return { samples: out, rate };
+}
+
+function bandMap(rate) {
+  const bins = FRAME / 2;
+  const hzPerBin = rate / FRAME;
+  const lo = Math.log(30), hi = Math.log(Math.min(16000, rate / 2));
+  const map = new Int8Array(bins).fill(-1);
+  for (let i = 1; i < bins; i++) {
+    const hz = i * hzPerBin;
+    if (hz < 30) continue;
+    map[i] = Math.min(BANDS - 1, Math.floor((Math.log(hz) - lo) / (hi - lo) * BANDS));
+  }
+  return map;
+}
+
+async function extractFeatures(samples, rate, onProgress) {
+  const frames = Math.max(0, Math.floor((samples.length - FRAME) / HOP) + 1);
+  const window = hannWindow(FRAME);
+  const re = new Float32Array(FRAME), im = new Float32Array(FRAME);
+  const mag = new Float32Array(FRAME / 2);
+  const map = bandMap(rate);
+  const lowBands = map.reduce((n, b, i) => (b >= 0 && i * rate / FRAME < 200 ? Math.max(n, b + 1) : n), 0);
+
+  const bands = new Float32Array(frames * BANDS);
+  const flux = new Float32Array(frames);
+  const lowFlux = new Float32Array(frames);
+  const loudness = new Float32Array(frames);
+
+  for (let f = 0; f < frames; f++) {
+    const frame = samples.subarray(f * HOP, f * HOP + FRAME);
+    magnitudeSpectrum(frame, window, re, im, mag);
+
+    const row = f * BANDS;
+    for (let i = 1; i < mag.length; i++) {
+      const b = map[i];
+      if (b >= 0) bands[row + b] += mag[i] * mag[i];
+    }
+    let sq = 0;
+    for (let i = 0; i < FRAME; i++) sq += frame[i] * frame[i];
+    loudness[f] = 10 * Math.log10(sq / FRAME + 1e-10);
+
+    for (let b = 0; b < BANDS; b++) {
+      bands[row + b] = Math.log1p(100 * bands[row + b]);
+      if (f > 0) {
+        const d = Math.max(0, bands[row + b] - bands[row - BANDS + b]);
+        flux[f] += d;
+        if (b < lowBands) lowFlux[f] += d;
+      }
+    }
+
+    if (f % 1024 === 0) {
+      onProgress(0.7 * f / frames);
+      await yieldToEventLoop();
+    }
+  }
+  return { frames, bands, flux, lowFlux, loudness };
+}
+
+// Remove the slowly varying part of the flux so sustained loud passages don't dominate
+function onsetEnvelope(flux) {
+  const n = flux.length;
+  const half = 16;
+  const out = new Float32Array(n);
+  let sum = 0, count = 0;
+  for (let i = 0; i < Math.min(n, half); i++) { sum += flux[i]; count++; }
+  for (let i = 0; i < n; i++) {
+    if (i + half < n) { sum += flux[i + half]; count++; }
+    if (i - half - 1 >= 0) { sum -= flux[i - half - 1]; count--; }
+    out[i] = Math.max(0, flux[i] - sum / count);
+  }
+  let sq = 0;
+  for (let i = 0; i < n; i++) sq += out[i] * out[i];
+  const std = Math.sqrt(sq / Math.max(1, n)) || 1;
+  for (let i = 0; i < n; i++) out[i] /= std;
+  return out;
+}
+
+// ----------------------------------------------------------------------------
+// Tempo and beats
+// ----------------------------------------------------------------------------
+
+function estimatePeriod(onset, frameRate) {
+  const minLag = Math.floor(60 * frameRate / MAX_BPM);
+  const maxLag = Math.ceil(60 * frameRate / MIN_BPM);
+  const n = onset.length;
+
+  const ac = new Float32Array(maxLag * 2 + 2);
+  for (let lag = minLag; lag < ac.length && lag < n; lag++) {
+    let s = 0;
+    for (let i = 0; i + lag < n; i++) s += onset[i] * onset[i + lag];
+    ac[lag] = s / (n - lag);
+  }
+
+  // Log-Gaussian prior around 120 BPM resolves most octave ambiguity
+  let best = minLag, bestScore = -Infinity;
+  const scores = new Float32Array(maxLag + 2);
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = 60 * frameRate / lag;
+    const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+    scores[lag] = prior * (ac[lag] + 0.5 * ac[lag * 2]);
+    if (scores[lag] > bestScore) { bestScore = scores[lag]; best = lag; }
+  }
+
+  // Parabolic refinement for a fractional period
+  if (best > minLag && best < maxLag) {
+    const a = scores[best - 1], b = scores[best], c = scores[best + 1];
+    const denom = a - 2 * b + c;
+    if (denom < 0) return best + clamp(0.5 * (a - c) / denom, -0.5, 0.5);
+  }
+  return best;
+}
+
+function trackBeats(onset, period) {
+  const n = onset.length;
+  if (!n) return [];
+  const tightness = 100;
+  const score = new Float32Array(n);
+  const back = new Int32Array(n).fill(-1);
+  const lo = Math.round(period * 2), hi = Math.max(1, Math.round(period / 2));
+
+  for (let i = 0; i < n; i++) {
+    let best = -Infinity, bestJ = -1;
+    for (let j = Math.max(0, i - lo); j <= i - hi; j++) {
+      const r = Math.log((i - j) / period);
+      const v = score[j] - tightness * r * r;
+      if (v > best) { best = v; bestJ = j; }
+    }
+    score[i] = onset[i] + (bestJ >= 0 ? best : 0);
+    back[i] = bestJ;
+  }
+
+  // Last beat: best cumulative score within the final period
+  let end = n - 1;
+  for (let i = Math.max(0, n - Math.ceil(period)); i < n; i++) {
+    if (score[i] > score[end]) end = i;
+  }
+  const beats = [];
+  for (let i = end; i >= 0; i = back[i]) beats.push(i);
+  return beats.reverse();
+}
+
+// ----------------------------------------------------------------------------
+// Downbeats and sections
+// ----------------------------------------------------------------------------
+
+function meanFeatures(bands, from, to) {
+  const v = new Float32Array(BANDS);
+  const count = Math.max(1, to - from);
+  for (let f = from; f < to; f++) {
+    for (let b = 0; b < BANDS; b++) v[b] += bands[f * BANDS + b];
+  }
+  for (let b = 0; b < BANDS; b++) v[b] /= count;
+  return v;
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(na * nb) + 1e-9);
+}
+
+// Bars start where bass onsets and timbre changes line up best
+function findDownbeat(beatFrames, feats) {
+  const { bands, lowFlux } = feats;
+  const peakNear = (arr, f) => {
+    let m = 0;
+    for (let i = Math.max(0, f - 2); i <= Math.min(arr.length - 1, f + 2); i++) m = Math.max(m, arr[i]);
+    return m;
+  };
+
+  const beatVecs = beatFrames.map((f, i) => meanFeatures(bands, f, beatFrames[i + 1] || Math.min(feats.frames, f + 8)));
+  const strength = [0, 0, 0, 0];
+  const counts = [0, 0, 0, 0];
+  beatFrames.forEach((f, i) => {
+    const change = i > 0 ? 1 - cosine(beatVecs[i], beatVecs[i - 1]) : 0;
+    strength[i % 4] += peakNear(lowFlux, f) + 4 * change;
+    counts[i % 4]++;
+  });
+  let best = 0;
+  for (let k = 1; k < 4; k++) {
+    if (strength[k] / Math.max(1, counts[k]) > strength[best] / Math.max(1, counts[best])) best = k;
+  }
+  return best;
+}
+
+function detectSections(barTimes, barFrames, feats, duration) {
+  const barCount = barFrames.length - 1;
+  if (barCount < MIN_SECTION_BARS * 2) {
+    return [{ start: 0, end: duration, label: 'verse', energy: 1 }];
+  }
+
+  // Bar-synchronous timbre vectors, z-scored per band so quiet bands count too
+  const vecs = [];
+  const loud = [];
+  for (let i = 0; i < barCount; i++) {
+    vecs.push(meanFeatures(feats.bands, barFrames[i], barFrames[i + 1]));
+    let l = 0;
+    for (let f = barFrames[i]; f < barFrames[i + 1]; f++) l += feats.loudness[f];
+    loud.push(l / Math.max(1, barFrames[i + 1] - barFrames[i]));
+  }
+  for (let b = 0; b < BANDS; b++) {
+    let mean = 0, sq = 0;
+    vecs.forEach(v => { mean += v[b]; });
+    mean /= barCount;
+    vecs.forEach(v => { sq += (v[b] - mean) ** 2; });
+    const std = Math.sqrt(sq / barCount) || 1;
+    vecs.forEach(v => { v[b] = (v[b] - mean) / std; });
+  }
+
+  // Checkerboard kernel along the diagonal of the self-similarity matrix
+  const K = SECTION_KERNEL;
+  const novelty = new Float32Array(barCount);
+  for (let i = 1; i < barCount; i++) {
+    let s = 0;
+    for (let a = -K; a < K; a++) {
+      for (let c = -K; c < K; c++) {
+        const x = i + a, y = i + c;
+        if (x < 0 || y < 0 || x >= barCount || y >= barCount) continue;
+        const sameSide = (a < 0) === (c < 0);
+        s += (sameSide ? 1 : -1) * cosine(vecs[x], vecs[y]);
+      }
+    }
+    novelty[i] = Math.max(0, s);
+  }
+
+  // Loudness steps (drops, breakdowns) are boundaries even when the timbre barely changes
+  for (let i = 1; i < barCount; i++) {
+    let before = 0, after = 0, nb = 0, na = 0;
+    for (let k = 1; k <= K && i - k >= 0; k++) { before += loud[i - k]; nb++; }
+    for (let k = 0; k < K && i + k < barCount; k++) { after += loud[i + k]; na++; }
+    novelty[i] += Math.abs(after / na - before / nb) * 0.5;
+  }
+
+  let mean = 0, sq = 0;
+  novelty.forEach(v => { mean += v; });
+  mean /= barCount;
+  novelty.forEach(v => { sq += (v - mean) ** 2; });
+  const threshold = mean + 0.5 * Math.sqrt(sq / barCount);
+
+  const bounds = [0];
+  for (let i = MIN_SECTION_BARS; i <= barCount - MIN_SECTION_BARS; i++) {
+    if (novelty[i] < threshold) continue;
+    let isPeak = true;
+    for (let k = -MIN_SECTION_BARS + 1; k < MIN_SECTION_BARS && isPeak; k++) {
+      if (k !== 0 && novelty[i + k] > novelty[i]) isPeak = false;
+    }
+    if (isPeak && i - bounds[bounds.length - 1] >= MIN_SECTION_BARS) bounds.push(i);
+  }
+  bounds.push(barCount);
+
+  const sections = [];
+  for (let s = 0; s < bounds.length - 1; s++) {
+    let l = 0;
+    for (let i = bounds[s]; i < bounds[s + 1]; i++) l += loud[i];
+    sections.push({
+      start: s === 0 ? 0 : barTimes[bounds[s]],
+      end: s === bounds.length - 2 ? duration : barTimes[bounds[s + 1]],
+      loudness: l / (bounds[s + 1] - bounds[s])
+    });
+  }
+  return labelSections(sections);
+}
+
+function labelSections(sections) {
+  const min = Math.min(...sections.map(s => s.loudness));
+  const max = Math.max(...sections.map(s => s.loudness));
+  const range = Math.max(1e-6, max - min);
+
+  return sections.map((s, i) => {
+    const energy = sections.length > 1 ? (s.loudness - min) / range : 1;
+    const prev = i > 0 ? (sections[i - 1].loudness - min) / range : energy;
+    let label;
+    if (i === 0 && energy < 0.5 && sections.length > 2) label = 'intro';
+    else if (i === sections.length - 1 && energy < 0.5 && sections.length > 2) label = 'outro';
+    else if (energy >= 0.75) label = energy - prev > 0.35 ? 'drop' : 'chorus';
+    else if (energy < 0.35) label = 'breakdown';
+    else label = 'verse';
+    return { start: s.start, end: s.end, label, energy: Math.round(energy * 100) / 100 };
+  });
+}
+
+// ----------------------------------------------------------------------------
+// Public API
+// ----------------------------------------------------------------------------
+
+/**
+ * Analyse a decoded AudioBuffer (or anything shaped like one).
+ * Resolves to { version, duration, bpm, beats, downbeat, sections } where
+ * `beats` are times in seconds, `downbeat` indexes the first bar's beat and
+ * `sections` are { start, end, label, energy } covering the whole track.
+ */
+export async function analyzeTrack(buffer, { onProgress = () => { } } = {}) {
+  const { samples, rate } = downmix(buffer);
+  const frameRate = rate / HOP;
+  const frameTime = (f) => (f * HOP + FRAME / 2) / rate;
+
+  const feats = await extractFeatures(samples, rate, onProgress);
+  const onset = onsetEnvelope(feats.flux);
+  onProgress(0.75);
+  await yieldToEventLoop();
+
+  const period = estimatePeriod(onset, frameRate);
+  const beatFrames = trackBeats(onset, period);
+  onProgress(0.9);
+  await yieldToEventLoop();
+
+  const downbeat = beatFrames.length >= 8 ? findDownbeat(beatFrames, feats) : 0;
+  const beats = beatFrames.map(f => Math.round(frameTime(f) * 1000) / 1000);
+
+  const barFrames = [];
+  const barTimes = [];
+  for (let i = downbeat; i < beatFrames.length; i += 4) {
+    barFrames.push(beatFrames[i]);
+    barTimes.push(beats[i]);
+  }
+  const sections = detectSections(barTimes, barFrames, feats, buffer.duration);
+  onProgress(1);
+
+  return {
+    version: ANALYSIS_VERSION,
+    duration: buffer.duration,
+    bpm: Math.round(60 * frameRate / period * 100) / 100,
+    beats,
+    downbeat,
+    sections
+  };
+}
+
+// Fractional beat count at `seconds`, measured from the first downbeat.
+// Outside the detected grid the global tempo is extrapolated.
+export function beatPosition(analysis, seconds) {
+  const { beats, bpm, downbeat } = analysis;
+  const period = 60 / bpm;
+  if (beats.length < 2) return seconds / period;
+
+  const last = beats.length - 1;
+  let pos;
+  if (seconds < beats[0]) {
+    pos = (seconds - beats[0]) / period;
+  } else if (seconds >= beats[last]) {
+    pos = last + (seconds - beats[last]) / period;
+  } else {
+    let lo = 0, hi = last;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (beats[mid] <= seconds) lo = mid;
+      else hi = mid;
+    }
+    pos = lo + (seconds - beats[lo]) / (beats[lo + 1] - beats[lo]);
+  }
+  return pos - downbeat;
+}
+
+export function sectionAt(analysis, seconds) {
+  return analysis.sections.find(s => seconds >= s.start && seconds < s.end) || analysis.sections[analysis.sections.length - 1] || null;
+}
+
+// ----------------------------------------------------------------------------
+// Cache (localStorage, keyed by file identity)
+// ----------------------------------------------------------------------------
+
+const cacheKey = (file) => `${file.name}|${file.size}|${file.lastModified}`;
+
+function readCache() {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function loadCachedAnalysis(file) {
+  const entry = readCache()[cacheKey(file)];
+  // Truncated or older entries are a miss
+  return entry && entry.analysis && entry.analysis.version === ANALYSIS_VERSION ? entry.analysis : null;
+}
+
+export function saveCachedAnalysis(file, analysis) {
+  const cache = readCache();
+  cache[cacheKey(file)] = { usedAt: Date.now(), analysis };
+  // Keep only the most recently analysed files
+  const keys = Object.keys(cache).sort((a, b) => cache[b].usedAt - cache[a].usedAt);
+  keys.slice(CACHE_LIMIT).forEach(k => delete cache[k]);
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+  } catch (e) {
+    // Storage full - the analysis still lives on the playlist entry for this session
+  }
+}
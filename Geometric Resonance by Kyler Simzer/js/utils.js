@@ -9,6 +9,14 @@ export const lerp = (a, b, t) => a + (b - a) * t;
 export const fract = (x) => x - Math.floor(x);
 export const hash1 = (n) => fract(Math.sin(n * 12.9898) * 43758.5453123);
 
+// Frame-rate-independent smoothing. damp() eases a toward b at `rate` per
+// second (1 / time constant); decay() is the factor a value keeps over dt
+// when it falls off with time constant `tau` seconds.
+export const damp = (a, b, rate, dt) => lerp(a, b, 1 - Math.exp(-rate * dt));
+export const decay = (tau, dt) => Math.exp(-dt / tau);
+// Time constant of a decay that multiplies by `factor` every frame at 60 fps
+export const frameTau = (factor) => -1 / (60 * Math.log(factor));
+
 // Easing functions
 export const easeOutQuad = (t) => t * (2 - t);
 export const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
@@ -58,3 +66,25 @@ export const foldTheta = (theta, n) => {
   if (a < 0) a += sector;
   return a * n;
 };
+
+// Seedable PRNG (mulberry32) - returns a function yielding floats in [0, 1)
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// FNV-1a string hash, used to derive independent PRNG streams from one seed
+export const hashString = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
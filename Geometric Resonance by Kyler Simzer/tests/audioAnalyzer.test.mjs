@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioAnalyzer } from '../js/audioAnalyzer.js';
+import { kickTrain, sineSweep, sineTone, silence, FFT_SIZE, SAMPLE_RATE } from './synthetic.mjs';
+
+const DT = 1 / 60;
+
+function analyzer() {
+  const audio = new AudioAnalyzer();
+  audio.setFFTInfo(FFT_SIZE, SAMPLE_RATE);
+  return audio;
+}
+
+// Run frames through a fresh analyzer; returns it plus the frame indices of kicks and detected beats
+function run(frames) {
+  const audio = analyzer();
+  const kicks = [], beats = [];
+  for (const f of frames) {
+    if (f.kickIndex >= 0) kicks.push(f.index);
+    if (audio.analyze(f.freq, f.time, DT)) beats.push(f.index);
+  }
+  return { audio, kicks, beats };
+}
+
+for (const bpm of [90, 128, 174]) {
+  test(`BPM converges on a ${bpm} BPM kick train`, () => {
+    const { audio } = run(kickTrain({ bpm, seconds: 20 }));
+    assert.ok(Math.abs(audio.getBPM() - bpm) <= 2, `detected ${audio.getBPM()} BPM`);
+  });
+}
+
+test('every kick is detected on the frame it lands', () => {
+  const { kicks, beats } = run(kickTrain({ bpm: 128, seconds: 12 }));
+  assert.deepEqual(beats, kicks);
+});
+
+test('onsetKick jumps on a kick and decays before the next one', () => {
+  const audio = analyzer();
+  const onset = [], kicks = [];
+  for (const f of kickTrain({ bpm: 120, seconds: 6 })) {
+    audio.analyze(f.freq, f.time, DT);
+    onset.push(audio.onsetKick);
+    if (f.kickIndex >= 0) kicks.push(f.index);
+  }
+  for (let k = 1; k < kicks.length - 1; k++) {
+    const at = onset[kicks[k]], before = onset[kicks[k + 1] - 1];
+    assert.ok(at >= 0.5, `onset ${at} on kick ${k}`);
+    assert.ok(before < at * 0.05, `onset still ${before} just before kick ${k + 1}`);
+  }
+});
+
+test('bars count every fourth beat', () => {
+  const { audio, kicks } = run(kickTrain({ bpm: 120, seconds: 16.6 }));
+  assert.equal(audio.beatCount, kicks.length);
+  assert.equal(audio.barCount, Math.floor(kicks.length / 4));
+});
+
+test('a sine sweep is followed up the bands without triggering beats', () => {
+  const audio = analyzer();
+  const loudest = [];
+  let beats = 0, firstCentroid = null;
+  for (const f of sineSweep({ fromHz: 60, toHz: 8000, seconds: 4 })) {
+    if (audio.analyze(f.freq, f.time, DT)) beats++;
+    if (f.index === 30) firstCentroid = audio.spectralCentroid;
+    if (f.index % 15 === 14) loudest.push(audio.bandValues.indexOf(Math.max(...audio.bandValues)));
+  }
+  assert.equal(beats, 0);
+  for (let i = 1; i < loudest.length; i++) assert.ok(loudest[i] >= loudest[i - 1], `loudest band went back down: ${loudest}`);
+  assert.ok(loudest[loudest.length - 1] - loudest[0] > 30, `loudest band only moved ${loudest[0]} -> ${loudest[loudest.length - 1]}`);
+  assert.ok(audio.spectralCentroid > firstCentroid);
+});
+
+test('a 440 Hz tone reads as A', () => {
+  const { audio } = run(sineTone({ hz: 440, seconds: 1 }));
+  assert.equal(audio.noteName, 'A');
+  assert.equal(audio.rootNote, 9);
+});
+
+test('silence stays silent', () => {
+  const { audio, beats } = run(silence({ seconds: 5 }));
+  assert.equal(beats.length, 0);
+  assert.equal(audio.energy, 0);
+  assert.equal(audio.onsetKick, 0);
+  assert.equal(audio.getBPM(), 120);
+  assert.equal(audio.noteName, '--');
+});
+
+test('reset() clears tempo and counters', () => {
+  const { audio } = run(kickTrain({ bpm: 90, seconds: 8 }));
+  audio.reset();
+  assert.equal(audio.beatCount, 0);
+  assert.equal(audio.barCount, 0);
+  assert.equal(audio.getBPM(), 120);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CameraRig, AUTO_CAMERA_MODES } from '../js/cameraPaths.js';
+import { createRng } from '../js/utils.js';
+
+const DT = 1 / 60;
+const config = { cameraSpeed: 0.6, cameraShake: 0, cameraDistance: 35, cameraBeatZoom: false, smoothness: 0.7 };
+const still = { swell: 0, midMotion: 0, highMotion: 0, impact: 0, zoomSuggestion: 0 };
+
+function fly(mode, seconds, rig = new CameraRig(config.cameraDistance, mode), overrides = {}) {
+  const rand = createRng(7);
+  for (let i = 0; i < seconds * 60; i++) rig.update(DT, { t: i * DT, mode, config: { ...config, ...overrides }, motion: still, rand });
+  return rig;
+}
+
+test('orbit settles at the configured distance', () => {
+  const rig = fly('orbit', 30);
+  const { x, z } = rig.position;
+  assert.ok(Math.abs(Math.hypot(x, z) - config.cameraDistance) < 0.01);
+});
+
+test('every autopilot mode keeps the camera at a sane distance', () => {
+  for (const mode of [...AUTO_CAMERA_MODES, 'flythrough', 'drunk']) {
+    const { x, y, z } = fly(mode, 20).position;
+    const d = Math.hypot(x, y, z);
+    assert.ok(Number.isFinite(d) && d > 5 && d < 80, `${mode}: distance ${d}`);
+  }
+});
+
+test('paths are repeatable for the same random stream', () => {
+  assert.deepEqual(fly('drunk', 5).position, fly('drunk', 5).position);
+});
+
+test('shake only moves the camera on impacts', () => {
+  const rig = new CameraRig(35, 'orbit');
+  const rand = createRng(1);
+  const shaky = { ...config, cameraShake: 1, smoothness: 0 };
+  for (let i = 0; i < 60; i++) rig.update(DT, { t: i * DT, mode: 'orbit', config: shaky, motion: still, rand });
+  assert.deepEqual(rig.shake, { x: 0, y: 0, z: 0 });
+  for (let i = 0; i < 10; i++) rig.update(DT, { t: 1 + i * DT, mode: 'orbit', config: shaky, motion: { ...still, impact: 1 }, rand });
+  assert.ok(Math.hypot(rig.shake.x, rig.shake.y, rig.shake.z) > 0);
+});
+
+test('an autopilot cut picks one of the autopilot modes', () => {
+  const rig = new CameraRig(35, 'orbit');
+  const rand = createRng(3);
+  for (let i = 0; i < 20; i++) {
+    rig.cut(rand);
+    assert.ok(AUTO_CAMERA_MODES.includes(rig.autoMode));
+    assert.ok(Math.abs(rig.autoAngleOffsetTarget) <= Math.PI * 0.45);
+  }
+  rig.reset(35, 'spiral');
+  assert.equal(rig.autoMode, 'spiral');
+  assert.equal(rig.autoAngleOffsetTarget, 0);
+});
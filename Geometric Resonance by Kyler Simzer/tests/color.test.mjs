@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hexToRgb, rgbToHsl, hslToRgb, applyThemeColors, getHarmonyParams, harmonizeHsl, harmonicHueOffset } from '../js/colorMath.js';
+import { colorThemes } from '../js/config.js';
+
+const close = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `${a} != ${b}`);
+
+// A silent analyzer as far as the color math is concerned
+const quietAudio = () => ({
+  rootNote: NaN, chroma: new Float32Array(12), smoothHigh: 0, smoothHighMid: 0,
+  transientSharpness: 0, onsetKick: 0, spectralFlux: 0
+});
+const palette = { hOffset: 0, hOffsetTarget: 0, globalHueShift: 0 };
+const music = { phase: 0 };
+const baseConfig = {
+  colorPrimary: '#ff0000', colorSecondary: '#0000ff', colorReactivity: 1,
+  colorCycle: false, synesthesia: false
+};
+
+test('hex colors decode to linear RGB', () => {
+  assert.deepEqual(hexToRgb('#ffffff'), { r: 1, g: 1, b: 1 });
+  assert.deepEqual(hexToRgb('#000000'), { r: 0, g: 0, b: 0 });
+  // sRGB mid grey is about 21% in linear light
+  close(hexToRgb('#808080').r, 0.2158605, 1e-6);
+});
+
+test('HSL round-trips', () => {
+  const rgb = { r: 0.2, g: 0.55, b: 0.9 };
+  const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
+  const back = hslToRgb(hsl.h, hsl.s, hsl.l);
+  close(back.r, rgb.r);
+  close(back.g, rgb.g);
+  close(back.b, rgb.b);
+  assert.deepEqual(rgbToHsl(1, 0, 0), { h: 0, s: 1, l: 0.5 });
+});
+
+test('themes copy their colors into config', () => {
+  const config = { colorTheme: 'ember' };
+  assert.equal(applyThemeColors(config, colorThemes), true);
+  assert.equal(config.colorPrimary, colorThemes.ember.primary);
+  assert.equal(config.colorBg, colorThemes.ember.bg);
+  assert.equal(applyThemeColors({ colorTheme: 'nope' }, colorThemes), false);
+});
+
+test('band mix blends from the primary hue to the secondary', () => {
+  const harmony = getHarmonyParams(baseConfig, palette, quietAudio(), music);
+  const low = harmonizeHsl(0, 0, harmony);
+  const high = harmonizeHsl(0, 1, harmony);
+  close(low.h, 0);
+  close(high.h, 2 / 3);
+  close(low.s, 0.75);
+});
+
+test('energy brightens, within the clamp', () => {
+  const harmony = getHarmonyParams(baseConfig, palette, quietAudio(), music);
+  const dim = harmonizeHsl(0, 0, harmony);
+  const bright = harmonizeHsl(1, 0, harmony);
+  close(dim.l, 0.25);
+  assert.ok(bright.l > dim.l);
+  assert.ok(harmonizeHsl(5, 0, harmony).l <= 0.88);
+});
+
+test('synesthesia pulls the hue toward the root note', () => {
+  const audio = quietAudio();
+  audio.rootNote = 4;
+  audio.chroma[4] = 2;
+  const harmony = getHarmonyParams({ ...baseConfig, synesthesia: true }, palette, audio, music);
+  close(harmony.noteHue, 4 / 12);
+  close(harmony.noteAmount, 0.35 * 2 / 2.5);
+  const { h } = harmonizeHsl(0, 0, harmony);
+  close(h, (4 / 12) * harmony.noteAmount);
+});
+
+test('the palette hue offset and kicks shift the output', () => {
+  const audio = quietAudio();
+  audio.onsetKick = 1;
+  const shifted = harmonizeHsl(0, 0, getHarmonyParams(baseConfig, { ...palette, hOffset: 0.1 }, audio, music));
+  close(shifted.h, 0.1);
+  close(shifted.l, 0.5 * (0.5 + 0.15));
+});
+
+test('harmonic snap moves the hue with the chord, relative to the key', () => {
+  const inC = (chordRoot) => ({ ...quietAudio(), keyRoot: 0, keyMode: 0, keyConfidence: 0.8, chordRoot });
+  close(harmonicHueOffset(inC(0)), 0);
+  // Dominant and subdominant sit one step either side of the tonic
+  close(harmonicHueOffset(inC(7)), 0.03);
+  close(harmonicHueOffset(inC(5)), -0.03);
+  // The same chord function lands in the same place in any key
+  close(harmonicHueOffset({ ...inC(2), keyRoot: 7 }), 0.03);
+  // No chord or no trusted key: the palette holds
+  assert.equal(harmonicHueOffset(inC(NaN)), null);
+  assert.equal(harmonicHueOffset({ ...inC(7), keyConfidence: 0.1 }), null);
+
+  const config = { ...baseConfig, harmonicSnap: true };
+  const snapped = harmonizeHsl(0, 0, getHarmonyParams(config, { ...palette, hOffset: 0.1, harmonicHue: 0.03 }, inC(7), music));
+  close(snapped.h, 0.03);
+});
+
+test('snapped synesthesia follows the key rather than the chord', () => {
+  const audio = { ...quietAudio(), rootNote: 7, keyRoot: 0, keyConfidence: 0.8, chordRoot: 7 };
+  audio.chroma[7] = 2;
+  const config = { ...baseConfig, synesthesia: true, harmonicSnap: true };
+  close(getHarmonyParams(config, { ...palette, harmonicHue: 0 }, audio, music).noteHue, 0);
+  close(getHarmonyParams({ ...config, harmonicSnap: false }, palette, audio, music).noteHue, 7 / 12);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioAnalyzer } from '../js/audioAnalyzer.js';
+import { MotionCoordinator } from '../js/motionCoordinator.js';
+import { MusicClock } from '../js/musicClock.js';
+import { FeatureRecorder, FeatureTrack, FeatureReplay } from '../js/featureRecording.js';
+import { kickTrain, FFT_SIZE, SAMPLE_RATE } from './synthetic.mjs';
+
+// Record a kick train at `fps`, keeping the live values of every frame for comparison
+function record(fps, seconds = 4) {
+  const audio = new AudioAnalyzer();
+  audio.setFFTInfo(FFT_SIZE, SAMPLE_RATE);
+  const motion = new MotionCoordinator();
+  const music = new MusicClock();
+  const recorder = new FeatureRecorder();
+  recorder.start({ track: 'kicks' });
+  const live = [];
+  let time = 0;
+  for (const f of kickTrain({ bpm: 120, seconds, fps })) {
+    time += 1 / fps;
+    const beat = audio.analyze(f.freq, f.time, 1 / fps);
+    music.update(1 / fps, audio.getBPM());
+    motion.update(audio, 1 / fps, music.phase, 0.5);
+    recorder.capture({ time, dt: 1 / fps, beat: beat ? 1 : 0, musicBeats: music.beats }, audio, motion, f.time);
+    live.push({ beat, energy: audio.energy, pulse: motion.pulse, band3: audio.bandValues[3], note: audio.noteName, wave: f.time[512] });
+  }
+  recorder.stop();
+  return { live, file: recorder.encode() };
+}
+
+test('a recording round-trips through the file format', () => {
+  const { live, file } = record(60);
+  const track = new FeatureTrack(file);
+  assert.equal(track.frameCount, live.length);
+  assert.equal(track.header.track, 'kicks');
+
+  const audio = new AudioAnalyzer();
+  const motion = new MotionCoordinator();
+  const timeData = new Uint8Array(2048);
+  live.forEach((frame, i) => {
+    track.apply(i, audio, motion, timeData);
+    assert.equal(track.value(i, 'beat') > 0, frame.beat);
+    assert.equal(audio.energy, Math.fround(frame.energy));
+    assert.equal(motion.pulse, Math.fround(frame.pulse));
+    assert.equal(audio.bandValues[3], Math.fround(frame.band3));
+    assert.equal(audio.noteName, frame.note);
+    assert.equal(timeData[512], frame.wave);
+  });
+});
+
+test('replay at a lower frame rate keeps every beat', () => {
+  const { live, file } = record(120);
+  const replay = new FeatureReplay(new FeatureTrack(file));
+  let beats = 0;
+  while (!replay.done) if (replay.advance(1 / 30).beat) beats++;
+  assert.equal(beats, live.filter(f => f.beat).length);
+});
+
+test('replay at the recorded rate visits every frame in order', () => {
+  const { live, file } = record(60, 2);
+  const replay = new FeatureReplay(new FeatureTrack(file));
+  const seen = [];
+  while (!replay.done) seen.push(replay.advance(1 / 60).index);
+  assert.deepEqual(seen, live.map((_, i) => i));
+});
+
+test('other files are rejected', () => {
+  assert.throws(() => new FeatureTrack(new TextEncoder().encode('{"not":"a recording"}').buffer), /Not a feature recording/);
+});
+
+test('fields a file lacks are left alone', () => {
+  const { file } = record(60, 1);
+  const track = new FeatureTrack(file);
+  const audio = new AudioAnalyzer();
+  audio.futureField = 42;
+  track.apply(0, audio, new MotionCoordinator());
+  assert.equal(audio.futureField, 42);
+  assert.ok(Number.isNaN(track.value(0, 'audio.futureField')));
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioAnalyzer, AnalysisTimer } from '../js/audioAnalyzer.js';
+import { MotionCoordinator } from '../js/motionCoordinator.js';
+import { MusicClock } from '../js/musicClock.js';
+import { CameraRig } from '../js/cameraPaths.js';
+import { createRng } from '../js/utils.js';
+import { kickTrain, burst, FFT_SIZE, SAMPLE_RATE } from './synthetic.mjs';
+
+// 120 BPM from 0.5 s puts every kick on a frame boundary at all three rates,
+// so the input itself is the same song whichever rate samples it
+const FRAME_RATES = [30, 60, 144];
+const BPM = 120;
+const ANALYSIS_RATE = 60;
+const SAMPLE_EVERY = 0.05;
+
+// renderFrame at `fps`: the FFT is read at ANALYSIS_RATE (or every frame when
+// the display is slower), motion and the clock step every frame. Returns the
+// state sampled every SAMPLE_EVERY seconds of song time.
+function run(fps, { bpm = BPM, seconds = 10, smoothness = 0.5 } = {}) {
+  const audio = new AudioAnalyzer();
+  audio.setFFTInfo(FFT_SIZE, SAMPLE_RATE);
+  const motion = new MotionCoordinator();
+  const music = new MusicClock();
+  const timer = new AnalysisTimer();
+  const dt = 1 / fps;
+  const samples = [];
+  let beats = 0;
+  let nextSample = 0;
+  for (const f of kickTrain({ bpm, seconds, fps })) {
+    const step = timer.tick(dt, ANALYSIS_RATE);
+    if (step > 0 && audio.analyze(f.freq, f.time, step, null, null, 0.18 + smoothness * 0.15)) beats++;
+    music.update(dt, audio.getBPM());
+    motion.update(audio, dt, music.phase, smoothness);
+    while (f.timeSec + 1e-9 >= nextSample) {
+      samples.push({
+        pulse: motion.pulse, impact: motion.impact, swell: motion.swell, low: motion.lowMotion,
+        peak: audio.bandPeaks[4], energy: audio.energy, rmsSmooth: audio.rmsSmooth
+      });
+      nextSample += SAMPLE_EVERY;
+    }
+  }
+  return { audio, music, beats, samples };
+}
+
+const runs = Object.fromEntries(FRAME_RATES.map(fps => [fps, run(fps)]));
+
+test('the FFT is read at the analysis rate whatever the display refresh', () => {
+  for (const fps of [60, 120, 144, 240]) {
+    const timer = new AnalysisTimer();
+    let reads = 0, covered = 0;
+    for (let i = 0; i < fps * 10; i++) {
+      const step = timer.tick(1 / fps, 60);
+      if (step > 0) reads++;
+      covered += step;
+    }
+    assert.ok(Math.abs(reads - 600) <= 1, `${fps} fps: ${reads} reads in 10 s`);
+    // Steps add up to the time that passed, so nothing speeds up or slows down
+    assert.ok(Math.abs(covered - 10) < 0.02, `${fps} fps: steps cover ${covered} s`);
+  }
+  // A display slower than the analysis rate reads on every frame
+  const timer = new AnalysisTimer();
+  for (let i = 0; i < 30; i++) assert.ok(Math.abs(timer.tick(1 / 30, 60) - 1 / 30) < 1e-9);
+});
+
+test('beats and tempo come out the same at 30, 60 and 144 fps', () => {
+  for (const fps of FRAME_RATES) {
+    const { audio, beats } = runs[fps];
+    assert.equal(beats, runs[60].beats, `${fps} fps: ${beats} beats`);
+    assert.ok(Math.abs(audio.getBPM() - BPM) <= 1, `${fps} fps: ${audio.getBPM()} BPM`);
+  }
+});
+
+test('motion and envelopes follow the same curves at 30, 60 and 144 fps', () => {
+  const reference = runs[60].samples;
+  // [mean, worst] allowed differences. A 30 fps frame still only sees the kick's
+  // ~60 ms decay in coarse steps, so the spectrum-level values differ more.
+  const tolerance = {
+    pulse: [0.03, 0.06], swell: [0.015, 0.03], low: [0.03, 0.05],
+    peak: [0.06, 0.15], energy: [0.03, 0.15], rmsSmooth: [0.03, 0.08]
+  };
+  for (const fps of [30, 144]) {
+    const samples = runs[fps].samples;
+    const n = Math.min(samples.length, reference.length);
+    for (const [key, [mean, max]] of Object.entries(tolerance)) {
+      let worst = 0, sum = 0;
+      for (let i = 0; i < n; i++) {
+        const d = Math.abs(samples[i][key] - reference[i][key]);
+        worst = Math.max(worst, d);
+        sum += d;
+      }
+      assert.ok(sum / n < mean, `${fps} fps ${key}: mean difference ${(sum / n).toFixed(4)}`);
+      assert.ok(worst < max, `${fps} fps ${key}: worst difference ${worst.toFixed(4)}`);
+    }
+  }
+});
+
+test('one hit decays over the same time at any frame rate', () => {
+  // A 1/6 s burst at 1 s, read 0.1 s and 0.5 s after it ends. Onset strengths
+  // are left out: they measure the rise between two reads, which depends on
+  // the analysis rate by nature (live, that rate is fixed)
+  const after = (fps, seconds) => {
+    const audio = new AudioAnalyzer();
+    audio.setFFTInfo(FFT_SIZE, SAMPLE_RATE);
+    for (const f of burst({ atSec: 1, holdSec: 1 / 6, seconds: 1 + 1 / 6 + seconds, fps })) {
+      audio.analyze(f.freq, f.time, 1 / fps);
+    }
+    return { band: audio.bandValues[4], peak: audio.bandPeaks[4], rmsPeak: audio.rmsPeak };
+  };
+  for (const seconds of [0.1, 0.5]) {
+    const ref = after(60, seconds);
+    for (const fps of [30, 144]) {
+      const v = after(fps, seconds);
+      for (const key of Object.keys(ref)) {
+        // (the waveform RMS also wobbles a little with the tone's phase at each read)
+        assert.ok(Math.abs(v[key] - ref[key]) < 0.03, `${fps} fps ${key} ${seconds} s on: ${v[key]} vs ${ref[key]}`);
+      }
+    }
+  }
+});
+
+test('clock tempo and camera settle over the same time at any frame rate', () => {
+  const settle = (fps) => {
+    const music = new MusicClock();
+    const rig = new CameraRig(40, 'orbit');
+    const motion = new MotionCoordinator();
+    const config = { cameraSpeed: 1, cameraShake: 0, cameraDistance: 25, cameraBeatZoom: false, smoothness: 0.5 };
+    rig.shake.x = 1;
+    const rand = createRng(7);
+    for (let i = 0; i < fps; i++) {
+      music.update(1 / fps, 150);
+      rig.update(1 / fps, { t: i / fps, mode: 'orbit', config, motion, rand });
+    }
+    return { bpm: music.bpmSmooth, distance: rig.distance, shake: rig.shake.x };
+  };
+  const ref = settle(60);
+  for (const fps of [30, 144]) {
+    const v = settle(fps);
+    assert.ok(Math.abs(v.bpm - ref.bpm) < 0.01, `${fps} fps clock at ${v.bpm} BPM vs ${ref.bpm}`);
+    assert.ok(Math.abs(v.distance - ref.distance) < 0.01, `${fps} fps camera at ${v.distance} vs ${ref.distance}`);
+    assert.ok(Math.abs(v.shake - ref.shake) < 0.001, `${fps} fps shake ${v.shake} vs ${ref.shake}`);
+  }
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FrameDelay, LatencyCalibrator, MAX_AV_DELAY } from '../js/latency.js';
+
+const SHAPE = { freq: 4, time: 4 };
+
+// Reads every 1/60 s from t = 0; returns the read times that came due by each frame
+function drive(delay, seconds = 1) {
+  const queue = new FrameDelay();
+  const released = [];
+  for (let i = 0; i <= seconds * 60; i++) {
+    const now = i / 60;
+    const slot = queue.add(now, 1 / 60, SHAPE);
+    slot.freq.fill(i & 255);
+    for (let s = queue.shift(now - delay); s; s = queue.shift(now - delay)) {
+      released.push({ now, at: s.at, value: s.freq[0] });
+      queue.release(s);
+    }
+  }
+  return released;
+}
+
+test('with no delay every read comes straight back', () => {
+  const out = drive(0);
+  assert.equal(out.length, 61);
+  out.forEach(r => assert.equal(r.now, r.at));
+});
+
+test('reads come back once the delay has passed, in order and intact', () => {
+  const out = drive(0.25);
+  assert.ok(out.length > 40);
+  out.forEach((r, i) => {
+    assert.ok(Math.abs(r.now - r.at - 0.25) < 1 / 60 + 1e-9, `read at ${r.at} came back at ${r.now}`);
+    assert.equal(r.value, i & 255);
+    if (i) assert.ok(r.at > out[i - 1].at);
+  });
+});
+
+test('slots are reused rather than reallocated', () => {
+  const queue = new FrameDelay();
+  const first = queue.add(0, 0, SHAPE);
+  queue.release(queue.shift(0));
+  assert.equal(queue.add(0.1, 0.1, SHAPE), first);
+  // A different FFT size gets fresh buffers
+  queue.release(queue.shift(0.1));
+  assert.equal(queue.add(0.2, 0.1, { freq: 8, time: 8 }).freq.length, 8);
+});
+
+test('reads too old to ever come due are dropped', () => {
+  const queue = new FrameDelay();
+  for (let i = 0; i < 600; i++) queue.add(i / 60, 1 / 60, SHAPE);
+  assert.ok(queue.length <= Math.ceil((MAX_AV_DELAY + 0.25) * 60) + 1, `${queue.length} queued`);
+});
+
+// Just enough of an AudioContext for the calibrator
+function fakeContext() {
+  const param = () => ({ value: 0, setValueAtTime() { }, linearRampToValueAtTime() { }, exponentialRampToValueAtTime() { } });
+  const ctx = {
+    currentTime: 0,
+    destination: {},
+    beeps: [],
+    createOscillator: () => ({ frequency: param(), connect() { }, start: (at) => ctx.beeps.push(at), stop() { } }),
+    createGain: () => ({ gain: param(), connect() { } })
+  };
+  return ctx;
+}
+
+test('calibration flashes each beep the current delay after it sounds', () => {
+  const ctx = fakeContext();
+  const flashes = [];
+  const calibrator = new LatencyCalibrator(ctx, () => flashes.push(ctx.currentTime));
+  calibrator.start();
+  for (let i = 0; i <= 60 * 4; i++) {
+    ctx.currentTime = i / 60;
+    calibrator.update(0.15);
+  }
+  assert.ok(flashes.length >= 3);
+  flashes.forEach((t, i) => {
+    const lag = t - ctx.beeps[i];
+    assert.ok(lag > 0.15 - 1e-9 && lag < 0.15 + 1 / 60 + 1e-9, `flash ${i} came ${lag} s after its beep`);
+  });
+
+  calibrator.stop();
+  const beeps = ctx.beeps.length;
+  ctx.currentTime += 3;
+  calibrator.update(0.15);
+  assert.equal(ctx.beeps.length, beeps);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileExpression, ExpressionError } from '../js/mathExpr.js';
+
+const run = (src, scope = {}, variables = Object.keys(scope)) => compileExpression(src, variables).evaluate(scope);
+
+// Compiling `src` fails with `message` pointing at character `index`
+function rejects(src, message, index, variables = []) {
+  assert.throws(() => compileExpression(src, variables), (e) => {
+    assert.ok(e instanceof ExpressionError, `${src}: ${e}`);
+    assert.equal(e.message, message, src);
+    if (index !== undefined) assert.equal(e.index, index, `${src}: index`);
+    return true;
+  });
+}
+
+test('precedence and associativity', () => {
+  assert.equal(run('1 + 2 * 3'), 7);
+  assert.equal(run('(1 + 2) * 3'), 9);
+  assert.equal(run('2 ^ 3 ^ 2'), 512);
+  assert.equal(run('-2 ^ 2'), -4);
+  assert.equal(run('2 ^ -1'), 0.5);
+  assert.equal(run('7 % 4 * 2'), 6);
+  assert.equal(run('10 - 4 - 3'), 3);
+  assert.equal(run('+-+3'), -3);
+  assert.equal(run('1e3 + .5 + 2.'), 1002.5);
+});
+
+test('functions, constants and variables', () => {
+  assert.equal(run('max(1, u, 3)', { u: 5 }), 5);
+  assert.equal(run('clamp(u, 0, 1)', { u: 4 }), 1);
+  assert.equal(run('mod(-1, 3)'), 2);
+  assert.equal(run('fract(-0.25)'), 0.75);
+  assert.equal(run('smoothstep(0, 1, 0.5)'), 0.5);
+  assert.ok(Math.abs(run('sin(PI / 2) * TAU') - 2 * Math.PI) < 1e-12);
+  // Only the variables the formula actually reads are reported
+  assert.deepEqual([...compileExpression('u * 2 + PI', ['u', 'v']).uses], ['u']);
+});
+
+test('compiled formulas are reusable with new scopes', () => {
+  const { evaluate } = compileExpression('u * v + time', ['u', 'v', 'time']);
+  assert.equal(evaluate({ u: 2, v: 3, time: 1 }), 7);
+  assert.equal(evaluate({ u: 0.5, v: 4, time: -2 }), 0);
+});
+
+test('errors say what is wrong and where', () => {
+  rejects('', 'Expression is empty', 0);
+  rejects('   ', 'Expression is empty', 0);
+  rejects('1 + ', 'Unexpected end of expression', 4);
+  rejects('(1 + 2', "Expected ')'", 6);
+  rejects('1 2', "Unexpected '2'", 2);
+  rejects('2 $ 3', "Unexpected '$'", 2);
+  rejects('u + .', 'Bad number', 4, ['u']);
+  rejects('1..2', "Unexpected '0.2'", 2);
+  rejects('u + w', "Unknown name 'w'", 4, ['u']);
+  rejects('foo(1)', "Unknown function 'foo'", 0);
+  rejects('clamp(1, 2)', 'clamp() needs 3 arguments', 0);
+  rejects('x'.repeat(401), 'Expression is longer than 400 characters', 400);
+  rejects('max(1,)', "Unexpected ')'", 6);
+});
+
+test('nothing outside the allowed names is reachable', () => {
+  rejects('constructor', "Unknown name 'constructor'", 0);
+  rejects('toString(1)', "Unknown function 'toString'", 0);
+  rejects('hasOwnProperty(1)', "Unknown function 'hasOwnProperty'", 0);
+  // A variable is only read when the caller listed it
+  rejects('window', "Unknown name 'window'", 0, ['u']);
+});
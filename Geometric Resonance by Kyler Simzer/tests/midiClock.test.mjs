@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MidiClock, PPQN, drumOnsetForNote } from '../js/midiClock.js';
+import { AudioAnalyzer } from '../js/audioAnalyzer.js';
+
+const TICK = 60000 / (120 * PPQN); // ms per clock at 120 BPM
+
+// Send `count` clocks at 120 BPM starting at `time`; returns the time of the last one
+function clocks(clock, count, time) {
+  for (let i = 0; i < count; i++) clock.handle({ type: 'clock' }, time + i * TICK);
+  return time + (count - 1) * TICK;
+}
+
+const close = (actual, expected, eps = 1e-6) => assert.ok(Math.abs(actual - expected) < eps, `${actual} vs ${expected}`);
+
+test('the first clock after Start is beat 0 but gives no tempo to lock to', () => {
+  const clock = new MidiClock();
+  clock.handle({ type: 'start' }, 0);
+  assert.equal(clock.isLocked(0), false);
+
+  clock.handle({ type: 'clock' }, 10);
+  assert.equal(clock.ticks, 0);
+  assert.equal(clock.position(10), 0);
+  assert.equal(clock.bpm, 0);
+  assert.equal(clock.isLocked(10), false, 'no tick interval yet');
+
+  clock.handle({ type: 'clock' }, 10 + TICK);
+  assert.equal(clock.isLocked(10 + TICK), true);
+  close(clock.bpm, 120);
+});
+
+test('clocks advance the position and interpolate between ticks', () => {
+  const clock = new MidiClock();
+  clock.handle({ type: 'start' }, 0);
+  const last = clocks(clock, PPQN + 1, 0);
+  close(clock.position(last), 1);
+  close(clock.position(last + TICK / 2), 1 + 0.5 / PPQN);
+  // Never runs past the next tick while waiting for it
+  assert.ok(clock.position(last + TICK * 3) < 1 + 1 / PPQN);
+});
+
+test('a pause in the clocks does not drag the tempo', () => {
+  const clock = new MidiClock();
+  clock.handle({ type: 'start' }, 0);
+  const last = clocks(clock, 10, 0);
+  assert.equal(clock.isLocked(last + 600), false, 'lock lapses without clocks');
+  clocks(clock, 10, last + 1000);
+  close(clock.bpm, 120);
+});
+
+test('song position pointer relocates in 16th notes', () => {
+  const clock = new MidiClock();
+  clock.handle({ type: 'start' }, 0);
+  let last = clocks(clock, 30, 0);
+  clock.handle({ type: 'spp', value: 8 }, last + 1);
+  last = clocks(clock, 1, last + TICK);
+  close(clock.position(last), 2);
+});
+
+test('stop freezes the position and continue resumes it', () => {
+  const clock = new MidiClock();
+  clock.handle({ type: 'start' }, 0);
+  let last = clocks(clock, 13, 0);
+  clock.handle({ type: 'stop' }, last + 1);
+  assert.equal(clock.isLocked(last + 2), false);
+  last = clocks(clock, 5, last + TICK);
+  close(clock.position(last + 5), 0.5);
+
+  clock.handle({ type: 'continue' }, last + 1);
+  last = clocks(clock, 12, last + TICK);
+  close(clock.position(last), 1);
+  assert.equal(clock.isLocked(last), true);
+});
+
+test('drum notes map to onset kinds', () => {
+  assert.equal(drumOnsetForNote(36), 'kick');
+  assert.equal(drumOnsetForNote(38), 'snare');
+  assert.equal(drumOnsetForNote(42), 'hihat');
+  assert.equal(drumOnsetForNote(60), null);
+});
+
+test('a grid without a tempo leaves the analyzer tempo alone', () => {
+  const audio = new AudioAnalyzer();
+  const interval = audio.beatInterval;
+  audio.syncToGrid(4, 0);
+  audio.syncToGrid(4, NaN);
+  assert.equal(audio.beatInterval, interval);
+  audio.syncToGrid(4, 120);
+  assert.equal(audio.beatInterval, 500);
+  assert.equal(audio.beatCount, 4);
+});
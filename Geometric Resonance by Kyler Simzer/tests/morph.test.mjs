@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { uniquePoints, resamplePoints, FormMorph } from '../js/morph.js';
+
+// The six axis directions, scaled
+const axes = (r) => [r, 0, 0, -r, 0, 0, 0, r, 0, 0, -r, 0, 0, 0, r, 0, 0, -r];
+
+const point = (arr, i) => Array.from(arr.slice(i * 3, i * 3 + 3));
+
+test('uniquePoints welds coincident vertices and maps every vertex to its point', () => {
+  const { points, map } = uniquePoints([
+    1, 2, 3,
+    4, 5, 6,
+    1.0001, 2, 3, // within the 3-decimal key
+    1, 2, 3,
+    1.01, 2, 3,
+  ]);
+  assert.equal(points.length / 3, 3);
+  assert.deepEqual(Array.from(map), [0, 1, 0, 0, 2]);
+  assert.deepEqual(point(points, 1), [4, 5, 6]);
+});
+
+test('resamplePoints picks the source point nearest in direction, not distance', () => {
+  const from = axes(1);
+  const to = [
+    2, 0, 0.1,  // just off +x
+    0, 0, -3,   // -z
+    -2, 0, 0.1, // just off -x, beside the longitude seam
+    0, -4, 0,   // -y
+    0.1, 5, 0,  // just off +y
+  ];
+  const out = resamplePoints(from, to);
+  assert.equal(out.length, to.length);
+  assert.deepEqual(point(out, 0), [1, 0, 0]);
+  assert.deepEqual(point(out, 1), [0, 0, -1]);
+  assert.deepEqual(point(out, 2), [-1, 0, 0]);
+  assert.deepEqual(point(out, 3), [0, -1, 0]);
+  assert.deepEqual(point(out, 4), [0, 1, 0]);
+});
+
+test('resamplePoints fills any target count from the source points', () => {
+  const from = axes(1);
+  const to = [];
+  for (let i = 0; i < 40; i++) {
+    const a = (i / 40) * Math.PI * 2;
+    to.push(Math.cos(a) * 3, Math.sin(i) * 2, Math.sin(a) * 3);
+  }
+  const out = resamplePoints(from, to);
+  assert.equal(out.length, to.length);
+  const sources = new Set([0, 1, 2, 3, 4, 5].map(i => point(from, i).join()));
+  for (let i = 0; i < 40; i++) assert.ok(sources.has(point(out, i).join()), `point ${i}`);
+
+  assert.deepEqual(Array.from(resamplePoints([], [1, 2, 3])), [0, 0, 0]);
+});
+
+test('FormMorph gives duplicated target vertices one start point', () => {
+  // A seam: vertices 0 and 2 sit at the same position
+  const to = [3, 0, 0, 0, 3, 0, 3, 0, 0];
+  const morph = new FormMorph(axes(1), to, { beats: 2, easing: 'linear' });
+  assert.deepEqual(point(morph.start, 0), point(morph.start, 2));
+  assert.deepEqual(point(morph.start, 0), [1, 0, 0]);
+  assert.deepEqual(point(morph.start, 1), [0, 1, 0]);
+});
+
+test('FormMorph blends from start to target over its beats', () => {
+  const to = [3, 0, 0, 0, 3, 0];
+  const morph = new FormMorph(axes(1), to, { beats: 2, easing: 'linear' });
+  const out = new Float32Array(to.length);
+
+  assert.equal(morph.apply(out), 0);
+  assert.deepEqual(point(out, 0), [1, 0, 0]);
+
+  morph.advance(1);
+  assert.equal(morph.progress, 0.5);
+  assert.equal(morph.done, false);
+  morph.apply(out);
+  assert.deepEqual(point(out, 0), [2, 0, 0]);
+
+  morph.advance(-5); // never runs backwards
+  assert.equal(morph.progress, 0.5);
+
+  morph.finish();
+  assert.equal(morph.done, true);
+  assert.equal(morph.apply(out), 1);
+  assert.deepEqual(Array.from(out), to);
+
+  const instant = new FormMorph(axes(1), to, { beats: 0 });
+  assert.equal(instant.done, true);
+  assert.equal(instant.progress, 1);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioAnalyzer } from '../js/audioAnalyzer.js';
+import { MotionCoordinator } from '../js/motionCoordinator.js';
+import { MusicClock } from '../js/musicClock.js';
+import { kickTrain, silence, FFT_SIZE, SAMPLE_RATE } from './synthetic.mjs';
+
+const DT = 1 / 60;
+
+// Analyzer, clock and motion stepped together the way renderFrame does it
+function simulate(frames, smoothness = 0.5) {
+  const audio = new AudioAnalyzer();
+  audio.setFFTInfo(FFT_SIZE, SAMPLE_RATE);
+  const motion = new MotionCoordinator();
+  const music = new MusicClock();
+  const trace = [];
+  for (const f of frames) {
+    audio.analyze(f.freq, f.time, DT);
+    music.update(DT, audio.getBPM());
+    motion.update(audio, DT, music.phase, smoothness);
+    trace.push({ pulse: motion.pulse, swell: motion.swell, low: motion.lowMotion, kick: f.kickIndex >= 0 });
+  }
+  return { audio, motion, music, trace };
+}
+
+test('motion never reads the wall clock', () => {
+  const saved = Object.getOwnPropertyDescriptor(globalThis, 'performance');
+  Object.defineProperty(globalThis, 'performance', {
+    configurable: true,
+    get() { throw new Error('performance read during update'); }
+  });
+  try {
+    const a = simulate(kickTrain({ bpm: 128, seconds: 3 })).trace;
+    const b = simulate(kickTrain({ bpm: 128, seconds: 3 })).trace;
+    assert.deepEqual(a, b);
+  } finally {
+    Object.defineProperty(globalThis, 'performance', saved);
+  }
+});
+
+test('kicks drive the pulse and the low-band motion', () => {
+  const { trace } = simulate(kickTrain({ bpm: 120, seconds: 8 }));
+  const peak = Math.max(...trace.map(f => f.pulse));
+  assert.ok(peak > 0.3, `pulse peaked at ${peak}`);
+  assert.ok(trace[trace.length - 1].low > 0.05);
+  // The pulse falls back between kicks (120 BPM = a kick every 30 frames)
+  const lastKick = trace.map(f => f.kick).lastIndexOf(true);
+  const window = trace.slice(lastKick, lastKick + 29).map(f => f.pulse);
+  assert.ok(Math.min(...window.slice(-5)) < Math.max(...window));
+});
+
+test('silence leaves motion at rest', () => {
+  const { motion } = simulate(silence({ seconds: 4 }));
+  assert.equal(motion.pulse, 0);
+  assert.equal(motion.impact, 0);
+  assert.ok(motion.swell < 0.02, `swell ${motion.swell}`);
+  assert.equal(motion.lowMotion, 0);
+});
+
+test('the music clock free-runs at the tempo it is given', () => {
+  const music = new MusicClock();
+  music.bpmSmooth = 90;
+  for (let i = 0; i < 120; i++) music.update(DT, 90);
+  assert.ok(Math.abs(music.beats - 3) < 1e-9, `${music.beats} beats after 2 s`);
+  assert.ok(Math.abs(music.phase - music.beats * 2 * Math.PI) < 1e-9);
+});
+
+test('the music clock eases toward a new tempo', () => {
+  const music = new MusicClock();
+  music.update(DT, 160);
+  assert.ok(music.bpmSmooth > 120 && music.bpmSmooth < 160);
+  for (let i = 0; i < 300; i++) music.update(DT, 160);
+  assert.ok(Math.abs(music.bpmSmooth - 160) < 0.01);
+});
+
+test('a beat grid position overrides the free-running clock', () => {
+  const music = new MusicClock();
+  music.update(DT, 128, 17.25);
+  assert.equal(music.beats, 17.25);
+  assert.equal(music.bpmSmooth, 128);
+  music.reset();
+  assert.equal(music.beats, 0);
+  assert.equal(music.lastSeenBar, -1);
+});
+
+test('the clock follows a detected kick train', () => {
+  const { music } = simulate(kickTrain({ bpm: 128, seconds: 20 }));
+  assert.ok(Math.abs(music.bpmSmooth - 128) < 3, `clock at ${music.bpmSmooth} BPM`);
+});
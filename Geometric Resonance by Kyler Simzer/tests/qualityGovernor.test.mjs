@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QualityGovernor, QUALITY_LEVELS } from '../js/qualityGovernor.js';
+
+// Feed `seconds` of frames at `fps`; returns the times (from the start of this run) the level changed
+function run(gov, fps, seconds) {
+  const changes = [];
+  const dt = 1 / fps;
+  for (let t = dt; t <= seconds + 1e-9; t += dt) {
+    if (gov.sample(dt)) changes.push(t);
+  }
+  return changes;
+}
+
+test('holds full quality at the target frame rate', () => {
+  const gov = new QualityGovernor({ targetFps: 50 });
+  assert.deepEqual(run(gov, 60, 30), []);
+  assert.equal(gov.level, 0);
+  assert.equal(gov.settings, QUALITY_LEVELS[0]);
+});
+
+test('steps down one level at a time while frames stay slow', () => {
+  const gov = new QualityGovernor({ targetFps: 50 });
+  run(gov, 30, 1.2);
+  assert.equal(gov.level, 0, 'a short dip is not enough');
+  run(gov, 30, 0.5);
+  assert.equal(gov.level, 1);
+  // The new level gets a second to settle, then needs its own 1.5 s below target
+  run(gov, 30, 2);
+  assert.equal(gov.level, 1);
+  run(gov, 30, 1);
+  assert.equal(gov.level, 2);
+
+  run(gov, 10, 60);
+  assert.equal(gov.level, QUALITY_LEVELS.length - 1, 'stops at the last level');
+});
+
+test('a frame rate just above target neither steps down nor back up', () => {
+  const gov = new QualityGovernor({ targetFps: 50 });
+  run(gov, 30, 2);
+  assert.equal(gov.level, 1);
+  // 52 fps clears the target but not the 10% headroom needed to step up
+  assert.deepEqual(run(gov, 52, 30), []);
+  assert.equal(gov.level, 1);
+});
+
+test('steps back up after sustained headroom, waiting longer after a failed try', () => {
+  const gov = new QualityGovernor({ targetFps: 50 });
+  run(gov, 30, 2);
+  assert.equal(gov.level, 1);
+
+  run(gov, 60, 5.5);
+  assert.equal(gov.level, 1, 'waits out settle plus 5 s of headroom');
+  run(gov, 60, 1);
+  assert.equal(gov.level, 0);
+
+  // Dropping straight back doubles the wait before the next step up
+  run(gov, 30, 2.5);
+  assert.equal(gov.level, 1);
+  run(gov, 60, 8);
+  assert.equal(gov.level, 1, 'the 5 s wait is now 10 s');
+  run(gov, 60, 4);
+  assert.equal(gov.level, 0);
+});
+
+test('locking holds full quality and unlocking starts again from full', () => {
+  const gov = new QualityGovernor({ targetFps: 50 });
+  run(gov, 30, 2);
+  assert.equal(gov.level, 1);
+
+  gov.setLocked(true);
+  assert.equal(gov.level, 0);
+  assert.equal(gov.settings, QUALITY_LEVELS[0]);
+  assert.deepEqual(run(gov, 10, 10), []);
+  assert.equal(gov.settings, QUALITY_LEVELS[0]);
+  assert.ok(gov.fps < 11, 'the fps estimate keeps tracking while locked');
+
+  gov.setLocked(false);
+  assert.equal(gov.level, 0);
+  assert.equal(gov.fps, 50);
+  run(gov, 30, 2);
+  assert.equal(gov.level, 1);
+});
+
+test('ignores frame times that are not real samples', () => {
+  const gov = new QualityGovernor({ targetFps: 50 });
+  for (const dt of [0, -1, NaN, 0.5, 3]) assert.equal(gov.sample(dt), false);
+  assert.equal(gov.fps, 50);
+  assert.equal(gov.level, 0);
+});
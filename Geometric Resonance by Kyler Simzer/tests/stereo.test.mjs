@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioAnalyzer } from '../js/audioAnalyzer.js';
+import { MotionCoordinator } from '../js/motionCoordinator.js';
+import { sineTone, silence, FFT_SIZE, SAMPLE_RATE, HZ_PER_BIN } from './synthetic.mjs';
+
+const quiet = () => ({ freq: new Uint8Array(FFT_SIZE / 2), time: new Uint8Array(2048).fill(128) });
+const copy = (f) => ({ freq: Uint8Array.from(f.freq), time: Uint8Array.from(f.time) });
+const invert = (f) => ({ freq: Uint8Array.from(f.freq), time: f.time.map(v => Math.min(255, 256 - v)) });
+
+// Two seconds of a tone, with `split` turning each mono frame into { left, right }
+function run(split, { hz = 440, seconds = 2 } = {}) {
+  const audio = new AudioAnalyzer();
+  audio.setFFTInfo(FFT_SIZE, SAMPLE_RATE);
+  for (const f of sineTone({ hz, seconds })) {
+    const { left, right } = split(f);
+    audio.analyze(f.freq, f.time, 1 / 60, left, right);
+  }
+  return audio;
+}
+
+const bandOf = (audio, hz) => audio.bandEdges.findIndex((edge, b) => hz >= edge && hz < audio.bandEdges[b + 1]);
+
+test('identical channels are centred, correlated and have no width', () => {
+  const audio = run(f => ({ left: copy(f), right: copy(f) }));
+  assert.ok(audio.stereoWidth < 0.01, `width ${audio.stereoWidth}`);
+  assert.ok(Math.abs(audio.stereoBalance) < 0.01, `balance ${audio.stereoBalance}`);
+  assert.ok(audio.stereoCorrelation > 0.99, `correlation ${audio.stereoCorrelation}`);
+});
+
+test('a hard-left signal balances fully left', () => {
+  const audio = run(f => ({ left: copy(f), right: quiet() }));
+  assert.ok(audio.stereoBalance < -0.99, `balance ${audio.stereoBalance}`);
+  assert.ok(audio.bandPan[bandOf(audio, 440)] < -0.95, `band pan ${audio.bandPan[bandOf(audio, 440)]}`);
+});
+
+test('anti-phase channels are fully wide with negative correlation', () => {
+  const audio = run(f => ({ left: copy(f), right: invert(f) }));
+  assert.ok(audio.stereoWidth > 0.99, `width ${audio.stereoWidth}`);
+  assert.ok(audio.stereoCorrelation < -0.95, `correlation ${audio.stereoCorrelation}`);
+  assert.ok(Math.abs(audio.stereoBalance) < 0.05, `balance ${audio.stereoBalance}`);
+});
+
+test('each band pans on its own', () => {
+  const audio = new AudioAnalyzer();
+  audio.setFFTInfo(FFT_SIZE, SAMPLE_RATE);
+  const high = sineTone({ hz: 3000, seconds: 2 });
+  for (const low of sineTone({ hz: 110, seconds: 2 })) {
+    const right = high.next().value;
+    audio.analyze(low.freq, low.time, 1 / 60, copy(low), copy(right));
+  }
+  const lowBand = bandOf(audio, 110), highBand = bandOf(audio, 3000);
+  assert.ok(lowBand >= 0 && highBand > lowBand, `bands ${lowBand} ${highBand} (${HZ_PER_BIN} Hz per bin)`);
+  assert.ok(audio.bandPan[lowBand] < -0.3, `low band pan ${audio.bandPan[lowBand]}`);
+  assert.ok(audio.bandPan[highBand] > 0.3, `high band pan ${audio.bandPan[highBand]}`);
+});
+
+test('without stereo input the image settles back to centre', () => {
+  const audio = run(f => ({ left: copy(f), right: quiet() }), { seconds: 1 });
+  for (const f of silence({ seconds: 2 })) audio.analyze(f.freq, f.time, 1 / 60);
+  assert.ok(Math.abs(audio.stereoBalance) < 0.01, `balance ${audio.stereoBalance}`);
+  assert.ok(audio.bandPan.every(p => Math.abs(p) < 0.01));
+});
+
+test('motion follows the stereo image slowly', () => {
+  const audio = new AudioAnalyzer();
+  const motion = new MotionCoordinator();
+  audio.stereoBalance = 1;
+  audio.stereoWidth = 1;
+  motion.update(audio, 1 / 60, 0, 0.5);
+  assert.ok(motion.pan > 0 && motion.pan < 0.2, `pan after one frame ${motion.pan}`);
+  for (let i = 0; i < 300; i++) motion.update(audio, 1 / 60, 0, 0.5);
+  assert.ok(motion.pan > 0.95 && motion.width > 0.95, `pan ${motion.pan}, width ${motion.width}`);
+});
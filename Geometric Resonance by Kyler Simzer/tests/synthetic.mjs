@@ -0,0 +1,118 @@
+// ============================================================================
+// SYNTHETIC SPECTRA - Analyser frames for the tests, no Web Audio needed
+// ============================================================================
+//
+// Frames are shaped like AnalyserNode output at the app's settings (8192-point
+// FFT at 48 kHz): byte magnitudes per bin plus a byte time-domain buffer.
+
+import { createRng } from '../js/utils.js';
+
+export const FFT_SIZE = 8192;
+export const SAMPLE_RATE = 48000;
+export const BINS = FFT_SIZE / 2;
+export const HZ_PER_BIN = SAMPLE_RATE / FFT_SIZE;
+
+const binOf = (hz) => Math.round(hz / HZ_PER_BIN);
+
+// A quiet, steady noise floor (the analyser's own smoothing keeps real ones steady too)
+function noiseFloor(rand, level) {
+  return Uint8Array.from({ length: BINS }, (_, i) => Math.round(level * (0.6 + rand() * 0.4) * (1 - i / BINS)));
+}
+
+function frame(floor) {
+  return { freq: Uint8Array.from(floor), time: new Uint8Array(2048).fill(128) };
+}
+
+// Raise bins around `hz` to `level` (0-255), falling off over `width` bins
+function addPeak(freq, hz, level, width = 3) {
+  const c = binOf(hz);
+  for (let i = Math.max(0, c - width); i <= Math.min(BINS - 1, c + width); i++) {
+    freq[i] = Math.max(freq[i], Math.round(level * (1 - Math.abs(i - c) / (width + 1))));
+  }
+}
+
+function addTone(time, hz, amp, timeSec) {
+  for (let i = 0; i < time.length; i++) {
+    const v = Math.sin(2 * Math.PI * hz * (timeSec + i / SAMPLE_RATE)) * amp;
+    time[i] = Math.max(0, Math.min(255, Math.round(128 + v * 127)));
+  }
+}
+
+/**
+ * A four-on-the-floor kick drum at `bpm`: every beat a 40-120 Hz thump that
+ * decays over ~120 ms, over a quiet noise floor. Yields
+ * { index, timeSec, freq, time, kickIndex } per frame, where kickIndex is
+ * the kick that started this frame (or -1).
+ */
+export function* kickTrain({ bpm, seconds, fps = 60, startSec = 0.5, seed = 1 }) {
+  const floor = noiseFloor(createRng(seed), 18);
+  const beat = 60 / bpm;
+  const frames = Math.round(seconds * fps);
+  let nextKick = 0;
+  for (let index = 0; index < frames; index++) {
+    const timeSec = index / fps;
+    const f = frame(floor);
+    let kickIndex = -1;
+    // Kicks land on the first frame at or after their time
+    while (startSec + nextKick * beat <= timeSec + 1e-9) kickIndex = nextKick++;
+    const since = nextKick > 0 ? timeSec - (startSec + (nextKick - 1) * beat) : Infinity;
+    if (since < 0.3) {
+      const level = 250 * Math.exp(-since / 0.06);
+      for (let hz = 40; hz <= 120; hz += 10) addPeak(f.freq, hz, level, 2);
+      addTone(f.time, 60, level / 255, timeSec);
+    }
+    yield { index, timeSec, ...f, kickIndex };
+  }
+}
+
+/**
+ * The kick's loudest frame held steady from `atSec` for `holdSec`, then the
+ * floor again: a sound whose shape doesn't depend on the frame rate it is
+ * sampled at, as long as both times fall on frame boundaries.
+ */
+export function* burst({ atSec, holdSec, seconds, fps = 60, seed = 1 }) {
+  const floor = noiseFloor(createRng(seed), 18);
+  for (let index = 0; index < Math.round(seconds * fps); index++) {
+    const timeSec = index / fps;
+    const f = frame(floor);
+    const on = timeSec + 1e-9 >= atSec && timeSec + 1e-9 < atSec + holdSec;
+    if (on) {
+      for (let hz = 40; hz <= 120; hz += 10) addPeak(f.freq, hz, 250, 2);
+      addTone(f.time, 60, 250 / 255, timeSec);
+    }
+    yield { index, timeSec, ...f, kickIndex: on && timeSec - atSec < 1 / fps - 1e-9 ? 0 : -1 };
+  }
+}
+
+// A steady sine at `hz`
+export function* sineTone({ hz, seconds, fps = 60, level = 220, seed = 2 }) {
+  const floor = noiseFloor(createRng(seed), 10);
+  for (let index = 0; index < Math.round(seconds * fps); index++) {
+    const timeSec = index / fps;
+    const f = frame(floor);
+    addPeak(f.freq, hz, level);
+    addTone(f.time, hz, level / 255, timeSec);
+    yield { index, timeSec, ...f, kickIndex: -1 };
+  }
+}
+
+// A sine gliding exponentially from `fromHz` to `toHz`
+export function* sineSweep({ fromHz, toHz, seconds, fps = 60, level = 220, seed = 3 }) {
+  const floor = noiseFloor(createRng(seed), 10);
+  const frames = Math.round(seconds * fps);
+  for (let index = 0; index < frames; index++) {
+    const timeSec = index / fps;
+    const hz = fromHz * Math.pow(toHz / fromHz, index / (frames - 1));
+    const f = frame(floor);
+    addPeak(f.freq, hz, level);
+    addTone(f.time, hz, level / 255, timeSec);
+    yield { index, timeSec, ...f, kickIndex: -1, hz };
+  }
+}
+
+export function* silence({ seconds, fps = 60 }) {
+  const floor = new Uint8Array(BINS);
+  for (let index = 0; index < Math.round(seconds * fps); index++) {
+    yield { index, timeSec: index / fps, ...frame(floor), kickIndex: -1 };
+  }
+}
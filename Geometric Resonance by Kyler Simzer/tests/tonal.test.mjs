@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TonalAnalyzer, keyName, chordName, midiNoteName, MAJOR, MINOR } from '../js/tonalAnalysis.js';
+import { AudioAnalyzer } from '../js/audioAnalyzer.js';
+import { FFT_SIZE, SAMPLE_RATE, HZ_PER_BIN, BINS } from './synthetic.mjs';
+
+const DT = 1 / 60;
+const BEAT = 0.5;   // seconds, 120 BPM
+
+// Linear magnitude spectrum of harmonic tones at MIDI `notes`, `tuning` semitones off A440
+function spectrum(notes, { tuning = 0, level = 0.6 } = {}) {
+  const out = new Float32Array(BINS);
+  for (const midi of notes) {
+    const f0 = 440 * Math.pow(2, (midi - 69 + tuning) / 12);
+    for (let h = 1; h <= 4; h++) {
+      const bin = (f0 * h) / HZ_PER_BIN;
+      const amp = level * Math.pow(0.6, h - 1);
+      for (let i = Math.floor(bin) - 2; i <= Math.ceil(bin) + 2; i++) {
+        if (i > 0 && i < BINS) out[i] = Math.max(out[i], amp * Math.exp(-((i - bin) ** 2) / 1.2));
+      }
+    }
+  }
+  return out;
+}
+
+// Triads (root position, around middle C) with a bass note an octave down
+const triad = (root, quality) => {
+  const notes = [60 + root, 60 + root + (quality === MINOR ? 3 : 4), 60 + root + 7];
+  return [48 + root, ...notes];
+};
+
+// Play `chords` one per `beats` beats; returns the chord heard at the end of each
+function play(tonal, chords, { beats = 2, tuning = 0, melody = null } = {}) {
+  const heard = [];
+  let t = 0;
+  for (const [root, quality] of chords) {
+    const notes = triad(root, quality);
+    if (melody !== null) notes.push(melody);
+    const spec = spectrum(notes, { tuning });
+    for (let i = 0; i < Math.round((beats * BEAT) / DT); i++) {
+      tonal.update(spec, HZ_PER_BIN, DT, Math.floor(t / BEAT));
+      t += DT;
+    }
+    heard.push(chordName(tonal.chordRoot, tonal.chordQuality));
+  }
+  return heard;
+}
+
+test('names read as musicians write them', () => {
+  assert.equal(keyName(9, MINOR), 'A minor');
+  assert.equal(keyName(NaN, MAJOR), '--');
+  assert.equal(chordName(1, MINOR), 'C#m');
+  assert.equal(chordName(7, MAJOR), 'G');
+  assert.equal(midiNoteName(60), 'C4');
+  assert.equal(midiNoteName(69.2), 'A4');
+});
+
+test('tuning is measured and corrected for', () => {
+  const tonal = new TonalAnalyzer();
+  // A third of a semitone sharp: uncorrected, some partials land on the next pitch class
+  const heard = play(tonal, Array(8).fill([0, MAJOR]), { tuning: 0.35 });
+  assert.ok(Math.abs(tonal.tuning - 0.35) < 0.05, `tuning ${tonal.tuning}`);
+  assert.equal(heard[heard.length - 1], 'C');
+  const strongest = [...tonal.chroma].map((v, pc) => [v, pc]).sort((a, b) => b[0] - a[0]).slice(0, 3).map(([, pc]) => pc);
+  assert.deepEqual(strongest.sort((a, b) => a - b), [0, 4, 7]);
+});
+
+test('a major progression finds its key', () => {
+  const tonal = new TonalAnalyzer();
+  // I IV V I in G
+  play(tonal, [[7, MAJOR], [0, MAJOR], [2, MAJOR], [7, MAJOR], [4, MINOR], [0, MAJOR], [2, MAJOR], [7, MAJOR]]);
+  assert.equal(keyName(tonal.keyRoot, tonal.keyMode), 'G major');
+  assert.ok(tonal.keyConfidence > 0.5, `confidence ${tonal.keyConfidence}`);
+});
+
+test('key confidence fades out over silence', () => {
+  const tonal = new TonalAnalyzer();
+  const inG = [[7, MAJOR], [0, MAJOR], [2, MAJOR], [7, MAJOR], [4, MINOR], [0, MAJOR], [2, MAJOR], [7, MAJOR]];
+  play(tonal, inG);
+  const heard = tonal.keyConfidence;
+  const quiet = new Float32Array(BINS);
+  for (let i = 0; i < 2 / DT; i++) tonal.update(quiet, HZ_PER_BIN, DT, 0);
+  assert.ok(tonal.keyConfidence < heard * 0.6, `confidence ${tonal.keyConfidence} after 2 s of ${heard}`);
+  for (let i = 0; i < 3 / DT; i++) tonal.update(quiet, HZ_PER_BIN, DT, 0);
+  assert.equal(tonal.keyConfidence, 0);
+
+  // The key comes back as the music does
+  play(tonal, inG);
+  assert.equal(keyName(tonal.keyRoot, tonal.keyMode), 'G major');
+  assert.ok(tonal.keyConfidence > 0.5, `confidence ${tonal.keyConfidence}`);
+});
+
+test('a minor progression finds its key', () => {
+  const tonal = new TonalAnalyzer();
+  // i iv V i in A minor
+  play(tonal, [[9, MINOR], [2, MINOR], [4, MAJOR], [9, MINOR], [9, MINOR], [2, MINOR], [4, MAJOR], [9, MINOR]]);
+  assert.equal(keyName(tonal.keyRoot, tonal.keyMode), 'A minor');
+});
+
+test('chords are recognised and change on the beat', () => {
+  const tonal = new TonalAnalyzer();
+  const chords = [[0, MAJOR], [9, MINOR], [5, MAJOR], [7, MAJOR], [2, MINOR], [4, MINOR]];
+  assert.deepEqual(play(tonal, chords), ['C', 'Am', 'F', 'G', 'Dm', 'Em']);
+
+  // Within a beat the chord holds, however the spectrum moves
+  const seen = new Set();
+  const c = spectrum(triad(0, MAJOR)), g = spectrum(triad(7, MAJOR));
+  for (let i = 0; i < 29; i++) {
+    tonal.update(i % 2 ? c : g, HZ_PER_BIN, DT, 1000);
+    seen.add(tonal.chordRoot);
+  }
+  assert.equal(seen.size, 1);
+});
+
+test('silence and noise are no chord', () => {
+  const tonal = new TonalAnalyzer();
+  play(tonal, [[0, MAJOR]]);
+  const quiet = new Float32Array(BINS);
+  for (let i = 0; i < 90; i++) tonal.update(quiet, HZ_PER_BIN, DT, Math.floor(i / 30));
+  assert.ok(Number.isNaN(tonal.chordRoot));
+
+  // Every semitone at once fits no triad
+  const cluster = spectrum(Array.from({ length: 12 }, (_, i) => 60 + i));
+  for (let i = 0; i < 90; i++) tonal.update(cluster, HZ_PER_BIN, DT, Math.floor(i / 30));
+  assert.ok(Number.isNaN(tonal.chordRoot));
+});
+
+test('the melody line is tracked over the chords', () => {
+  const tonal = new TonalAnalyzer();
+  for (const note of [76, 79, 81, 79]) {
+    const spec = spectrum([...triad(0, MAJOR).map(n => n - 12), note], { level: 0.6 });
+    for (let i = 0; i < 30; i++) tonal.update(spec, HZ_PER_BIN, DT, 0);
+    assert.ok(Math.abs(tonal.melodyPitch - note) < 0.5, `melody ${tonal.melodyPitch} for ${note}`);
+  }
+  assert.ok(tonal.melodyConfidence > 0.3, `confidence ${tonal.melodyConfidence}`);
+});
+
+test('the analyzer exposes key, chord and melody', () => {
+  const audio = new AudioAnalyzer();
+  audio.setFFTInfo(FFT_SIZE, SAMPLE_RATE);
+  // Byte spectra as the analyser hands them over (the analyzer undoes the 1.2 curve)
+  const toBytes = (spec) => Uint8Array.from(spec, v => Math.round(255 * Math.pow(v, 1 / 1.2)));
+  const time = new Uint8Array(2048).fill(128);
+  const chords = [[9, MINOR], [2, MINOR], [4, MAJOR], [9, MINOR]];
+  for (let rep = 0; rep < 2; rep++) {
+    for (const [root, quality] of chords) {
+      const freq = toBytes(spectrum([...triad(root, quality), 81]));
+      // No beats here, so chord windows fall every second; the last chord holds on
+      for (let i = 0; i < (rep && root === 9 ? 150 : 60); i++) audio.analyze(freq, time, DT);
+    }
+  }
+  assert.equal(audio.keyName, 'A minor');
+  assert.equal(audio.chordName, 'Am');
+  assert.equal(audio.rootNote, 9);
+  assert.equal(audio.noteName, 'A');
+  assert.equal(audio.melodyNote, 'A5');
+});